@@ -0,0 +1,258 @@
+/**
+ * Account Settings
+ *
+ * The trading account the position sizer works against: equity, the share of
+ * it risked per trade, the most leverage the trader allows themselves and the
+ * fee rate charged on each fill. Persisted in localStorage.
+ *
+ * Trading costs live here too: maker/taker fees per exchange, slippage on
+ * market fills and the funding rate paid on perpetuals. So do the
+ * maintenance-margin tiers used to estimate liquidation prices.
+ *
+ * Settings shape: { version, equity, riskPercent, maxLeverage, feeRate,
+ * slippage, fundingRate, holdingHours, exchangeFees } where equity is null
+ * until the trader sets it; riskPercent, feeRate and slippage are
+ * percentages (fees and slippage per fill, feeRate for trades without a
+ * known exchange), fundingRate is a percentage per 8-hour funding period, and
+ * exchangeFees maps each name in EXCHANGES to { maker, taker } percentages.
+ * maintenanceTiers is a list of { upTo, rate } ordered by upTo: the
+ * maintenance margin rate (%) for positions with a notional up to upTo, the
+ * last tier (upTo null) covering anything larger.
+ */
+
+import { MAX_LEVERAGE, EXCHANGES } from './tradeExtractor.js';
+
+// Constants
+export const ACCOUNT_SETTINGS_STORAGE_KEY = 'traders-voice-account';
+export const ACCOUNT_SETTINGS_VERSION = 1;
+
+// Numeric fields and their bounds; `above` is exclusive, `min` and `max` inclusive
+const NUMBER_FIELDS = [
+  ['equity', 'Account equity', { above: 0 }],
+  ['riskPercent', 'Risk per trade', { above: 0, max: 100 }],
+  ['maxLeverage', 'Max leverage', { min: 1, max: MAX_LEVERAGE }],
+  ['feeRate', 'Fee rate', { min: 0, max: 10 }],
+  ['slippage', 'Slippage', { min: 0, max: 10 }],
+  ['fundingRate', 'Funding rate', { min: -1, max: 1 }],
+  ['holdingHours', 'Holding time', { min: 0, max: 24 * 365 }],
+];
+
+// Bounds for the maker and taker rates in the fee table; makers can earn a rebate
+const FEE_BOUNDS = { min: -0.1, max: 10 };
+
+// Standard-tier maker/taker fees (%), perpetuals where the exchange lists them
+export const DEFAULT_EXCHANGE_FEES = {
+  BINANCE: { maker: 0.02, taker: 0.05 },
+  COINBASE: { maker: 0.4, taker: 0.6 },
+  KRAKEN: { maker: 0.25, taker: 0.4 },
+  BYBIT: { maker: 0.02, taker: 0.055 },
+  OKX: { maker: 0.02, taker: 0.05 },
+  KUCOIN: { maker: 0.02, taker: 0.06 },
+  BITFINEX: { maker: 0.1, taker: 0.2 },
+  GEMINI: { maker: 0.2, taker: 0.4 },
+  HUOBI: { maker: 0.02, taker: 0.05 },
+  'GATE.IO': { maker: 0.015, taker: 0.05 },
+  BITGET: { maker: 0.02, taker: 0.06 },
+  MEXC: { maker: 0, taker: 0.02 },
+  'CRYPTO.COM': { maker: 0.02, taker: 0.05 },
+};
+
+// Maintenance margin rates (%) by position notional, modeled on USDⓈ-M BTC perpetual brackets
+export const DEFAULT_MAINTENANCE_TIERS = [
+  { upTo: 50000, rate: 0.4 },
+  { upTo: 250000, rate: 0.5 },
+  { upTo: 3000000, rate: 1 },
+  { upTo: 15000000, rate: 2.5 },
+  { upTo: 30000000, rate: 5 },
+  { upTo: null, rate: 10 },
+];
+
+// Maintenance rates have to leave room for the position to exist at all
+const TIER_RATE_BOUNDS = { above: 0, max: 50 };
+
+/**
+ * Whether a number is inside a field's bounds
+ */
+function inBounds(number, { above = -Infinity, min = -Infinity, max = Infinity }) {
+  return number > above && number >= min && number <= max;
+}
+
+/**
+ * Describe a field's bounds for an error message, e.g. "between 1 and 125"
+ */
+function describeBounds({ above, min, max }) {
+  if (min !== undefined) return `between ${min} and ${max}`;
+  return max === undefined ? `above ${above}` : `above ${above} and at most ${max}`;
+}
+
+/**
+ * Create the default settings: 1% risk, up to 10x, 0.1% fees, 0.05% slippage,
+ * 0.01% funding over a day's hold, no equity yet
+ * @returns {Object} - Account settings
+ */
+export function createDefaultAccountSettings() {
+  return {
+    version: ACCOUNT_SETTINGS_VERSION,
+    equity: null,
+    riskPercent: 1,
+    maxLeverage: 10,
+    feeRate: 0.1,
+    slippage: 0.05,
+    fundingRate: 0.01,
+    holdingHours: 24,
+    exchangeFees: Object.fromEntries(Object.entries(DEFAULT_EXCHANGE_FEES).map(([name, fees]) => [name, { ...fees }])),
+    maintenanceTiers: DEFAULT_MAINTENANCE_TIERS.map(tier => ({ ...tier })),
+  };
+}
+
+/**
+ * Parse a number from a form value or JSON, allowing "$", "%", "x" and thousands separators
+ * @throws {Error} - If the value isn't a finite number or is out of bounds
+ */
+function parseBoundedNumber(value, label, bounds) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value.replace(/[$,%x\s]/gi, '')) : value;
+  if (typeof number !== 'number' || !isFinite(number)) {
+    throw new Error(`${label} must be a number`);
+  }
+  if (!inBounds(number, bounds)) {
+    throw new Error(`${label} must be ${describeBounds(bounds)}`);
+  }
+  return number;
+}
+
+/**
+ * Validate and normalize account settings (e.g. from the settings form)
+ * @param {*} raw - Parsed settings; missing fields keep their defaults, an empty equity clears it
+ * @returns {Object} - Normalized settings
+ * @throws {Error} - If a value is not a number or is out of range
+ */
+export function normalizeAccountSettings(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Account settings must be an object');
+  }
+  if (raw.version !== undefined && raw.version > ACCOUNT_SETTINGS_VERSION) {
+    throw new Error(`Unsupported account settings version ${raw.version}`);
+  }
+
+  const settings = createDefaultAccountSettings();
+
+  for (const [field, label, bounds] of NUMBER_FIELDS) {
+    const value = raw[field];
+    if (value === undefined) continue;
+    if (field === 'equity' && (value === null || value === '')) {
+      settings.equity = null;
+      continue;
+    }
+    settings[field] = parseBoundedNumber(value, label, bounds);
+  }
+
+  // Fee table: known exchanges only, each side falling back to the default
+  if (raw.exchangeFees !== undefined) {
+    if (!raw.exchangeFees || typeof raw.exchangeFees !== 'object' || Array.isArray(raw.exchangeFees)) {
+      throw new Error('Exchange fees must be an object of { maker, taker } rates');
+    }
+    for (const [name, fees] of Object.entries(raw.exchangeFees)) {
+      const exchange = name.toUpperCase();
+      if (!EXCHANGES.includes(exchange) || !fees || typeof fees !== 'object') continue;
+      for (const side of ['maker', 'taker']) {
+        if (fees[side] === undefined || fees[side] === '') continue;
+        settings.exchangeFees[exchange][side] = parseBoundedNumber(fees[side], `${exchange} ${side} fee`, FEE_BOUNDS);
+      }
+    }
+  }
+
+  if (raw.maintenanceTiers !== undefined) {
+    settings.maintenanceTiers = normalizeMaintenanceTiers(raw.maintenanceTiers);
+  }
+
+  return settings;
+}
+
+/**
+ * Validate maintenance tiers and order them by size; the largest tier always
+ * covers anything bigger, so its upTo is dropped
+ * @param {*} raw - List of { upTo, rate }
+ * @returns {Array<{upTo: number|null, rate: number}>}
+ * @throws {Error} - If the list is empty or a tier is invalid
+ */
+export function normalizeMaintenanceTiers(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('Maintenance tiers must be a list with at least one tier');
+  }
+
+  const tiers = raw.map((tier) => {
+    if (!tier || typeof tier !== 'object') throw new Error('Each maintenance tier needs a rate');
+    const upTo = tier.upTo === null || tier.upTo === undefined || tier.upTo === ''
+      ? null
+      : parseBoundedNumber(tier.upTo, 'Tier notional', { above: 0 });
+    return { upTo, rate: parseBoundedNumber(tier.rate, 'Maintenance rate', TIER_RATE_BOUNDS) };
+  });
+
+  tiers.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  if (tiers.filter(tier => tier.upTo === null).length > 1) {
+    throw new Error('Only one maintenance tier can be open-ended');
+  }
+  tiers[tiers.length - 1].upTo = null;
+  return tiers;
+}
+
+/**
+ * Parse "notional = rate" lines into maintenance tiers; "*" (or "above") as the notional is the open-ended tier
+ * @param {string} text - Textarea contents, e.g. "50,000 = 0.4"
+ * @returns {Array<{upTo: number|null, rate: string}>} - Unvalidated tiers, for normalizeMaintenanceTiers
+ */
+export function parseTierText(text) {
+  const tiers = [];
+  for (const line of String(text ?? '').split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator === -1) continue;
+
+    const upTo = line.slice(0, separator).trim();
+    const rate = line.slice(separator + 1).trim();
+    tiers.push({ upTo: /^(\*|above)$/i.test(upTo) ? null : upTo, rate });
+  }
+  return tiers;
+}
+
+/**
+ * Format maintenance tiers as "notional = rate" lines
+ * @param {Array<{upTo: number|null, rate: number}>} tiers
+ * @returns {string}
+ */
+export function formatTierText(tiers) {
+  return tiers.map(tier => `${tier.upTo === null ? '*' : tier.upTo.toLocaleString('en-US')} = ${tier.rate}`).join('\n');
+}
+
+/**
+ * Risk budget per trade in dollars: equity × risk %
+ * @param {Object} settings - Account settings
+ * @returns {number|null} - null until equity is set
+ */
+export function getRiskBudget(settings) {
+  if (!settings?.equity) return null;
+  return settings.equity * settings.riskPercent / 100;
+}
+
+/**
+ * Load the saved account settings
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ * @returns {Object} - Settings (defaults if missing or unreadable)
+ */
+export function loadAccountSettings(storage = localStorage) {
+  try {
+    const raw = storage.getItem(ACCOUNT_SETTINGS_STORAGE_KEY);
+    return raw ? normalizeAccountSettings(JSON.parse(raw)) : createDefaultAccountSettings();
+  } catch (err) {
+    console.warn('Ignoring unreadable account settings:', err);
+    return createDefaultAccountSettings();
+  }
+}
+
+/**
+ * Save the account settings
+ * @param {Object} settings - Settings to save
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ */
+export function saveAccountSettings(settings, storage = localStorage) {
+  storage.setItem(ACCOUNT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
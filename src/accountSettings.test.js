@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  ACCOUNT_SETTINGS_STORAGE_KEY,
+  createDefaultAccountSettings,
+  normalizeAccountSettings,
+  normalizeMaintenanceTiers,
+  parseTierText,
+  formatTierText,
+  getRiskBudget,
+  loadAccountSettings,
+  saveAccountSettings,
+} from './accountSettings.js';
+import { EXCHANGES } from './tradeExtractor.js';
+import { createMockStorage } from '../test/mockStorage.js';
+
+describe('normalizeAccountSettings', () => {
+  it('fills missing fields with defaults', () => {
+    expect(normalizeAccountSettings({})).toEqual(createDefaultAccountSettings());
+  });
+
+  it('parses form values with symbols and separators', () => {
+    const settings = normalizeAccountSettings({ equity: '$25,000', riskPercent: '0.5%', maxLeverage: '20x', feeRate: '0.04' });
+
+    expect(settings).toMatchObject({ equity: 25000, riskPercent: 0.5, maxLeverage: 20, feeRate: 0.04 });
+  });
+
+  it('overrides exchange fees side by side', () => {
+    const settings = normalizeAccountSettings({ exchangeFees: { bybit: { maker: '0.01', taker: '' }, NYSE: { maker: 1 } } });
+
+    expect(settings.exchangeFees.BYBIT).toEqual({ maker: 0.01, taker: 0.055 });
+    expect(settings.exchangeFees.NYSE).toBeUndefined();
+  });
+
+  it('covers every exchange the extractor recognizes', () => {
+    expect(Object.keys(createDefaultAccountSettings().exchangeFees)).toEqual(EXCHANGES);
+  });
+
+  it('clears an empty equity', () => {
+    expect(normalizeAccountSettings({ equity: '' }).equity).toBeNull();
+    expect(normalizeAccountSettings({ equity: null }).equity).toBeNull();
+  });
+
+  it.each([
+    [{ equity: 'lots' }, 'Account equity must be a number'],
+    [{ equity: -100 }, 'Account equity must be above 0'],
+    [{ riskPercent: 0 }, 'Risk per trade must be above 0 and at most 100'],
+    [{ riskPercent: 150 }, 'Risk per trade must be above 0 and at most 100'],
+    [{ maxLeverage: 0.5 }, 'Max leverage must be between 1 and 125'],
+    [{ feeRate: '' }, 'Fee rate must be a number'],
+    [{ feeRate: 12 }, 'Fee rate must be between 0 and 10'],
+    [{ fundingRate: 2 }, 'Funding rate must be between -1 and 1'],
+    [{ exchangeFees: { KRAKEN: { taker: 'high' } } }, 'KRAKEN taker fee must be a number'],
+    [{ exchangeFees: [] }, 'Exchange fees must be an object'],
+  ])('rejects %j', (raw, message) => {
+    expect(() => normalizeAccountSettings(raw)).toThrow(message);
+  });
+
+  it('rejects non-objects and newer versions', () => {
+    expect(() => normalizeAccountSettings([])).toThrow('Account settings must be an object');
+    expect(() => normalizeAccountSettings({ version: 99 })).toThrow('Unsupported account settings version 99');
+  });
+});
+
+describe('maintenance tiers', () => {
+  it('orders tiers and leaves the largest open-ended', () => {
+    expect(normalizeMaintenanceTiers([{ upTo: 1000000, rate: 1 }, { upTo: '50,000', rate: '0.4' }])).toEqual([
+      { upTo: 50000, rate: 0.4 },
+      { upTo: null, rate: 1 },
+    ]);
+  });
+
+  it.each([
+    [[], 'Maintenance tiers must be a list with at least one tier'],
+    [[{ upTo: 1000, rate: 0 }], 'Maintenance rate must be above 0 and at most 50'],
+    [[{ upTo: -5, rate: 1 }], 'Tier notional must be above 0'],
+    [[{ upTo: null, rate: 1 }, { upTo: null, rate: 2 }], 'Only one maintenance tier can be open-ended'],
+  ])('rejects %j', (tiers, message) => {
+    expect(() => normalizeMaintenanceTiers(tiers)).toThrow(message);
+  });
+
+  it('round-trips through the textarea format', () => {
+    const tiers = createDefaultAccountSettings().maintenanceTiers;
+    const text = formatTierText(tiers);
+
+    expect(text.split('\n')[0]).toBe('50,000 = 0.4');
+    expect(text.split('\n').at(-1)).toBe('* = 10');
+    expect(normalizeMaintenanceTiers(parseTierText(text))).toEqual(tiers);
+  });
+
+  it('is kept by normalizeAccountSettings', () => {
+    expect(normalizeAccountSettings({ maintenanceTiers: [{ upTo: null, rate: 2 }] }).maintenanceTiers)
+      .toEqual([{ upTo: null, rate: 2 }]);
+  });
+});
+
+describe('getRiskBudget', () => {
+  it('is equity times the risk percentage', () => {
+    expect(getRiskBudget({ equity: 20000, riskPercent: 1.5 })).toBe(300);
+  });
+
+  it('is null until equity is set', () => {
+    expect(getRiskBudget(createDefaultAccountSettings())).toBeNull();
+  });
+});
+
+describe('loadAccountSettings / saveAccountSettings', () => {
+  it('returns defaults when nothing is saved', () => {
+    expect(loadAccountSettings(createMockStorage())).toEqual(createDefaultAccountSettings());
+  });
+
+  it('round-trips through storage', () => {
+    const storage = createMockStorage();
+    const settings = normalizeAccountSettings({ equity: 10000, riskPercent: 2 });
+
+    saveAccountSettings(settings, storage);
+
+    expect(storage.setItem).toHaveBeenCalledWith(ACCOUNT_SETTINGS_STORAGE_KEY, expect.any(String));
+    expect(loadAccountSettings(storage)).toEqual(settings);
+  });
+
+  it('ignores unreadable data', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createMockStorage({ [ACCOUNT_SETTINGS_STORAGE_KEY]: '{"equity": "lots"}' });
+
+    expect(loadAccountSettings(storage)).toEqual(createDefaultAccountSettings());
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Performance Analytics
+ *
+ * Summarizes closed journal positions (win rate, average R, expectancy,
+ * P&L broken down by ticker, timeframe, exchange and indicator) and the
+ * planned R:R of every saved trade setup.
+ */
+
+import { buildPositions, formatPnl, formatRMultiple, POSITION_STATUS } from './journal.js';
+import { calculateRiskReward } from './priceLevelChart.js';
+import { createBarChart, createHistogram } from './analyticsCharts.js';
+import { getEntryLevels, getTargetLevels, calculateBlendedRiskReward, isMultiLeg } from './tradeLevels.js';
+
+// Planned R:R buckets, upper bound exclusive
+export const RR_BUCKETS = [
+  { label: '<1', max: 1 },
+  { label: '1–2', max: 2 },
+  { label: '2–3', max: 3 },
+  { label: '3–5', max: 5 },
+  { label: '5+', max: Infinity },
+];
+
+// Position fields that P&L is broken down by: [field, section title]
+const BREAKDOWNS = [
+  ['ticker', 'P&L by Ticker'],
+  ['timeframe', 'P&L by Timeframe'],
+  ['exchange', 'P&L by Exchange'],
+  ['indicators', 'P&L by Indicator'],
+];
+
+/**
+ * Result of a closed position: 1 win, -1 loss, 0 scratch
+ */
+function outcome(position) {
+  const result = position.rMultiple ?? position.pnlPercent ?? 0;
+  return Math.sign(result);
+}
+
+/**
+ * Average of a list, or null when empty
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Planned R:R of a trade setup
+ * @param {Object} trade - Trade info object
+ * @returns {number|null} - R:R, or null if the trade lacks entry, stop, target or side
+ */
+export function getPlannedRiskReward(trade) {
+  if (!trade || !trade.stopLoss || !trade.action) return null;
+
+  const entries = getEntryLevels(trade);
+  const targets = getTargetLevels(trade);
+  if (entries.length === 0 || targets.length === 0) return null;
+
+  const rr = isMultiLeg(trade)
+    ? calculateBlendedRiskReward(trade)
+    : calculateRiskReward(entries[0].price, trade.stopLoss, targets[0].price, trade.action);
+
+  return rr > 0 ? rr : null;
+}
+
+/**
+ * Summarize closed positions into P&L groups by a position field
+ * @param {Array<Object>} positions - Closed positions
+ * @param {string} field - Position field ('indicators' counts a position once per indicator)
+ * @returns {Array<{key: string, trades: number, wins: number, pnl: number|null, totalR: number|null}>}
+ */
+export function groupPositions(positions, field) {
+  const groups = new Map();
+
+  for (const position of positions) {
+    const value = position[field];
+    const keys = Array.isArray(value) ? value : value ? [value] : [];
+
+    for (const key of keys) {
+      if (!groups.has(key)) {
+        groups.set(key, { key, trades: 0, wins: 0, pnl: null, totalR: null });
+      }
+      const group = groups.get(key);
+      group.trades += 1;
+      if (outcome(position) > 0) group.wins += 1;
+      if (position.realizedPnl !== null) group.pnl = (group.pnl ?? 0) + position.realizedPnl;
+      if (position.rMultiple !== null) group.totalR = (group.totalR ?? 0) + position.rMultiple;
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => b.trades - a.trades || a.key.localeCompare(b.key));
+}
+
+/**
+ * Count planned R:R values into RR_BUCKETS
+ * @param {Array<number>} values - R:R ratios
+ * @returns {Array<{label: string, count: number}>}
+ */
+export function bucketRiskReward(values) {
+  const buckets = RR_BUCKETS.map(b => ({ label: b.label, count: 0 }));
+  for (const value of values) {
+    const index = RR_BUCKETS.findIndex(b => value < b.max);
+    buckets[index].count += 1;
+  }
+  return buckets;
+}
+
+/**
+ * Compute performance analytics over saved notes
+ * @param {Array} notes - Saved notes
+ * @returns {Object} - Summary stats, P&L breakdowns and planned R:R distribution
+ */
+export function computeAnalytics(notes) {
+  const positions = buildPositions(notes);
+  const closed = positions.filter(p => p.status === POSITION_STATUS.CLOSED);
+  // Closes without a known exit price can't be scored
+  const settled = closed.filter(p => p.exitPrice !== null);
+
+  const wins = settled.filter(p => outcome(p) > 0);
+  const losses = settled.filter(p => outcome(p) < 0);
+  const rMultiples = settled.map(p => p.rMultiple).filter(r => r !== null);
+
+  // Expectancy in dollars per trade, over positions with a known size
+  const sized = settled.filter(p => p.realizedPnl !== null);
+  let expectancy = null;
+  if (sized.length > 0) {
+    const sizedWins = sized.filter(p => p.realizedPnl > 0).map(p => p.realizedPnl);
+    const sizedLosses = sized.filter(p => p.realizedPnl < 0).map(p => -p.realizedPnl);
+    expectancy = (sizedWins.length / sized.length) * (mean(sizedWins) ?? 0) -
+      (sizedLosses.length / sized.length) * (mean(sizedLosses) ?? 0);
+  }
+
+  const plannedRiskReward = notes
+    .map(note => getPlannedRiskReward(note.trade))
+    .filter(rr => rr !== null);
+
+  const breakdowns = {};
+  for (const [field] of BREAKDOWNS) {
+    breakdowns[field] = groupPositions(settled, field);
+  }
+
+  return {
+    totalPositions: positions.length,
+    openPositions: positions.length - closed.length,
+    closedPositions: closed.length,
+    scoredPositions: settled.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: settled.length > 0 ? wins.length / settled.length : null,
+    averageR: mean(rMultiples),
+    expectancy,
+    totalPnl: sized.length > 0 ? sized.reduce((sum, p) => sum + p.realizedPnl, 0) : null,
+    breakdowns,
+    plannedRiskReward: {
+      count: plannedRiskReward.length,
+      average: mean(plannedRiskReward),
+      buckets: bucketRiskReward(plannedRiskReward),
+    },
+  };
+}
+
+/**
+ * Chart a P&L breakdown in dollars, or in R when no position in it has a size
+ */
+function renderBreakdown(groups) {
+  const inDollars = groups.some(g => g.pnl !== null);
+  const rows = groups
+    .filter(g => (inDollars ? g.pnl !== null : g.totalR !== null))
+    .map(g => ({ label: g.key, value: inDollars ? g.pnl : g.totalR }));
+
+  return createBarChart(rows, { format: inDollars ? formatPnl : formatRMultiple });
+}
+
+/**
+ * Render the analytics view
+ * @param {Object} analytics - Result of computeAnalytics
+ * @returns {string} - HTML string
+ */
+export function renderAnalytics(analytics) {
+  const { plannedRiskReward } = analytics;
+
+  if (analytics.scoredPositions === 0 && plannedRiskReward.count === 0) {
+    return `
+      <div class="journal-empty">
+        <p class="empty-state-title">Nothing to analyze yet</p>
+        <p class="empty-state-note">Save trade setups with a stop and target to see planned R:R, and record exits to see win rate and P&L.</p>
+      </div>
+    `;
+  }
+
+  const stat = (label, value) => `
+      <div class="analytics-stat">
+        <span class="analytics-stat-value">${value}</span>
+        <span class="analytics-stat-label">${label}</span>
+      </div>`;
+
+  const stats = [
+    stat('Win rate', analytics.winRate !== null ? `${Math.round(analytics.winRate * 100)}%` : '—'),
+    stat('Avg R', formatRMultiple(analytics.averageR)),
+    stat('Expectancy', analytics.expectancy !== null ? formatPnl(analytics.expectancy) : '—'),
+    stat('Net P&L', analytics.totalPnl !== null ? formatPnl(analytics.totalPnl) : '—'),
+  ].join('');
+
+  const sections = BREAKDOWNS
+    .map(([field, title]) => [title, renderBreakdown(analytics.breakdowns[field])])
+    .filter(([, chart]) => chart)
+    .map(([title, chart]) => `
+      <section class="analytics-section">
+        <h3>${title}</h3>
+        ${chart}
+      </section>`)
+    .join('');
+
+  const rrChart = createHistogram(plannedRiskReward.buckets);
+
+  return `
+    <div class="analytics-stats">${stats}</div>
+    <p class="analytics-summary">${analytics.scoredPositions} closed · ${analytics.wins}W / ${analytics.losses}L · ${analytics.openPositions} open</p>
+    ${sections}
+    ${rrChart ? `
+    <section class="analytics-section">
+      <h3>Planned R:R <span class="analytics-section-note">${plannedRiskReward.count} setups · avg 1:${plannedRiskReward.average.toFixed(1)}</span></h3>
+      ${rrChart}
+    </section>` : ''}
+  `;
+}
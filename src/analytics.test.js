@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RR_BUCKETS,
+  getPlannedRiskReward,
+  groupPositions,
+  bucketRiskReward,
+  computeAnalytics,
+  renderAnalytics,
+} from './analytics.js';
+
+let nextTimestamp = 1700000000000;
+
+function note(trade, text = '') {
+  nextTimestamp += 60000;
+  return { id: nextTimestamp, timestamp: nextTimestamp, text, trade };
+}
+
+// BTC long: +1R, +$1,000. ETH short: -1R, -$200. SOL long without a size: +2R.
+const notes = [
+  note({ ticker: 'BTC', action: 'buy', price: 42000, stopLoss: 41000, takeProfit: [{ price: 44000 }], quantity: 1, timeframe: '4h', exchange: 'Binance', indicators: ['RSI'] }),
+  note({ ticker: 'BTC', price: 43000, closing: true }),
+  note({ ticker: 'ETH', action: 'sell', price: 3000, stopLoss: 3100, takeProfit: [{ price: 2700 }], quantity: 2, timeframe: '4h', indicators: ['RSI', 'MACD'] }),
+  note({ ticker: 'ETH', closing: true, stoppedOut: true }),
+  note({ ticker: 'SOL', action: 'buy', price: 100, stopLoss: 95, timeframe: '1h' }),
+  note({ ticker: 'SOL', price: 110, closing: true }),
+  note({ ticker: 'AVAX', action: 'buy', price: 30, stopLoss: 28, takeProfit: [{ price: 40 }] }),
+];
+
+describe('getPlannedRiskReward', () => {
+  it('uses calculateRiskReward for a single-leg setup', () => {
+    expect(getPlannedRiskReward({ action: 'buy', price: 100, stopLoss: 90, takeProfit: [{ price: 120 }] })).toBe(2);
+  });
+
+  it('blends multi-leg setups', () => {
+    const trade = { action: 'buy', price: 42000, stopLoss: 41000, takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }] };
+
+    expect(getPlannedRiskReward(trade)).toBeCloseTo(1.6);
+  });
+
+  it.each([
+    ['no stop', { action: 'buy', price: 100, takeProfit: [{ price: 120 }] }],
+    ['no target', { action: 'buy', price: 100, stopLoss: 90 }],
+    ['no side', { price: 100, stopLoss: 90, takeProfit: [{ price: 120 }] }],
+    ['no trade', null],
+  ])('returns null with %s', (_, trade) => {
+    expect(getPlannedRiskReward(trade)).toBeNull();
+  });
+});
+
+describe('bucketRiskReward', () => {
+  it('counts values into buckets with exclusive upper bounds', () => {
+    const buckets = bucketRiskReward([0.5, 1, 1.9, 2, 4.5, 12]);
+
+    expect(buckets.map(b => b.label)).toEqual(RR_BUCKETS.map(b => b.label));
+    expect(buckets.map(b => b.count)).toEqual([1, 2, 1, 1, 1]);
+  });
+});
+
+describe('groupPositions', () => {
+  const positions = [
+    { ticker: 'BTC', indicators: ['RSI'], realizedPnl: 100, rMultiple: 1, pnlPercent: 2 },
+    { ticker: 'BTC', indicators: ['RSI', 'MACD'], realizedPnl: -50, rMultiple: -0.5, pnlPercent: -1 },
+    { ticker: 'ETH', indicators: [], realizedPnl: null, rMultiple: null, pnlPercent: 3 },
+  ];
+
+  it('sums P&L and R per key, most traded first', () => {
+    expect(groupPositions(positions, 'ticker')).toEqual([
+      { key: 'BTC', trades: 2, wins: 1, pnl: 50, totalR: 0.5 },
+      { key: 'ETH', trades: 1, wins: 1, pnl: null, totalR: null },
+    ]);
+  });
+
+  it('counts a position once per indicator', () => {
+    expect(groupPositions(positions, 'indicators').map(g => [g.key, g.trades])).toEqual([['RSI', 2], ['MACD', 1]]);
+  });
+
+  it('skips positions without the field', () => {
+    expect(groupPositions(positions, 'exchange')).toEqual([]);
+  });
+});
+
+describe('computeAnalytics', () => {
+  const analytics = computeAnalytics(notes);
+
+  it('summarizes closed positions', () => {
+    expect(analytics).toMatchObject({
+      totalPositions: 4,
+      openPositions: 1,
+      closedPositions: 3,
+      wins: 2,
+      losses: 1,
+      totalPnl: 800,
+    });
+    expect(analytics.winRate).toBeCloseTo(2 / 3);
+    expect(analytics.averageR).toBeCloseTo(2 / 3);
+  });
+
+  it('computes dollar expectancy over sized positions', () => {
+    // 50% × $1,000 − 50% × $200
+    expect(analytics.expectancy).toBe(400);
+  });
+
+  it('breaks P&L down by setup details', () => {
+    expect(analytics.breakdowns.timeframe.map(g => [g.key, g.pnl])).toEqual([['4h', 800], ['1h', null]]);
+    expect(analytics.breakdowns.exchange.map(g => g.key)).toEqual(['Binance']);
+    expect(analytics.breakdowns.indicators.map(g => [g.key, g.pnl])).toEqual([['RSI', 800], ['MACD', -200]]);
+  });
+
+  it('collects planned R:R from every setup', () => {
+    expect(analytics.plannedRiskReward.count).toBe(3);
+    expect(analytics.plannedRiskReward.buckets.map(b => b.count)).toEqual([0, 0, 1, 1, 1]);
+  });
+
+  it('returns empty stats without notes', () => {
+    expect(computeAnalytics([])).toMatchObject({ winRate: null, averageR: null, expectancy: null, totalPnl: null });
+  });
+});
+
+describe('renderAnalytics', () => {
+  it('renders stats and inline SVG charts', () => {
+    const html = renderAnalytics(computeAnalytics(notes));
+
+    expect(html).toContain('67%');
+    expect(html).toContain('+$400');
+    expect(html).toContain('P&L by Ticker');
+    expect(html).toContain('Planned R:R');
+    expect(html).toContain('<svg');
+    expect(html).not.toMatch(/https?:\/\/(?!www\.w3\.org)/);
+  });
+
+  it('charts a breakdown in R when no position has a size', () => {
+    const html = renderAnalytics(computeAnalytics(notes.slice(4, 6)));
+
+    expect(html).toContain('+2.00R');
+    expect(html).not.toContain('P&L by Exchange');
+  });
+
+  it('renders an empty state', () => {
+    expect(renderAnalytics(computeAnalytics([]))).toContain('Nothing to analyze yet');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Analytics Chart Components
+ *
+ * Inline SVG charts for the analytics view: a horizontal bar chart for signed
+ * values (P&L per group) and a column histogram for counts (planned R:R).
+ * Like the price level chart, they are plain SVG strings styled by CSS.
+ */
+
+import { escapeHtml } from './savedNotes.js';
+
+/**
+ * Create a horizontal bar chart for signed values, drawn from a zero axis
+ * @param {Array<{label: string, value: number}>} rows - One bar per row
+ * @param {Object} [options]
+ * @param {Function} [options.format] - Value label formatter
+ * @returns {string} - SVG string (empty when there are no rows)
+ */
+export function createBarChart(rows, { format = (v) => String(v) } = {}) {
+  if (rows.length === 0) return '';
+
+  const width = 280;
+  const rowHeight = 20;
+  const labelWidth = 64;
+  const valueWidth = 64;
+  const chartWidth = width - labelWidth - valueWidth;
+  const height = rows.length * rowHeight + 4;
+
+  const values = rows.map(r => r.value);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const range = max - min || 1;
+
+  const valueToX = (v) => labelWidth + ((v - min) / range) * chartWidth;
+  const zeroX = valueToX(0);
+
+  const bars = rows.map((row, i) => {
+    const y = 2 + i * rowHeight;
+    const x = Math.min(zeroX, valueToX(row.value));
+    const barWidth = Math.max(1, Math.abs(valueToX(row.value) - zeroX));
+    const className = row.value < 0 ? 'analytics-bar-negative' : 'analytics-bar-positive';
+
+    return `
+      <text x="${labelWidth - 6}" y="${y + rowHeight / 2}" class="analytics-label" text-anchor="end">${escapeHtml(row.label)}</text>
+      <rect x="${x}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}" rx="2" class="analytics-bar ${className}" />
+      <text x="${labelWidth + chartWidth + 6}" y="${y + rowHeight / 2}" class="analytics-value">${escapeHtml(format(row.value))}</text>`;
+  }).join('');
+
+  const svg = `
+    <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      <line x1="${zeroX}" y1="0" x2="${zeroX}" y2="${height}" class="analytics-axis" />
+      ${bars}
+    </svg>
+  `;
+
+  return svg.trim();
+}
+
+/**
+ * Create a column histogram
+ * @param {Array<{label: string, count: number}>} buckets - One column per bucket
+ * @returns {string} - SVG string (empty when every bucket is empty)
+ */
+export function createHistogram(buckets) {
+  const maxCount = Math.max(0, ...buckets.map(b => b.count));
+  if (maxCount === 0) return '';
+
+  const width = 280;
+  const height = 100;
+  const top = 14;
+  const bottom = 16;
+  const chartHeight = height - top - bottom;
+  const columnWidth = width / buckets.length;
+
+  const columns = buckets.map((bucket, i) => {
+    const x = i * columnWidth;
+    const barHeight = (bucket.count / maxCount) * chartHeight;
+    const y = top + chartHeight - barHeight;
+    const centerX = x + columnWidth / 2;
+
+    return `
+      <rect x="${x + 6}" y="${y}" width="${columnWidth - 12}" height="${barHeight}" rx="2" class="analytics-bar analytics-bar-neutral" />
+      ${bucket.count > 0 ? `<text x="${centerX}" y="${y - 3}" class="analytics-value" text-anchor="middle">${bucket.count}</text>` : ''}
+      <text x="${centerX}" y="${height - 4}" class="analytics-label" text-anchor="middle">${escapeHtml(bucket.label)}</text>`;
+  }).join('');
+
+  const svg = `
+    <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      <line x1="0" y1="${top + chartHeight}" x2="${width}" y2="${top + chartHeight}" class="analytics-axis" />
+      ${columns}
+    </svg>
+  `;
+
+  return svg.trim();
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createBarChart, createHistogram } from './analyticsCharts.js';
+
+describe('createBarChart', () => {
+  it('returns empty string without rows', () => {
+    expect(createBarChart([])).toBe('');
+  });
+
+  it('draws one bar per row, colored by sign', () => {
+    const svg = createBarChart([{ label: 'BTC', value: 120 }, { label: 'ETH', value: -40 }]);
+
+    expect(svg).toContain('<svg');
+    expect(svg.match(/<rect/g)).toHaveLength(2);
+    expect(svg).toContain('analytics-bar-positive');
+    expect(svg).toContain('analytics-bar-negative');
+  });
+
+  it('formats value labels and escapes row labels', () => {
+    const svg = createBarChart([{ label: '<b>', value: 1.5 }], { format: v => `${v}R` });
+
+    expect(svg).toContain('1.5R');
+    expect(svg).toContain('&lt;b&gt;');
+  });
+});
+
+describe('createHistogram', () => {
+  it('returns empty string when every bucket is empty', () => {
+    expect(createHistogram([{ label: '<1', count: 0 }])).toBe('');
+  });
+
+  it('scales columns to the largest bucket', () => {
+    const svg = createHistogram([{ label: '<1', count: 1 }, { label: '1–2', count: 4 }]);
+    const heights = [...svg.matchAll(/height="([\d.]+)" rx/g)].map(m => Number(m[1]));
+
+    expect(heights[1]).toBe(heights[0] * 4);
+    expect(svg).toContain('1–2');
+  });
+});
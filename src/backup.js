@@ -0,0 +1,238 @@
+/**
+ * Backup & Restore
+ *
+ * A backup is one JSON archive with every saved note (audio inlined as a
+ * base64 data URL) plus the model and theme settings. The current-note JSON
+ * export uses the same schema, so either file can be restored.
+ *
+ * Schema history:
+ *   1.0 - single note: { timestamp, transcript, trade, model }
+ *   2.0 - archive: { exported_at, settings: { model, theme }, notes: [...] }
+ *         notes may carry optional `words` timings (added without a version bump)
+ *         and optional OHLC `candles` loaded for the note (likewise)
+ */
+
+import { blobToBase64, base64ToBlob } from './savedNotes.js';
+
+// Constants
+export const BACKUP_SCHEMA_VERSION = '2.0';
+export const MODEL_STORAGE_KEY = 'traders-voice-model';
+export const THEME_STORAGE_KEY = 'traders-voice-theme';
+
+const THEMES = ['dark', 'light'];
+
+// Upgrades from each older schema to the next one
+const MIGRATIONS = {
+  '1.0': (data) => {
+    const timestamp = Date.parse(data.timestamp);
+    return {
+      schema_version: '2.0',
+      exported_at: data.timestamp,
+      settings: { model: data.model ?? null, theme: null },
+      notes: [{
+        id: timestamp,
+        timestamp,
+        text: data.transcript,
+        trade: data.trade ?? null,
+        extractedTrade: null,
+        audio: null,
+      }],
+    };
+  },
+};
+
+/**
+ * Whether a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a backup archive
+ * @param {Array} notes - Saved notes (audio as Blobs)
+ * @param {Object} [options]
+ * @param {Storage} [options.storage] - Storage holding settings (default: localStorage)
+ * @param {Date} [options.now] - Export time
+ * @returns {Promise<Object>} - Archive at the current schema version
+ */
+export async function createBackup(notes, { storage = localStorage, now = new Date() } = {}) {
+  const archived = [];
+  for (const note of notes) {
+    archived.push({
+      id: note.id,
+      timestamp: note.timestamp,
+      text: note.text,
+      trade: note.trade ?? null,
+      extractedTrade: note.extractedTrade ?? null,
+      audio: note.audio ? await blobToBase64(note.audio) : null,
+      words: note.words ?? null,
+      candles: note.candles ?? null,
+    });
+  }
+
+  return {
+    schema_version: BACKUP_SCHEMA_VERSION,
+    exported_at: now.toISOString(),
+    settings: {
+      model: storage.getItem(MODEL_STORAGE_KEY),
+      theme: storage.getItem(THEME_STORAGE_KEY),
+    },
+    notes: archived,
+  };
+}
+
+/**
+ * Upgrade an archive to the current schema version
+ * @param {Object} data - Parsed archive
+ * @returns {Object} - Archive at BACKUP_SCHEMA_VERSION
+ * @throws {Error} - If the version is missing or unknown
+ */
+export function migrateBackup(data) {
+  if (!isObject(data) || typeof data.schema_version !== 'string') {
+    throw new Error('Not a Traders Voice backup (missing schema_version)');
+  }
+
+  let migrated = data;
+  while (migrated.schema_version !== BACKUP_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[migrated.schema_version];
+    if (!migrate) {
+      throw new Error(`Unsupported backup version ${migrated.schema_version}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Whether a value is a list of word timings
+ */
+function isWordList(value) {
+  return Array.isArray(value) && value.every(word =>
+    isObject(word) && typeof word.text === 'string' && Number.isFinite(word.start) && Number.isFinite(word.end));
+}
+
+/**
+ * Whether a value is a list of OHLC candles
+ */
+function isCandleList(value) {
+  return Array.isArray(value) && value.every(candle =>
+    isObject(candle) && ['time', 'open', 'high', 'low', 'close'].every(field => Number.isFinite(candle[field])));
+}
+
+/**
+ * Validate one archived note and restore its audio
+ * @returns {Object|null} - Note ready to store, or null if it is invalid
+ */
+function restoreNote(raw) {
+  if (!isObject(raw)) return null;
+
+  const { id, timestamp, text } = raw;
+  if (!Number.isFinite(id) || !Number.isFinite(timestamp) || typeof text !== 'string') return null;
+
+  const trade = raw.trade ?? null;
+  const extractedTrade = raw.extractedTrade ?? null;
+  if ((trade !== null && !isObject(trade)) || (extractedTrade !== null && !isObject(extractedTrade))) return null;
+
+  let audio = null;
+  if (typeof raw.audio === 'string') {
+    try {
+      audio = base64ToBlob(raw.audio);
+    } catch (err) {
+      console.warn('Dropping unreadable audio for note', id, err);
+    }
+  }
+
+  // Word timings are optional; drop malformed ones rather than the note
+  const words = isWordList(raw.words) ? raw.words : null;
+  const candles = isCandleList(raw.candles) ? raw.candles : null;
+
+  return { id, timestamp, text, trade, extractedTrade, audio, words, candles };
+}
+
+/**
+ * Parse and validate a backup file
+ * @param {string} json - File contents
+ * @returns {{notes: Array, invalid: number, settings: {model: string|null, theme: string|null}}}
+ * @throws {Error} - If the file is not a readable backup
+ */
+export function parseBackup(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const backup = migrateBackup(data);
+  if (!Array.isArray(backup.notes)) {
+    throw new Error('Backup has no notes list');
+  }
+
+  const notes = backup.notes.map(restoreNote);
+  const settings = isObject(backup.settings) ? backup.settings : {};
+
+  return {
+    notes: notes.filter(Boolean),
+    invalid: notes.filter(note => note === null).length,
+    settings: {
+      model: typeof settings.model === 'string' && settings.model ? settings.model : null,
+      theme: THEMES.includes(settings.theme) ? settings.theme : null,
+    },
+  };
+}
+
+/**
+ * Pick the restored notes that aren't saved yet, de-duplicated by id
+ * @param {Array} existing - Notes already saved
+ * @param {Array} incoming - Notes from the backup
+ * @returns {{added: Array, duplicates: number}}
+ */
+export function mergeBackupNotes(existing, incoming) {
+  const seen = new Set(existing.map(note => note.id));
+  const added = [];
+
+  for (const note of incoming) {
+    if (seen.has(note.id)) continue;
+    seen.add(note.id);
+    added.push(note);
+  }
+
+  return { added, duplicates: incoming.length - added.length };
+}
+
+/**
+ * Write restored settings to storage
+ * @param {{model: string|null, theme: string|null}} settings - Restored settings
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ * @returns {Array<string>} - Names of the settings that were restored
+ */
+export function applyBackupSettings(settings, storage = localStorage) {
+  const applied = [];
+  if (settings.model) {
+    storage.setItem(MODEL_STORAGE_KEY, settings.model);
+    applied.push('model');
+  }
+  if (settings.theme) {
+    storage.setItem(THEME_STORAGE_KEY, settings.theme);
+    applied.push('theme');
+  }
+  return applied;
+}
+
+/**
+ * Describe what a restore merged, e.g. "Restored 3 notes · 2 already saved"
+ * @param {Object} result
+ * @param {number} result.added - Notes added
+ * @param {number} result.duplicates - Notes skipped as already saved
+ * @param {number} result.invalid - Notes skipped as invalid
+ * @param {Array<string>} result.settings - Settings restored
+ * @returns {string}
+ */
+export function formatRestoreReport({ added, duplicates, invalid, settings }) {
+  const parts = [`Restored ${added} note${added === 1 ? '' : 's'}`];
+  if (duplicates > 0) parts.push(`${duplicates} already saved`);
+  if (invalid > 0) parts.push(`${invalid} invalid skipped`);
+  if (settings.length > 0) parts.push(`${settings.join(' and ')} restored`);
+  return parts.join(' · ');
+}
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  BACKUP_SCHEMA_VERSION,
+  MODEL_STORAGE_KEY,
+  THEME_STORAGE_KEY,
+  createBackup,
+  migrateBackup,
+  parseBackup,
+  mergeBackupNotes,
+  applyBackupSettings,
+  formatRestoreReport,
+} from './backup.js';
+import { createNote } from './savedNotes.js';
+import { createMockStorage } from '../test/mockStorage.js';
+
+const trade = { ticker: 'BTC', action: 'buy', price: 95000 };
+
+describe('createBackup', () => {
+  it('archives notes with inline audio and settings', async () => {
+    const storage = createMockStorage({ [MODEL_STORAGE_KEY]: 'Xenova/whisper-base.en', [THEME_STORAGE_KEY]: 'light' });
+    const notes = [
+      createNote({ text: 'Long BTC', trade, audio: new Blob(['abc'], { type: 'audio/webm' }), timestamp: 1000 }),
+      createNote({ text: 'No audio', timestamp: 2000 }),
+    ];
+
+    const backup = await createBackup(notes, { storage, now: new Date(Date.UTC(2025, 0, 1)) });
+
+    expect(backup).toMatchObject({
+      schema_version: BACKUP_SCHEMA_VERSION,
+      exported_at: '2025-01-01T00:00:00.000Z',
+      settings: { model: 'Xenova/whisper-base.en', theme: 'light' },
+    });
+    expect(backup.notes[0]).toMatchObject({ id: 1000, text: 'Long BTC', trade });
+    expect(backup.notes[0].audio).toMatch(/^data:audio\/webm;base64,/);
+    expect(backup.notes[1].audio).toBeNull();
+  });
+
+  it('archives a note without a trade', async () => {
+    const backup = await createBackup([createNote({ text: 'Just thoughts', timestamp: 1000 })], { storage: createMockStorage() });
+
+    expect(backup.notes[0]).toMatchObject({ text: 'Just thoughts', trade: null, extractedTrade: null, audio: null });
+  });
+
+  it('round-trips through parseBackup', async () => {
+    const notes = [createNote({ text: 'Long BTC', trade, audio: new Blob(['abc'], { type: 'audio/webm' }), timestamp: 1000 })];
+    const backup = await createBackup(notes, { storage: createMockStorage() });
+
+    const restored = parseBackup(JSON.stringify(backup));
+
+    expect(restored.invalid).toBe(0);
+    expect(restored.settings).toEqual({ model: null, theme: null });
+    expect(restored.notes[0]).toMatchObject({ id: 1000, timestamp: 1000, text: 'Long BTC', trade, extractedTrade: null });
+    expect(restored.notes[0].audio.type).toBe('audio/webm');
+    expect(restored.notes[0].audio.size).toBe(3);
+  });
+});
+
+describe('migrateBackup', () => {
+  it('upgrades a 1.0 single-note export', () => {
+    const migrated = migrateBackup({
+      schema_version: '1.0',
+      timestamp: '2025-01-01T00:00:00.000Z',
+      transcript: 'Long BTC',
+      trade,
+      model: 'Xenova/whisper-tiny.en',
+    });
+
+    const timestamp = Date.UTC(2025, 0, 1);
+    expect(migrated).toEqual({
+      schema_version: BACKUP_SCHEMA_VERSION,
+      exported_at: '2025-01-01T00:00:00.000Z',
+      settings: { model: 'Xenova/whisper-tiny.en', theme: null },
+      notes: [{ id: timestamp, timestamp, text: 'Long BTC', trade, extractedTrade: null, audio: null }],
+    });
+  });
+
+  it('leaves current archives unchanged', () => {
+    const backup = { schema_version: BACKUP_SCHEMA_VERSION, notes: [] };
+    expect(migrateBackup(backup)).toBe(backup);
+  });
+
+  it.each([
+    ['a missing version', { notes: [] }, 'missing schema_version'],
+    ['an unknown version', { schema_version: '9.0', notes: [] }, 'Unsupported backup version 9.0'],
+    ['a non-object', [], 'missing schema_version'],
+  ])('rejects %s', (_, data, message) => {
+    expect(() => migrateBackup(data)).toThrow(message);
+  });
+});
+
+describe('parseBackup', () => {
+  const wrap = (notes, settings) => JSON.stringify({ schema_version: BACKUP_SCHEMA_VERSION, settings, notes });
+
+  it('reports invalid JSON', () => {
+    expect(() => parseBackup('{oops')).toThrow('not valid JSON');
+  });
+
+  it('requires a notes list', () => {
+    expect(() => parseBackup(JSON.stringify({ schema_version: BACKUP_SCHEMA_VERSION }))).toThrow('no notes list');
+  });
+
+  it.each([
+    ['a missing id', { timestamp: 1, text: 'x' }],
+    ['a string id', { id: '1', timestamp: 1, text: 'x' }],
+    ['missing text', { id: 1, timestamp: 1 }],
+    ['a non-object trade', { id: 1, timestamp: 1, text: 'x', trade: 'BTC' }],
+    ['a non-object', 'note'],
+  ])('skips notes with %s', (_, note) => {
+    const restored = parseBackup(wrap([note, { id: 2, timestamp: 2, text: 'ok' }]));
+
+    expect(restored.invalid).toBe(1);
+    expect(restored.notes.map(n => n.id)).toEqual([2]);
+  });
+
+  it('drops unreadable audio but keeps the note', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const restored = parseBackup(wrap([{ id: 1, timestamp: 1, text: 'x', audio: 'not a data url' }]));
+
+    expect(restored.notes[0].audio).toBeNull();
+    warn.mockRestore();
+  });
+
+  it('keeps word timings and drops malformed ones', () => {
+    const words = [{ text: 'Long', start: 0.2, end: 0.5 }];
+
+    const restored = parseBackup(wrap([
+      { id: 1, timestamp: 1, text: 'Long', words },
+      { id: 2, timestamp: 2, text: 'Long', words: [{ text: 'Long', start: '0.2' }] },
+    ]));
+
+    expect(restored.notes.map(n => n.words)).toEqual([words, null]);
+  });
+
+  it('keeps loaded candles and drops malformed ones', () => {
+    const candles = [{ time: 1700000000000, open: 100, high: 102, low: 99, close: 101, volume: null }];
+
+    const restored = parseBackup(wrap([
+      { id: 1, timestamp: 1, text: 'Long', candles },
+      { id: 2, timestamp: 2, text: 'Long', candles: [{ time: '2024-01-15', open: 100 }] },
+    ]));
+
+    expect(restored.notes.map(n => n.candles)).toEqual([candles, null]);
+  });
+
+  it('ignores unknown themes and empty models', () => {
+    expect(parseBackup(wrap([], { model: '', theme: 'neon' })).settings).toEqual({ model: null, theme: null });
+  });
+});
+
+describe('mergeBackupNotes', () => {
+  it('adds only notes whose id is not saved yet', () => {
+    const existing = [{ id: 1 }, { id: 2 }];
+    const incoming = [{ id: 2 }, { id: 3 }, { id: 3 }, { id: 4 }];
+
+    const { added, duplicates } = mergeBackupNotes(existing, incoming);
+
+    expect(added.map(n => n.id)).toEqual([3, 4]);
+    expect(duplicates).toBe(2);
+  });
+});
+
+describe('applyBackupSettings', () => {
+  it('writes restored settings and lists them', () => {
+    const storage = createMockStorage();
+
+    const applied = applyBackupSettings({ model: 'Xenova/whisper-base.en', theme: 'dark' }, storage);
+
+    expect(applied).toEqual(['model', 'theme']);
+    expect(storage.setItem).toHaveBeenCalledWith(MODEL_STORAGE_KEY, 'Xenova/whisper-base.en');
+    expect(storage.setItem).toHaveBeenCalledWith(THEME_STORAGE_KEY, 'dark');
+  });
+
+  it('leaves missing settings alone', () => {
+    const storage = createMockStorage();
+
+    expect(applyBackupSettings({ model: null, theme: null }, storage)).toEqual([]);
+    expect(storage.setItem).not.toHaveBeenCalled();
+  });
+});
+
+describe('formatRestoreReport', () => {
+  it.each([
+    [{ added: 1, duplicates: 0, invalid: 0, settings: [] }, 'Restored 1 note'],
+    [{ added: 3, duplicates: 2, invalid: 1, settings: ['model', 'theme'] }, 'Restored 3 notes · 2 already saved · 1 invalid skipped · model and theme restored'],
+    [{ added: 0, duplicates: 4, invalid: 0, settings: [] }, 'Restored 0 notes · 4 already saved'],
+  ])('%j', (result, expected) => {
+    expect(formatRestoreReport(result)).toBe(expected);
+  });
+});
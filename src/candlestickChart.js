@@ -0,0 +1,91 @@
+/**
+ * Candlestick Chart
+ *
+ * Inline SVG of the market around a saved note: one candle per OHLC row
+ * (see ohlcData.js), the trade's entry, stop and target levels drawn across
+ * it, and a marker at the candle the note was spoken in. Like the price level
+ * chart, it is a plain SVG string styled by CSS.
+ */
+
+import { formatPrice } from './priceLevelChart.js';
+import { getEntryLevels, getTargetLevels } from './tradeLevels.js';
+import { findNearestCandleIndex } from './ohlcData.js';
+
+// Share of each candle's slot taken by its body
+const BODY_WIDTH = 0.6;
+
+/**
+ * Create a candlestick chart with a trade's levels overlaid
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @param {Object|null} trade - Trade info object; its entry, stop and targets are drawn when present
+ * @param {Object} [options]
+ * @param {number} [options.timestamp] - Note time to mark
+ * @returns {string} - SVG string (empty without candles)
+ */
+export function createCandlestickChart(candles, trade, { timestamp = null } = {}) {
+  if (!candles?.length) return '';
+
+  const levels = [
+    ...(trade ? getEntryLevels(trade) : []).map((e, i, all) => ({ price: e.price, kind: 'entry', tag: all.length > 1 ? `E${i + 1}` : 'ENTRY' })),
+    ...(trade?.stopLoss ? [{ price: trade.stopLoss, kind: 'sl', tag: 'SL' }] : []),
+    ...(trade ? getTargetLevels(trade) : []).map((t, i, all) => ({ price: t.price, kind: 'tp', tag: all.length > 1 ? `TP${i + 1}` : 'TP' })),
+  ];
+
+  const prices = [...candles.flatMap(c => [c.high, c.low]), ...levels.map(l => l.price)];
+  const maxPrice = Math.max(...prices);
+  const minPrice = Math.min(...prices);
+  const padding = (maxPrice - minPrice) * 0.05 || maxPrice * 0.01;
+  const top = maxPrice + padding;
+  const bottom = minPrice - padding;
+
+  // SVG dimensions
+  const width = 280;
+  const height = 160;
+  const leftMargin = 8;
+  const rightMargin = 72; // Space for level labels
+  const chartWidth = width - leftMargin - rightMargin;
+  const marginY = 12;
+
+  const priceToY = (p) => marginY + (top - p) / (top - bottom) * (height - 2 * marginY);
+  const slot = chartWidth / candles.length;
+  const centerX = (i) => leftMargin + slot * (i + 0.5);
+  const bodyWidth = Math.max(1, slot * BODY_WIDTH);
+
+  const candleMarkup = candles.map((c, i) => {
+    const direction = c.close >= c.open ? 'candle-up' : 'candle-down';
+    const bodyTop = priceToY(Math.max(c.open, c.close));
+    // Doji still get a visible sliver of body
+    const bodyHeight = Math.max(1, priceToY(Math.min(c.open, c.close)) - bodyTop);
+    return `
+      <g class="candle ${direction}">
+        <line x1="${centerX(i)}" y1="${priceToY(c.high)}" x2="${centerX(i)}" y2="${priceToY(c.low)}" class="candle-wick" />
+        <rect x="${centerX(i) - bodyWidth / 2}" y="${bodyTop}" width="${bodyWidth}" height="${bodyHeight}" class="candle-body" />
+      </g>`;
+  }).join('');
+
+  const levelClasses = { entry: 'price-level-entry', sl: 'price-level-sl', tp: 'price-level-tp' };
+  const levelMarkup = levels.map(l => `
+      <line x1="${leftMargin}" y1="${priceToY(l.price)}" x2="${leftMargin + chartWidth}" y2="${priceToY(l.price)}" class="price-level ${levelClasses[l.kind]}" />
+      <text x="${leftMargin + chartWidth + 4}" y="${priceToY(l.price)}" class="price-label price-label-${l.kind}">
+        <tspan class="price-label-value">$${formatPrice(l.price)}</tspan>
+        <tspan class="price-label-tag">${l.tag}</tspan>
+      </text>`).join('');
+
+  const noteIndex = timestamp === null ? -1 : findNearestCandleIndex(candles, timestamp);
+  const noteMarkup = noteIndex === -1 ? '' : `
+      <line x1="${centerX(noteIndex)}" y1="${marginY}" x2="${centerX(noteIndex)}" y2="${height - marginY}" class="candle-note-marker" />
+      <text x="${centerX(noteIndex)}" y="${marginY - 3}" class="candle-note-tag">NOTE</text>`;
+
+  return `
+    <svg class="candlestick-chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+      <!-- Candles -->
+      ${candleMarkup}
+
+      <!-- Trade Levels -->
+      ${levelMarkup}
+
+      <!-- Note Time -->
+      ${noteMarkup}
+    </svg>
+  `;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { createCandlestickChart } from './candlestickChart.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 15, 9);
+
+const candles = [
+  { time: START, open: 100, high: 103, low: 99, close: 102, volume: null },
+  { time: START + HOUR, open: 102, high: 102.5, low: 97, close: 98, volume: null },
+  { time: START + 2 * HOUR, open: 98, high: 101, low: 97.5, close: 100.5, volume: null },
+];
+const trade = { action: 'buy', price: 100, stopLoss: 95, takeProfit: [{ price: 106 }, { price: 110 }] };
+
+describe('createCandlestickChart', () => {
+  it('returns an empty string without candles', () => {
+    expect(createCandlestickChart([], trade)).toBe('');
+    expect(createCandlestickChart(null, trade)).toBe('');
+  });
+
+  it('draws a candle per row, colored by direction', () => {
+    const svg = createCandlestickChart(candles, null);
+
+    expect(svg.match(/class="candle /g)).toHaveLength(3);
+    expect(svg.match(/candle-up/g)).toHaveLength(2);
+    expect(svg.match(/candle-down/g)).toHaveLength(1);
+    expect(svg).not.toContain('price-level');
+  });
+
+  it('overlays the trade levels', () => {
+    const svg = createCandlestickChart(candles, trade);
+
+    expect(svg).toContain('price-level-entry');
+    expect(svg).toContain('price-level-sl');
+    expect(svg.match(/price-level-tp/g)).toHaveLength(2);
+    expect(svg).toContain('$95.00');
+    expect(svg).toContain('TP2');
+  });
+
+  it('fits levels outside the candles on the chart', () => {
+    const svg = createCandlestickChart(candles, trade);
+    const ys = [...svg.matchAll(/y1="([\d.-]+)"/g)].map(m => Number(m[1]));
+
+    expect(Math.min(...ys)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...ys)).toBeLessThanOrEqual(160);
+  });
+
+  it('marks the candle the note was spoken in', () => {
+    const svg = createCandlestickChart(candles, trade, { timestamp: START + HOUR + 5 * 60 * 1000 });
+
+    // Candles take 200 / 3 units each from x = 8; the second one's center
+    expect(svg).toContain(`x1="${8 + 200 / 3 * 1.5}" y1="12"`);
+    expect(svg).toContain('candle-note-marker');
+    expect(svg).toContain('NOTE');
+  });
+
+  it('leaves off the marker for a time outside the candles', () => {
+    expect(createCandlestickChart(candles, trade, { timestamp: START + 24 * HOUR })).not.toContain('candle-note-marker');
+    expect(createCandlestickChart(candles, trade)).not.toContain('candle-note-marker');
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * CSV Utilities
+ *
+ * RFC 4180 serialization and parsing: fields containing commas, quotes or
+ * line breaks are wrapped in double quotes with embedded quotes doubled;
+ * rows end in CRLF.
+ */
+
+/**
+ * Escape a single CSV field
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} - Field, quoted if needed
+ */
+export function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialize rows to CSV
+ * @param {Array<Array<*>>} rows - Rows of field values, header row first
+ * @returns {string} - CSV text
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields.
+ * Handles quoted fields with embedded commas, doubled quotes and line breaks;
+ * accepts CRLF or LF line endings and skips blank lines.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of raw field strings
+ * @throws {Error} - If a quoted field is never closed
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { escapeCsvField, toCsv, parseCsv } from './csv.js';
+
+describe('escapeCsvField', () => {
+  it.each([
+    ['plain', 'plain'],
+    [42500, '42500'],
+    [null, ''],
+    [undefined, ''],
+    ['RSI, MACD', '"RSI, MACD"'],
+    ['he said "long"', '"he said ""long"""'],
+    ['line one\nline two', '"line one\nline two"'],
+    ['carriage\rreturn', '"carriage\rreturn"'],
+  ])('%j → %j', (value, expected) => {
+    expect(escapeCsvField(value)).toBe(expected);
+  });
+});
+
+describe('toCsv', () => {
+  it('joins fields with commas and rows with CRLF', () => {
+    expect(toCsv([['a', 'b'], [1, 'x,y']])).toBe('a,b\r\n1,"x,y"\r\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('a,b\r\n1,2\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('"x,y","say ""hi""","one\r\ntwo"')).toEqual([['x,y', 'say "hi"', 'one\r\ntwo']]);
+  });
+
+  it('keeps empty fields and skips blank lines', () => {
+    expect(parseCsv('a,,c\n\n,b,\n')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+  });
+
+  it('strips a byte order mark', () => {
+    expect(parseCsv('﻿a,b')).toEqual([['a', 'b']]);
+  });
+
+  it('round-trips toCsv output', () => {
+    const rows = [['ticker', 'transcript'], ['BTC', 'Long "BTC", stop 41,800\nthen wait']];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+
+  it('rejects an unterminated quote', () => {
+    expect(() => parseCsv('a,"b')).toThrow('unterminated');
+  });
+});
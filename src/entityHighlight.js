@@ -0,0 +1,102 @@
+/**
+ * Entity Highlighting
+ *
+ * Marks the parts of a transcript the trade extractor read each field from
+ * (spans from extractTradeDetails), color-coded per field with a tooltip naming
+ * it. Handy both for reviewing a note and for seeing why the extractor
+ * picked up what it did.
+ */
+
+import { escapeHtml } from './savedNotes.js';
+
+// Tooltip label per extracted field
+export const ENTITY_LABELS = {
+  ticker: 'Ticker',
+  action: 'Side',
+  price: 'Entry',
+  stopLoss: 'Stop loss',
+  takeProfit: 'Take profit',
+  leverage: 'Leverage',
+  timeframe: 'Timeframe',
+  indicators: 'Indicator',
+  exchange: 'Exchange',
+  option: 'Option',
+  expiry: 'Expiry',
+};
+
+/**
+ * CSS class for a field, e.g. stopLoss → "entity-stop-loss"
+ */
+function entityClass(field) {
+  return `entity-${field.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+}
+
+/**
+ * Render one piece of text, wrapped in a highlight when spans cover it.
+ * The innermost span sets the color; the tooltip names every covering field.
+ */
+function renderSegment(text, covering) {
+  const html = escapeHtml(text);
+  if (covering.length === 0) return html;
+
+  const innermost = covering.reduce((best, span) => (span.end - span.start < best.end - best.start ? span : best));
+  const labels = [...new Set(covering.map(span => ENTITY_LABELS[span.field] || span.field))];
+  const title = escapeHtml(labels.join(' · ')).replace(/"/g, '&quot;');
+
+  return `<mark class="entity ${entityClass(innermost.field)}" title="${title}">${html}</mark>`;
+}
+
+/**
+ * Render text with extracted fields highlighted
+ * @param {string} text - Transcript text the spans point into
+ * @param {Array<{field: string, start: number, end: number}>} [spans] - Field spans from extractTradeDetails
+ * @param {Object} [options]
+ * @param {Array<{text: string, start: number}>} [options.words] - Word timings whose joined text is `text`; words are rendered clickable
+ * @returns {string} - HTML string; its text content equals `text`
+ */
+export function renderHighlightedText(text, spans = [], { words = null } = {}) {
+  const clamp = (offset) => Math.max(0, Math.min(text.length, offset));
+  const ranges = spans
+    .map(span => ({ ...span, start: clamp(span.start), end: clamp(span.end) }))
+    .filter(span => span.start < span.end);
+
+  const wordRanges = [];
+  let position = 0;
+  for (const word of words || []) {
+    wordRanges.push([position, position + word.text.length]);
+    position += word.text.length + 1;
+  }
+
+  // Cut the text wherever a highlight or word starts or ends, so tags nest
+  const cuts = new Set([0, text.length]);
+  for (const span of ranges) {
+    cuts.add(span.start);
+    cuts.add(span.end);
+  }
+  for (const [start, end] of wordRanges) {
+    cuts.add(clamp(start));
+    cuts.add(clamp(end));
+  }
+  const points = [...cuts].sort((a, b) => a - b);
+
+  let html = '';
+  let wordIndex = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+
+    const word = wordRanges[wordIndex];
+    if (word && from === word[0]) {
+      html += `<span class="transcript-word" data-index="${wordIndex}" data-start="${words[wordIndex].start}">`;
+    }
+
+    html += renderSegment(text.slice(from, to), ranges.filter(span => span.start <= from && span.end >= to));
+
+    if (word && to === word[1]) {
+      html += '</span>';
+      wordIndex++;
+    }
+  }
+
+  return html;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { renderHighlightedText } from './entityHighlight.js';
+import { extractTradeDetails } from './tradeExtractor.js';
+
+/**
+ * Render into a container element
+ */
+function render(text, spans, options) {
+  const container = document.createElement('div');
+  container.innerHTML = renderHighlightedText(text, spans, options);
+  return container;
+}
+
+describe('renderHighlightedText', () => {
+  it('wraps spans in color-coded marks titled with the field', () => {
+    const container = render('Long BTC at 95,000', [
+      { field: 'ticker', start: 5, end: 8 },
+      { field: 'stopLoss', start: 12, end: 18 },
+    ]);
+
+    const marks = container.querySelectorAll('mark.entity');
+    expect(container.textContent).toBe('Long BTC at 95,000');
+    expect([...marks].map(mark => [mark.className, mark.title, mark.textContent])).toEqual([
+      ['entity entity-ticker', 'Ticker', 'BTC'],
+      ['entity entity-stop-loss', 'Stop loss', '95,000'],
+    ]);
+  });
+
+  it('escapes the text', () => {
+    const container = render('<b>BTC</b>', [{ field: 'ticker', start: 3, end: 6 }]);
+
+    expect(container.querySelector('b')).toBeNull();
+    expect(container.textContent).toBe('<b>BTC</b>');
+  });
+
+  it('colors overlaps by the innermost span and names every field', () => {
+    const container = render('scale in at 3200', [
+      { field: 'price', start: 0, end: 16 },
+      { field: 'takeProfit', start: 12, end: 16 },
+    ]);
+
+    const inner = container.querySelectorAll('mark')[1];
+    expect(inner.className).toBe('entity entity-take-profit');
+    expect(inner.title).toBe('Entry · Take profit');
+  });
+
+  it('clamps spans to the text and ignores empty ones', () => {
+    const container = render('BTC', [{ field: 'ticker', start: 1, end: 99 }, { field: 'action', start: 2, end: 2 }]);
+
+    expect(container.querySelectorAll('mark')).toHaveLength(1);
+    expect(container.querySelector('mark').textContent).toBe('TC');
+  });
+
+  it('keeps highlights across several words inside each word', () => {
+    const text = 'at ninety five thousand';
+    const words = text.split(' ').map((word, i) => ({ text: word, start: i, end: i + 1 }));
+    const container = render(text, [{ field: 'price', start: 3, end: 23 }], { words });
+
+    expect(container.textContent).toBe(text);
+    expect(container.querySelectorAll('.transcript-word')).toHaveLength(4);
+    expect(container.querySelectorAll('.transcript-word mark.entity-price')).toHaveLength(3);
+    // The spaces between highlighted words are highlighted too
+    expect(container.querySelectorAll(':scope > mark.entity-price')).toHaveLength(2);
+  });
+
+  it('renders the spans found by the extractor', () => {
+    const text = 'Short ETH at 3200, stop at 3300';
+    const container = render(text, extractTradeDetails(text).spans);
+
+    expect([...container.querySelectorAll('mark')].map(mark => mark.title)).toEqual(['Side', 'Ticker', 'Entry', 'Stop loss']);
+  });
+});
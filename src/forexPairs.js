@@ -0,0 +1,131 @@
+/**
+ * Forex Pairs
+ *
+ * Currency pairs the extractor recognizes, written ("EURUSD", "EUR/USD") or
+ * spoken ("euro dollar", "cable", "pound yen"), their pip sizes, and lot
+ * sizes for turning "2 mini lots" into units.
+ *
+ * Forex shape on a trade: { pipSize, lots?, lotType? } with the pair as the
+ * trade's ticker and the units as its quantity.
+ */
+
+// Currencies that make up the pairs below
+export const FOREX_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'AUD', 'NZD', 'CAD'];
+
+// Majors, then crosses
+export const FOREX_PAIRS = [
+  'EUR/USD', 'GBP/USD', 'USD/JPY', 'USD/CHF', 'AUD/USD', 'NZD/USD', 'USD/CAD',
+  'EUR/GBP', 'EUR/JPY', 'EUR/CHF', 'EUR/AUD', 'EUR/NZD', 'EUR/CAD',
+  'GBP/JPY', 'GBP/CHF', 'GBP/AUD', 'GBP/NZD', 'GBP/CAD',
+  'AUD/JPY', 'AUD/NZD', 'AUD/CAD', 'AUD/CHF', 'NZD/JPY', 'NZD/CAD', 'NZD/CHF',
+  'CAD/JPY', 'CAD/CHF', 'CHF/JPY',
+];
+
+// Spoken pair names, longest first within each group so "aussie yen" wins over "aussie"
+const FOREX_NAMES = [
+  ['EURO DOLLAR', 'EUR/USD'],
+  ['EURO YEN', 'EUR/JPY'],
+  ['EURO POUND', 'EUR/GBP'],
+  ['EURO STERLING', 'EUR/GBP'],
+  ['EURO SWISS', 'EUR/CHF'],
+  ['EURO AUSSIE', 'EUR/AUD'],
+  ['POUND DOLLAR', 'GBP/USD'],
+  ['STERLING DOLLAR', 'GBP/USD'],
+  ['POUND YEN', 'GBP/JPY'],
+  ['STERLING YEN', 'GBP/JPY'],
+  ['POUND SWISS', 'GBP/CHF'],
+  ['DOLLAR YEN', 'USD/JPY'],
+  ['DOLLAR SWISS', 'USD/CHF'],
+  ['DOLLAR CAD', 'USD/CAD'],
+  ['DOLLAR CANADA', 'USD/CAD'],
+  ['AUSSIE YEN', 'AUD/JPY'],
+  ['AUSSIE KIWI', 'AUD/NZD'],
+  ['AUSSIE DOLLAR', 'AUD/USD'],
+  ['AUSSIE', 'AUD/USD'],
+  ['KIWI YEN', 'NZD/JPY'],
+  ['KIWI DOLLAR', 'NZD/USD'],
+  ['KIWI', 'NZD/USD'],
+  ['CAD YEN', 'CAD/JPY'],
+  ['SWISS YEN', 'CHF/JPY'],
+  ['CABLE', 'GBP/USD'],
+  ['FIBER', 'EUR/USD'],
+  ['GUPPY', 'GBP/JPY'],
+  ['LOONIE', 'USD/CAD'],
+  ['SWISSIE', 'USD/CHF'],
+];
+
+// Units per lot
+export const LOT_SIZES = {
+  standard: 100000,
+  mini: 10000,
+  micro: 1000,
+  nano: 100,
+};
+
+const CURRENCY_PATTERN = FOREX_CURRENCIES.join('|');
+
+/**
+ * Find a currency pair in a transcript
+ * @param {string} text - Transcript text
+ * @returns {{pair: string, range: Array<number>}|null}
+ */
+export function findForexPair(text) {
+  const upper = text.toUpperCase();
+
+  const written = new RegExp(`\\b(${CURRENCY_PATTERN})\\s*[/\\-]?\\s*(${CURRENCY_PATTERN})\\b`, 'gd');
+  for (const match of upper.matchAll(written)) {
+    const pair = `${match[1]}/${match[2]}`;
+    if (FOREX_PAIRS.includes(pair)) return { pair, range: match.indices[0] };
+  }
+
+  for (const [name, pair] of FOREX_NAMES) {
+    const match = upper.match(new RegExp(`\\b${name.replace(/ /g, '\\s+')}\\b`, 'd'));
+    if (match) return { pair, range: match.indices[0] };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a ticker is a known currency pair
+ * @param {string} ticker
+ * @returns {boolean}
+ */
+export function isForexPair(ticker) {
+  return FOREX_PAIRS.includes(ticker);
+}
+
+/**
+ * Pip size of a pair: 0.01 for yen pairs, 0.0001 otherwise
+ * @param {string} pair - e.g. "USD/JPY"
+ * @returns {number}
+ */
+export function getPipSize(pair) {
+  return pair.endsWith('/JPY') ? 0.01 : 0.0001;
+}
+
+/**
+ * Find a lot size in a transcript ("2 standard lots", "a mini lot", "0.5 lots")
+ * @param {string} text - Transcript text (spoken numbers already normalized)
+ * @returns {{lots: number, lotType: string, units: number, range: Array<number>}|null}
+ */
+export function findLots(text) {
+  // "a lot" alone is just a lot, so a single lot needs its type
+  const match = text.match(/(?:\b(\d+(?:\.\d+)?)|(?<![\w.])(\.\d+)|\b(an?))\s+(?:(STANDARD|MINI|MICRO|NANO)\s+)?LOTS?\b/id);
+  if (!match || (match[3] && !match[4])) return null;
+
+  const lots = match[3] ? 1 : parseFloat(match[1] || match[2]);
+  const lotType = (match[4] || 'standard').toLowerCase();
+  if (!(lots > 0)) return null;
+
+  return { lots, lotType, units: Math.round(lots * LOT_SIZES[lotType]), range: match.indices[0] };
+}
+
+/**
+ * Format a lot size, e.g. "2 standard lots", "1 mini lot"
+ * @param {{lots: number, lotType: string}} forex - Trade forex details
+ * @returns {string}
+ */
+export function formatLots({ lots, lotType }) {
+  return `${lots} ${lotType} ${lots === 1 ? 'lot' : 'lots'}`;
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { FOREX_PAIRS, findForexPair, isForexPair, getPipSize, findLots, formatLots } from './forexPairs.js';
+
+describe('findForexPair', () => {
+  it.each([
+    ['Long EURUSD at 1.0850', 'EUR/USD'],
+    ['Short GBP/JPY', 'GBP/JPY'],
+    ['buy aud cad here', 'AUD/CAD'],
+    ['Short cable at 1.2700', 'GBP/USD'],
+    ['Long euro dollar', 'EUR/USD'],
+    ['Buy dollar yen', 'USD/JPY'],
+    ['Long aussie yen at 98.50', 'AUD/JPY'],
+    ['Long the aussie at 0.6650', 'AUD/USD'],
+    ['Short the loonie', 'USD/CAD'],
+  ])('"%s" → %s', (text, pair) => {
+    expect(findForexPair(text).pair).toBe(pair);
+  });
+
+  it('ignores currency combinations that are not quoted pairs', () => {
+    expect(findForexPair('USD EUR')).toBeNull();
+    expect(findForexPair('Long BTC at 95000')).toBeNull();
+  });
+
+  it('returns where the pair was said', () => {
+    const text = 'Short cable at 1.2700';
+    expect(text.slice(...findForexPair(text).range)).toBe('cable');
+  });
+});
+
+describe('pairs and pips', () => {
+  it('knows majors and crosses', () => {
+    expect(FOREX_PAIRS).toContain('EUR/USD');
+    expect(FOREX_PAIRS).toContain('GBP/JPY');
+    expect(isForexPair('EUR/GBP')).toBe(true);
+    expect(isForexPair('BTC/USDT')).toBe(false);
+  });
+
+  it.each([
+    ['EUR/USD', 0.0001],
+    ['GBP/CHF', 0.0001],
+    ['USD/JPY', 0.01],
+    ['GBP/JPY', 0.01],
+  ])('pip size of %s is %d', (pair, pip) => {
+    expect(getPipSize(pair)).toBe(pip);
+  });
+});
+
+describe('findLots', () => {
+  it.each([
+    ['2 standard lots', { lots: 2, lotType: 'standard', units: 200000 }],
+    ['3 mini lots', { lots: 3, lotType: 'mini', units: 30000 }],
+    ['a micro lot', { lots: 1, lotType: 'micro', units: 1000 }],
+    ['0.5 lots', { lots: 0.5, lotType: 'standard', units: 50000 }],
+    ['.25 lots', { lots: 0.25, lotType: 'standard', units: 25000 }],
+  ])('"%s"', (text, expected) => {
+    expect(findLots(text)).toMatchObject(expected);
+  });
+
+  it('does not read "a lot" as a lot size', () => {
+    expect(findLots('made a lot of money')).toBeNull();
+  });
+
+  it('formats lots', () => {
+    expect(formatLots({ lots: 2, lotType: 'standard' })).toBe('2 standard lots');
+    expect(formatLots({ lots: 1, lotType: 'mini' })).toBe('1 mini lot');
+  });
+});
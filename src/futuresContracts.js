@@ -0,0 +1,172 @@
+/**
+ * Futures Contracts
+ *
+ * Contract specs for the futures the extractor recognizes, and parsing of
+ * contract months: spoken ("March ES", "ES June") or as a contract code
+ * ("ESH6", "CLZ25"). Multipliers turn price distances into dollars per
+ * contract, so risk and reward can be shown in dollars.
+ *
+ * Futures shape on a trade: { root, contract?, month? } where contract is the
+ * code ("ESH6") and month is 'YYYY-MM'.
+ */
+
+// Contract specs per root: dollars per point and minimum price move
+export const FUTURES_CONTRACTS = {
+  ES: { name: 'E-mini S&P 500', multiplier: 50, tickSize: 0.25 },
+  MES: { name: 'Micro E-mini S&P 500', multiplier: 5, tickSize: 0.25 },
+  NQ: { name: 'E-mini Nasdaq-100', multiplier: 20, tickSize: 0.25 },
+  MNQ: { name: 'Micro E-mini Nasdaq-100', multiplier: 2, tickSize: 0.25 },
+  YM: { name: 'E-mini Dow', multiplier: 5, tickSize: 1 },
+  MYM: { name: 'Micro E-mini Dow', multiplier: 0.5, tickSize: 1 },
+  RTY: { name: 'E-mini Russell 2000', multiplier: 50, tickSize: 0.1 },
+  M2K: { name: 'Micro E-mini Russell 2000', multiplier: 5, tickSize: 0.1 },
+  CL: { name: 'Crude Oil', multiplier: 1000, tickSize: 0.01 },
+  MCL: { name: 'Micro Crude Oil', multiplier: 100, tickSize: 0.01 },
+  NG: { name: 'Natural Gas', multiplier: 10000, tickSize: 0.001 },
+  GC: { name: 'Gold', multiplier: 100, tickSize: 0.1 },
+  MGC: { name: 'Micro Gold', multiplier: 10, tickSize: 0.1 },
+  SI: { name: 'Silver', multiplier: 5000, tickSize: 0.005 },
+};
+
+// Spoken names for roots ("crude" → CL); matched case-insensitively, unlike the roots themselves
+const FUTURES_NAMES = [
+  ['MICRO E-MINI S&P', 'MES'],
+  ['MICRO S&P', 'MES'],
+  ['MICRO NASDAQ', 'MNQ'],
+  ['MICRO CRUDE', 'MCL'],
+  ['MICRO GOLD', 'MGC'],
+  ['E-MINI S&P', 'ES'],
+  ['E-MINI NASDAQ', 'NQ'],
+  ['S&P FUTURES', 'ES'],
+  ['NASDAQ FUTURES', 'NQ'],
+  ['DOW FUTURES', 'YM'],
+  ['CRUDE OIL', 'CL'],
+  ['CRUDE', 'CL'],
+  ['NAT GAS', 'NG'],
+  ['NATURAL GAS', 'NG'],
+  ['GOLD FUTURES', 'GC'],
+  ['SILVER FUTURES', 'SI'],
+];
+
+// Contract month codes, January first
+const MONTH_CODES = 'FGHJKMNQUVXZ';
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const MONTH = '(JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|JUNE?|JULY?|AUG(?:UST)?|SEP(?:T(?:EMBER)?)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)';
+
+/**
+ * Escape special regex characters
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Roots longest first, so "MES" isn't read as "ES"
+const ROOTS = Object.keys(FUTURES_CONTRACTS).sort((a, b) => b.length - a.length);
+const ROOT_PATTERN = ROOTS.join('|');
+
+/**
+ * Format a contract month as YYYY-MM
+ */
+function toMonth(year, month) {
+  return `${year}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Year of a contract code's year digit(s): the nearest one not in the past
+ */
+function resolveCodeYear(digits, today) {
+  if (digits.length === 2) return 2000 + Number(digits);
+  const decade = Math.floor(today.getFullYear() / 10) * 10;
+  const year = decade + Number(digits);
+  return year < today.getFullYear() ? year + 10 : year;
+}
+
+/**
+ * Build the contract code for a root and month, e.g. ES + 2026-03 → "ESH6"
+ * @param {string} root - Contract root
+ * @param {string} month - YYYY-MM
+ * @returns {string}
+ */
+export function contractCode(root, month) {
+  const [year, m] = month.split('-').map(Number);
+  return `${root}${MONTH_CODES[m - 1]}${year % 10}`;
+}
+
+/**
+ * Find a futures contract in a transcript
+ * @param {string} text - Transcript text
+ * @param {Object} [options]
+ * @param {Date} [options.now] - When the note was taken, for contract years
+ * @returns {{root: string, contract?: string, month?: string, range: Array<number>, monthRange?: Array<number>}|null}
+ */
+export function findFuturesContract(text, { now = new Date() } = {}) {
+  const upper = text.toUpperCase();
+
+  // Contract codes are written in capitals: "ESH6", "CLZ25"
+  const code = text.match(new RegExp(`\\b(${ROOT_PATTERN})([${MONTH_CODES}])(\\d{1,2})\\b`, 'd'));
+  if (code) {
+    const month = toMonth(resolveCodeYear(code[3], now), MONTH_CODES.indexOf(code[2]));
+    return { root: code[1], contract: contractCode(code[1], month), month, range: code.indices[0] };
+  }
+
+  // Bare roots are also case-sensitive, so "es" or "cl" in a sentence aren't contracts
+  let found = null;
+  const root = text.match(new RegExp(`\\b(${ROOT_PATTERN})\\b`, 'd'));
+  if (root) found = { root: root[1], range: root.indices[1] };
+  for (const [name, symbol] of FUTURES_NAMES) {
+    if (found) break;
+    const match = upper.match(new RegExp(`(?<![\\w-])${escapeRegExp(name)}(?![\\w-])`, 'd'));
+    if (match) found = { root: symbol, range: match.indices[0] };
+  }
+  if (!found) return null;
+
+  // "March ES", "ES June", "the June crude contract"
+  const [start, end] = found.range;
+  const before = upper.slice(0, start).match(new RegExp(`\\b${MONTH}\\s+(?:(\\d{4})\\s+)?$`, 'd'));
+  const after = upper.slice(end).match(new RegExp(`^\\s+${MONTH}\\b(?:\\s+(\\d{4})\\b)?`, 'd'));
+  const monthMatch = before || after;
+  if (monthMatch) {
+    const offset = before ? 0 : end;
+    const month = MONTH_NAMES.indexOf(monthMatch[1].slice(0, 3));
+    let year = monthMatch[2] ? Number(monthMatch[2]) : now.getFullYear();
+    if (!monthMatch[2] && month < now.getMonth()) year++;
+    found.month = toMonth(year, month);
+    found.contract = contractCode(found.root, found.month);
+    found.monthRange = [monthMatch.indices[1][0] + offset, monthMatch.indices[1][1] + offset];
+  }
+
+  return found;
+}
+
+/**
+ * Count of contracts said right before the contract ("2 ES", "3 micros", "5 NQ contracts")
+ * @param {string} text - Transcript text
+ * @param {Array<number>} range - Where the contract was found
+ * @returns {{count: number, range: Array<number>}|null}
+ */
+export function findContractCount(text, range) {
+  const match = text.slice(0, range[0]).match(/\b(\d{1,4})\s+(?:(?:MICRO|MINI)S?\s+)?(?:OF\s+(?:THE\s+)?)?(?:[A-Z]{3,9}\s+)?$/id);
+  if (!match) return null;
+  const count = parseInt(match[1], 10);
+  return count > 0 ? { count, range: match.indices[1] } : null;
+}
+
+/**
+ * Contract specs for a trade's futures contract
+ * @param {Object} trade - Trade info object
+ * @returns {{name: string, multiplier: number, tickSize: number}|null}
+ */
+export function getContractSpec(trade) {
+  return FUTURES_CONTRACTS[trade?.futures?.root] || null;
+}
+
+/**
+ * Dollars per point of a trade: the contract multiplier times the contract count
+ * @param {Object} trade - Trade info object
+ * @returns {number|null} - null when the trade isn't a known futures contract
+ */
+export function getPointValue(trade) {
+  const spec = getContractSpec(trade);
+  if (!spec) return null;
+  return spec.multiplier * (trade.quantity || 1);
+}
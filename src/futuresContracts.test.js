@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { FUTURES_CONTRACTS, contractCode, findFuturesContract, findContractCount, getContractSpec, getPointValue } from './futuresContracts.js';
+
+// Wednesday, January 15, 2025
+const now = new Date(2025, 0, 15);
+
+describe('findFuturesContract', () => {
+  it.each([
+    ['Long ES at 5000', { root: 'ES' }],
+    ['Short 2 MNQ at 21,500', { root: 'MNQ' }],
+    ['Bought crude at 72.40', { root: 'CL' }],
+    ['Long gold futures at 2650', { root: 'GC' }],
+    ['Long ESH6 at 6000', { root: 'ES', contract: 'ESH6', month: '2026-03' }],
+    ['Short CLZ25', { root: 'CL', contract: 'CLZ5', month: '2025-12' }],
+    ['Long March ES at 6000', { root: 'ES', contract: 'ESH5', month: '2025-03' }],
+    ['Short NQ December at 21,000', { root: 'NQ', contract: 'NQZ5', month: '2025-12' }],
+  ])('"%s"', (text, expected) => {
+    expect(findFuturesContract(text, { now })).toMatchObject(expected);
+  });
+
+  it('rolls a month or year digit that has passed into the future', () => {
+    const june = new Date(2025, 5, 20);
+    expect(findFuturesContract('Long March ES', { now: june }).month).toBe('2026-03');
+    expect(findFuturesContract('Long ESH4', { now: june }).month).toBe('2034-03');
+  });
+
+  it('only reads roots written in capitals', () => {
+    expect(findFuturesContract('es is the usual pick, cl looks heavy', { now })).toBeNull();
+  });
+
+  it('returns where the root and month were said', () => {
+    const text = 'Long March ES at 6000';
+    const found = findFuturesContract(text, { now });
+    expect(text.slice(...found.range)).toBe('ES');
+    expect(text.slice(...found.monthRange)).toBe('March');
+  });
+});
+
+describe('findContractCount', () => {
+  it.each([
+    ['Long 2 ES at 5000', 2],
+    ['Bought 3 March ES', 3],
+    ['Short 5 micros of MNQ', 5],
+    ['Long ES at 5000', null],
+  ])('"%s" → %s', (text, count) => {
+    const { range } = findFuturesContract(text, { now });
+    expect(findContractCount(text, range)?.count ?? null).toBe(count);
+  });
+});
+
+describe('contract specs', () => {
+  it('builds contract codes', () => {
+    expect(contractCode('ES', '2026-03')).toBe('ESH6');
+    expect(contractCode('GC', '2025-08')).toBe('GCQ5');
+  });
+
+  it('has a multiplier and tick size for every root', () => {
+    for (const spec of Object.values(FUTURES_CONTRACTS)) {
+      expect(spec.multiplier).toBeGreaterThan(0);
+      expect(spec.tickSize).toBeGreaterThan(0);
+    }
+  });
+
+  it('gives a point value per position', () => {
+    expect(getContractSpec({ futures: { root: 'NQ' } })).toMatchObject({ multiplier: 20, tickSize: 0.25 });
+    expect(getPointValue({ futures: { root: 'NQ' }, quantity: 3 })).toBe(60);
+    expect(getPointValue({ futures: { root: 'CL' } })).toBe(1000);
+    expect(getPointValue({ ticker: 'AAPL', quantity: 10 })).toBeNull();
+  });
+});
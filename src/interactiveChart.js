@@ -0,0 +1,284 @@
+/**
+ * Interactive Price Chart
+ *
+ * Makes price level charts editable: the entry, stop and target lines of a
+ * chart rendered with `interactive: true` can be dragged with a pointer or
+ * nudged with the arrow keys. The chart re-renders on every move with its
+ * price scale held still, and the moved trade is handed back for live
+ * previews and, once the drag or key press ends, to be written back.
+ *
+ * A level is addressed as { level: 'entry'|'stopLoss'|'takeProfit', index }.
+ * Levels can't be moved past each other: the stop stays on the loss side of
+ * every entry and the targets on the profit side, so the chart never turns
+ * into the inconsistent trade the warnings would hide it for.
+ */
+
+import { chartYToPrice, CHART_HEIGHT } from './priceLevelChart.js';
+import { getContractSpec } from './futuresContracts.js';
+import { getEntryLevels, getTargetLevels, averagePrice } from './tradeLevels.js';
+
+// Keys that nudge a level, and by how many steps
+const NUDGE_KEYS = {
+  ArrowUp: 1,
+  ArrowRight: 1,
+  ArrowDown: -1,
+  ArrowLeft: -1,
+  PageUp: 10,
+  PageDown: -10,
+};
+
+// Holding Shift makes every nudge this many times bigger
+const SHIFT_MULTIPLIER = 10;
+
+/**
+ * Smallest price move for dragging and nudging: the tick size for futures, a
+ * tenth of a pip for forex, a cent for options, else about 1/10,000 of the entry
+ * @param {Object} trade - Trade info object
+ * @returns {number}
+ */
+export function getPriceStep(trade) {
+  const spec = getContractSpec(trade);
+  if (spec) return spec.tickSize;
+  if (trade.forex?.pipSize) return trade.forex.pipSize / 10;
+  if (trade.option) return 0.01;
+
+  const entry = averagePrice(getEntryLevels(trade));
+  if (!entry) return 0.01;
+  return 10 ** (Math.floor(Math.log10(entry)) - 4);
+}
+
+/**
+ * Round a price to a step, without float noise ("0.30000000000000004")
+ * @param {number} price
+ * @param {number} step
+ * @returns {number}
+ */
+export function roundToStep(price, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)) + 1);
+  return Number((Math.round(price / step) * step).toFixed(decimals));
+}
+
+/**
+ * Price of a level on a trade
+ * @param {Object} trade - Trade info object
+ * @param {string} level - 'entry', 'stopLoss' or 'takeProfit'
+ * @param {number} index - Which entry or target
+ * @returns {number|null}
+ */
+export function getLevelPrice(trade, level, index) {
+  if (level === 'stopLoss') return trade.stopLoss || null;
+  const levels = level === 'entry' ? getEntryLevels(trade) : getTargetLevels(trade);
+  return levels[index]?.price ?? null;
+}
+
+/**
+ * Range a level can move in without crossing the levels on the other side of it
+ */
+function getLevelBounds(trade, level, step) {
+  const isBuy = trade.action === 'buy';
+  const entries = getEntryLevels(trade).map(e => e.price);
+  const targets = getTargetLevels(trade).map(t => t.price);
+  const lowest = (prices) => Math.min(...prices);
+  const highest = (prices) => Math.max(...prices);
+
+  if (level === 'stopLoss') {
+    return isBuy ? { min: step, max: lowest(entries) - step } : { min: highest(entries) + step, max: Infinity };
+  }
+  if (level === 'takeProfit') {
+    return isBuy ? { min: highest(entries) + step, max: Infinity } : { min: step, max: lowest(entries) - step };
+  }
+  return isBuy
+    ? { min: trade.stopLoss + step, max: lowest(targets) - step }
+    : { min: highest(targets) + step, max: trade.stopLoss - step };
+}
+
+/**
+ * Move one level of a trade to a new price, kept on its side of the other levels
+ * @param {Object} trade - Trade info object with an action, entry, stop and target
+ * @param {string} level - 'entry', 'stopLoss' or 'takeProfit'
+ * @param {number} index - Which entry or target
+ * @param {number} price - New price (snapped to the price step)
+ * @returns {Object} - A new trade (the same one when its levels already cross); the original is left alone
+ */
+export function moveLevel(trade, level, index, price) {
+  const step = getPriceStep(trade);
+  const { min, max } = getLevelBounds(trade, level, step);
+  // Levels that already cross each other have nowhere valid to go
+  if (min > max) return trade;
+  const moved = roundToStep(Math.min(max, Math.max(min, price)), step);
+
+  if (level === 'stopLoss') return { ...trade, stopLoss: moved };
+
+  if (level === 'takeProfit') {
+    const takeProfit = getTargetLevels(trade).map((t, i) => (i === index ? { ...t, price: moved } : t));
+    return { ...trade, takeProfit };
+  }
+
+  // Ladders keep the first fill as the trade's price, like the trade editor does
+  if (trade.entries?.length > 1) {
+    const entries = getEntryLevels(trade).map((e, i) => (i === index ? { ...e, price: moved } : e));
+    return { ...trade, entries, price: entries[0].price };
+  }
+  return { ...trade, price: moved };
+}
+
+/**
+ * Price under a pointer, from the chart's recorded scale
+ * @param {SVGElement} svg - Interactive chart
+ * @param {number} clientY - Pointer position
+ * @returns {number|null} - null when the chart has no scale (not interactive) or no size
+ */
+export function pointerToPrice(svg, clientY) {
+  const top = Number(svg.dataset.top);
+  const bottom = Number(svg.dataset.bottom);
+  const rect = svg.getBoundingClientRect();
+  if (!isFinite(top) || !isFinite(bottom) || !rect.height) return null;
+
+  const y = (clientY - rect.top) / rect.height * CHART_HEIGHT;
+  return chartYToPrice(y, { top, bottom });
+}
+
+/**
+ * Make the interactive charts under a root element draggable. Events are
+ * delegated, so charts can be re-rendered (or added later) freely.
+ * @param {HTMLElement} root - Element containing `.price-chart-container` charts
+ * @param {Object} handlers
+ * @param {Function} handlers.getTrade - (container) => trade the chart shows, or null
+ * @param {Function} handlers.render - (trade, range, container) => chart SVG string for a trade at a fixed price range
+ * @param {Function} [handlers.onPreview] - (trade, container) => called on every move
+ * @param {Function} handlers.onCommit - (trade, container) => called once a drag or key press ends with the levels
+ *   moved; may return the container now showing the trade, so keyboard focus can return to the level
+ * @returns {Function} - Removes the listeners
+ */
+export function enableChartDragging(root, { getTrade, render, onPreview = () => {}, onCommit }) {
+  let drag = null;
+  let nudge = null;
+  // Re-rendering drops focus from the old handle; that isn't the user leaving the chart
+  let rendering = false;
+
+  const scaleOf = (container) => {
+    const svg = container.querySelector('svg');
+    return { top: Number(svg.dataset.top), bottom: Number(svg.dataset.bottom) };
+  };
+
+  const refocus = (container, level, index) => {
+    container?.querySelector(`.price-level-handle[data-level="${level}"][data-index="${index}"]`)?.focus();
+  };
+
+  const show = (container, trade, range, focus = null) => {
+    rendering = true;
+    container.innerHTML = render(trade, range, container);
+    if (focus) refocus(container, focus.level, focus.index);
+    rendering = false;
+    onPreview(trade, container);
+  };
+
+  const onPointerMove = (e) => {
+    const svg = drag.container.querySelector('svg');
+    const price = svg ? pointerToPrice(svg, e.clientY) : null;
+    if (price === null) return;
+
+    // The scale holds still, so keep the level on the chart
+    const clamped = Math.min(drag.range.top, Math.max(drag.range.bottom, price));
+    drag.trade = moveLevel(drag.trade, drag.level, drag.index, clamped);
+    show(drag.container, drag.trade, drag.range);
+  };
+
+  const endDrag = (commit) => {
+    window.removeEventListener('pointermove', onPointerMove);
+    window.removeEventListener('pointerup', onPointerUp);
+    window.removeEventListener('keydown', onDragKeyDown);
+    const { container, trade, original } = drag;
+    drag = null;
+    container.classList.remove('dragging');
+
+    if (!commit) {
+      show(container, original, null);
+    } else if (trade !== original) {
+      onCommit(trade, container);
+    }
+  };
+
+  const onPointerUp = () => endDrag(true);
+
+  const onDragKeyDown = (e) => {
+    if (e.key === 'Escape') endDrag(false);
+  };
+
+  const onPointerDown = (e) => {
+    const handle = e.target.closest?.('.price-level-handle');
+    const container = handle?.closest('.price-chart-container');
+    if (!container || drag || (e.button !== undefined && e.button !== 0)) return;
+
+    const trade = getTrade(container);
+    if (!trade) return;
+
+    e.preventDefault();
+    drag = {
+      container,
+      level: handle.dataset.level,
+      index: Number(handle.dataset.index),
+      range: scaleOf(container),
+      original: trade,
+      trade,
+    };
+    container.classList.add('dragging');
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('keydown', onDragKeyDown);
+  };
+
+  const commitNudge = (keepFocus) => {
+    if (!nudge) return;
+    const { container, trade, original, level, index } = nudge;
+    nudge = null;
+    if (trade === original) return;
+
+    rendering = true;
+    const shown = onCommit(trade, container);
+    if (keepFocus) refocus(shown, level, index);
+    rendering = false;
+  };
+
+  const onKeyDown = (e) => {
+    const handle = e.target.closest?.('.price-level-handle');
+    const container = handle?.closest('.price-chart-container');
+    if (!container || !(e.key in NUDGE_KEYS) || drag) return;
+
+    const trade = nudge?.container === container ? nudge.trade : getTrade(container);
+    if (!trade) return;
+    e.preventDefault();
+
+    const level = handle.dataset.level;
+    const index = Number(handle.dataset.index);
+    const steps = NUDGE_KEYS[e.key] * (e.shiftKey ? SHIFT_MULTIPLIER : 1);
+    const moved = moveLevel(trade, level, index, getLevelPrice(trade, level, index) + steps * getPriceStep(trade));
+
+    if (nudge?.container !== container) nudge = { container, original: trade };
+    Object.assign(nudge, { trade: moved, level, index });
+    show(container, moved, null, { level, index });
+  };
+
+  // Held keys repeat keydown; the trade is written back once the key comes up
+  const onKeyUp = (e) => {
+    if (e.key in NUDGE_KEYS) commitNudge(true);
+  };
+
+  const onFocusOut = (e) => {
+    if (rendering || !nudge || nudge.container.contains(e.relatedTarget)) return;
+    commitNudge(false);
+  };
+
+  root.addEventListener('pointerdown', onPointerDown);
+  root.addEventListener('keydown', onKeyDown);
+  root.addEventListener('keyup', onKeyUp);
+  root.addEventListener('focusout', onFocusOut);
+
+  return () => {
+    if (drag) endDrag(false);
+    root.removeEventListener('pointerdown', onPointerDown);
+    root.removeEventListener('keydown', onKeyDown);
+    root.removeEventListener('keyup', onKeyUp);
+    root.removeEventListener('focusout', onFocusOut);
+  };
+}
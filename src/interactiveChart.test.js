@@ -0,0 +1,239 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  getPriceStep,
+  roundToStep,
+  getLevelPrice,
+  moveLevel,
+  pointerToPrice,
+  enableChartDragging,
+} from './interactiveChart.js';
+import { createPriceLevelChart, priceToChartY } from './priceLevelChart.js';
+
+const trade = { action: 'buy', price: 100, stopLoss: 90, takeProfit: [{ price: 110 }, { price: 120 }] };
+
+describe('getPriceStep', () => {
+  it.each([
+    ['futures tick size', { price: 5000, futures: { root: 'ES' } }, 0.25],
+    ['a tenth of a pip for forex', { price: 1.085, forex: { pipSize: 0.0001 } }, 0.00001],
+    ['a cent for options', { price: 4.5, option: { type: 'call' } }, 0.01],
+    ['1/10,000 of a crypto entry', { price: 60000 }, 1],
+    ['1/10,000 of a stock entry', { price: 150 }, 0.01],
+    ['a cent without an entry', {}, 0.01],
+  ])('uses the %s', (_, trade, step) => {
+    expect(getPriceStep(trade)).toBeCloseTo(step, 10);
+  });
+});
+
+describe('roundToStep', () => {
+  it.each([
+    [0.1 + 0.2, 0.1, 0.3],
+    [5001.13, 0.25, 5001.25],
+    [1.085437, 0.00001, 1.08544],
+    [60123.4, 1, 60123],
+  ])('rounds %d to a step of %d as %d', (price, step, rounded) => {
+    expect(roundToStep(price, step)).toBe(rounded);
+  });
+});
+
+describe('getLevelPrice', () => {
+  it.each([
+    ['entry', 0, 100],
+    ['stopLoss', 0, 90],
+    ['takeProfit', 1, 120],
+    ['takeProfit', 2, null],
+  ])('reads %s %d', (level, index, price) => {
+    expect(getLevelPrice(trade, level, index)).toBe(price);
+  });
+});
+
+describe('moveLevel', () => {
+  it('moves the stop and snaps it to the price step', () => {
+    expect(moveLevel(trade, 'stopLoss', 0, 92.344).stopLoss).toBe(92.34);
+  });
+
+  it('moves one target and keeps its allocation', () => {
+    const split = { ...trade, takeProfit: [{ price: 110, allocation: 50 }, { price: 120, allocation: 50 }] };
+    const moved = moveLevel(split, 'takeProfit', 1, 125);
+
+    expect(moved.takeProfit).toEqual([{ price: 110, allocation: 50 }, { price: 125, allocation: 50 }]);
+  });
+
+  it('leaves the original trade alone', () => {
+    moveLevel(trade, 'entry', 0, 101);
+    expect(trade.price).toBe(100);
+  });
+
+  it.each([
+    ['stop above entry on a buy', trade, 'stopLoss', 105, 'stopLoss', 99.99],
+    ['entry past a target on a buy', trade, 'entry', 130, 'price', 109.99],
+    ['entry below the stop on a buy', trade, 'entry', 80, 'price', 90.01],
+    ['target below entry on a buy', trade, 'takeProfit', 95, 'takeProfit', 100.01],
+    ['stop below entry on a sell', { action: 'sell', price: 100, stopLoss: 110, takeProfit: [{ price: 90 }] }, 'stopLoss', 95, 'stopLoss', 100.01],
+    ['target above entry on a sell', { action: 'sell', price: 100, stopLoss: 110, takeProfit: [{ price: 90 }] }, 'takeProfit', 105, 'takeProfit', 99.99],
+  ])('keeps the %s from crossing', (_, trade, level, price, field, expected) => {
+    const moved = moveLevel(trade, level, 0, price);
+    const value = field === 'takeProfit' ? moved.takeProfit[0].price : moved[field];
+    expect(value).toBe(expected);
+  });
+
+  it('keeps a stop above zero', () => {
+    expect(moveLevel(trade, 'stopLoss', 0, -5).stopLoss).toBe(0.01);
+  });
+
+  it('moves a ladder fill and keeps the first fill as the price', () => {
+    const ladder = { ...trade, price: 100, entries: [{ price: 100 }, { price: 97 }] };
+    const moved = moveLevel(ladder, 'entry', 0, 102);
+
+    expect(moved.entries).toEqual([{ price: 102 }, { price: 97 }]);
+    expect(moved.price).toBe(102);
+  });
+
+  it('keeps every ladder fill above the stop', () => {
+    const ladder = { ...trade, price: 100, entries: [{ price: 100 }, { price: 97 }] };
+    expect(moveLevel(ladder, 'stopLoss', 0, 99).stopLoss).toBe(96.999);
+  });
+
+  it('leaves a trade whose levels already cross as it is', () => {
+    const crossed = { action: 'buy', price: 100, stopLoss: 105, takeProfit: [{ price: 95 }] };
+    expect(moveLevel(crossed, 'entry', 0, 93)).toBe(crossed);
+  });
+});
+
+/**
+ * Render an interactive chart into a container laid out 240px tall at the top of the page
+ */
+function renderChart(container, trade, range = null) {
+  container.innerHTML = createPriceLevelChart(trade, { interactive: true, range });
+  container.querySelector('svg').getBoundingClientRect = () => ({ top: 0, height: 240 });
+}
+
+describe('pointerToPrice', () => {
+  it('reads the price under the pointer from the chart scale', () => {
+    const container = document.createElement('div');
+    renderChart(container, trade, { top: 120, bottom: 80 });
+    const svg = container.querySelector('svg');
+
+    // The SVG is drawn at twice its 120-unit height
+    expect(pointerToPrice(svg, 2 * priceToChartY(95, { top: 120, bottom: 80 }))).toBeCloseTo(95, 10);
+  });
+
+  it('returns null for a chart without a scale', () => {
+    const container = document.createElement('div');
+    container.innerHTML = createPriceLevelChart(trade);
+    expect(pointerToPrice(container.querySelector('svg'), 50)).toBeNull();
+  });
+});
+
+describe('enableChartDragging', () => {
+  let root;
+  let container;
+  let current;
+  let handlers;
+  let disable;
+
+  const handle = (level, index = 0) => container.querySelector(`.price-level-handle[data-level="${level}"][data-index="${index}"]`);
+  const key = (target, type, key, options = {}) => {
+    target.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true, cancelable: true, ...options }));
+  };
+
+  beforeEach(() => {
+    root = document.createElement('div');
+    container = document.createElement('div');
+    container.className = 'price-chart-container';
+    root.appendChild(container);
+    document.body.appendChild(root);
+
+    current = trade;
+    renderChart(container, current);
+    handlers = {
+      getTrade: () => current,
+      render: (t, range) => createPriceLevelChart(t, { interactive: true, range }),
+      onPreview: vi.fn(),
+      onCommit: vi.fn((t) => {
+        current = t;
+        renderChart(container, t);
+        return container;
+      }),
+    };
+    disable = enableChartDragging(root, handlers);
+  });
+
+  afterEach(() => {
+    disable();
+    root.remove();
+  });
+
+  it('nudges a level with the arrow keys and commits when the key comes up', () => {
+    const stop = handle('stopLoss');
+    stop.focus();
+    key(stop, 'keydown', 'ArrowUp');
+    key(handle('stopLoss'), 'keydown', 'ArrowUp');
+
+    expect(handlers.onPreview).toHaveBeenLastCalledWith(expect.objectContaining({ stopLoss: 90.02 }), container);
+    expect(handlers.onCommit).not.toHaveBeenCalled();
+
+    key(handle('stopLoss'), 'keyup', 'ArrowUp');
+    expect(handlers.onCommit).toHaveBeenCalledTimes(1);
+    expect(current.stopLoss).toBe(90.02);
+    expect(document.activeElement).toBe(handle('stopLoss'));
+  });
+
+  it.each([
+    ['PageDown', {}, 119.9],
+    ['ArrowDown', { shiftKey: true }, 119.9],
+    ['ArrowLeft', {}, 119.99],
+  ])('moves by the %s step', (name, options, price) => {
+    key(handle('takeProfit', 1), 'keydown', name, options);
+    key(handle('takeProfit', 1), 'keyup', name);
+
+    expect(current.takeProfit[1].price).toBe(price);
+  });
+
+  it('ignores keys that do not nudge', () => {
+    key(handle('entry'), 'keydown', 'Enter');
+    key(handle('entry'), 'keyup', 'Enter');
+
+    expect(handlers.onPreview).not.toHaveBeenCalled();
+    expect(handlers.onCommit).not.toHaveBeenCalled();
+  });
+
+  it('drags a level with the pointer at a fixed scale and commits on release', () => {
+    const range = { top: Number(container.querySelector('svg').dataset.top), bottom: Number(container.querySelector('svg').dataset.bottom) };
+    handle('entry').dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, cancelable: true, button: 0 }));
+    container.querySelector('svg').getBoundingClientRect = () => ({ top: 0, height: 240 });
+    window.dispatchEvent(new MouseEvent('pointermove', { clientY: 2 * priceToChartY(104, range) }));
+
+    expect(container.classList.contains('dragging')).toBe(true);
+    expect(container.querySelector('svg').dataset.top).toBe(String(range.top));
+    expect(handlers.onPreview).toHaveBeenLastCalledWith(expect.objectContaining({ price: 104 }), container);
+
+    window.dispatchEvent(new MouseEvent('pointerup'));
+    expect(container.classList.contains('dragging')).toBe(false);
+    expect(handlers.onCommit).toHaveBeenCalledWith(expect.objectContaining({ price: 104 }), container);
+  });
+
+  it('puts the level back when a drag is cancelled with Escape', () => {
+    handle('stopLoss').dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, cancelable: true, button: 0 }));
+    container.querySelector('svg').getBoundingClientRect = () => ({ top: 0, height: 240 });
+    window.dispatchEvent(new MouseEvent('pointermove', { clientY: 150 }));
+    key(window, 'keydown', 'Escape');
+    window.dispatchEvent(new MouseEvent('pointerup'));
+
+    expect(handlers.onCommit).not.toHaveBeenCalled();
+    expect(handlers.onPreview).toHaveBeenLastCalledWith(trade, container);
+  });
+
+  it('does not commit a drag that moved nothing', () => {
+    handle('entry').dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, cancelable: true, button: 0 }));
+    window.dispatchEvent(new MouseEvent('pointerup'));
+
+    expect(handlers.onCommit).not.toHaveBeenCalled();
+  });
+
+  it('stops listening once disabled', () => {
+    disable();
+    key(handle('entry'), 'keydown', 'ArrowUp');
+
+    expect(handlers.onPreview).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Trade Journal
+ *
+ * Groups saved notes into positions by ticker and direction. A position is
+ * opened by a note with a direction ("long BTC at 42,500"), updated by later
+ * notes for the same ticker (new stop, targets), moved to break even by a
+ * `breakEven` note and closed by a `closing` / `stoppedOut` note.
+ */
+
+import { getEntryLevels, getTargetLevels, averagePrice } from './tradeLevels.js';
+import { escapeHtml, formatNumber, formatTimestamp } from './savedNotes.js';
+
+// Constants
+export const POSITION_STATUS = {
+  OPEN: 'open',
+  BREAKEVEN: 'breakeven',
+  CLOSED: 'closed',
+};
+
+const EVENT_LABELS = {
+  open: 'Opened',
+  update: 'Updated',
+  breakeven: 'Stop to break even',
+  close: 'Closed',
+  stopped: 'Stopped out',
+};
+
+/**
+ * Direction of a trade ('long' / 'short'), or null if it wasn't spoken
+ */
+function getDirection(trade) {
+  if (trade.tradeType === 'long' || trade.tradeType === 'short') return trade.tradeType;
+  if (trade.action === 'buy') return 'long';
+  if (trade.action === 'sell') return 'short';
+  return null;
+}
+
+/**
+ * Classify a note's role in a position lifecycle
+ * @param {Object} note - Saved note
+ * @returns {'open'|'breakeven'|'close'|'stopped'|null} - Event type (null without a trade)
+ */
+export function classifyNote(note) {
+  const trade = note?.trade;
+  if (!trade) return null;
+
+  if (trade.stoppedOut) return 'stopped';
+  if (trade.closing) return 'close';
+  if (trade.breakEven) return 'breakeven';
+  return 'open';
+}
+
+/**
+ * Find the active position a note refers to.
+ * Without a ticker, the note is only linked when exactly one position is active.
+ */
+function findActivePosition(active, trade) {
+  const direction = getDirection(trade);
+
+  if (!trade.ticker) {
+    return active.length === 1 ? active[0] : null;
+  }
+
+  const matches = active.filter(p => p.ticker === trade.ticker && (!direction || p.direction === direction));
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Realized results for a closed position
+ */
+function settlePosition(position) {
+  const { entry, exitPrice, initialStop } = position;
+  if (entry === null || exitPrice === null) return;
+
+  const sign = position.direction === 'long' ? 1 : -1;
+  const move = (exitPrice - entry) * sign;
+
+  position.pnlPercent = (move / entry) * 100;
+  position.realizedPnl = position.quantity !== null ? move * position.quantity : null;
+
+  const risk = initialStop !== null ? Math.abs(entry - initialStop) : 0;
+  position.rMultiple = risk > 0 ? move / risk : null;
+}
+
+/**
+ * Apply a note's levels and setup details to a position without overwriting its entry
+ */
+function applyLevels(position, trade) {
+  if (position.entry === null) {
+    position.entry = averagePrice(getEntryLevels(trade));
+  }
+  if (trade.stopLoss) {
+    position.stop = trade.stopLoss;
+    if (position.initialStop === null) position.initialStop = trade.stopLoss;
+  }
+  const targets = getTargetLevels(trade);
+  if (targets.length > 0) position.targets = targets;
+
+  if (!position.timeframe && trade.timeframe) position.timeframe = trade.timeframe;
+  if (!position.exchange && trade.exchange) position.exchange = trade.exchange;
+  if (Array.isArray(trade.indicators)) {
+    position.indicators = [...new Set([...position.indicators, ...trade.indicators])];
+  }
+
+  if (position.quantity === null) {
+    if (trade.quantity) {
+      position.quantity = trade.quantity;
+    } else if (trade.positionSize && position.entry) {
+      position.quantity = trade.positionSize / position.entry;
+    }
+  }
+}
+
+/**
+ * Group saved notes into positions
+ * @param {Array} notes - Saved notes (any order)
+ * @returns {Array<Object>} - Positions, most recently opened first
+ */
+export function buildPositions(notes) {
+  const positions = [];
+  let active = [];
+
+  const ordered = [...notes].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const note of ordered) {
+    const type = classifyNote(note);
+    if (!type) continue;
+
+    const trade = note.trade;
+    let position = findActivePosition(active, trade);
+    let eventType = type;
+
+    if (type === 'open') {
+      if (position) {
+        eventType = 'update';
+      } else {
+        const direction = getDirection(trade);
+        if (!trade.ticker || !direction) continue;
+
+        position = {
+          id: note.id,
+          ticker: trade.ticker,
+          direction,
+          status: POSITION_STATUS.OPEN,
+          entry: null,
+          initialStop: null,
+          stop: null,
+          targets: [],
+          quantity: null,
+          timeframe: null,
+          exchange: null,
+          indicators: [],
+          exitPrice: null,
+          openedAt: note.timestamp,
+          closedAt: null,
+          realizedPnl: null,
+          pnlPercent: null,
+          rMultiple: null,
+          events: [],
+        };
+        positions.push(position);
+        active.push(position);
+      }
+      applyLevels(position, trade);
+    } else if (!position) {
+      continue;
+    } else if (type === 'breakeven') {
+      position.stop = typeof trade.breakEven === 'number' ? trade.breakEven : position.entry;
+      position.status = POSITION_STATUS.BREAKEVEN;
+    } else {
+      const target = getTargetLevels(trade)[0];
+      position.exitPrice = trade.price ?? (type === 'stopped' ? position.stop : target?.price) ?? null;
+      position.status = POSITION_STATUS.CLOSED;
+      position.closedAt = note.timestamp;
+      settlePosition(position);
+      active = active.filter(p => p !== position);
+    }
+
+    position.events.push({
+      noteId: note.id,
+      timestamp: note.timestamp,
+      type: eventType,
+      text: note.text || '',
+    });
+  }
+
+  return positions.reverse();
+}
+
+/**
+ * Format an R multiple, e.g. "+0.86R"
+ * @param {number|null} r - R multiple
+ * @returns {string}
+ */
+export function formatRMultiple(r) {
+  if (r === null || r === undefined) return '—';
+  return `${r >= 0 ? '+' : ''}${r.toFixed(2)}R`;
+}
+
+/**
+ * Format a signed dollar amount, e.g. "-$120.50"
+ * @param {number} pnl - Profit or loss
+ * @returns {string}
+ */
+export function formatPnl(pnl) {
+  return `${pnl < 0 ? '-' : '+'}$${formatNumber(Math.abs(pnl))}`;
+}
+
+/**
+ * Render positions as a journal timeline
+ * @param {Array<Object>} positions - Positions from buildPositions
+ * @returns {string} - HTML string
+ */
+export function renderJournal(positions) {
+  if (positions.length === 0) {
+    return `
+      <div class="journal-empty">
+        <p class="empty-state-title">No positions yet</p>
+        <p class="empty-state-note">Save a note with a ticker and direction ("long BTC at 42,500") to open one, then record stop moves and exits as you go.</p>
+      </div>
+    `;
+  }
+
+  return positions.map((position) => {
+    const details = [];
+    if (position.entry !== null) details.push(['Entry', `$${formatNumber(position.entry)}`]);
+    if (position.stop !== null) details.push(['Stop', `$${formatNumber(position.stop)}`]);
+    if (position.exitPrice !== null) details.push(['Exit', `$${formatNumber(position.exitPrice)}`]);
+    if (position.realizedPnl !== null) details.push(['P&L', formatPnl(position.realizedPnl)]);
+    if (position.pnlPercent !== null) details.push(['Return', `${position.pnlPercent >= 0 ? '+' : ''}${position.pnlPercent.toFixed(2)}%`]);
+    if (position.status === POSITION_STATUS.CLOSED) details.push(['R', formatRMultiple(position.rMultiple)]);
+
+    const resultClass = position.rMultiple > 0 || position.pnlPercent > 0 ? 'win'
+      : position.rMultiple < 0 || position.pnlPercent < 0 ? 'loss' : '';
+
+    return `
+      <div class="journal-position ${resultClass}" data-id="${position.id}">
+        <div class="journal-position-header">
+          <span class="saved-note-trade-ticker">${escapeHtml(position.ticker)}</span>
+          <span class="saved-note-trade-action ${position.direction === 'long' ? 'buy' : 'sell'}">${position.direction.toUpperCase()}</span>
+          <span class="journal-status ${position.status}">${position.status === POSITION_STATUS.BREAKEVEN ? 'BREAK EVEN' : position.status.toUpperCase()}</span>
+        </div>
+        ${details.length > 0 ? `
+        <div class="saved-note-trade-details">
+          ${details.map(([label, value]) => `
+          <div class="saved-note-trade-detail">
+            <span class="saved-note-trade-detail-label">${label}:</span>
+            <span class="saved-note-trade-detail-value">${value}</span>
+          </div>`).join('')}
+        </div>` : ''}
+        <ol class="journal-timeline">
+          ${position.events.map(event => `
+          <li class="journal-event ${event.type}">
+            <span class="journal-event-label">${EVENT_LABELS[event.type]}</span>
+            <span class="journal-event-time">${formatTimestamp(event.timestamp)}</span>
+            <span class="journal-event-text">${escapeHtml(event.text)}</span>
+          </li>`).join('')}
+        </ol>
+      </div>
+    `;
+  }).join('');
+}
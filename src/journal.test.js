@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { extractTradeInfo } from './tradeExtractor.js';
+import { POSITION_STATUS, classifyNote, buildPositions, formatRMultiple, renderJournal } from './journal.js';
+
+let nextTimestamp = 1700000000000;
+
+function note(trade, text = '') {
+  nextTimestamp += 60000;
+  return { id: nextTimestamp, timestamp: nextTimestamp, text, trade };
+}
+
+const btcLong = { ticker: 'BTC', action: 'buy', tradeType: 'long', price: 42500, stopLoss: 41800, quantity: 2 };
+
+describe('classifyNote', () => {
+  it.each([
+    ['an entry', { ...btcLong }, 'open'],
+    ['a break-even move', { ticker: 'BTC', breakEven: true }, 'breakeven'],
+    ['a close', { ticker: 'BTC', price: 43100, closing: true }, 'close'],
+    ['a stop-out', { ticker: 'BTC', closing: true, stoppedOut: true }, 'stopped'],
+  ])('classifies %s', (_, trade, expected) => {
+    expect(classifyNote({ trade })).toBe(expected);
+  });
+
+  it('ignores notes without a trade', () => {
+    expect(classifyNote({ text: 'thoughts', trade: null })).toBeNull();
+  });
+});
+
+describe('buildPositions', () => {
+  it('links entry, break-even and exit notes into one position', () => {
+    const notes = [
+      note(btcLong, 'Entered long BTC'),
+      note({ ticker: 'BTC', breakEven: true }, 'Moved stop to break even'),
+      note({ ticker: 'BTC', price: 43100, closing: true }, 'Closed at 43,100'),
+    ];
+
+    const [position] = buildPositions(notes.reverse());
+
+    expect(position).toMatchObject({
+      ticker: 'BTC',
+      direction: 'long',
+      status: POSITION_STATUS.CLOSED,
+      entry: 42500,
+      initialStop: 41800,
+      stop: 42500,
+      exitPrice: 43100,
+      realizedPnl: 1200,
+    });
+    expect(position.rMultiple).toBeCloseTo(600 / 700);
+    expect(position.pnlPercent).toBeCloseTo(1.4118, 3);
+    expect(position.events.map(e => e.type)).toEqual(['open', 'breakeven', 'close']);
+  });
+
+  it('links the spoken notes of a trade', () => {
+    const notes = ['Entered long BTC 42,500', 'Moved stop to break even', 'Closed at 43,100']
+      .map(text => note(extractTradeInfo(text), text));
+
+    const [position] = buildPositions(notes);
+
+    expect(position).toMatchObject({
+      ticker: 'BTC',
+      direction: 'long',
+      status: POSITION_STATUS.CLOSED,
+      entry: 42500,
+      exitPrice: 43100,
+    });
+    expect(position.pnlPercent).toBeCloseTo(1.4118, 3);
+    expect(position.events.map(e => e.type)).toEqual(['open', 'breakeven', 'close']);
+  });
+
+  it('tracks break-even as an open state', () => {
+    const [position] = buildPositions([note(btcLong), note({ ticker: 'BTC', breakEven: true })]);
+
+    expect(position.status).toBe(POSITION_STATUS.BREAKEVEN);
+    expect(position.realizedPnl).toBeNull();
+  });
+
+  it('exits a stop-out at the current stop', () => {
+    const [position] = buildPositions([
+      note({ ticker: 'ETH', action: 'sell', price: 3000, stopLoss: 3100, positionSize: 6000 }),
+      note({ ticker: 'ETH', closing: true, stoppedOut: true }),
+    ]);
+
+    expect(position.exitPrice).toBe(3100);
+    expect(position.rMultiple).toBe(-1);
+    expect(position.realizedPnl).toBe(-200);
+  });
+
+  it('scratches a stop-out after break even', () => {
+    const [position] = buildPositions([
+      note(btcLong),
+      note({ ticker: 'BTC', breakEven: true }),
+      note({ ticker: 'BTC', closing: true, stoppedOut: true }),
+    ]);
+
+    expect(position.rMultiple).toBe(0);
+  });
+
+  it('exits at the spoken target when the close has no price', () => {
+    const [position] = buildPositions([
+      note(btcLong),
+      note({ ticker: 'BTC', takeProfit: [{ price: 44000 }], closing: true }),
+    ]);
+
+    expect(position.exitPrice).toBe(44000);
+  });
+
+  it('applies later stops and targets as updates', () => {
+    const [position] = buildPositions([
+      note(btcLong),
+      note({ ticker: 'BTC', action: 'buy', stopLoss: 42000, takeProfit: [{ price: 45000 }] }),
+    ]);
+
+    expect(position.initialStop).toBe(41800);
+    expect(position.stop).toBe(42000);
+    expect(position.targets).toEqual([{ price: 45000 }]);
+    expect(position.events.map(e => e.type)).toEqual(['open', 'update']);
+  });
+
+  it('keeps longs and shorts on the same ticker apart', () => {
+    const positions = buildPositions([
+      note(btcLong),
+      note({ ticker: 'BTC', action: 'sell', tradeType: 'short', price: 43000 }),
+    ]);
+
+    expect(positions.map(p => p.direction)).toEqual(['short', 'long']);
+  });
+
+  it('opens a new position after the previous one closed', () => {
+    const positions = buildPositions([
+      note(btcLong),
+      note({ ticker: 'BTC', price: 43100, closing: true }),
+      note(btcLong),
+    ]);
+
+    expect(positions.map(p => p.status)).toEqual([POSITION_STATUS.OPEN, POSITION_STATUS.CLOSED]);
+  });
+
+  it('links a close without a ticker only when one position is open', () => {
+    const close = { price: 43100, closing: true };
+
+    expect(buildPositions([note(btcLong), note(close)])[0].status).toBe(POSITION_STATUS.CLOSED);
+
+    const positions = buildPositions([
+      note(btcLong),
+      note({ ticker: 'ETH', action: 'buy', price: 3000 }),
+      note(close),
+    ]);
+    expect(positions.every(p => p.status === POSITION_STATUS.OPEN)).toBe(true);
+  });
+
+  it.each([
+    ['a close without an open position', { ticker: 'BTC', price: 43100, closing: true }],
+    ['a note without a direction', { ticker: 'BTC', price: 43100 }],
+  ])('skips %s', (_, trade) => {
+    expect(buildPositions([note(trade)])).toEqual([]);
+  });
+
+  it('leaves P&L empty without a size and R empty without a stop', () => {
+    const [position] = buildPositions([
+      note({ ticker: 'SOL', action: 'buy', price: 100 }),
+      note({ ticker: 'SOL', price: 110, closing: true }),
+    ]);
+
+    expect(position.realizedPnl).toBeNull();
+    expect(position.rMultiple).toBeNull();
+    expect(position.pnlPercent).toBeCloseTo(10);
+  });
+});
+
+describe('formatRMultiple', () => {
+  it.each([
+    [1.5, '+1.50R'],
+    [-1, '-1.00R'],
+    [null, '—'],
+  ])('%s → %s', (r, expected) => {
+    expect(formatRMultiple(r)).toBe(expected);
+  });
+});
+
+describe('renderJournal', () => {
+  it('renders an empty state', () => {
+    expect(renderJournal([])).toContain('No positions yet');
+  });
+
+  it('renders the position timeline with escaped text', () => {
+    const positions = buildPositions([
+      note(btcLong, 'Entered <b>long</b>'),
+      note({ ticker: 'BTC', price: 43100, closing: true }, 'Closed'),
+    ]);
+
+    const html = renderJournal(positions);
+
+    expect(html).toContain('CLOSED');
+    expect(html).toContain('+0.86R');
+    expect(html).toContain('+$1,200');
+    expect(html).toContain('Entered &lt;b&gt;long&lt;/b&gt;');
+    expect(html).not.toContain('<b>long</b>');
+  });
+});
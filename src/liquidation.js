@@ -0,0 +1,103 @@
+/**
+ * Liquidation
+ *
+ * Approximate isolated-margin liquidation prices for leveraged trades. The
+ * position is liquidated when its margin plus unrealized P&L falls to the
+ * maintenance margin: notional × the tier's rate, less the tier's
+ * maintenance amount so the requirement is continuous across tiers.
+ *
+ * Fees and funding are left out, so the real liquidation comes a little
+ * sooner; treat the price as a bound to keep the stop well inside of.
+ */
+
+import { getEntryLevels, averagePrice } from './tradeLevels.js';
+import { formatNumber } from './savedNotes.js';
+import { formatComputedPrice } from './priceLevelChart.js';
+
+/**
+ * Maintenance tier for a position size, with its maintenance amount
+ * @param {number} notional - Position notional in dollars
+ * @param {Array<{upTo: number|null, rate: number}>} tiers - Ordered tiers from the account settings
+ * @returns {{rate: number, amount: number, upTo: number|null}} - rate in %, amount in dollars
+ */
+export function getMaintenanceTier(notional, tiers) {
+  let amount = 0;
+  for (let i = 0; i < tiers.length; i++) {
+    if (i > 0) amount += tiers[i - 1].upTo * (tiers[i].rate - tiers[i - 1].rate) / 100;
+    if (tiers[i].upTo === null || notional <= tiers[i].upTo) {
+      return { rate: tiers[i].rate, amount, upTo: tiers[i].upTo };
+    }
+  }
+  // Tiers that all have a cap: the largest one covers anything bigger
+  const last = tiers[tiers.length - 1];
+  return { rate: last.rate, amount, upTo: last.upTo };
+}
+
+/**
+ * Whether a trade can be liquidated: leverage above 1x on anything but options
+ * @param {Object} trade - Trade info object
+ * @returns {boolean}
+ */
+export function isLiquidatable(trade) {
+  return trade?.leverage > 1 && !trade.option && (trade.action === 'buy' || trade.action === 'sell');
+}
+
+/**
+ * Approximate isolated-margin liquidation price
+ * @param {Object} trade - Trade info object with leverage
+ * @param {Object} settings - Account settings (for the maintenance tiers)
+ * @param {number|null} [quantity] - Position size in units; without it the smallest tier is used
+ * @param {number} [multiplier] - Dollars per point per unit (contract multiplier)
+ * @returns {{price: number, rate: number, leverage: number}|null} - null for unleveraged trades or without an entry,
+ *   or when the maintenance rate is too high for the leverage to ever open
+ */
+export function calculateLiquidationPrice(trade, settings, quantity = null, multiplier = 1) {
+  if (!isLiquidatable(trade)) return null;
+
+  const entry = averagePrice(getEntryLevels(trade));
+  if (entry === null) return null;
+
+  const tier = getMaintenanceTier(quantity ? quantity * multiplier * entry : 0, settings.maintenanceTiers);
+  const rate = tier.rate / 100;
+  const amountPerUnit = quantity ? tier.amount / (quantity * multiplier) : 0;
+  const leverage = trade.leverage;
+
+  const price = trade.action === 'buy'
+    ? (entry * (1 - 1 / leverage) - amountPerUnit) / (1 - rate)
+    : (entry * (1 + 1 / leverage) + amountPerUnit) / (1 + rate);
+
+  // Margin already under maintenance at entry: the position would be liquidated on open
+  const liquidatedOnOpen = trade.action === 'buy' ? price >= entry : price <= entry;
+  if (price <= 0 || liquidatedOnOpen) return null;
+
+  return { price, rate: tier.rate, leverage };
+}
+
+/**
+ * Whether the stop sits at or beyond the liquidation price, so it would never fill
+ * @param {Object} trade - Trade info object
+ * @param {{price: number}|null} liquidation - Result of calculateLiquidationPrice
+ * @returns {boolean}
+ */
+export function isStopPastLiquidation(trade, liquidation) {
+  if (!liquidation || !trade.stopLoss) return false;
+  return trade.action === 'buy' ? trade.stopLoss <= liquidation.price : trade.stopLoss >= liquidation.price;
+}
+
+/**
+ * Warnings for a stop past liquidation, shaped like getTradeWarnings; critical,
+ * because the position would be wiped out before the stop could fill
+ * @param {Object} trade - Trade info object
+ * @param {{price: number, leverage: number}|null} liquidation - Result of calculateLiquidationPrice
+ * @returns {Array<{field: string, severity: 'critical', message: string}>}
+ */
+export function getLiquidationWarnings(trade, liquidation) {
+  if (!isStopPastLiquidation(trade, liquidation)) return [];
+
+  const price = `$${formatComputedPrice(liquidation.price)}`;
+  return [{
+    field: 'stopLoss',
+    severity: 'critical',
+    message: `Stop loss: $${formatNumber(trade.stopLoss)} is past the ${liquidation.leverage}x liquidation price of about ${price}; the position would be liquidated first`,
+  }];
+}
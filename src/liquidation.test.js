@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getMaintenanceTier,
+  isLiquidatable,
+  calculateLiquidationPrice,
+  isStopPastLiquidation,
+  getLiquidationWarnings,
+} from './liquidation.js';
+import { createDefaultAccountSettings } from './accountSettings.js';
+
+const settings = createDefaultAccountSettings();
+
+const long = { ticker: 'BTC', action: 'buy', price: 60000, stopLoss: 58000, leverage: 10 };
+const short = { ...long, action: 'sell', stopLoss: 62000 };
+
+describe('getMaintenanceTier', () => {
+  it.each([
+    [0, 0.4, 0],
+    [50000, 0.4, 0],
+    [100000, 0.5, 50],
+    [1000000, 1, 1300],
+    [1e9, 10, 1300 + 3000000 * 0.015 + 15000000 * 0.025 + 30000000 * 0.05],
+  ])('notional %d uses %d%% with a $%d maintenance amount', (notional, rate, amount) => {
+    const tier = getMaintenanceTier(notional, settings.maintenanceTiers);
+
+    expect(tier.rate).toBe(rate);
+    expect(tier.amount).toBeCloseTo(amount);
+  });
+
+  it('keeps the maintenance margin continuous across a tier boundary', () => {
+    const margin = (notional) => {
+      const tier = getMaintenanceTier(notional, settings.maintenanceTiers);
+      return notional * tier.rate / 100 - tier.amount;
+    };
+
+    expect(margin(250000)).toBeCloseTo(margin(250000.01));
+  });
+});
+
+describe('isLiquidatable', () => {
+  it.each([
+    ['a leveraged long', long, true],
+    ['1x', { ...long, leverage: 1 }, false],
+    ['no leverage', { ...long, leverage: null }, false],
+    ['an option', { ...long, option: { strategy: 'long call' } }, false],
+    ['an exit', { ...long, action: 'exit' }, false],
+  ])('%s', (_, trade, expected) => {
+    expect(isLiquidatable(trade)).toBe(expected);
+  });
+});
+
+describe('calculateLiquidationPrice', () => {
+  it('sits below entry for a long', () => {
+    expect(calculateLiquidationPrice(long, settings).price).toBeCloseTo(60000 * 0.9 / 0.996);
+  });
+
+  it('sits above entry for a short', () => {
+    expect(calculateLiquidationPrice(short, settings).price).toBeCloseTo(60000 * 1.1 / 1.004);
+  });
+
+  it('moves closer to entry with more leverage', () => {
+    const at125 = calculateLiquidationPrice({ ...long, leverage: 125 }, settings);
+
+    expect(at125.price).toBeCloseTo(60000 * 0.992 / 0.996);
+    expect(at125.leverage).toBe(125);
+  });
+
+  it('uses the tier for the position size', () => {
+    const liquidation = calculateLiquidationPrice({ ...long, price: 100000, leverage: 20 }, settings, 1);
+
+    expect(liquidation.rate).toBe(0.5);
+    expect(liquidation.price).toBeCloseTo((100000 * 0.95 - 50) / 0.995);
+  });
+
+  it('counts the contract multiplier in the notional', () => {
+    const es = { ...long, price: 5000, futures: { root: 'ES' } };
+
+    expect(calculateLiquidationPrice(es, settings, 1, 50).rate).toBe(0.5);
+  });
+
+  it('is null when the maintenance rate leaves no room at that leverage', () => {
+    const strict = { ...settings, maintenanceTiers: [{ upTo: null, rate: 1 }] };
+
+    expect(calculateLiquidationPrice({ ...long, leverage: 125 }, strict)).toBeNull();
+  });
+
+  it('is null without leverage or entry', () => {
+    expect(calculateLiquidationPrice({ ...long, leverage: null }, settings)).toBeNull();
+    expect(calculateLiquidationPrice({ ...long, price: null }, settings)).toBeNull();
+  });
+});
+
+describe('isStopPastLiquidation / getLiquidationWarnings', () => {
+  it('is quiet when the stop fills first', () => {
+    const liquidation = calculateLiquidationPrice(long, settings);
+
+    expect(isStopPastLiquidation(long, liquidation)).toBe(false);
+    expect(getLiquidationWarnings(long, liquidation)).toEqual([]);
+  });
+
+  it('flags a long stop below liquidation', () => {
+    const trade = { ...long, leverage: 50 };
+
+    expect(getLiquidationWarnings(trade, calculateLiquidationPrice(trade, settings))).toEqual([{
+      field: 'stopLoss',
+      severity: 'critical',
+      message: 'Stop loss: $58,000 is past the 50x liquidation price of about $59,036.14; the position would be liquidated first',
+    }]);
+  });
+
+  it('flags a short stop above liquidation', () => {
+    const trade = { ...short, leverage: 40 };
+
+    expect(isStopPastLiquidation(trade, calculateLiquidationPrice(trade, settings))).toBe(true);
+  });
+
+  it('is quiet without a liquidation price or stop', () => {
+    expect(isStopPastLiquidation(long, null)).toBe(false);
+    expect(isStopPastLiquidation({ ...long, stopLoss: null }, { price: 59000 })).toBe(false);
+  });
+});
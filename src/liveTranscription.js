@@ -0,0 +1,89 @@
+/**
+ * Live Transcription Windows
+ *
+ * Helpers for transcribing while recording. Audio is decoded in rolling
+ * windows of `chunkLength` seconds. Once a window is full, segments that end
+ * before the last `strideLength` seconds are committed and the next window
+ * starts where they ended, so words near the window edge are always decoded
+ * again with more context before they are locked in.
+ */
+
+// Constants
+export const SAMPLE_RATE = 16000;
+export const LIVE_UPDATE_INTERVAL_MS = 2000;
+export const MIN_LIVE_AUDIO_SECONDS = 1;
+
+/**
+ * Pick the sample range to transcribe next
+ * @param {number} totalSamples - Samples recorded so far (16kHz)
+ * @param {number} committedSamples - Samples already covered by committed text
+ * @param {Object} settings - { chunkLength } in seconds
+ * @returns {{start: number, end: number, isFull: boolean}} - Window bounds
+ */
+export function getLiveWindow(totalSamples, committedSamples, { chunkLength }) {
+  const maxSamples = chunkLength * SAMPLE_RATE;
+  const start = Math.min(committedSamples, totalSamples);
+  const end = Math.min(totalSamples, start + maxSamples);
+
+  return { start, end, isFull: end - start >= maxSamples };
+}
+
+/**
+ * Split a window's timestamped segments into committed and tentative text
+ * @param {Array<{text: string, timestamp: Array<number|null>}>} chunks - Pipeline segments
+ * @param {Object} settings - { chunkLength, strideLength, isFull }
+ * @returns {{committed: string, committedSeconds: number, tentative: string}}
+ */
+export function splitLiveSegments(chunks, { chunkLength, strideLength, isFull }) {
+  const segments = chunks || [];
+  const joinText = (list) => joinTranscript(...list.map(c => c.text));
+
+  if (!isFull) {
+    return { committed: '', committedSeconds: 0, tentative: joinText(segments) };
+  }
+
+  const limit = chunkLength - strideLength;
+  const endOf = (segment) => segment.timestamp?.[1];
+  let count = segments.filter(s => endOf(s) !== null && endOf(s) !== undefined && endOf(s) <= limit).length;
+
+  // One long segment crossing the limit - commit everything but the open tail
+  if (count === 0) {
+    count = segments.length > 1 ? segments.length - 1 : segments.length;
+  }
+
+  const committed = segments.slice(0, count);
+  const lastEnd = committed.length > 0 ? endOf(committed[committed.length - 1]) : null;
+
+  return {
+    committed: joinText(committed),
+    committedSeconds: typeof lastEnd === 'number' ? Math.min(lastEnd, chunkLength) : limit,
+    tentative: joinText(segments.slice(count)),
+  };
+}
+
+/**
+ * Join transcript pieces with single spaces
+ * @param {...string} parts - Text pieces (empty pieces are skipped)
+ * @returns {string} - Joined text
+ */
+export function joinTranscript(...parts) {
+  return parts
+    .map(part => (part || '').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Count the windows the pipeline decodes for chunked long-form audio,
+ * mirroring its chunking loop (windows advance by chunk minus both strides)
+ * @param {number} totalSamples - Audio length in samples (16kHz)
+ * @param {Object} settings - { chunkLength, strideLength } in seconds
+ * @returns {number} - Number of windows (at least 1)
+ */
+export function countWhisperChunks(totalSamples, { chunkLength, strideLength }) {
+  const window = chunkLength * SAMPLE_RATE;
+  const jump = window - 2 * strideLength * SAMPLE_RATE;
+  if (totalSamples <= window || jump <= 0) return 1;
+
+  return Math.ceil((totalSamples - window) / jump) + 1;
+}
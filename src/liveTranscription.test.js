@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { SAMPLE_RATE, getLiveWindow, splitLiveSegments, joinTranscript, countWhisperChunks } from './liveTranscription.js';
+
+const settings = { chunkLength: 30, strideLength: 5 };
+
+describe('getLiveWindow', () => {
+  it('covers everything recorded when shorter than a chunk', () => {
+    const window = getLiveWindow(10 * SAMPLE_RATE, 0, settings);
+
+    expect(window).toEqual({ start: 0, end: 10 * SAMPLE_RATE, isFull: false });
+  });
+
+  it('caps the window at the chunk length', () => {
+    const window = getLiveWindow(45 * SAMPLE_RATE, 0, settings);
+
+    expect(window).toEqual({ start: 0, end: 30 * SAMPLE_RATE, isFull: true });
+  });
+
+  it('starts at the committed position', () => {
+    const window = getLiveWindow(45 * SAMPLE_RATE, 25 * SAMPLE_RATE, settings);
+
+    expect(window).toEqual({ start: 25 * SAMPLE_RATE, end: 45 * SAMPLE_RATE, isFull: false });
+  });
+
+  it('never starts past the end of the audio', () => {
+    const window = getLiveWindow(SAMPLE_RATE, 5 * SAMPLE_RATE, settings);
+
+    expect(window.start).toBe(SAMPLE_RATE);
+    expect(window.end).toBe(SAMPLE_RATE);
+  });
+});
+
+describe('splitLiveSegments', () => {
+  const chunks = [
+    { text: ' Long BTC at 95000.', timestamp: [0, 8.2] },
+    { text: ' Stop at 93000.', timestamp: [8.2, 24.5] },
+    { text: ' Target 100', timestamp: [24.5, 30] },
+  ];
+
+  it('keeps everything tentative while the window is filling', () => {
+    const split = splitLiveSegments(chunks, { ...settings, isFull: false });
+
+    expect(split).toEqual({
+      committed: '',
+      committedSeconds: 0,
+      tentative: 'Long BTC at 95000. Stop at 93000. Target 100',
+    });
+  });
+
+  it('commits segments that end before the stride margin', () => {
+    const split = splitLiveSegments(chunks, { ...settings, isFull: true });
+
+    expect(split.committed).toBe('Long BTC at 95000. Stop at 93000.');
+    expect(split.committedSeconds).toBe(24.5);
+    expect(split.tentative).toBe('Target 100');
+  });
+
+  it('commits all but the open tail when one segment crosses the margin', () => {
+    const split = splitLiveSegments([
+      { text: ' Long ETH', timestamp: [0, 27] },
+      { text: ' at 3000', timestamp: [27, null] },
+    ], { ...settings, isFull: true });
+
+    expect(split.committed).toBe('Long ETH');
+    expect(split.committedSeconds).toBe(27);
+    expect(split.tentative).toBe('at 3000');
+  });
+
+  it('skips past a silent full window', () => {
+    const split = splitLiveSegments([], { ...settings, isFull: true });
+
+    expect(split).toEqual({ committed: '', committedSeconds: 25, tentative: '' });
+  });
+
+  it('handles missing chunks', () => {
+    expect(splitLiveSegments(undefined, { ...settings, isFull: false }).tentative).toBe('');
+  });
+});
+
+describe('joinTranscript', () => {
+  it('joins trimmed pieces with single spaces', () => {
+    expect(joinTranscript(' Long BTC ', ' at 95000')).toBe('Long BTC at 95000');
+  });
+
+  it('skips empty pieces', () => {
+    expect(joinTranscript('', 'Long BTC', null, '  ')).toBe('Long BTC');
+  });
+});
+
+describe('countWhisperChunks', () => {
+  it.each([
+    [10, 1],
+    [30, 1],
+    [31, 2],
+    [50, 2],
+    [51, 3],
+    [0, 1],
+  ])('%ss of audio → %i windows', (seconds, expected) => {
+    expect(countWhisperChunks(seconds * SAMPLE_RATE, settings)).toBe(expected);
+  });
+});
@@ -5,36 +5,109 @@
  * All processing happens in-browser, nothing leaves your machine.
  */
 
-import { pipeline, env } from '@huggingface/transformers';
-import { extractTradeInfo, generateTradeSummary } from './tradeExtractor.js';
-import { createPriceLevelChart, calculateRiskReward } from './priceLevelChart.js';
+import { extractTradeInfo, extractTradeDetails, generateTradeSummary, setCustomVocabulary, EXCHANGES } from './tradeExtractor.js';
+import { describeOption, formatOptionLeg, formatExpiry, daysToExpiry } from './optionsParser.js';
+import { createPriceLevelChart, formatDollarChange, formatNetPnl, formatComputedPrice } from './priceLevelChart.js';
+import { getEntryLevels, getTargetLevels, averagePrice, calculateBlendedRiskReward, calculateDollarRiskReward, isMultiLeg } from './tradeLevels.js';
+import { getContractSpec } from './futuresContracts.js';
+import { formatLots } from './forexPairs.js';
+import { normalizeAccountSettings, loadAccountSettings, saveAccountSettings, parseTierText, formatTierText } from './accountSettings.js';
+import { calculatePositionSize, getPositionQuantity, getUnitMultiplier, getSizingWarnings, formatQuantity } from './positionSizing.js';
+import { calculateTradeCosts, isPerpetual } from './tradingCosts.js';
+import { calculateLiquidationPrice, isStopPastLiquidation, getLiquidationWarnings } from './liquidation.js';
 import {
-  MAX_SAVED_NOTES,
-  STORAGE_KEY,
   MAX_AUDIO_SIZE,
-  blobToBase64,
-  base64ToBlob,
+  NOTES_PAGE_SIZE,
   formatTimestamp,
   escapeHtml,
   formatNumber as formatSavedNoteNumber,
+  formatDollarRiskReward,
   formatNoteForClipboard,
+  formatNoteAsMarkdown,
+  formatNotesAsCsv,
   renderSavedNoteTrade,
-  loadSavedNotes,
-  saveSavedNotes,
-  canSaveNote,
+  renderSavedNoteTradeDetails,
   createNote,
   filterNotes,
+  paginateNotes,
 } from './savedNotes.js';
+import {
+  openNoteStore,
+  getAllNotes,
+  putNote,
+  putNotes,
+  deleteNote,
+  clearNotes,
+  migrateLegacyNotes,
+} from './noteStore.js';
 import { getNextDemo, resetDemoCycle } from './demoData.js';
+import { TIMEFRAME_OPTIONS, tradeToFormValues, applyTradeEdits } from './tradeEditor.js';
+import {
+  normalizeVocabulary,
+  mergeVocabulary,
+  loadVocabulary,
+  saveVocabulary,
+  serializeVocabulary,
+  parseVocabularyJson,
+  parseListText,
+  formatListText,
+  parseMappingText,
+  formatMappingText,
+} from './vocabulary.js';
+import { buildPositions, renderJournal } from './journal.js';
+import {
+  BACKUP_SCHEMA_VERSION,
+  createBackup,
+  parseBackup,
+  mergeBackupNotes,
+  applyBackupSettings,
+  formatRestoreReport,
+} from './backup.js';
+import { prepareImport, renderImportPreview } from './noteImport.js';
+import { computeAnalytics, renderAnalytics } from './analytics.js';
+import { createWhisperClient } from './whisperClient.js';
+import {
+  SAMPLE_RATE,
+  LIVE_UPDATE_INTERVAL_MS,
+  MIN_LIVE_AUDIO_SECONDS,
+  getLiveWindow,
+  splitLiveSegments,
+  joinTranscript,
+  countWhisperChunks,
+} from './liveTranscription.js';
+import { AUDIO_FILE_ACCEPT, createUploadQueue, renderUploadQueue } from './uploadQueue.js';
+import { renderHighlightedText } from './entityHighlight.js';
+import { getTradeWarnings, hasInconsistentLevels, renderTradeWarnings } from './tradeWarnings.js';
+import { enableChartDragging } from './interactiveChart.js';
+import { parseOhlcCsv, selectNoteCandles, withMarketPrice } from './ohlcData.js';
+import {
+  normalizeWordTimings,
+  wordsToText,
+  findWordIndexAtTime,
+  linkTradeFields,
+  renderTimedTranscript,
+  renderFieldLinks,
+} from './transcriptTiming.js';
+import {
+  calculateRms,
+  createVoiceActivityDetector,
+  findSpeechBounds,
+  loadAutoStopSetting,
+  saveAutoStopSetting,
+} from './voiceActivity.js';
 import { initTheme, setupThemeToggle } from './theme.js';
 
-// Disable local model loading (use Hugging Face CDN)
-env.allowLocalModels = false;
-
 // Initialize theme system
 initTheme();
 setupThemeToggle();
 
+// Merge the user's custom vocabulary into the trade extractor
+let customVocabulary = loadVocabulary();
+setCustomVocabulary(customVocabulary);
+
+// Account the trade card sizes positions against
+let accountSettings = loadAccountSettings();
+
 // Audio visualization constants
 const WAVEFORM_WIDTH = 200;
 const WAVEFORM_HEIGHT = 60;
@@ -59,49 +132,74 @@ const duration = document.getElementById('duration');
 const progressSection = document.getElementById('progressSection');
 const progressText = document.getElementById('progressText');
 const progressFill = document.getElementById('progressFill');
+const cancelTranscriptionBtn = document.getElementById('cancelTranscriptionBtn');
 const resultSection = document.getElementById('resultSection');
 const transcription = document.getElementById('transcription');
+const transcriptLinks = document.getElementById('transcriptLinks');
 const exportDropdown = document.getElementById('exportDropdown');
 const exportBtn = document.getElementById('exportBtn');
 const exportMenu = document.getElementById('exportMenu');
 const clearBtn = document.getElementById('clearBtn');
 const modelSelect = document.getElementById('modelSelect');
 const modelInfo = document.getElementById('modelInfo');
+const autoStopSelect = document.getElementById('autoStopSelect');
 const tradeCard = document.getElementById('tradeCard');
 const errorMsg = document.getElementById('errorMsg');
 const recordSection = document.querySelector('.record-section');
 const saveBtn = document.getElementById('saveBtn');
 const savedNotesSection = document.getElementById('savedNotesSection');
 const savedNotesList = document.getElementById('savedNotesList');
+const candlesFileInput = document.getElementById('candlesFileInput');
 const clearAllNotesBtn = document.getElementById('clearAllNotesBtn');
 const currentAudioPlayBtn = document.getElementById('currentAudioPlayBtn');
 const savedNotesSearch = document.getElementById('savedNotesSearch');
 const savedNotesSearchInput = document.getElementById('savedNotesSearchInput');
 const savedNotesSearchClear = document.getElementById('savedNotesSearchClear');
 
-// Note: MAX_SAVED_NOTES and STORAGE_KEY are imported from savedNotes.js
-
 // Load saved model preference
 const savedModel = localStorage.getItem('traders-voice-model');
 if (savedModel && modelSelect.querySelector(`option[value="${savedModel}"]`)) {
   modelSelect.value = savedModel;
 }
 
+// Load saved auto-stop preference
+const savedAutoStop = String(loadAutoStopSetting());
+if (autoStopSelect.querySelector(`option[value="${savedAutoStop}"]`)) {
+  autoStopSelect.value = savedAutoStop;
+}
+
 // Application State
 let mediaRecorder = null;
 let audioChunks = [];
 let recordingStartTime = null;
 let durationInterval = null;
-let transcriber = null;
+let loadedModel = null; // Model currently loaded in the Whisper worker
 let isProcessing = false;
 let currentModel = modelSelect.value;
 let currentTradeInfo = null;
+let currentExtractedTrade = null; // Raw extractor output before any manual edits
+let currentTradeFields = {}; // Extractor confidence per field of currentExtractedTrade
 let currentAudioBlob = null; // Store audio for replay
+let currentWords = null; // Word timings into currentAudioBlob, when transcribed with timestamps
 let currentlyPlayingAudio = null; // Track playing audio element
 let currentAudioURL = null; // Track blob URL to prevent memory leaks
+let currentPlayback = null; // { audio, transcriptEl, words, stopAt, activeIndex } for word highlighting
+let playbackFrame = null; // requestAnimationFrame id driving the highlight
 let tradeCardCollapsed = false; // Track collapsed state
+let tradeCardEditing = false; // Trade card shows the edit form
 let currentSearchQuery = ''; // Track current search query
 let searchDebounceTimer = null; // Debounce timer for search
+let notesDb = null; // IndexedDB handle for saved notes
+let savedNotes = []; // In-memory copy of saved notes, newest first
+let visibleNotesCount = NOTES_PAGE_SIZE; // Number of notes rendered in the list
+let liveSession = null; // Rolling-window transcription state while recording
+let liveInterval = null; // Timer driving live transcription updates
+let voiceDetector = null; // Silence detector for auto-stop while recording
+
+// Whisper runs in a Web Worker so inference doesn't block the UI
+const whisperClient = createWhisperClient(
+  () => new Worker(new URL('./whisperWorker.js', import.meta.url), { type: 'module' })
+);
 
 // Audio visualization state
 let audioContext = null;
@@ -166,6 +264,20 @@ function showError(msg) {
   setTimeout(() => errorMsg.classList.remove('visible'), 5000);
 }
 
+/**
+ * Download text content as a file
+ */
+function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Show toast notification
  */
@@ -210,6 +322,7 @@ function updateRightPanelContent() {
   if (!rightPanel) return;
 
   const hasContent = progressSection.classList.contains('visible') ||
+                     document.getElementById('uploadQueue')?.classList.contains('visible') ||
                      resultSection.classList.contains('visible') ||
                      tradeCard.classList.contains('visible');
 
@@ -238,6 +351,7 @@ function drawWaveform() {
   const bufferLength = analyser.frequencyBinCount;
   const dataArray = new Uint8Array(bufferLength);
   analyser.getByteTimeDomainData(dataArray);
+  checkVoiceActivity(dataArray);
 
   // Clear canvas
   waveformCtx.fillStyle = 'transparent';
@@ -274,6 +388,20 @@ function drawWaveform() {
   animationId = requestAnimationFrame(drawWaveform);
 }
 
+/**
+ * Auto-stop recording once the speaker has been silent long enough
+ */
+function checkVoiceActivity(samples) {
+  if (!voiceDetector) return;
+
+  const { shouldStop } = voiceDetector.update(calculateRms(samples), performance.now());
+  if (shouldStop) {
+    voiceDetector = null;
+    showToast('Recording stopped after silence');
+    stopRecording();
+  }
+}
+
 /**
  * Start waveform visualization
  */
@@ -350,9 +478,13 @@ function setState(state) {
 }
 
 /**
- * Resample audio to 16kHz mono (required by Whisper)
+ * Resample audio to 16kHz mono (required by Whisper).
+ * Leading and trailing silence is trimmed unless `trimSilence` is false;
+ * `offset` is the trimmed lead in seconds, so timestamps can be mapped back
+ * onto the original audio.
+ * @returns {Promise<{samples: Float32Array, offset: number}>}
  */
-async function resampleTo16kMono(blob) {
+async function resampleTo16kMono(blob, { trimSilence = true } = {}) {
   const arrayBuffer = await blob.arrayBuffer();
 
   // Check if we have valid audio data
@@ -365,8 +497,20 @@ async function resampleTo16kMono(blob) {
   try {
     const audioBuffer = await ctx.decodeAudioData(arrayBuffer.slice(0));
 
-    const targetSampleRate = 16000;
-    const numSamples = Math.ceil(audioBuffer.duration * targetSampleRate);
+    const targetSampleRate = SAMPLE_RATE;
+
+    // Trim silence so Whisper doesn't hallucinate text on quiet tails
+    let offset = 0;
+    let trimmedDuration = audioBuffer.duration;
+    if (trimSilence) {
+      const bounds = findSpeechBounds(audioBuffer.getChannelData(0), audioBuffer.sampleRate);
+      if (bounds) {
+        offset = bounds.start / audioBuffer.sampleRate;
+        trimmedDuration = (bounds.end - bounds.start) / audioBuffer.sampleRate;
+      }
+    }
+
+    const numSamples = Math.ceil(trimmedDuration * targetSampleRate);
 
     if (numSamples === 0) {
       throw new Error('Audio recording too short');
@@ -376,12 +520,12 @@ async function resampleTo16kMono(blob) {
     const source = offlineContext.createBufferSource();
     source.buffer = audioBuffer;
     source.connect(offlineContext.destination);
-    source.start();
+    source.start(0, offset, trimmedDuration);
 
     const resampled = await offlineContext.startRendering();
     await ctx.close();
 
-    return resampled.getChannelData(0);
+    return { samples: resampled.getChannelData(0), offset };
   } catch (err) {
     await ctx.close();
     console.error('Audio decode error:', err, 'Blob type:', blob.type, 'Size:', blob.size);
@@ -432,9 +576,9 @@ function showModelError(message) {
   if (!retryBtn) return;
 
   retryBtn.addEventListener('click', async () => {
-    transcriber = null;
+    loadedModel = null;
     try {
-      await getTranscriber();
+      await loadModel();
     } catch (err) {
       console.error('Retry failed:', err);
       showModelError('Failed to download model. Check your connection and try again.');
@@ -443,14 +587,48 @@ function showModelError(message) {
 }
 
 /**
- * Load or retrieve cached Whisper transcriber
+ * Handle model download progress events forwarded from the Whisper worker
+ */
+function handleModelProgress(progress) {
+  const file = progress.file || 'main';
+
+  if (progress.status === 'initiate') {
+    totalFiles++;
+    downloadProgress[file] = 0;
+    // If we see file initiation, we're downloading (not cached)
+    progressText.textContent = 'Downloading model...';
+  } else if (progress.status === 'progress') {
+    downloadProgress[file] = progress.progress || 0;
+    const aggregate = calculateAggregateProgress();
+    progressFill.style.width = `${aggregate}%`;
+    progressText.textContent = `Downloading model... ${Math.round(aggregate)}%`;
+  } else if (progress.status === 'done') {
+    completedFiles++;
+    delete downloadProgress[file];
+    const aggregate = calculateAggregateProgress();
+    progressFill.style.width = `${aggregate}%`;
+    if (aggregate < 100) {
+      progressText.textContent = `Downloading model... ${Math.round(aggregate)}%`;
+    } else {
+      progressText.textContent = 'Initializing...';
+    }
+  } else if (progress.status === 'ready') {
+    progressFill.style.width = '100%';
+    progressText.textContent = 'Ready · Cached for offline use';
+  }
+}
+
+whisperClient.onProgress(handleModelProgress);
+
+/**
+ * Load the selected Whisper model in the worker (cached after first load)
  */
-async function getTranscriber() {
+async function loadModel() {
   const selectedModel = modelSelect.value;
 
-  // Return cached if same model
-  if (transcriber && currentModel === selectedModel) {
-    return transcriber;
+  // Already loaded in the worker
+  if (loadedModel === selectedModel) {
+    return selectedModel;
   }
 
   currentModel = selectedModel;
@@ -458,46 +636,10 @@ async function getTranscriber() {
   progressText.textContent = 'Checking model cache...';
   progressFill.style.width = '0%';
 
-  let isDownloading = false;
-
   try {
-    transcriber = await pipeline('automatic-speech-recognition', selectedModel, {
-      dtype: 'q8',
-      device: 'wasm',
-      progress_callback: (progress) => {
-        const file = progress.file || 'main';
-
-        if (progress.status === 'initiate') {
-          totalFiles++;
-          downloadProgress[file] = 0;
-          // If we see file initiation, we're downloading (not cached)
-          if (!isDownloading) {
-            isDownloading = true;
-            progressText.textContent = 'Downloading model...';
-          }
-        } else if (progress.status === 'progress') {
-          downloadProgress[file] = progress.progress || 0;
-          const aggregate = calculateAggregateProgress();
-          progressFill.style.width = `${aggregate}%`;
-          progressText.textContent = `Downloading model... ${Math.round(aggregate)}%`;
-        } else if (progress.status === 'done') {
-          completedFiles++;
-          delete downloadProgress[file];
-          const aggregate = calculateAggregateProgress();
-          progressFill.style.width = `${aggregate}%`;
-          if (aggregate < 100) {
-            progressText.textContent = `Downloading model... ${Math.round(aggregate)}%`;
-          } else {
-            progressText.textContent = 'Initializing...';
-          }
-        } else if (progress.status === 'ready') {
-          progressFill.style.width = '100%';
-          progressText.textContent = 'Ready · Cached for offline use';
-        }
-      },
-    });
-
-    return transcriber;
+    await whisperClient.load(selectedModel);
+    loadedModel = selectedModel;
+    return selectedModel;
   } catch (err) {
     console.error('Model loading failed:', err);
     showModelError('Failed to download model. Check your connection and try again.');
@@ -506,38 +648,202 @@ async function getTranscriber() {
 }
 
 /**
- * Transcribe audio blob to text
+ * Cancel the transcription in progress
  */
-async function transcribe(audioBlob) {
-  isProcessing = true;
-  setState('processing');
+function cancelTranscription() {
+  if (whisperClient.cancel()) {
+    showToast('Transcription cancelled');
+  }
+}
+
+/**
+ * Show a transcript with its extracted trade fields highlighted. With word
+ * timings (and the audio they point into) the words can be clicked to seek,
+ * and trade fields link to where they were spoken.
+ */
+function showTranscript(text, words = null) {
+  currentWords = words;
+  const transcript = words ? wordsToText(words) : (text || '');
+  const { spans } = extractTradeDetails(transcript);
+  transcription.innerHTML = words
+    ? renderTimedTranscript(words, spans)
+    : renderHighlightedText(transcript, spans);
+  renderTranscriptLinks();
+}
+
+/**
+ * Render the "Spoken at" links for the current transcript
+ */
+function renderTranscriptLinks() {
+  transcriptLinks.innerHTML = currentWords
+    ? renderFieldLinks(linkTradeFields(currentWords, extractTradeInfo(wordsToText(currentWords))), currentWords)
+    : '';
+}
+
+/**
+ * Show live transcript text and update the trade card as fields are picked up
+ */
+function showLiveTranscript(text) {
+  if (!text) return;
+
+  showTranscript(text);
+  resultSection.classList.add('visible');
+
+  showTradeFromText(text);
+}
+
+/**
+ * Transcribe the newest rolling window of the recording in progress.
+ * Skipped while a previous window is still being decoded or the model is loading.
+ */
+async function runLiveTranscription() {
+  const session = liveSession;
+  if (!session || session.busy || loadedModel !== modelSelect.value || audioChunks.length === 0) return;
+
+  session.busy = true;
 
   try {
-    progressText.textContent = 'Loading model...';
-    progressFill.style.width = '0%';
+    const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
+    // Untrimmed, so window offsets stay stable as the recording grows
+    const { samples: audioData } = await resampleTo16kMono(audioBlob, { trimSilence: false });
+    const liveWindow = getLiveWindow(audioData.length, session.committedSamples, { chunkLength: WHISPER_CHUNK_LENGTH });
+
+    if (liveWindow.end - liveWindow.start < MIN_LIVE_AUDIO_SECONDS * SAMPLE_RATE) return;
+
+    const result = await whisperClient.transcribe(audioData.slice(liveWindow.start, liveWindow.end), {
+      model: loadedModel,
+      options: { return_timestamps: true },
+    });
+
+    // Recording stopped while this window was decoding
+    if (session !== liveSession) return;
+
+    const { committed, committedSeconds, tentative } = splitLiveSegments(result.chunks, {
+      chunkLength: WHISPER_CHUNK_LENGTH,
+      strideLength: WHISPER_STRIDE_LENGTH,
+      isFull: liveWindow.isFull,
+    });
+
+    session.committedText = joinTranscript(session.committedText, committed);
+    session.committedSamples = liveWindow.start + Math.round(committedSeconds * SAMPLE_RATE);
+
+    showLiveTranscript(joinTranscript(session.committedText, tentative));
+  } catch (err) {
+    // Partial recordings can fail to decode; the final pass on stop covers the full audio
+    if (err.name !== 'AbortError') {
+      console.warn('Live transcription update skipped:', err);
+    }
+  } finally {
+    session.busy = false;
+  }
+}
+
+/**
+ * Start live transcription for a new recording
+ */
+function startLiveTranscription() {
+  liveSession = { committedText: '', committedSamples: 0, busy: false };
+  liveInterval = setInterval(runLiveTranscription, LIVE_UPDATE_INTERVAL_MS);
 
-    const pipe = await getTranscriber();
+  // Load the model in the background so live updates can start while recording
+  loadModel().catch(() => {});
+}
 
-    progressText.textContent = 'Resampling audio...';
-    progressFill.style.width = '33%';
+/**
+ * Stop live transcription and drop any window still being decoded
+ */
+function stopLiveTranscription() {
+  clearInterval(liveInterval);
+  liveInterval = null;
 
-    const audioData = await resampleTo16kMono(audioBlob);
+  if (liveSession?.busy) {
+    whisperClient.cancel();
+  }
+  liveSession = null;
+}
 
-    progressText.textContent = 'Transcribing...';
-    progressFill.style.width = '66%';
+/**
+ * Load the model, resample a blob and transcribe it with word timestamps.
+ * Progress is reported as a percentage with a stage label; with a signal,
+ * an abort before inference starts skips the remaining steps.
+ * @returns {Promise<{text: string, words: Array|null}>} - Transcript (empty if no speech was found) and word timings
+ */
+async function runWhisper(audioBlob, { onProgress = () => {}, onPartial, signal } = {}) {
+  onProgress(0, 'Loading model...');
+  const model = await loadModel();
+  signal?.throwIfAborted();
+
+  onProgress(33, 'Resampling audio...');
+  const { samples, offset } = await resampleTo16kMono(audioBlob);
+  signal?.throwIfAborted();
+
+  // Long files are decoded in several windows; each finished one advances the bar
+  const totalChunks = countWhisperChunks(samples.length, {
+    chunkLength: WHISPER_CHUNK_LENGTH,
+    strideLength: WHISPER_STRIDE_LENGTH,
+  });
+  onProgress(66, 'Transcribing...');
 
-    const result = await pipe(audioData, {
-      return_timestamps: false,
+  const run = (timestamps, audio) => whisperClient.transcribe(audio, {
+    model,
+    options: {
+      return_timestamps: timestamps,
       chunk_length_s: WHISPER_CHUNK_LENGTH,
       stride_length_s: WHISPER_STRIDE_LENGTH,
+    },
+    onPartial,
+    onChunk: (completed) => {
+      if (totalChunks < 2) return;
+      const done = Math.min(completed, totalChunks);
+      onProgress(66 + (34 * done) / totalChunks, `Transcribing... ${done}/${totalChunks}`);
+    },
+  });
+
+  let result;
+  try {
+    // Transcribe a copy, since the buffer is transferred and a retry needs the samples
+    result = await run('word', samples.slice());
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    // Models without alignment heads can't produce word timestamps; use segments
+    console.warn('Word timestamps unavailable, falling back to segments:', err);
+    result = await run(true, samples);
+  }
+
+  const words = normalizeWordTimings(result.chunks, { offset });
+  if (words.length === 0) {
+    return { text: result.text?.trim() || '', words: null };
+  }
+  return { text: wordsToText(words), words };
+}
+
+/**
+ * Transcribe audio blob to text.
+ * When live text is already showing, it stays in place until the final text replaces it.
+ */
+async function transcribe(audioBlob, { hasLiveText = false } = {}) {
+  isProcessing = true;
+  setState('processing');
+
+  try {
+    const { text, words } = await runWhisper(audioBlob, {
+      onProgress: (progress, stage) => {
+        progressText.textContent = stage;
+        progressFill.style.width = `${progress}%`;
+        cancelTranscriptionBtn.style.display = progress >= 66 ? 'inline-block' : 'none';
+      },
+      onPartial: (partialText) => {
+        if (hasLiveText) return;
+        showTranscript(partialText);
+        resultSection.classList.add('visible');
+      },
     });
 
     progressFill.style.width = '100%';
     progressText.textContent = 'Done!';
 
-    const text = result.text?.trim() || '';
     if (text) {
-      transcription.textContent = text;
+      showTranscript(text, words);
       resultSection.classList.add('visible');
 
       // Show audio play button if audio is available
@@ -547,18 +853,25 @@ async function transcribe(audioBlob) {
 
       // Extract and display trade info (reset to expanded state)
       tradeCardCollapsed = false;
-      const tradeInfo = extractTradeInfo(text);
-      currentTradeInfo = tradeInfo;
-      renderTradeCard(tradeInfo);
+      showTradeFromText(text);
     } else {
       showError('No speech detected. Try speaking louder or longer.');
-      currentTradeInfo = null;
-      renderTradeCard(null);
+      showTranscript('');
+      resultSection.classList.remove('visible');
+      showExtractedTrade(null);
     }
   } catch (err) {
-    console.error('Transcription error:', err);
-    showError(`Transcription failed: ${err.message}`);
+    if (err.name === 'AbortError') {
+      // Discard partial text from the cancelled run
+      showTranscript('');
+      resultSection.classList.remove('visible');
+      showExtractedTrade(null);
+    } else {
+      console.error('Transcription error:', err);
+      showError(`Transcription failed: ${err.message}`);
+    }
   } finally {
+    cancelTranscriptionBtn.style.display = 'none';
     isProcessing = false;
     setState('idle');
   }
@@ -568,6 +881,12 @@ async function transcribe(audioBlob) {
  * Start recording from microphone
  */
 async function startRecording() {
+  // Uploaded files share the Whisper worker
+  if (uploadQueue.isRunning()) {
+    showToast('Wait for the uploaded files to finish transcribing');
+    return;
+  }
+
   // Check SharedArrayBuffer before recording - required for Whisper transcription
   if (typeof SharedArrayBuffer === 'undefined') {
     showError('Voice recording requires browser security features. Try Chrome, or reload the page.');
@@ -597,6 +916,9 @@ async function startRecording() {
     mediaRecorder = new MediaRecorder(stream, recorderOptions);
 
     audioChunks = [];
+    showTranscript('');
+    resultSection.classList.remove('visible');
+    showExtractedTrade(null);
 
     mediaRecorder.ondataavailable = (e) => {
       if (e.data.size > 0) {
@@ -606,15 +928,24 @@ async function startRecording() {
 
     mediaRecorder.onstop = async () => {
       stream.getTracks().forEach((track) => track.stop());
+      stopLiveTranscription();
 
       if (audioChunks.length > 0) {
         const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
-        currentAudioBlob = audioBlob; // Store for replay
-        await transcribe(audioBlob);
+        // Stored whole for replay and saving: silence is only trimmed from what Whisper hears
+        currentAudioBlob = audioBlob;
+
+        // Final pass over the whole recording reconciles the live text
+        await transcribe(audioBlob, { hasLiveText: transcription.textContent !== '' });
       }
+
+      // Uploads queued during the recording can start now
+      uploadQueue.resume();
     };
 
     mediaRecorder.start(100);
+    startLiveTranscription();
+    voiceDetector = createVoiceActivityDetector({ silenceMs: Number(autoStopSelect.value) });
     recordingStartTime = Date.now();
 
     durationInterval = setInterval(() => {
@@ -633,6 +964,8 @@ async function startRecording() {
  * Stop current recording
  */
 function stopRecording() {
+  voiceDetector = null;
+
   if (mediaRecorder && mediaRecorder.state === 'recording') {
     mediaRecorder.stop();
     clearInterval(durationInterval);
@@ -663,91 +996,20 @@ function exportAsPlainText() {
  * Format trade data as Markdown
  */
 function exportAsMarkdown() {
-  const text = transcription.textContent;
-  const trade = currentTradeInfo;
-  const timestamp = new Date().toISOString();
-
-  let markdown = '# Trade Note\n';
-  markdown += `**Date:** ${new Date().toLocaleString()}\n\n`;
-
-  markdown += '## Transcript\n';
-  markdown += `${text}\n\n`;
-
-  if (trade) {
-    markdown += '## Trade Details\n';
-
-    if (trade.action || trade.tradeType) {
-      const action = trade.tradeType || trade.action || '';
-      markdown += `- **Action:** ${action.charAt(0).toUpperCase() + action.slice(1)}\n`;
-    }
-
-    if (trade.ticker) {
-      markdown += `- **Ticker:** ${trade.ticker}\n`;
-    }
-
-    if (trade.exchange) {
-      markdown += `- **Exchange:** ${trade.exchange}\n`;
-    }
-
-    if (trade.price) {
-      markdown += `- **Entry:** $${formatSavedNoteNumber(trade.price)}\n`;
-    }
-
-    if (trade.stopLoss) {
-      markdown += `- **Stop Loss:** $${formatSavedNoteNumber(trade.stopLoss)}\n`;
-    }
-
-    if (trade.takeProfit) {
-      markdown += `- **Take Profit:** $${formatSavedNoteNumber(trade.takeProfit)}\n`;
-    }
-
-    // Calculate R:R ratio
-    const rrRatio = calculateRiskReward(trade.price, trade.stopLoss, trade.takeProfit, trade.action);
-    if (rrRatio !== null && rrRatio !== 0) {
-      markdown += `- **R:R:** 1:${rrRatio.toFixed(2)}\n`;
-    }
-
-    if (trade.timeframe) {
-      markdown += `- **Timeframe:** ${trade.timeframe}\n`;
-    }
-
-    if (trade.positionSize) {
-      markdown += `- **Position Size:** $${formatSavedNoteNumber(trade.positionSize)}\n`;
-    }
-
-    if (trade.quantity) {
-      markdown += `- **Quantity:** ${formatSavedNoteNumber(trade.quantity)}\n`;
-    }
-
-    if (trade.leverage) {
-      markdown += `- **Leverage:** ${trade.leverage}x\n`;
-    }
-
-    if (trade.indicators && trade.indicators.length > 0) {
-      markdown += `- **Indicators:** ${trade.indicators.join(', ')}\n`;
-    }
-
-    if (trade.rationale) {
-      markdown += `\n## Rationale\n${trade.rationale}\n`;
-    }
-  }
-
-  return markdown;
+  return formatNoteAsMarkdown(transcription.textContent, currentTradeInfo);
 }
 
 /**
- * Format trade data as JSON
+ * Format the current note as JSON, in the backup schema so it can be restored
  */
 function exportAsJSON() {
-  const text = transcription.textContent;
-  const trade = currentTradeInfo;
+  const note = createNote({ text: transcription.textContent, trade: currentTradeInfo || null });
 
   const data = {
-    schema_version: '1.0',
-    timestamp: new Date().toISOString(),
-    transcript: text,
-    trade: trade || null,
-    model: currentModel
+    schema_version: BACKUP_SCHEMA_VERSION,
+    exported_at: new Date(note.timestamp).toISOString(),
+    settings: { model: currentModel, theme: null },
+    notes: [note],
   };
 
   return JSON.stringify(data, null, 2);
@@ -809,9 +1071,9 @@ exportMenu.addEventListener('click', async (e) => {
 });
 
 clearBtn.addEventListener('click', () => {
-  transcription.textContent = '';
+  showTranscript('');
   resultSection.classList.remove('visible');
-  renderTradeCard(null);
+  showExtractedTrade(null);
   resetDemoCycle();
 
   // Clean up current audio
@@ -837,17 +1099,30 @@ if (currentAudioPlayBtn) {
   });
 }
 
+// Click a word to seek the recording there
+transcription.addEventListener('click', (e) => {
+  const word = e.target.closest('.transcript-word');
+  if (!word || !currentAudioBlob) return;
+  seekTranscript(transcription, Number(word.dataset.start), playCurrentAudio);
+});
+
+// Play the span of audio where a trade field was spoken
+transcriptLinks.addEventListener('click', (e) => {
+  const link = e.target.closest('.transcript-link');
+  if (!link || !currentAudioBlob) return;
+  playCurrentAudio({ startAt: Number(link.dataset.start), stopAt: Number(link.dataset.end) });
+});
+
 // Try Demo button handler
 const tryDemoBtn = document.getElementById('tryDemoBtn');
 if (tryDemoBtn) {
   tryDemoBtn.addEventListener('click', () => {
     const demo = getNextDemo();
 
-    transcription.textContent = demo.transcript;
+    showTranscript(demo.transcript);
     resultSection.classList.add('visible');
 
-    currentTradeInfo = demo.trade;
-    renderTradeCard(demo.trade);
+    showExtractedTrade(demo.trade);
 
     // Scroll to results on mobile
     resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
@@ -862,9 +1137,17 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
-// Clear cached transcriber when model changes
+// Cancel transcription from the progress section
+cancelTranscriptionBtn.addEventListener('click', cancelTranscription);
+
+// Persist auto-stop preference
+autoStopSelect.addEventListener('change', () => {
+  saveAutoStopSetting(Number(autoStopSelect.value));
+});
+
+// Load the newly selected model on next transcription
 modelSelect.addEventListener('change', () => {
-  transcriber = null;
+  loadedModel = null;
   localStorage.setItem('traders-voice-model', modelSelect.value);
   updateModelInfo();
 });
@@ -897,11 +1180,12 @@ function buildTradeCardHeader(trade, collapsed) {
 
   const metaBadges = [trade.exchange, trade.timeframe]
     .filter(Boolean)
-    .map(value => `<span class="trade-card-badge">${value}</span>`)
+    .map(value => `<span class="trade-card-badge">${escapeHtml(value)}</span>`)
     .join('');
 
-  const tickerHtml = trade.ticker
-    ? `<div class="trade-card-ticker copyable-value" data-copy="${trade.ticker}">${trade.ticker}</div>`
+  const ticker = trade.ticker ? escapeHtml(trade.ticker) : '';
+  const tickerHtml = ticker
+    ? `<div class="trade-card-ticker copyable-value" data-copy="${ticker}">${ticker}</div>`
     : '<div class="trade-card-ticker">Trade</div>';
 
   return `
@@ -912,27 +1196,40 @@ function buildTradeCardHeader(trade, collapsed) {
       </div>
       <div class="trade-card-header-actions">
         ${directionText ? `<div class="trade-card-direction ${directionClass}">${directionText}</div>` : ''}
+        <button class="trade-card-edit-btn" title="Edit trade" aria-label="Edit trade">✎</button>
         <button class="trade-card-collapse-btn" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▶' : '▼'}</button>
       </div>
     </div>`;
 }
 
 /**
- * Build price levels section HTML (entry, stop loss, take profit, R:R)
+ * Build price levels section HTML (entries, stop loss, take profit targets, R:R)
  */
 function buildPriceLevelsSection(trade) {
   let pricesHtml = '';
 
-  if (trade.price) {
+  const entries = getEntryLevels(trade);
+  const entryPrice = averagePrice(entries);
+
+  entries.forEach((entry, i) => {
+    const label = entries.length > 1 ? `Entry ${i + 1}` : (trade.option ? `Premium · ${trade.option.premiumType}` : 'Entry');
+    pricesHtml += `
+      <div class="trade-price-item entry">
+        <span class="trade-price-label">${label}</span>
+        <span class="trade-price-value copyable-value" data-copy="${entry.price}">$${formatSavedNoteNumber(entry.price)}</span>
+      </div>`;
+  });
+
+  if (entries.length > 1) {
     pricesHtml += `
       <div class="trade-price-item entry">
-        <span class="trade-price-label">Entry</span>
-        <span class="trade-price-value copyable-value" data-copy="${trade.price}">$${formatSavedNoteNumber(trade.price)}</span>
+        <span class="trade-price-label">Avg Entry</span>
+        <span class="trade-price-value copyable-value" data-copy="${entryPrice}">$${formatSavedNoteNumber(entryPrice)}</span>
       </div>`;
   }
 
   if (trade.stopLoss) {
-    const slChange = calculatePercentChange(trade.price, trade.stopLoss);
+    const slChange = calculatePercentChange(entryPrice, trade.stopLoss);
     pricesHtml += `
       <div class="trade-price-item stop-loss">
         <span class="trade-price-label">Stop Loss</span>
@@ -941,26 +1238,39 @@ function buildPriceLevelsSection(trade) {
       </div>`;
   }
 
-  if (trade.takeProfit) {
-    const tpChange = calculatePercentChange(trade.price, trade.takeProfit);
+  const targets = getTargetLevels(trade);
+  targets.forEach((target, i) => {
+    const tpChange = calculatePercentChange(entryPrice, target.price);
+    const label = targets.length > 1 ? `TP${i + 1}` : 'Take Profit';
+    const allocation = target.allocation !== undefined ? ` · ${target.allocation}%` : '';
     pricesHtml += `
       <div class="trade-price-item take-profit">
-        <span class="trade-price-label">Take Profit</span>
-        <span class="trade-price-value copyable-value" data-copy="${trade.takeProfit}">$${formatSavedNoteNumber(trade.takeProfit)}</span>
+        <span class="trade-price-label">${label}${allocation}</span>
+        <span class="trade-price-value copyable-value" data-copy="${target.price}">$${formatSavedNoteNumber(target.price)}</span>
         ${tpChange !== null ? `<span class="trade-price-change positive">${formatPercent(tpChange)}</span>` : ''}
       </div>`;
-  }
+  });
 
-  // Calculate and display R:R ratio
-  const rrRatio = calculateRiskReward(trade.price, trade.stopLoss, trade.takeProfit, trade.action);
+  // Calculate and display R:R ratio (blended for multi-leg trades)
+  const rrRatio = calculateBlendedRiskReward(trade);
   if (rrRatio !== null && rrRatio !== 0) {
     pricesHtml += `
       <div class="trade-price-item">
-        <span class="trade-price-label">R:R Ratio</span>
+        <span class="trade-price-label">${isMultiLeg(trade) ? 'Blended R:R' : 'R:R Ratio'}</span>
         <span class="trade-price-value copyable-value" data-copy="${rrRatio.toFixed(2)}">1:${rrRatio.toFixed(2)}</span>
       </div>`;
   }
 
+  // Futures: what the stop and targets are worth in dollars
+  const dollars = calculateDollarRiskReward(trade);
+  if (dollars) {
+    pricesHtml += `
+      <div class="trade-price-item">
+        <span class="trade-price-label">Risk / Reward</span>
+        <span class="trade-price-value">${formatDollarRiskReward(dollars)}</span>
+      </div>`;
+  }
+
   return pricesHtml ? `<div class="trade-card-prices">${pricesHtml}</div>` : '';
 }
 
@@ -978,12 +1288,30 @@ function buildPositionDetailsSection(trade) {
       </div>`;
   }
 
+  const spec = getContractSpec(trade);
+  if (spec) {
+    positionHtml += `
+      <div class="trade-position-item">
+        <span class="trade-position-label">Contract</span>
+        <span class="trade-position-value copyable-value" data-copy="${trade.futures.contract || trade.futures.root}" title="${escapeHtml(spec.name)}">${trade.futures.contract || trade.futures.root} · $${spec.multiplier.toLocaleString('en-US')}/pt</span>
+      </div>`;
+  }
+
+  if (trade.forex?.lots) {
+    positionHtml += `
+      <div class="trade-position-item">
+        <span class="trade-position-label">Lots</span>
+        <span class="trade-position-value copyable-value" data-copy="${trade.forex.lots}">${formatLots(trade.forex)}</span>
+      </div>`;
+  }
+
   if (trade.quantity) {
-    const ticker = trade.ticker ? trade.ticker.split('/')[0] : '';
+    const contracts = trade.option || trade.futures;
+    const unit = contracts || trade.forex ? '' : (trade.ticker ? trade.ticker.split('/')[0] : '');
     positionHtml += `
       <div class="trade-position-item">
-        <span class="trade-position-label">Quantity</span>
-        <span class="trade-position-value copyable-value" data-copy="${trade.quantity}">${formatSavedNoteNumber(trade.quantity)} ${ticker}</span>
+        <span class="trade-position-label">${contracts ? 'Contracts' : (trade.forex ? 'Units' : 'Quantity')}</span>
+        <span class="trade-position-value copyable-value" data-copy="${trade.quantity}">${formatSavedNoteNumber(trade.quantity)} ${unit}</span>
       </div>`;
   }
 
@@ -995,9 +1323,136 @@ function buildPositionDetailsSection(trade) {
       </div>`;
   }
 
+  const liquidation = getCardLiquidation(trade);
+  if (liquidation) {
+    const change = calculatePercentChange(averagePrice(getEntryLevels(trade)), liquidation.price);
+    const danger = isStopPastLiquidation(trade, liquidation) ? ' trade-liquidation-danger' : '';
+    positionHtml += `
+      <div class="trade-position-item">
+        <span class="trade-position-label">Liquidation · ${liquidation.rate}% MM</span>
+        <span class="trade-position-value copyable-value${danger}" data-copy="${liquidation.price.toFixed(5)}">$${formatComputedPrice(liquidation.price)} <small>${formatPercent(change)}</small></span>
+      </div>`;
+  }
+
   return positionHtml ? `<div class="trade-card-position">${positionHtml}</div>` : '';
 }
 
+/**
+ * Build position sizing section HTML (recommended quantity, notional, margin and risk for the account)
+ */
+function buildSizingSection(trade) {
+  const sizing = calculatePositionSize(trade, accountSettings);
+  if (!sizing) return '';
+
+  const contracts = trade.option || trade.futures;
+  const unit = contracts ? (sizing.quantity === 1 ? 'contract' : 'contracts') : (trade.forex ? 'units' : (trade.ticker ? trade.ticker.split('/')[0] : ''));
+  const riskPercent = sizing.risk / accountSettings.equity * 100;
+  const cappedNote = sizing.capped ? ` title="Limited by your ${accountSettings.maxLeverage}x max leverage"` : '';
+
+  return `
+    <div class="trade-card-sizing">
+      <div class="trade-sizing-title">Suggested size · ${accountSettings.riskPercent}% risk</div>
+      <div class="trade-card-position">
+        <div class="trade-position-item">
+          <span class="trade-position-label">Quantity${sizing.capped ? ' · capped' : ''}</span>
+          <span class="trade-position-value copyable-value" data-copy="${sizing.quantity}"${cappedNote}>${formatQuantity(sizing.quantity)} ${unit}</span>
+        </div>
+        <div class="trade-position-item">
+          <span class="trade-position-label">Notional</span>
+          <span class="trade-position-value copyable-value" data-copy="${sizing.notional.toFixed(2)}">$${formatSavedNoteNumber(Math.round(sizing.notional * 100) / 100)}</span>
+        </div>
+        <div class="trade-position-item">
+          <span class="trade-position-label">Margin · ${Number(sizing.leverage.toFixed(1))}x</span>
+          <span class="trade-position-value copyable-value" data-copy="${sizing.margin.toFixed(2)}">$${formatSavedNoteNumber(Math.round(sizing.margin * 100) / 100)}</span>
+        </div>
+        <div class="trade-position-item">
+          <span class="trade-position-label">Risk at Stop</span>
+          <span class="trade-position-value copyable-value" data-copy="${sizing.risk.toFixed(2)}">$${formatSavedNoteNumber(Math.round(sizing.risk * 100) / 100)} · ${riskPercent.toFixed(2)}%</span>
+        </div>
+      </div>
+    </div>`;
+}
+
+/**
+ * Trading costs for a trade on the card, with P&L priced at the spoken or suggested size
+ */
+function getCardTradeCosts(trade) {
+  return calculateTradeCosts(trade, accountSettings, getPositionQuantity(trade, accountSettings), getUnitMultiplier(trade));
+}
+
+/**
+ * Liquidation price for a leveraged trade on the card, at the spoken or suggested size
+ */
+function getCardLiquidation(trade) {
+  return calculateLiquidationPrice(trade, accountSettings, getPositionQuantity(trade, accountSettings), getUnitMultiplier(trade));
+}
+
+/**
+ * Build trading costs section HTML (net R:R, breakeven, net P&L at the stop and targets)
+ */
+function buildCostsSection(trade) {
+  const costs = getCardTradeCosts(trade);
+  if (!costs) return '';
+
+  const { maker, taker, exchange } = costs.fees;
+  const feeText = exchange
+    ? `${escapeHtml(trade.exchange)} ${maker}% / ${taker}%`
+    : `${taker}% fees`;
+  const item = (label, value, className = '') => `
+        <div class="trade-position-item">
+          <span class="trade-position-label">${label}</span>
+          <span class="trade-position-value ${className}">${value}</span>
+        </div>`;
+  const pnlClass = (exit) => (exit.net < 0 ? 'trade-cost-loss' : 'trade-cost-gain');
+
+  let itemsHtml = item('Net R:R', `1:${costs.netRiskReward.toFixed(2)}`);
+  itemsHtml += item('Breakeven', `$${formatComputedPrice(costs.breakeven)}`);
+  itemsHtml += item('Net at Stop', formatNetPnl(costs.stop), pnlClass(costs.stop));
+  costs.targets.forEach((target, i) => {
+    itemsHtml += item(`Net at ${costs.targets.length > 1 ? `TP${i + 1}` : 'Target'}`, formatNetPnl(target), pnlClass(target));
+  });
+  if (isPerpetual(trade) && costs.funding !== 0) {
+    const funding = costs.quantity
+      ? formatDollarChange(-costs.funding * costs.quantity)
+      : `${costs.funding > 0 ? '-' : '+'}${Math.abs(costs.funding / averagePrice(getEntryLevels(trade)) * 100).toFixed(3)}%`;
+    itemsHtml += item(`Funding · ${accountSettings.holdingHours}h`, funding, costs.funding > 0 ? 'trade-cost-loss' : 'trade-cost-gain');
+  }
+
+  return `
+    <div class="trade-card-costs">
+      <div class="trade-sizing-title">After costs · ${feeText} · ${costs.slippage}% slippage</div>
+      <div class="trade-card-position">${itemsHtml}
+      </div>
+    </div>`;
+}
+
+/**
+ * Build options section HTML (structure, legs, expiry)
+ */
+function buildOptionsSection(trade) {
+  if (!trade.option) return '';
+
+  const { expiry, legs } = trade.option;
+  let expiryHtml = '';
+  if (expiry) {
+    const dte = daysToExpiry(expiry);
+    expiryHtml = `<span class="trade-option-expiry">${formatExpiry(expiry)}${dte >= 0 ? ` · ${dte} DTE` : ' · expired'}</span>`;
+  }
+
+  const legsHtml = legs
+    .map(leg => `<li class="trade-option-leg ${leg.side}">${formatOptionLeg(leg)}</li>`)
+    .join('');
+
+  return `
+    <div class="trade-card-option">
+      <div class="trade-option-header">
+        <span class="trade-option-strategy">${describeOption(trade.option)}</span>
+        ${expiryHtml}
+      </div>
+      ${legsHtml ? `<ul class="trade-option-legs">${legsHtml}</ul>` : ''}
+    </div>`;
+}
+
 /**
  * Build indicators section HTML
  */
@@ -1007,7 +1462,7 @@ function buildIndicatorsSection(trade) {
   }
 
   const indicatorBadges = trade.indicators
-    .map(ind => `<span class="trade-indicator-badge">${ind}</span>`)
+    .map(ind => `<span class="trade-indicator-badge">${escapeHtml(ind)}</span>`)
     .join('');
 
   return `
@@ -1018,65 +1473,224 @@ function buildIndicatorsSection(trade) {
 }
 
 /**
- * Build price chart section HTML
+ * Build price chart section HTML; the trade card's chart has draggable levels
  */
-function buildChartSection(trade) {
-  if (!trade.price || !trade.stopLoss || !trade.takeProfit || !trade.action) {
+function buildChartSection(trade, { interactive = false } = {}) {
+  if (getEntryLevels(trade).length === 0 || !trade.stopLoss || getTargetLevels(trade).length === 0 || !trade.action) {
+    return '';
+  }
+  // Levels on the wrong side of entry would draw a nonsense chart; the warnings explain instead
+  if (hasInconsistentLevels(trade)) {
     return '';
   }
 
-  const chartSvg = createPriceLevelChart(trade);
+  const chartSvg = renderCardChart(trade, { interactive });
   return chartSvg ? `<div class="price-chart-container">${chartSvg}</div>` : '';
 }
 
 /**
- * Render trade card with extracted info
+ * Chart SVG for the trade card, with its costs and liquidation price
  */
-function renderTradeCard(trade) {
-  if (!trade) {
-    tradeCard.classList.remove('visible');
-    tradeCard.innerHTML = '';
-    updateRightPanelContent();
-    return;
-  }
+function renderCardChart(trade, { interactive = false, range = null } = {}) {
+  return createPriceLevelChart(trade, {
+    costs: getCardTradeCosts(trade),
+    liquidation: getCardLiquidation(trade)?.price,
+    interactive,
+    range,
+  });
+}
 
-  // Build each section using helper functions
-  const headerHtml = buildTradeCardHeader(trade, tradeCardCollapsed);
-  const pricesHtml = buildPriceLevelsSection(trade);
-  const positionHtml = buildPositionDetailsSection(trade);
-  const indicatorsHtml = buildIndicatorsSection(trade);
-  const chartHtml = buildChartSection(trade);
+/**
+ * Build R:R and chart preview shown under the edit form
+ */
+function buildTradeEditPreview(trade) {
+  const rrRatio = calculateBlendedRiskReward(trade);
+  const rrHtml = rrRatio
+    ? `<div class="trade-edit-rr">${isMultiLeg(trade) ? 'Blended R:R' : 'R:R'} 1:${rrRatio.toFixed(2)}</div>`
+    : '';
+  return `${rrHtml}${buildChartSection(trade)}`;
+}
 
-  // Assemble the complete trade card
-  tradeCard.innerHTML = `
-    <div class="trade-card-content ${tradeCardCollapsed ? 'trade-card-collapsed' : ''}">
-      ${headerHtml}
-      <div class="trade-card-body">
-        ${pricesHtml}
-        ${positionHtml}
-        ${indicatorsHtml}
-        ${chartHtml}
-        <div class="trade-summary">${generateTradeSummary(trade)}</div>
-      </div>
-    </div>
-  `;
+/**
+ * Build the inline edit form for correcting extracted fields
+ */
+function buildTradeEditForm(trade) {
+  const values = tradeToFormValues(trade);
+  const attr = (value) => escapeHtml(value).replace(/"/g, '&quot;');
+
+  const input = (field, label, placeholder = '') => `
+    <label class="trade-edit-field">
+      <span class="trade-edit-label">${label}</span>
+      <input class="trade-edit-input" name="${field}" value="${attr(values[field])}" placeholder="${placeholder}" autocomplete="off">
+      <span class="trade-edit-error" data-error-for="${field}"></span>
+    </label>`;
+
+  const timeframeOptions = ['', ...TIMEFRAME_OPTIONS]
+    .map(tf => `<option value="${tf}" ${tf === values.timeframe ? 'selected' : ''}>${tf || '—'}</option>`)
+    .join('');
+  const customTimeframe = values.timeframe && !TIMEFRAME_OPTIONS.includes(values.timeframe)
+    ? `<option value="${attr(values.timeframe)}" selected>${escapeHtml(values.timeframe)}</option>`
+    : '';
 
-  tradeCard.classList.add('visible');
-  updateRightPanelContent();
+  return `
+    <form class="trade-edit-form" novalidate>
+      <div class="trade-edit-grid">
+        ${input('ticker', 'Ticker', 'BTC')}
+        <label class="trade-edit-field">
+          <span class="trade-edit-label">Side</span>
+          <select class="trade-edit-input" name="action">
+            <option value="" ${!values.action ? 'selected' : ''}>—</option>
+            <option value="buy" ${values.action === 'buy' ? 'selected' : ''}>Long</option>
+            <option value="sell" ${values.action === 'sell' ? 'selected' : ''}>Short</option>
+          </select>
+          <span class="trade-edit-error" data-error-for="action"></span>
+        </label>
+        ${input('entry', 'Entry', '95000, 94000')}
+        ${input('stopLoss', 'Stop Loss', '92000')}
+        ${input('takeProfit', 'Take Profit', '105000 @ 50%, 110000')}
+        ${input('positionSize', 'Size ($)', '10000')}
+        ${input('quantity', 'Quantity', '0.5')}
+        ${input('leverage', 'Leverage', '10')}
+        <label class="trade-edit-field">
+          <span class="trade-edit-label">Timeframe</span>
+          <select class="trade-edit-input" name="timeframe">${timeframeOptions}${customTimeframe}</select>
+          <span class="trade-edit-error" data-error-for="timeframe"></span>
+        </label>
+        ${input('indicators', 'Indicators', 'RSI, MACD')}
+      </div>
+      <div class="trade-edit-preview">${buildTradeEditPreview(trade)}</div>
+      <div class="trade-edit-actions">
+        <button type="button" class="btn btn-secondary trade-edit-cancel">Cancel</button>
+        <button type="submit" class="btn btn-primary trade-edit-save">Apply</button>
+      </div>
+    </form>`;
 }
 
 /**
- * Handle clicks on copyable values and collapse button in trade cards
+ * Read the edit form and validate it against the current trade
  */
-tradeCard.addEventListener('click', async (e) => {
-  // Handle collapse button
-  if (e.target.classList.contains('trade-card-collapse-btn')) {
+function readTradeEditForm(form) {
+  const values = Object.fromEntries(new FormData(form).entries());
+  const result = applyTradeEdits(currentTradeInfo, values);
+
+  form.querySelectorAll('.trade-edit-error').forEach((el) => {
+    el.textContent = result.errors[el.dataset.errorFor] || '';
+  });
+  form.querySelectorAll('.trade-edit-input').forEach((el) => {
+    el.classList.toggle('invalid', Boolean(result.errors[el.name]));
+  });
+
+  return result;
+}
+
+/**
+ * Show a freshly extracted trade, discarding any in-progress edits
+ * @param {Object|null} trade - Extracted trade
+ * @param {Object} [fields] - Extractor confidence per field, shown as warnings until the trade is edited
+ */
+function showExtractedTrade(trade, fields = {}) {
+  currentTradeInfo = trade;
+  currentExtractedTrade = trade;
+  currentTradeFields = fields;
+  tradeCardEditing = false;
+  renderTradeCard(trade);
+}
+
+/**
+ * Extract a trade from a transcript and show it
+ */
+function showTradeFromText(text) {
+  const { trade, fields } = extractTradeDetails(text);
+  showExtractedTrade(trade, fields);
+}
+
+/**
+ * Build the card sections that follow the trade's levels: warnings, prices,
+ * position, sizing, costs and indicators
+ */
+function buildTradeCardValues(trade) {
+  const warningsHtml = renderTradeWarnings([
+    ...getLiquidationWarnings(trade, getCardLiquidation(trade)),
+    ...getTradeWarnings(trade, trade === currentExtractedTrade ? currentTradeFields : {}),
+    ...getSizingWarnings(trade, accountSettings),
+  ]);
+
+  return `
+        ${warningsHtml}
+        ${buildOptionsSection(trade)}
+        ${buildPriceLevelsSection(trade)}
+        ${buildPositionDetailsSection(trade)}
+        ${buildSizingSection(trade)}
+        ${buildCostsSection(trade)}
+        ${buildIndicatorsSection(trade)}`;
+}
+
+/**
+ * Render trade card with extracted info
+ */
+function renderTradeCard(trade) {
+  if (!trade) {
+    tradeCard.classList.remove('visible');
+    tradeCard.innerHTML = '';
+    updateRightPanelContent();
+    return;
+  }
+
+  // Build each section using helper functions
+  const headerHtml = buildTradeCardHeader(trade, tradeCardCollapsed);
+  const chartHtml = buildChartSection(trade, { interactive: true });
+
+  const bodyHtml = tradeCardEditing
+    ? buildTradeEditForm(trade)
+    : `
+        <div class="trade-card-values">${buildTradeCardValues(trade)}</div>
+        ${chartHtml}
+        <div class="trade-summary">${generateTradeSummary(trade)}</div>`;
+
+  // Assemble the complete trade card
+  tradeCard.innerHTML = `
+    <div class="trade-card-content ${tradeCardCollapsed ? 'trade-card-collapsed' : ''} ${tradeCardEditing ? 'editing' : ''}">
+      ${headerHtml}
+      <div class="trade-card-body">
+        ${bodyHtml}
+      </div>
+    </div>
+  `;
+
+  tradeCard.classList.add('visible');
+  updateRightPanelContent();
+}
+
+/**
+ * Handle clicks on copyable values and collapse button in trade cards
+ */
+tradeCard.addEventListener('click', async (e) => {
+  // Handle collapse button
+  if (e.target.classList.contains('trade-card-collapse-btn')) {
     if (!currentTradeInfo) return;
     tradeCardCollapsed = !tradeCardCollapsed;
     renderTradeCard(currentTradeInfo);
     return;
   }
 
+  // Toggle edit mode
+  if (e.target.classList.contains('trade-card-edit-btn')) {
+    if (!currentTradeInfo) return;
+    tradeCardEditing = !tradeCardEditing;
+    tradeCardCollapsed = false;
+    renderTradeCard(currentTradeInfo);
+    return;
+  }
+
+  if (e.target.classList.contains('trade-edit-cancel')) {
+    tradeCardEditing = false;
+    renderTradeCard(currentTradeInfo);
+    return;
+  }
+
+  // Copy is disabled while editing
+  if (tradeCardEditing) return;
+
   // Handle copyable values
   const copyableEl = e.target.closest('.copyable-value');
   if (!copyableEl) return;
@@ -1125,12 +1739,58 @@ tradeCard.addEventListener('click', async (e) => {
   }
 });
 
+/**
+ * Live-validate edits and refresh the R:R and chart preview
+ */
+tradeCard.addEventListener('input', (e) => {
+  const form = e.target.closest('.trade-edit-form');
+  if (!form) return;
+
+  const { trade, valid } = readTradeEditForm(form);
+  if (valid) {
+    form.querySelector('.trade-edit-preview').innerHTML = buildTradeEditPreview(trade);
+  }
+});
+
+/**
+ * Apply valid edits to the current trade
+ */
+tradeCard.addEventListener('submit', (e) => {
+  const form = e.target.closest('.trade-edit-form');
+  if (!form) return;
+  e.preventDefault();
+
+  const { trade, valid } = readTradeEditForm(form);
+  if (!valid) return;
+
+  currentTradeInfo = trade;
+  tradeCardEditing = false;
+  renderTradeCard(trade);
+  showToast('Trade updated');
+});
+
+/**
+ * Drag or nudge the chart's levels; the card follows along and the moved
+ * levels become the current trade
+ */
+enableChartDragging(tradeCard, {
+  getTrade: () => currentTradeInfo,
+  render: (trade, range) => renderCardChart(trade, { interactive: true, range }),
+  onPreview: (trade) => {
+    tradeCard.querySelector('.trade-card-values').innerHTML = buildTradeCardValues(trade);
+    tradeCard.querySelector('.trade-summary').innerHTML = generateTradeSummary(trade);
+  },
+  onCommit: (trade) => {
+    currentTradeInfo = trade;
+    renderTradeCard(trade);
+    return tradeCard.querySelector('.price-chart-container');
+  },
+});
+
 // ============================================
 // SAVED NOTES FUNCTIONALITY
 // ============================================
 
-// Note: blobToBase64 and base64ToBlob are imported from savedNotes.js
-
 /**
  * Cleanup audio playback state and UI
  */
@@ -1143,6 +1803,10 @@ function cleanupAudio() {
     URL.revokeObjectURL(currentAudioURL);
     currentAudioURL = null;
   }
+  cancelAnimationFrame(playbackFrame);
+  playbackFrame = null;
+  currentPlayback = null;
+  document.querySelectorAll('.transcript-word.active').forEach(word => word.classList.remove('active'));
   // Reset all play buttons
   document.querySelectorAll('.play-btn').forEach(btn => {
     btn.textContent = '▶';
@@ -1156,25 +1820,46 @@ function cleanupAudio() {
 }
 
 /**
- * Play audio from current recording
+ * Highlight the word being spoken and stop at the end of a played span
  */
-function playCurrentAudio() {
-  if (!currentAudioBlob) {
-    showError('No audio available');
+function trackPlayback() {
+  const playback = currentPlayback;
+  if (!playback) return;
+
+  const time = playback.audio.currentTime;
+  if (playback.stopAt !== null && time >= playback.stopAt) {
+    cleanupAudio();
     return;
   }
 
-  // Stop any currently playing audio
+  if (playback.words && playback.transcriptEl) {
+    const index = findWordIndexAtTime(playback.words, time);
+    if (index !== playback.activeIndex) {
+      playback.transcriptEl.querySelector('.transcript-word.active')?.classList.remove('active');
+      playback.transcriptEl.querySelector(`.transcript-word[data-index="${index}"]`)?.classList.add('active');
+      playback.activeIndex = index;
+    }
+  }
+
+  playbackFrame = requestAnimationFrame(trackPlayback);
+}
+
+/**
+ * Play an audio blob, optionally from `startAt` until `stopAt` seconds,
+ * highlighting the current word in `transcriptEl` when word timings are given
+ */
+function startPlayback(blob, { button = null, transcriptEl = null, words = null, startAt = 0, stopAt = null } = {}) {
+  // Stop any currently playing audio and revoke previous URL
   cleanupAudio();
 
-  const url = URL.createObjectURL(currentAudioBlob);
-  currentAudioURL = url;
+  const url = URL.createObjectURL(blob);
+  currentAudioURL = url; // Track for cleanup
   const audio = new Audio(url);
 
   audio.onplay = () => {
-    if (currentAudioPlayBtn) {
-      currentAudioPlayBtn.textContent = '⏹';
-      currentAudioPlayBtn.classList.add('playing');
+    if (button) {
+      button.textContent = '⏹';
+      button.classList.add('playing');
     }
   };
 
@@ -1187,49 +1872,67 @@ function playCurrentAudio() {
     showError('Failed to play audio');
   };
 
+  if (startAt > 0) {
+    audio.currentTime = startAt;
+  }
+
   currentlyPlayingAudio = audio;
+  currentPlayback = { audio, transcriptEl, words, stopAt, activeIndex: -1 };
   audio.play();
+  playbackFrame = requestAnimationFrame(trackPlayback);
 }
 
 /**
- * Play audio from a saved note
+ * Seek the playing transcript's audio, or start playing it from `time`
  */
-function playNoteAudio(index) {
-  const notes = loadSavedNotes();
-  const note = notes[index];
-  if (!note || !note.audioData) {
-    showError('No audio available for this note');
+function seekTranscript(transcriptEl, time, play) {
+  if (currentPlayback?.transcriptEl === transcriptEl) {
+    currentPlayback.audio.currentTime = time;
+    currentPlayback.stopAt = null;
     return;
   }
+  play({ startAt: time });
+}
 
-  // Stop any currently playing audio and revoke previous URL
-  cleanupAudio();
-
-  const blob = base64ToBlob(note.audioData);
-  const url = URL.createObjectURL(blob);
-  currentAudioURL = url; // Track for cleanup
-  const audio = new Audio(url);
-
-  const playBtn = savedNotesList.querySelector(`[data-index="${index}"] .play-btn`);
-
-  audio.onplay = () => {
-    if (playBtn) {
-      playBtn.textContent = '⏹';
-      playBtn.classList.add('playing');
-    }
-  };
+/**
+ * Play audio from current recording
+ * @param {Object} [span] - { startAt, stopAt } in seconds
+ */
+function playCurrentAudio({ startAt = 0, stopAt = null } = {}) {
+  if (!currentAudioBlob) {
+    showError('No audio available');
+    return;
+  }
 
-  audio.onended = () => {
-    cleanupAudio();
-  };
+  startPlayback(currentAudioBlob, {
+    button: currentAudioPlayBtn,
+    transcriptEl: transcription,
+    words: currentWords,
+    startAt,
+    stopAt,
+  });
+}
 
-  audio.onerror = () => {
-    cleanupAudio();
-    showError('Failed to play audio');
-  };
+/**
+ * Play audio from a saved note
+ * @param {number} id - Note id
+ * @param {Object} [span] - { startAt, stopAt } in seconds
+ */
+function playNoteAudio(id, { startAt = 0, stopAt = null } = {}) {
+  const note = savedNotes.find(n => n.id === id);
+  if (!note || !note.audio) {
+    showError('No audio available for this note');
+    return;
+  }
 
-  currentlyPlayingAudio = audio;
-  audio.play();
+  const noteEl = savedNotesList.querySelector(`[data-id="${id}"]`);
+  startPlayback(note.audio, {
+    button: noteEl?.querySelector('.play-btn'),
+    transcriptEl: noteEl?.querySelector('.saved-note-text'),
+    words: note.words,
+    startAt,
+    stopAt,
+  });
 }
 
 /**
@@ -1239,14 +1942,13 @@ function stopAudio() {
   cleanupAudio();
 }
 
-// Note: loadSavedNotes, saveSavedNotes, formatTimestamp, renderSavedNoteTrade
-// are imported from savedNotes.js
+// Note: formatTimestamp, renderSavedNoteTrade are imported from savedNotes.js
 
 /**
- * Render all saved notes with optional filtering
+ * Render saved notes with optional filtering, one page at a time
  */
 function renderSavedNotes() {
-  const allNotes = loadSavedNotes();
+  const allNotes = savedNotes;
 
   savedNotesSection.classList.add('visible');
 
@@ -1285,32 +1987,60 @@ function renderSavedNotes() {
     return;
   }
 
-  savedNotesList.innerHTML = notes
+  const { visible, remaining } = paginateNotes(notes, visibleNotesCount);
+
+  const notesHtml = visible
     .map(
-      (note, index) => {
-        // Find the original index in allNotes for proper deletion
-        const originalIndex = allNotes.findIndex((n) => n.id === note.id);
+      (note) => {
         return `
-      <div class="saved-note" data-index="${originalIndex}">
+      <div class="saved-note" data-id="${note.id}">
         <div class="saved-note-header">
           <span class="saved-note-time">${formatTimestamp(note.timestamp)}</span>
           <div class="saved-note-actions">
-            ${note.audioData ? `<button class="saved-note-btn play-btn" title="Play audio">▶</button>` : ''}
+            ${note.audio ? `<button class="saved-note-btn play-btn" title="Play audio">▶</button>` : ''}
+            ${note.trade ? `<button class="saved-note-btn candles" title="Load OHLC candles from a CSV">Candles</button>` : ''}
             <button class="saved-note-btn copy" title="Copy to clipboard">Copy</button>
             <button class="saved-note-btn delete" title="Delete note">Delete</button>
           </div>
         </div>
-        <div class="saved-note-text">${escapeHtml(note.text)}</div>
-        ${renderSavedNoteTrade(note.trade)}
+        ${renderSavedNoteTranscript(note)}
+        ${renderSavedNoteTrade(note.trade, { candles: note.candles, timestamp: note.timestamp })}
       </div>
     `;
       }
     )
     .join('');
+
+  const moreHtml = remaining > 0
+    ? `<button class="btn btn-secondary saved-notes-more" id="savedNotesMoreBtn">Show ${Math.min(remaining, NOTES_PAGE_SIZE)} more (${remaining} remaining)</button>`
+    : '';
+
+  savedNotesList.innerHTML = notesHtml + moreHtml;
 }
 
 // Note: escapeHtml is imported from savedNotes.js
 
+// Rendered transcript per saved note, computed once per note object and
+// vocabulary (the highlights depend on it)
+let savedNoteTranscripts = new WeakMap();
+
+/**
+ * Render a saved note's transcript with its trade fields highlighted, and
+ * clickable words and "Spoken at" links when it has timings and audio
+ */
+function renderSavedNoteTranscript(note) {
+  if (!savedNoteTranscripts.has(note)) {
+    const timed = note.words && note.audio;
+    const text = timed ? wordsToText(note.words) : (note.text || '');
+    const { trade, spans } = extractTradeDetails(text, { now: new Date(note.timestamp) });
+
+    savedNoteTranscripts.set(note, timed
+      ? `<div class="saved-note-text">${renderTimedTranscript(note.words, spans)}</div>${renderFieldLinks(linkTradeFields(note.words, trade), note.words)}`
+      : `<div class="saved-note-text">${renderHighlightedText(text, spans)}</div>`);
+  }
+  return savedNoteTranscripts.get(note);
+}
+
 /**
  * Save current note with audio
  */
@@ -1321,27 +2051,18 @@ async function saveCurrentNote() {
     return;
   }
 
-  const notes = loadSavedNotes();
-
-  // Check limit using imported function
-  const validation = canSaveNote(notes);
-  if (!validation.valid) {
-    showError(validation.error);
+  if (!notesDb) {
+    showError('Saved notes are unavailable in this browser');
     return;
   }
 
-  // Convert audio blob to base64 if available and within size limit
-  let audioData = null;
+  // Keep audio as a Blob if available and within size limit
+  let audio = null;
   if (currentAudioBlob) {
-    try {
-      // Check if audio is within size limit (500KB)
-      if (currentAudioBlob.size <= MAX_AUDIO_SIZE) {
-        audioData = await blobToBase64(currentAudioBlob);
-      } else {
-        console.warn(`Audio too large (${Math.round(currentAudioBlob.size / 1024)}KB), not saving. Limit: ${MAX_AUDIO_SIZE / 1024}KB`);
-      }
-    } catch (err) {
-      console.warn('Failed to save audio:', err);
+    if (currentAudioBlob.size <= MAX_AUDIO_SIZE) {
+      audio = currentAudioBlob;
+    } else {
+      console.warn(`Audio too large (${Math.round(currentAudioBlob.size / 1024)}KB), not saving. Limit: ${MAX_AUDIO_SIZE / 1024}KB`);
     }
   }
 
@@ -1349,11 +2070,22 @@ async function saveCurrentNote() {
   const newNote = createNote({
     text,
     trade: currentTradeInfo,
-    audioData,
+    extractedTrade: currentTradeInfo !== currentExtractedTrade ? currentExtractedTrade : null,
+    audio,
+    // Timings are only useful alongside the audio they point into
+    words: audio ? currentWords : null,
+    usedIds: new Set(savedNotes.map(n => n.id)),
   });
-  notes.unshift(newNote);
 
-  saveSavedNotes(notes);
+  try {
+    await putNote(notesDb, newNote);
+  } catch (err) {
+    console.error('Failed to save note:', err);
+    showError('Failed to save note');
+    return;
+  }
+
+  savedNotes.unshift(newNote);
   renderSavedNotes();
 
   // Show toast confirmation
@@ -1361,12 +2093,18 @@ async function saveCurrentNote() {
 }
 
 /**
- * Delete a saved note by index
+ * Delete a saved note by id
  */
-function deleteSavedNote(index) {
-  const notes = loadSavedNotes();
-  notes.splice(index, 1);
-  saveSavedNotes(notes);
+async function deleteSavedNote(id) {
+  try {
+    await deleteNote(notesDb, id);
+  } catch (err) {
+    console.error('Failed to delete note:', err);
+    showError('Failed to delete note');
+    return;
+  }
+
+  savedNotes = savedNotes.filter(n => n.id !== id);
   renderSavedNotes();
   showToast('Note deleted');
 }
@@ -1374,9 +2112,8 @@ function deleteSavedNote(index) {
 /**
  * Copy a saved note to clipboard
  */
-async function copySavedNote(index) {
-  const notes = loadSavedNotes();
-  const note = notes[index];
+async function copySavedNote(id) {
+  const note = savedNotes.find(n => n.id === id);
   if (!note) return;
 
   const copyText = formatNoteForClipboard(note);
@@ -1389,12 +2126,55 @@ async function copySavedNote(index) {
 /**
  * Clear all saved notes
  */
-function clearAllNotes() {
-  if (confirm('Delete all saved notes? This cannot be undone.')) {
-    saveSavedNotes([]);
-    renderSavedNotes();
-    showToast('All notes cleared');
+async function clearAllNotes() {
+  if (!confirm('Delete all saved notes? This cannot be undone.')) return;
+
+  try {
+    await clearNotes(notesDb);
+  } catch (err) {
+    console.error('Failed to clear notes:', err);
+    showError('Failed to clear notes');
+    return;
+  }
+
+  savedNotes = [];
+  visibleNotesCount = NOTES_PAGE_SIZE;
+  renderSavedNotes();
+  showToast('All notes cleared');
+}
+
+/**
+ * Download saved notes as CSV, limited to the current search results
+ */
+function exportNotesAsCsv() {
+  const notes = filterNotes(savedNotes, currentSearchQuery);
+  if (notes.length === 0) {
+    showToast('No notes to export');
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(formatNotesAsCsv(notes), `traders-voice-notes-${date}.csv`, 'text/csv;charset=utf-8');
+  showToast(`Exported ${notes.length} note${notes.length === 1 ? '' : 's'} as CSV`);
+}
+
+/**
+ * Open the notes database, migrate legacy localStorage notes and render
+ */
+async function initSavedNotes() {
+  try {
+    notesDb = await openNoteStore();
+    const migrated = await migrateLegacyNotes(notesDb);
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} notes from localStorage`);
+    }
+    savedNotes = await getAllNotes(notesDb);
+  } catch (err) {
+    console.error('Failed to open saved notes:', err);
+    showError('Saved notes are unavailable in this browser');
   }
+
+  renderSavedNotes();
 }
 
 // Event listeners for saved notes
@@ -1402,6 +2182,8 @@ saveBtn.addEventListener('click', saveCurrentNote);
 
 clearAllNotesBtn.addEventListener('click', clearAllNotes);
 
+document.getElementById('exportNotesCsvBtn').addEventListener('click', exportNotesAsCsv);
+
 savedNotesList.addEventListener('click', (e) => {
   // Handle empty state buttons
   if (e.target.id === 'emptyStateRecordBtn') {
@@ -1418,10 +2200,9 @@ savedNotesList.addEventListener('click', (e) => {
 
     setTimeout(() => {
       const demo = getNextDemo();
-      transcription.textContent = demo.transcript;
+      showTranscript(demo.transcript);
       resultSection.classList.add('visible');
-      currentTradeInfo = demo.trade;
-      renderTradeCard(demo.trade);
+      showExtractedTrade(demo.trade);
       resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 
       // Reset button
@@ -1431,26 +2212,148 @@ savedNotesList.addEventListener('click', (e) => {
     return;
   }
 
+  // Handle pagination
+  if (e.target.id === 'savedNotesMoreBtn') {
+    visibleNotesCount += NOTES_PAGE_SIZE;
+    renderSavedNotes();
+    return;
+  }
+
   // Handle saved note actions
   const noteEl = e.target.closest('.saved-note');
   if (!noteEl) return;
 
-  const index = parseInt(noteEl.dataset.index, 10);
+  const id = Number(noteEl.dataset.id);
+
+  const word = e.target.closest('.transcript-word');
+  if (word) {
+    seekTranscript(word.closest('.saved-note-text'), Number(word.dataset.start), (span) => playNoteAudio(id, span));
+    return;
+  }
+
+  const link = e.target.closest('.transcript-link');
+  if (link) {
+    playNoteAudio(id, { startAt: Number(link.dataset.start), stopAt: Number(link.dataset.end) });
+    return;
+  }
 
   if (e.target.classList.contains('delete')) {
-    deleteSavedNote(index);
+    deleteSavedNote(id);
   } else if (e.target.classList.contains('copy')) {
-    copySavedNote(index);
+    copySavedNote(id);
+  } else if (e.target.classList.contains('candles')) {
+    candlesNoteId = id;
+    candlesFileInput.click();
+  } else if (e.target.classList.contains('saved-note-candles-remove')) {
+    updateSavedNoteCandles(id, null);
   } else if (e.target.classList.contains('play-btn')) {
     // Toggle play/stop
     if (e.target.classList.contains('playing')) {
       stopAudio();
     } else {
-      playNoteAudio(index);
+      playNoteAudio(id);
     }
   }
 });
 
+/**
+ * Drag or nudge a saved note's chart levels; the moved levels are saved to the
+ * note, keeping the original extraction like a hand-corrected trade
+ */
+enableChartDragging(savedNotesList, {
+  getTrade: (container) => findChartNote(container)?.trade || null,
+  render: (trade, range, container) => {
+    const note = findChartNote(container);
+    return createPriceLevelChart(withMarketPrice(trade, note.candles, note.timestamp), { interactive: true, range });
+  },
+  onPreview: (trade, container) => {
+    const details = container.closest('.saved-note').querySelector('.saved-note-trade-details');
+    if (details) details.innerHTML = renderSavedNoteTradeDetails(trade);
+  },
+  onCommit: (trade, container) => {
+    const note = findChartNote(container);
+    updateSavedNoteTrade(note, trade);
+    return savedNotesList.querySelector(`.saved-note[data-id="${note.id}"] .price-chart-container`);
+  },
+});
+
+/**
+ * Saved note a chart belongs to
+ */
+function findChartNote(container) {
+  const id = Number(container.closest('.saved-note')?.dataset.id);
+  return savedNotes.find(n => n.id === id) || null;
+}
+
+/**
+ * Replace a saved note's trade and persist it, rolling back if the save fails
+ */
+async function updateSavedNoteTrade(note, trade) {
+  const previous = { trade: note.trade, extractedTrade: note.extractedTrade };
+  note.extractedTrade = note.extractedTrade || note.trade;
+  note.trade = trade;
+  renderSavedNotes();
+
+  try {
+    await putNote(notesDb, note);
+  } catch (err) {
+    console.error('Failed to update note:', err);
+    showError('Failed to update note');
+    Object.assign(note, previous);
+    renderSavedNotes();
+  }
+}
+
+// Note whose candles the CSV picker is choosing
+let candlesNoteId = null;
+
+candlesFileInput.addEventListener('change', async () => {
+  const file = candlesFileInput.files[0];
+  candlesFileInput.value = '';
+  const note = savedNotes.find(n => n.id === candlesNoteId);
+  if (!file || !note) return;
+
+  let candles;
+  let skipped;
+  try {
+    const parsed = parseOhlcCsv(await file.text());
+    candles = selectNoteCandles(parsed.candles, note.timestamp);
+    skipped = parsed.skipped;
+  } catch (err) {
+    showError(err.message);
+    return;
+  }
+
+  if (await updateSavedNoteCandles(note.id, candles)) {
+    showToast(`Loaded ${candles.length} candles${skipped ? ` · ${skipped} unreadable row${skipped === 1 ? '' : 's'} skipped` : ''}`);
+  }
+});
+
+/**
+ * Attach candles to a saved note (or remove them with null) and persist it,
+ * rolling back if the save fails
+ * @returns {Promise<boolean>} - Whether the note was saved
+ */
+async function updateSavedNoteCandles(id, candles) {
+  const note = savedNotes.find(n => n.id === id);
+  if (!note) return false;
+
+  const previous = { candles: note.candles };
+  note.candles = candles;
+  renderSavedNotes();
+
+  try {
+    await putNote(notesDb, note);
+    return true;
+  } catch (err) {
+    console.error('Failed to update note:', err);
+    showError('Failed to update note');
+    Object.assign(note, previous);
+    renderSavedNotes();
+    return false;
+  }
+}
+
 // Search input handler with debouncing
 savedNotesSearchInput.addEventListener('input', (e) => {
   const query = e.target.value;
@@ -1469,6 +2372,7 @@ savedNotesSearchInput.addEventListener('input', (e) => {
 
   searchDebounceTimer = setTimeout(() => {
     currentSearchQuery = query;
+    visibleNotesCount = NOTES_PAGE_SIZE;
     renderSavedNotes();
   }, 150);
 });
@@ -1478,12 +2382,13 @@ savedNotesSearchClear.addEventListener('click', () => {
   savedNotesSearchInput.value = '';
   savedNotesSearchClear.classList.remove('visible');
   currentSearchQuery = '';
+  visibleNotesCount = NOTES_PAGE_SIZE;
   renderSavedNotes();
   savedNotesSearchInput.focus();
 });
 
 // Initialize saved notes on page load
-renderSavedNotes();
+initSavedNotes();
 
 // ============================================
 // PRIVACY TOOLTIP
@@ -1685,7 +2590,7 @@ const helpModalBody = `
     <h3>Tips for Better Recognition</h3>
     <ul class="tips-list">
       <li>Speak clearly and at a moderate pace</li>
-      <li>Say numbers digit by digit for prices (e.g., "ninety-five thousand")</li>
+      <li>Numbers can be spoken naturally: "ninety-five thousand", "42 and a half", "95k", "forty-two five"</li>
       <li>Use keywords: <strong>buy, sell, long, short, stop loss, take profit, target</strong></li>
       <li>Mention the exchange: <strong>Binance, Coinbase, Kraken</strong></li>
       <li>Include timeframes: <strong>1-hour, 4-hour, daily</strong></li>
@@ -1761,6 +2666,415 @@ const aboutBtn = document.getElementById('aboutBtn');
 helpBtn.addEventListener('click', () => openModal(helpModal));
 aboutBtn.addEventListener('click', () => openModal(aboutModal));
 
+// ============================================
+// CUSTOM VOCABULARY
+// ============================================
+
+// Textareas in the vocabulary modal: [field, label, hint, isMapping]
+const VOCABULARY_FIELDS = [
+  ['tickers', 'Tickers', 'Stocks, ETFs, futures — one per line', false],
+  ['cryptoTokens', 'Crypto tokens', 'e.g. JUP, TAO — one per line', false],
+  ['cryptoNames', 'Crypto names', 'name = TICKER, e.g. bittensor = TAO', true],
+  ['aliases', 'Aliases', 'alias = TICKER, e.g. e-mini = ES, nas = NQ', true],
+  ['indicators', 'Indicators', 'e.g. SUPERTREND — one per line', false],
+  ['indicatorCorrections', 'Indicator corrections', 'heard = INDICATOR, e.g. super trend = SUPERTREND', true],
+  ['corrections', 'Phonetic corrections', 'heard = meant, e.g. stop laws = stop loss', true],
+];
+
+const vocabularyModalBody = `
+  <p class="modal-intro">Teach the trade parser your desk's instruments and the words Whisper keeps mishearing. Entries are merged with the built-in lists.</p>
+  <form class="vocabulary-form" id="vocabularyForm">
+    ${VOCABULARY_FIELDS.map(([field, label, hint]) => `
+      <label class="vocabulary-field">
+        <span class="vocabulary-label">${label}</span>
+        <textarea class="vocabulary-input" name="${field}" rows="3" placeholder="${hint}" spellcheck="false"></textarea>
+      </label>`).join('')}
+    <div class="vocabulary-error" id="vocabularyError"></div>
+    <div class="vocabulary-actions">
+      <button type="button" class="btn btn-small btn-secondary" id="vocabularyImportBtn">Import JSON</button>
+      <button type="button" class="btn btn-small btn-secondary" id="vocabularyExportBtn">Export JSON</button>
+      <button type="submit" class="btn btn-small btn-primary">Save</button>
+    </div>
+    <input type="file" id="vocabularyFileInput" accept="application/json,.json" hidden>
+  </form>
+`;
+
+const vocabularyModal = createModal('vocabularyModal', 'Custom Vocabulary', vocabularyModalBody);
+const vocabularyForm = document.getElementById('vocabularyForm');
+const vocabularyError = document.getElementById('vocabularyError');
+const vocabularyFileInput = document.getElementById('vocabularyFileInput');
+
+/**
+ * Fill the vocabulary form from a vocabulary object
+ */
+function fillVocabularyForm(vocab) {
+  for (const [field, , , isMapping] of VOCABULARY_FIELDS) {
+    vocabularyForm.elements[field].value = isMapping ? formatMappingText(vocab[field]) : formatListText(vocab[field]);
+  }
+  vocabularyError.textContent = '';
+}
+
+/**
+ * Read the vocabulary form into a vocabulary object
+ */
+function readVocabularyForm() {
+  const raw = {};
+  for (const [field, , , isMapping] of VOCABULARY_FIELDS) {
+    const text = vocabularyForm.elements[field].value;
+    raw[field] = isMapping ? parseMappingText(text) : parseListText(text);
+  }
+  return normalizeVocabulary(raw);
+}
+
+/**
+ * Persist and apply a vocabulary, re-parsing the current transcript if it
+ * wasn't edited by hand and re-highlighting saved notes
+ */
+function applyVocabulary(vocab) {
+  customVocabulary = vocab;
+  saveVocabulary(vocab);
+  setCustomVocabulary(vocab);
+
+  savedNoteTranscripts = new WeakMap();
+  renderSavedNotes();
+
+  const text = transcription.textContent.trim();
+  if (text && !isProcessing && currentTradeInfo === currentExtractedTrade) {
+    showTradeFromText(text);
+    showTranscript(transcription.textContent, currentWords);
+  }
+}
+
+document.getElementById('vocabularyBtn').addEventListener('click', () => {
+  fillVocabularyForm(customVocabulary);
+  openModal(vocabularyModal);
+});
+
+vocabularyForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  try {
+    applyVocabulary(readVocabularyForm());
+    closeModal(vocabularyModal);
+    showToast('Vocabulary saved');
+  } catch (err) {
+    vocabularyError.textContent = err.message;
+  }
+});
+
+document.getElementById('vocabularyExportBtn').addEventListener('click', () => {
+  try {
+    downloadFile(serializeVocabulary(readVocabularyForm()), 'traders-voice-vocabulary.json', 'application/json');
+  } catch (err) {
+    vocabularyError.textContent = err.message;
+  }
+});
+
+document.getElementById('vocabularyImportBtn').addEventListener('click', () => vocabularyFileInput.click());
+
+vocabularyFileInput.addEventListener('change', async () => {
+  const file = vocabularyFileInput.files[0];
+  vocabularyFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const imported = parseVocabularyJson(await file.text());
+    const merged = mergeVocabulary(readVocabularyForm(), imported);
+    applyVocabulary(merged);
+    fillVocabularyForm(merged);
+    showToast('Vocabulary imported');
+  } catch (err) {
+    vocabularyError.textContent = `Import failed: ${err.message}`;
+  }
+});
+
+// ============================================
+// ACCOUNT & RISK
+// ============================================
+
+// Inputs in the account modal: [field, label, hint]
+const ACCOUNT_FIELDS = [
+  ['equity', 'Account equity ($)', 'e.g. 25000'],
+  ['riskPercent', 'Risk per trade (%)', 'e.g. 1'],
+  ['maxLeverage', 'Max leverage (x)', 'e.g. 10'],
+  ['feeRate', 'Fee rate, other venues (%)', 'e.g. 0.1'],
+  ['slippage', 'Slippage per market fill (%)', 'e.g. 0.05'],
+  ['fundingRate', 'Perp funding per 8h (%)', 'e.g. 0.01'],
+  ['holdingHours', 'Expected hold (hours)', 'e.g. 24'],
+];
+
+const accountModalBody = `
+  <p class="modal-intro">Trade cards size each position so that getting stopped out costs your risk per trade, and show R:R, breakeven and P&L after fees, slippage and funding. Entries and stops are costed as market orders (taker), targets as limit orders (maker). Leveraged trades get an isolated-margin liquidation price from the maintenance tiers.</p>
+  <form class="account-form" id="accountForm">
+    ${ACCOUNT_FIELDS.map(([field, label, hint]) => `
+      <label class="account-field">
+        <span class="account-label">${label}</span>
+        <input class="account-input" name="${field}" inputmode="decimal" placeholder="${hint}" autocomplete="off">
+      </label>`).join('')}
+    <table class="account-fees">
+      <thead><tr><th>Exchange fees (%)</th><th>Maker</th><th>Taker</th></tr></thead>
+      <tbody>
+        ${EXCHANGES.map(exchange => `
+          <tr>
+            <td>${exchange}</td>
+            <td><input class="account-input" name="maker-${exchange}" inputmode="decimal" autocomplete="off" aria-label="${exchange} maker fee"></td>
+            <td><input class="account-input" name="taker-${exchange}" inputmode="decimal" autocomplete="off" aria-label="${exchange} taker fee"></td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    <label class="account-field account-field-wide">
+      <span class="account-label">Maintenance margin tiers (notional = rate %)</span>
+      <textarea class="vocabulary-input" name="maintenanceTiers" rows="4" placeholder="50,000 = 0.4&#10;* = 1" spellcheck="false"></textarea>
+    </label>
+    <div class="vocabulary-error" id="accountError"></div>
+    <div class="vocabulary-actions">
+      <button type="submit" class="btn btn-small btn-primary">Save</button>
+    </div>
+  </form>
+`;
+
+const accountModal = createModal('accountModal', 'Account & Risk', accountModalBody);
+const accountForm = document.getElementById('accountForm');
+const accountError = document.getElementById('accountError');
+
+document.getElementById('accountBtn').addEventListener('click', () => {
+  for (const [field] of ACCOUNT_FIELDS) {
+    accountForm.elements[field].value = accountSettings[field] ?? '';
+  }
+  for (const exchange of EXCHANGES) {
+    accountForm.elements[`maker-${exchange}`].value = accountSettings.exchangeFees[exchange].maker;
+    accountForm.elements[`taker-${exchange}`].value = accountSettings.exchangeFees[exchange].taker;
+  }
+  accountForm.elements.maintenanceTiers.value = formatTierText(accountSettings.maintenanceTiers);
+  accountError.textContent = '';
+  openModal(accountModal);
+});
+
+accountForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  try {
+    const raw = Object.fromEntries(ACCOUNT_FIELDS.map(([field]) => [field, accountForm.elements[field].value]));
+    raw.exchangeFees = Object.fromEntries(EXCHANGES.map(exchange => [exchange, {
+      maker: accountForm.elements[`maker-${exchange}`].value,
+      taker: accountForm.elements[`taker-${exchange}`].value,
+    }]));
+    raw.maintenanceTiers = parseTierText(accountForm.elements.maintenanceTiers.value);
+    accountSettings = normalizeAccountSettings(raw);
+    saveAccountSettings(accountSettings);
+    if (currentTradeInfo) renderTradeCard(currentTradeInfo);
+    closeModal(accountModal);
+    showToast('Account settings saved');
+  } catch (err) {
+    accountError.textContent = err.message;
+  }
+});
+
+// ============================================
+// TRADE JOURNAL
+// ============================================
+
+const journalModal = createModal('journalModal', 'Trade Journal', '<div class="journal-list" id="journalList"></div>');
+const journalList = document.getElementById('journalList');
+
+document.getElementById('journalBtn').addEventListener('click', () => {
+  journalList.innerHTML = renderJournal(buildPositions(savedNotes));
+  openModal(journalModal);
+});
+
+// ============================================
+// PERFORMANCE ANALYTICS
+// ============================================
+
+const analyticsModal = createModal('analyticsModal', 'Performance Analytics', '<div class="analytics" id="analyticsView"></div>');
+const analyticsView = document.getElementById('analyticsView');
+
+document.getElementById('analyticsBtn').addEventListener('click', () => {
+  analyticsView.innerHTML = renderAnalytics(computeAnalytics(savedNotes));
+  openModal(analyticsModal);
+});
+
+// ============================================
+// BACKUP & RESTORE
+// ============================================
+
+const backupModalBody = `
+  <p class="modal-intro">Save every note, its audio and your model and theme settings into one file. Restoring merges notes by id, so notes you already have are never duplicated.</p>
+  <div class="vocabulary-actions">
+    <button type="button" class="btn btn-small btn-secondary" id="restoreBackupBtn">Restore from file</button>
+    <button type="button" class="btn btn-small btn-primary" id="downloadBackupBtn">Download backup</button>
+  </div>
+  <p class="backup-report" id="backupReport"></p>
+  <input type="file" id="backupFileInput" accept="application/json,.json" hidden>
+`;
+
+const backupModal = createModal('backupModal', 'Backup & Restore', backupModalBody);
+const backupReport = document.getElementById('backupReport');
+const backupFileInput = document.getElementById('backupFileInput');
+
+/**
+ * Download every saved note with its audio and settings as one file
+ */
+async function downloadBackup() {
+  try {
+    const backup = await createBackup(savedNotes);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(JSON.stringify(backup), `traders-voice-backup-${date}.json`, 'application/json');
+    backupReport.textContent = `Backed up ${savedNotes.length} note${savedNotes.length === 1 ? '' : 's'}`;
+  } catch (err) {
+    console.error('Failed to create backup:', err);
+    showError('Failed to create backup');
+  }
+}
+
+/**
+ * Restore a backup file: add notes that aren't saved yet and apply its settings
+ */
+async function restoreBackup(file) {
+  if (!notesDb) {
+    showError('Saved notes are unavailable in this browser');
+    return;
+  }
+
+  let restored;
+  try {
+    restored = parseBackup(await file.text());
+  } catch (err) {
+    backupReport.textContent = `Restore failed: ${err.message}`;
+    return;
+  }
+
+  const { added, duplicates } = mergeBackupNotes(savedNotes, restored.notes);
+  try {
+    if (added.length > 0) await putNotes(notesDb, added);
+    savedNotes = await getAllNotes(notesDb);
+  } catch (err) {
+    console.error('Failed to restore notes:', err);
+    showError('Failed to restore notes');
+    return;
+  }
+
+  const settings = applyBackupSettings(restored.settings);
+  if (settings.includes('model') && modelSelect.querySelector(`option[value="${restored.settings.model}"]`)) {
+    modelSelect.value = restored.settings.model;
+    loadedModel = null;
+    updateModelInfo();
+  }
+  if (settings.includes('theme')) {
+    initTheme();
+  }
+
+  renderSavedNotes();
+  const report = formatRestoreReport({ added: added.length, duplicates, invalid: restored.invalid, settings });
+  backupReport.textContent = report;
+  showToast(report);
+}
+
+document.getElementById('backupBtn').addEventListener('click', () => {
+  backupReport.textContent = '';
+  openModal(backupModal);
+});
+
+document.getElementById('downloadBackupBtn').addEventListener('click', downloadBackup);
+
+document.getElementById('restoreBackupBtn').addEventListener('click', () => backupFileInput.click());
+
+backupFileInput.addEventListener('change', async () => {
+  const file = backupFileInput.files[0];
+  backupFileInput.value = '';
+  if (file) await restoreBackup(file);
+});
+
+// ============================================
+// NOTE IMPORT
+// ============================================
+
+const importModalBody = `
+  <p class="modal-intro">Import notes from a JSON, Markdown or CSV export. Notes without trade details are parsed from their transcript. Rows with errors are skipped.</p>
+  <div class="vocabulary-actions">
+    <button type="button" class="btn btn-small btn-secondary" id="importChooseBtn">Choose file</button>
+    <button type="button" class="btn btn-small btn-primary" id="importConfirmBtn" disabled>Import</button>
+  </div>
+  <div class="vocabulary-error" id="importError"></div>
+  <div class="import-preview" id="importPreview"></div>
+  <input type="file" id="importFileInput" accept=".json,.md,.markdown,.csv,application/json,text/markdown,text/csv" hidden>
+`;
+
+const importModal = createModal('importModal', 'Import Notes', importModalBody);
+const importPreview = document.getElementById('importPreview');
+const importError = document.getElementById('importError');
+const importConfirmBtn = document.getElementById('importConfirmBtn');
+const importFileInput = document.getElementById('importFileInput');
+let pendingImport = null;
+
+/**
+ * Reset the import modal to its empty state
+ */
+function resetImport() {
+  pendingImport = null;
+  importPreview.innerHTML = '';
+  importError.textContent = '';
+  importConfirmBtn.disabled = true;
+  importConfirmBtn.textContent = 'Import';
+}
+
+/**
+ * Read a file and show its import preview
+ */
+async function previewImport(file) {
+  resetImport();
+  try {
+    pendingImport = prepareImport(file.name, await file.text(), { existingNotes: savedNotes });
+  } catch (err) {
+    importError.textContent = err.message;
+    return;
+  }
+
+  const count = pendingImport.rows.filter(row => row.note).length;
+  importPreview.innerHTML = renderImportPreview(pendingImport);
+  importConfirmBtn.disabled = count === 0;
+  importConfirmBtn.textContent = `Import ${count} note${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Save the previewed notes that had no errors
+ */
+async function confirmImport() {
+  if (!pendingImport) return;
+  if (!notesDb) {
+    showError('Saved notes are unavailable in this browser');
+    return;
+  }
+
+  const notes = pendingImport.rows.filter(row => row.note).map(row => row.note);
+  try {
+    await putNotes(notesDb, notes);
+    savedNotes = await getAllNotes(notesDb);
+  } catch (err) {
+    console.error('Failed to import notes:', err);
+    showError('Failed to import notes');
+    return;
+  }
+
+  renderSavedNotes();
+  closeModal(importModal);
+  resetImport();
+  showToast(`Imported ${notes.length} note${notes.length === 1 ? '' : 's'}`);
+}
+
+document.getElementById('importNotesBtn').addEventListener('click', () => {
+  resetImport();
+  openModal(importModal);
+});
+
+document.getElementById('importChooseBtn').addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (file) await previewImport(file);
+});
+
+importConfirmBtn.addEventListener('click', confirmImport);
+
 // Close modals with Escape key
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
@@ -1770,6 +3084,197 @@ document.addEventListener('keydown', (e) => {
     if (aboutModal.classList.contains('visible')) {
       closeModal(aboutModal);
     }
+    if (vocabularyModal.classList.contains('visible')) {
+      closeModal(vocabularyModal);
+    }
+    if (journalModal.classList.contains('visible')) {
+      closeModal(journalModal);
+    }
+    if (analyticsModal.classList.contains('visible')) {
+      closeModal(analyticsModal);
+    }
+    if (backupModal.classList.contains('visible')) {
+      closeModal(backupModal);
+    }
+    if (importModal.classList.contains('visible')) {
+      closeModal(importModal);
+    }
+  }
+});
+
+// ============================================
+// AUDIO UPLOADS
+// ============================================
+
+const uploadDrop = document.getElementById('uploadDrop');
+const uploadQueueEl = document.getElementById('uploadQueue');
+const audioFileInput = document.getElementById('audioFileInput');
+audioFileInput.accept = AUDIO_FILE_ACCEPT;
+
+/**
+ * Transcribe one uploaded file for the upload queue
+ */
+async function processUpload(file, { signal, report }) {
+  signal.addEventListener('abort', () => whisperClient.cancel(), { once: true });
+
+  const { text, words } = await runWhisper(file, {
+    signal,
+    onProgress: (progress, stage) => report({ progress, stage }),
+    onPartial: (partialText) => report({ partialText }),
+  });
+  if (!text) {
+    throw new Error('No speech detected');
+  }
+
+  // Memos recorded earlier are read as of when they were recorded ("Friday" expiries)
+  const { trade, fields } = extractTradeDetails(text, { now: new Date(file.lastModified || Date.now()) });
+  return { text, words, trade, fields };
+}
+
+/**
+ * Render the upload queue panel
+ */
+function renderUploads(jobs) {
+  uploadQueueEl.innerHTML = renderUploadQueue(jobs);
+  uploadQueueEl.classList.toggle('visible', jobs.length > 0);
+  updateRightPanelContent();
+}
+
+// Uploads run one at a time, only while no recording is being captured or transcribed
+const uploadQueue = createUploadQueue({
+  process: processUpload,
+  onChange: renderUploads,
+  canStart: () => !isProcessing && !(mediaRecorder && mediaRecorder.state === 'recording'),
+});
+
+/**
+ * Queue audio files from the picker or a drop
+ */
+function queueAudioFiles(files) {
+  const { added, rejected } = uploadQueue.add(files);
+
+  if (rejected.length > 0) {
+    showError(`Unsupported file${rejected.length === 1 ? '' : 's'}: ${rejected.join(', ')}. Use .webm, .ogg, .mp3, .m4a or .wav.`);
+  }
+  if (added.length > 0) {
+    showToast(`Queued ${added.length} file${added.length === 1 ? '' : 's'} for transcription`);
+  }
+}
+
+/**
+ * Show an upload's result in the transcript and trade card
+ */
+function openUploadResult(job) {
+  showTranscript(job.result.text, job.result.words);
+  resultSection.classList.add('visible');
+
+  cleanupAudio();
+  currentAudioBlob = job.file;
+  if (currentAudioPlayBtn) {
+    currentAudioPlayBtn.style.display = 'flex';
+  }
+
+  tradeCardCollapsed = false;
+  showExtractedTrade(job.result.trade, job.result.fields);
+  resultSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Uploads being saved, so a double-click doesn't save one twice
+const savingUploadIds = new Set();
+
+/**
+ * Save an upload's result as a note, keeping the file as its audio
+ */
+async function saveUploadResult(job) {
+  if (!notesDb) {
+    showError('Saved notes are unavailable in this browser');
+    return;
+  }
+  if (job.saved || savingUploadIds.has(job.id)) return;
+
+  let audio = null;
+  if (job.file.size <= MAX_AUDIO_SIZE) {
+    audio = job.file;
+  } else {
+    console.warn(`Audio too large (${Math.round(job.file.size / 1024)}KB), not saving. Limit: ${MAX_AUDIO_SIZE / 1024}KB`);
+  }
+
+  const newNote = createNote({
+    text: job.result.text,
+    trade: job.result.trade,
+    audio,
+    words: audio ? job.result.words : null,
+    // Dated when the memo was recorded, not when it was uploaded
+    timestamp: job.file.lastModified || null,
+    usedIds: new Set(savedNotes.map(n => n.id)),
+  });
+
+  savingUploadIds.add(job.id);
+  try {
+    await putNote(notesDb, newNote);
+  } catch (err) {
+    console.error('Failed to save note:', err);
+    showError('Failed to save note');
+    return;
+  } finally {
+    savingUploadIds.delete(job.id);
+  }
+
+  // Older memos go where their recording time puts them, keeping the list newest first
+  const index = savedNotes.findIndex(n => n.timestamp < newNote.timestamp);
+  savedNotes.splice(index === -1 ? savedNotes.length : index, 0, newNote);
+  renderSavedNotes();
+  uploadQueue.markSaved(job.id);
+  showToast('Note saved');
+}
+
+document.getElementById('uploadAudioBtn').addEventListener('click', () => audioFileInput.click());
+
+audioFileInput.addEventListener('change', () => {
+  const files = Array.from(audioFileInput.files);
+  audioFileInput.value = '';
+  queueAudioFiles(files);
+});
+
+uploadDrop.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer?.types.includes('Files')) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  uploadDrop.classList.add('dragover');
+});
+
+uploadDrop.addEventListener('dragleave', (e) => {
+  if (!uploadDrop.contains(e.relatedTarget)) {
+    uploadDrop.classList.remove('dragover');
+  }
+});
+
+uploadDrop.addEventListener('drop', (e) => {
+  e.preventDefault();
+  uploadDrop.classList.remove('dragover');
+  queueAudioFiles(Array.from(e.dataTransfer?.files || []));
+});
+
+uploadQueueEl.addEventListener('click', (e) => {
+  if (e.target.id === 'uploadQueueClearBtn') {
+    uploadQueue.clearFinished();
+    return;
+  }
+
+  const jobEl = e.target.closest('.upload-job');
+  if (!jobEl) return;
+
+  const job = uploadQueue.getJob(Number(jobEl.dataset.jobId));
+  if (!job) return;
+
+  if (e.target.classList.contains('upload-cancel')) {
+    uploadQueue.cancel(job.id);
+  } else if (e.target.classList.contains('upload-remove')) {
+    uploadQueue.remove(job.id);
+  } else if (e.target.classList.contains('upload-open')) {
+    openUploadResult(job);
+  } else if (e.target.classList.contains('upload-save')) {
+    saveUploadResult(job);
   }
 });
 
@@ -0,0 +1,417 @@
+/**
+ * Note Import
+ *
+ * Reads notes back from the app's own exports: the JSON export / backup
+ * archive, the Markdown export layout ("# Trade Note" sections) and CSV
+ * files with the saved-notes CSV columns. Each file is turned into preview
+ * rows with per-row errors; only rows without errors are imported.
+ */
+
+import { migrateBackup } from './backup.js';
+import { parseCsv } from './csv.js';
+import { createNote, escapeHtml, formatTimestamp } from './savedNotes.js';
+import { applyTradeEdits } from './tradeEditor.js';
+import { OPTION_STRATEGIES } from './optionsParser.js';
+import { findFuturesContract } from './futuresContracts.js';
+import { isForexPair, getPipSize, findLots } from './forexPairs.js';
+import { extractTradeDetails, generateTradeSummary } from './tradeExtractor.js';
+
+// Constants
+export const IMPORT_FORMATS = ['json', 'markdown', 'csv'];
+
+// CSV header aliases → form field for applyTradeEdits (or note field)
+const CSV_HEADERS = {
+  timestamp: 'timestamp', date: 'timestamp', time: 'timestamp', datetime: 'timestamp',
+  ticker: 'ticker', symbol: 'ticker',
+  side: 'action', action: 'action', direction: 'action',
+  entry: 'entry', price: 'entry',
+  sl: 'stopLoss', stop: 'stopLoss', stoploss: 'stopLoss',
+  tp: 'takeProfit', target: 'takeProfit', takeprofit: 'takeProfit',
+  qty: 'quantity', quantity: 'quantity', shares: 'quantity',
+  size: 'positionSize', positionsize: 'positionSize',
+  leverage: 'leverage',
+  timeframe: 'timeframe',
+  indicators: 'indicators',
+  exchange: 'exchange',
+  transcript: 'text', text: 'text', notes: 'text', note: 'text',
+};
+
+// Trade fields understood by applyTradeEdits
+const TRADE_FIELDS = ['ticker', 'action', 'entry', 'stopLoss', 'takeProfit', 'positionSize', 'quantity', 'leverage', 'timeframe', 'indicators'];
+
+// Markdown "- **Label:** value" lines → form field, or an instrument detail
+// (contract, option, expiry, lots) rebuilt after the trade. R:R and risk /
+// reward are computed from the levels, so they are read as nothing.
+const MARKDOWN_LABELS = {
+  action: 'action',
+  ticker: 'ticker',
+  exchange: 'exchange',
+  entry: 'entry',
+  entries: 'entry',
+  premium: 'entry',
+  'stop loss': 'stopLoss',
+  'position size': 'positionSize',
+  quantity: 'quantity',
+  contracts: 'quantity',
+  leverage: 'leverage',
+  timeframe: 'timeframe',
+  indicators: 'indicators',
+  contract: 'contract',
+  option: 'option',
+  expiry: 'expiry',
+  lots: 'lots',
+  'r:r': null,
+  'risk / reward': null,
+};
+
+/**
+ * Guess the format of an import file from its name, then its contents
+ * @param {string} filename - File name
+ * @param {string} content - File contents
+ * @returns {'json'|'markdown'|'csv'}
+ * @throws {Error} - If the format can't be recognized
+ */
+export function detectImportFormat(filename, content) {
+  const extension = String(filename ?? '').toLowerCase().split('.').pop();
+  if (extension === 'json') return 'json';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (extension === 'csv') return 'csv';
+
+  const text = String(content ?? '').trimStart();
+  if (text.startsWith('{')) return 'json';
+  if (/^# Trade Note/m.test(text)) return 'markdown';
+  if (/^[^\n]*,/.test(text)) return 'csv';
+
+  throw new Error('Unrecognized file: expected a JSON, Markdown or CSV export');
+}
+
+/**
+ * Map side words to an edit form action
+ */
+function normalizeSide(value) {
+  const side = String(value ?? '').trim().toLowerCase();
+  if (side === 'buy' || side === 'long') return 'buy';
+  if (side === 'sell' || side === 'short') return 'sell';
+  return side;
+}
+
+/**
+ * Build a trade from form-style field values
+ * @returns {{trade: Object|null, errors: Array<string>}}
+ */
+function buildTrade(values) {
+  const hasTradeFields = TRADE_FIELDS.some(field => String(values[field] ?? '').trim() !== '');
+  if (!hasTradeFields) return { trade: null, errors: [] };
+
+  const action = normalizeSide(values.action);
+  const errors = [];
+  if (action && action !== 'buy' && action !== 'sell') {
+    errors.push(`Unknown side "${values.action}"`);
+  }
+
+  const { trade, errors: fieldErrors } = applyTradeEdits(null, { ...values, action });
+  errors.push(...Object.values(fieldErrors));
+
+  const exchange = String(values.exchange ?? '').trim();
+  if (exchange) trade.exchange = exchange;
+
+  return { trade, errors };
+}
+
+/**
+ * Rebuild a trade option from the exported "Option" line, e.g.
+ * "480/485 call vertical (Buy 480 call, Sell 485 call)"
+ * @returns {Object|null} - null when no legs can be read
+ */
+function parseOptionLine(value, action) {
+  const [, description, legList = ''] = value.match(/^([^(]*)(?:\((.*)\))?/);
+  const strategy = OPTION_STRATEGIES.find(name => description.includes(name)) || 'single';
+  const legs = [...legList.matchAll(/\b(Buy|Sell)\s+(\d+(?:\.\d+)?)\s+(call|put)\b/gi)]
+    .map(([, side, strike, type]) => ({ side: side.toLowerCase(), type: type.toLowerCase(), strike: Number(strike) }));
+  if (legs.length === 0 && strategy !== 'iron condor') return null;
+
+  return { strategy, legs, premiumType: action === 'sell' ? 'credit' : 'debit' };
+}
+
+/**
+ * Parse an exported expiry ("Jan 17, 2025") to YYYY-MM-DD
+ * @returns {string|null}
+ */
+function parseExpiryDate(value) {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add the instrument details the edit form has no fields for: futures
+ * contract, option structure and expiry, forex lots
+ * @returns {Array<string>} - Warnings for details that couldn't be read
+ */
+function applyInstrumentDetails(trade, values, now) {
+  const warnings = [];
+
+  if (values.contract) {
+    const futures = findFuturesContract(values.contract, { now });
+    if (futures?.contract) {
+      trade.futures = { root: futures.root, contract: futures.contract, month: futures.month };
+    } else {
+      warnings.push(`Unrecognized contract "${values.contract}"`);
+    }
+  }
+
+  if (values.option) {
+    const option = parseOptionLine(values.option, trade.action);
+    if (option) {
+      const expiry = values.expiry && parseExpiryDate(values.expiry);
+      if (values.expiry && !expiry) warnings.push(`Unrecognized expiry "${values.expiry}"`);
+      trade.option = { strategy: option.strategy, legs: option.legs, ...(expiry && { expiry }), premiumType: option.premiumType };
+    } else {
+      warnings.push(`Unrecognized option "${values.option}"`);
+    }
+  }
+
+  if (isForexPair(trade.ticker)) {
+    trade.forex = { pipSize: getPipSize(trade.ticker) };
+    const lots = values.lots && findLots(values.lots);
+    if (lots) {
+      trade.forex.lots = lots.lots;
+      trade.forex.lotType = lots.lotType;
+      trade.quantity ??= lots.units;
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Parse a timestamp cell
+ * @returns {number|null} - Milliseconds, or null if empty
+ */
+function parseTimestamp(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  return /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+}
+
+/**
+ * Read rows from the JSON export or a backup archive
+ */
+function readJsonRows(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const archive = migrateBackup(data);
+  if (!Array.isArray(archive.notes)) {
+    throw new Error('JSON export has no notes list');
+  }
+
+  return archive.notes.map((raw, i) => {
+    const row = { label: `Note ${i + 1}`, errors: [], warnings: [] };
+    if (!raw || typeof raw !== 'object') {
+      return { ...row, errors: ['Not a note object'] };
+    }
+    return {
+      ...row,
+      text: raw.text,
+      timestamp: raw.timestamp ?? null,
+      trade: raw.trade && typeof raw.trade === 'object' ? raw.trade : null,
+      extractedTrade: raw.extractedTrade && typeof raw.extractedTrade === 'object' ? raw.extractedTrade : null,
+    };
+  });
+}
+
+/**
+ * Read rows from one or more "# Trade Note" Markdown sections
+ */
+function readMarkdownRows(content) {
+  const sections = String(content).split(/^# Trade Note[ \t]*$/m).slice(1);
+  if (sections.length === 0) {
+    throw new Error('No "# Trade Note" sections found');
+  }
+
+  return sections.map((section, i) => {
+    const row = { label: `Note ${i + 1}`, errors: [], warnings: [] };
+
+    const date = section.match(/^\*\*Date:\*\*\s*(.+)$/m);
+    row.timestamp = date ? Date.parse(date[1].trim()) : null;
+    if (date && isNaN(row.timestamp)) {
+      row.warnings.push(`Unrecognized date "${date[1].trim()}", using import time`);
+      row.timestamp = null;
+    }
+
+    const heading = (name) => {
+      const match = section.match(new RegExp(`^## ${name}[ \\t]*\\n([\\s\\S]*?)(?=^## |(?![\\s\\S]))`, 'm'));
+      return match ? match[1].trim() : '';
+    };
+
+    row.text = heading('Transcript');
+
+    const details = heading('Trade Details');
+    if (details) {
+      const values = {};
+      const targets = [];
+      for (const [, label, value] of details.matchAll(/^- \*\*(.+?):\*\*\s*(.*)$/gm)) {
+        const key = label.toLowerCase();
+        // "$43,200 (50%)" → "43200 @ 50%"
+        const level = value.replace(/\s*\((\d+(?:\.\d+)?)%\)/g, ' @ $1%');
+        if (/^take profit( \d+)?$/.test(key)) {
+          targets.push(level);
+        } else if (MARKDOWN_LABELS[key]) {
+          values[MARKDOWN_LABELS[key]] = MARKDOWN_LABELS[key] === 'leverage' ? value.replace(/x$/i, '') : level;
+        }
+      }
+      values.takeProfit = targets.join(', ');
+
+      const { trade, errors } = buildTrade(values);
+      row.trade = trade;
+      row.errors.push(...errors);
+      if (trade) {
+        row.warnings.push(...applyInstrumentDetails(trade, values, row.timestamp === null ? new Date() : new Date(row.timestamp)));
+      }
+
+      const rationale = heading('Rationale');
+      if (trade && rationale) trade.rationale = rationale;
+    } else {
+      row.trade = null;
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Read rows from a CSV of trades with a header row
+ */
+function readCsvRows(content) {
+  const [header, ...records] = parseCsv(content);
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+
+  const fields = header.map(name => CSV_HEADERS[name.trim().toLowerCase().replace(/[\s_-]/g, '')] || null);
+  if (!fields.includes('text') && !fields.includes('ticker')) {
+    throw new Error('CSV needs a "transcript" or "ticker" column');
+  }
+
+  return records.map((record, i) => {
+    const row = { label: `Row ${i + 2}`, errors: [], warnings: [] };
+
+    const values = {};
+    // Undo the apostrophe the CSV export puts before formula-like text
+    fields.forEach((field, column) => {
+      if (field && record[column] !== undefined) values[field] = record[column].replace(/^'(?=[=+\-@\t\r])/, '');
+    });
+
+    row.text = (values.text ?? '').trim();
+    row.timestamp = parseTimestamp(values.timestamp);
+    if (Number.isNaN(row.timestamp)) {
+      row.errors.push(`Invalid timestamp "${values.timestamp}"`);
+    }
+
+    const { trade, errors } = buildTrade(values);
+    row.trade = trade;
+    row.errors.push(...errors);
+
+    return row;
+  });
+}
+
+const READERS = {
+  json: readJsonRows,
+  markdown: readMarkdownRows,
+  csv: readCsvRows,
+};
+
+/**
+ * Parse an import file into preview rows.
+ * Rows without a trade get one extracted from their transcript; rows without
+ * a transcript get the trade summary as their text. Notes already saved
+ * (same time and text) are flagged, and colliding ids are moved to a free one.
+ * @param {string} filename - File name (used to detect the format)
+ * @param {string} content - File contents
+ * @param {Object} [options]
+ * @param {Array} [options.existingNotes] - Notes already saved
+ * @param {number} [options.now] - Timestamp for rows without one
+ * @returns {{format: string, rows: Array<{label: string, note: Object|null, errors: Array<string>, warnings: Array<string>}>}}
+ * @throws {Error} - If the file can't be read at all
+ */
+export function prepareImport(filename, content, { existingNotes = [], now = Date.now() } = {}) {
+  const format = detectImportFormat(filename, content);
+  const rows = READERS[format](content);
+  if (rows.length === 0) {
+    throw new Error('File contains no notes');
+  }
+
+  const usedIds = new Set(existingNotes.map(note => note.id));
+
+  const prepared = rows.map((row, i) => {
+    const errors = [...row.errors];
+    let trade = row.trade ?? null;
+    let extractedTrade = row.extractedTrade ?? null;
+    let text = typeof row.text === 'string' ? row.text.trim() : '';
+    const timestamp = Number.isFinite(row.timestamp) ? row.timestamp : now + i;
+
+    // Relative expiries ("Friday") are read from when the note was taken
+    if (!trade && text) {
+      trade = extractTradeDetails(text, { now: new Date(timestamp) }).trade;
+      extractedTrade = null;
+    }
+    if (!text && trade) {
+      text = generateTradeSummary(trade);
+    }
+    if (!text && errors.length === 0) {
+      errors.push('No transcript or trade');
+    }
+
+    if (errors.length > 0) {
+      return { label: row.label, note: null, errors, warnings: row.warnings };
+    }
+
+    if (existingNotes.some(saved => saved.timestamp === timestamp && saved.text === text)) {
+      return { label: row.label, note: null, errors: ['Already saved'], warnings: row.warnings };
+    }
+    const note = createNote({ text, trade, extractedTrade, timestamp, usedIds });
+
+    return { label: row.label, note, errors, warnings: row.warnings };
+  });
+
+  return { format, rows: prepared };
+}
+
+/**
+ * Render an import preview table
+ * @param {{format: string, rows: Array}} preview - Result of prepareImport
+ * @returns {string} - HTML string
+ */
+export function renderImportPreview(preview) {
+  const valid = preview.rows.filter(row => row.note).length;
+
+  const rowsHtml = preview.rows.map((row) => {
+    const trade = row.note?.trade;
+    const messages = [
+      ...row.errors.map(message => `<span class="import-error">${escapeHtml(message)}</span>`),
+      ...row.warnings.map(message => `<span class="import-warning">${escapeHtml(message)}</span>`),
+    ].join('');
+
+    return `
+      <tr class="${row.note ? 'import-row-valid' : 'import-row-invalid'}">
+        <td>${escapeHtml(row.label)}</td>
+        <td>${row.note ? formatTimestamp(row.note.timestamp) : ''}</td>
+        <td>${row.note ? escapeHtml(trade ? generateTradeSummary(trade) : row.note.text.slice(0, 80)) : ''}${messages ? `<div class="import-messages">${messages}</div>` : ''}</td>
+      </tr>`;
+  }).join('');
+
+  return `
+    <p class="import-summary">${valid} of ${preview.rows.length} ${preview.format === 'csv' ? 'rows' : 'notes'} ready to import</p>
+    <table class="import-table">
+      <thead><tr><th></th><th>Date</th><th>Note</th></tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+  `;
+}
@@ -0,0 +1,255 @@
+import { describe, it, expect } from 'vitest';
+import { detectImportFormat, prepareImport, renderImportPreview } from './noteImport.js';
+import { createNote, formatNotesAsCsv, formatNoteAsMarkdown } from './savedNotes.js';
+import { extractTradeDetails } from './tradeExtractor.js';
+
+const now = Date.UTC(2025, 5, 1);
+
+const markdownExport = `# Trade Note
+**Date:** 1/15/2025, 2:30:00 PM
+
+## Transcript
+Long BTC at 42,500 scaling in, stop 41,000
+
+## Trade Details
+- **Action:** Long
+- **Ticker:** BTC
+- **Exchange:** Binance
+- **Entries:** $42,500, $42,200
+- **Stop Loss:** $41,000
+- **Take Profit 1:** $43,200 (50%)
+- **Take Profit 2:** $44,000
+- **R:R:** 1:1.50
+- **Timeframe:** 4h
+- **Position Size:** $1,000
+- **Leverage:** 5x
+- **Indicators:** RSI, MACD
+
+## Rationale
+Reclaimed the range low
+`;
+
+describe('detectImportFormat', () => {
+  it.each([
+    ['notes.json', '', 'json'],
+    ['notes.md', '', 'markdown'],
+    ['notes.CSV', '', 'csv'],
+    ['clipboard.txt', '{"schema_version":"2.0"}', 'json'],
+    ['clipboard.txt', '# Trade Note\n', 'markdown'],
+    ['clipboard.txt', 'ticker,side\nBTC,buy', 'csv'],
+  ])('%s → %s', (filename, content, expected) => {
+    expect(detectImportFormat(filename, content)).toBe(expected);
+  });
+
+  it('rejects unknown files', () => {
+    expect(() => detectImportFormat('notes.txt', 'hello')).toThrow('Unrecognized file');
+  });
+});
+
+describe('prepareImport', () => {
+  describe('JSON', () => {
+    it('imports the JSON export and backup archives', () => {
+      const json = JSON.stringify({
+        schema_version: '2.0',
+        notes: [{ id: 1000, timestamp: 1000, text: 'Long BTC', trade: { ticker: 'BTC', action: 'buy' }, extractedTrade: null }],
+      });
+
+      const { format, rows } = prepareImport('note.json', json, { now });
+
+      expect(format).toBe('json');
+      expect(rows[0].note).toMatchObject({ id: 1000, timestamp: 1000, text: 'Long BTC', trade: { ticker: 'BTC' }, audio: null });
+    });
+
+    it('migrates a 1.0 export', () => {
+      const json = JSON.stringify({ schema_version: '1.0', timestamp: '2025-01-01T00:00:00.000Z', transcript: 'Short ETH at 3200', trade: null });
+
+      const { rows } = prepareImport('note.json', json, { now });
+
+      expect(rows[0].note.timestamp).toBe(Date.UTC(2025, 0, 1));
+      expect(rows[0].note.trade).toMatchObject({ ticker: 'ETH', action: 'sell', price: 3200 });
+    });
+
+    it('reports invalid JSON', () => {
+      expect(() => prepareImport('note.json', '{', { now })).toThrow('not valid JSON');
+    });
+  });
+
+  describe('Markdown', () => {
+    it('rebuilds the trade from the details list', () => {
+      const { rows } = prepareImport('note.md', markdownExport, { now });
+      const { note, errors } = rows[0];
+
+      expect(errors).toEqual([]);
+      expect(note.text).toBe('Long BTC at 42,500 scaling in, stop 41,000');
+      expect(note.trade).toMatchObject({
+        ticker: 'BTC',
+        action: 'buy',
+        tradeType: 'long',
+        exchange: 'Binance',
+        price: 42500,
+        entries: [{ price: 42500 }, { price: 42200 }],
+        stopLoss: 41000,
+        takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }],
+        positionSize: 1000,
+        leverage: 5,
+        timeframe: '4h',
+        indicators: ['RSI', 'MACD'],
+        rationale: 'Reclaimed the range low',
+      });
+    });
+
+    it('reads several notes from one file', () => {
+      const second = '# Trade Note\n**Date:** 1/16/2025, 9:00:00 AM\n\n## Transcript\nShort ETH at 3200\n';
+
+      const { rows } = prepareImport('notes.md', markdownExport + '\n' + second, { now });
+
+      expect(rows).toHaveLength(2);
+      expect(rows[1].note.trade).toMatchObject({ ticker: 'ETH', action: 'sell' });
+    });
+
+    it('warns about unreadable dates and uses the import time', () => {
+      const { rows } = prepareImport('note.md', '# Trade Note\n**Date:** someday\n\n## Transcript\nLong BTC\n', { now });
+
+      expect(rows[0].note.timestamp).toBe(now);
+      expect(rows[0].warnings[0]).toContain('Unrecognized date');
+    });
+
+    it.each([
+      ['an option spread', 'Bought 3 SPY Jan 17 480/485 call vertical for 2.35, target 4'],
+      ['a sold option', 'Sold 2 AAPL 200 puts expiring Friday for 3.10'],
+      ['a futures contract', 'Long 2 March ES at 5,200, target 5,250'],
+      ['forex lots', 'Long EUR/USD at 1.0850, 2 mini lots, target 1.0900'],
+    ])('round-trips the Markdown export of %s', (_, text) => {
+      const date = new Date(2025, 0, 13, 10);
+      const { trade } = extractTradeDetails(text, { now: date });
+
+      const { rows } = prepareImport('note.md', formatNoteAsMarkdown(text, trade, date), { now });
+
+      expect(rows[0].warnings).toEqual([]);
+      expect(rows[0].note.trade).toEqual(trade);
+    });
+
+    it('reads contracts as the quantity', () => {
+      const markdown = '# Trade Note\n\n## Transcript\nLong ES\n\n## Trade Details\n- **Ticker:** ES\n- **Contracts:** 3\n';
+
+      expect(prepareImport('note.md', markdown, { now }).rows[0].note.trade.quantity).toBe(3);
+    });
+
+    it('warns about an option it cannot read', () => {
+      const markdown = '# Trade Note\n\n## Transcript\nLong SPY\n\n## Trade Details\n- **Ticker:** SPY\n- **Option:** something\n';
+
+      expect(prepareImport('note.md', markdown, { now }).rows[0].warnings).toEqual(['Unrecognized option "something"']);
+    });
+
+    it('flags invalid detail values', () => {
+      const broken = markdownExport.replace('- **Stop Loss:** $41,000', '- **Stop Loss:** $45,000');
+
+      const { rows } = prepareImport('note.md', broken, { now });
+
+      expect(rows[0].note).toBeNull();
+      expect(rows[0].errors).toContain('For a long, stop loss must be below entry');
+    });
+  });
+
+  describe('CSV', () => {
+    it('round-trips the CSV export', () => {
+      const note = createNote({
+        text: 'Long BTC at 95,000',
+        trade: { ticker: 'BTC', action: 'buy', tradeType: 'long', price: 95000, stopLoss: 92000, takeProfit: [{ price: 105000 }], leverage: 10 },
+        timestamp: Date.UTC(2025, 0, 15),
+      });
+
+      const { format, rows } = prepareImport('notes.csv', formatNotesAsCsv([note]), { now });
+
+      expect(format).toBe('csv');
+      expect(rows[0].note).toMatchObject({ timestamp: note.timestamp, text: note.text, trade: note.trade });
+    });
+
+    it('reads back transcripts the export kept from running as formulas', () => {
+      const note = createNote({ text: '-50 and out', timestamp: Date.UTC(2025, 0, 15) });
+
+      expect(prepareImport('notes.csv', formatNotesAsCsv([note]), { now }).rows[0].note.text).toBe('-50 and out');
+    });
+
+    it('accepts common header aliases', () => {
+      const csv = 'Date,Symbol,Direction,Price,Stop,Target,Notes\n2025-01-15,ETH,short,3200,3300,3000,fade the pop';
+
+      const { rows } = prepareImport('trades.csv', csv, { now });
+
+      expect(rows[0].note.trade).toMatchObject({ ticker: 'ETH', action: 'sell', price: 3200, stopLoss: 3300, takeProfit: [{ price: 3000 }] });
+      expect(rows[0].note.text).toBe('fade the pop');
+    });
+
+    it('extracts a trade from the transcript when the row has none', () => {
+      const { rows } = prepareImport('notes.csv', 'transcript\n"Buy AAPL at 185, stop loss at 180"', { now });
+
+      expect(rows[0].note.trade).toMatchObject({ ticker: 'AAPL', action: 'buy', price: 185, stopLoss: 180 });
+    });
+
+    it('reads relative expiries from the row time', () => {
+      const csv = 'timestamp,transcript\n2025-01-13T10:00:00,Sold 2 AAPL 200 puts expiring Friday for 3.10';
+
+      expect(prepareImport('notes.csv', csv, { now }).rows[0].note.trade.option.expiry).toBe('2025-01-17');
+    });
+
+    it('uses the trade summary when the row has no transcript', () => {
+      const { rows } = prepareImport('trades.csv', 'ticker,side,entry\nSOL,buy,150', { now });
+
+      expect(rows[0].note.text).toBe('Long SOL at $150.00');
+    });
+
+    it.each([
+      ['an unknown side', 'ticker,side\nBTC,flat', 'Unknown side "flat"'],
+      ['a bad price', 'ticker,entry\nBTC,abc', 'not a valid price'],
+      ['a bad timestamp', 'timestamp,ticker\nyesterday,BTC', 'Invalid timestamp "yesterday"'],
+      ['an empty row', 'ticker,transcript\n,', 'No transcript or trade'],
+    ])('reports %s on its row', (_, csv, message) => {
+      const { rows } = prepareImport('trades.csv', csv, { now });
+
+      expect(rows[0].label).toBe('Row 2');
+      expect(rows[0].note).toBeNull();
+      expect(rows[0].errors.join(' ')).toContain(message);
+    });
+
+    it('requires a ticker or transcript column', () => {
+      expect(() => prepareImport('trades.csv', 'foo,bar\n1,2', { now })).toThrow('"transcript" or "ticker" column');
+    });
+  });
+
+  describe('duplicates', () => {
+    const saved = createNote({ text: 'Long BTC', timestamp: 1000 });
+    const json = (text) => JSON.stringify({ schema_version: '2.0', notes: [{ id: 1000, timestamp: 1000, text }] });
+
+    it('flags notes that are already saved', () => {
+      const { rows } = prepareImport('note.json', json('Long BTC'), { existingNotes: [saved], now });
+
+      expect(rows[0].note).toBeNull();
+      expect(rows[0].errors).toEqual(['Already saved']);
+    });
+
+    it('moves a different note off a colliding id', () => {
+      const { rows } = prepareImport('note.json', json('Short ETH'), { existingNotes: [saved], now });
+
+      expect(rows[0].note.id).toBe(1001);
+      expect(rows[0].note.timestamp).toBe(1000);
+    });
+
+    it('gives rows without a timestamp distinct ids', () => {
+      const { rows } = prepareImport('notes.csv', 'transcript\nfirst\nsecond', { now });
+
+      expect(rows.map(r => r.note.id)).toEqual([now, now + 1]);
+    });
+  });
+});
+
+describe('renderImportPreview', () => {
+  it('summarizes ready rows and shows escaped errors', () => {
+    const preview = prepareImport('trades.csv', 'ticker,side\nBTC,buy\nETH,<b>', { now });
+
+    const html = renderImportPreview(preview);
+
+    expect(html).toContain('1 of 2 rows ready to import');
+    expect(html).toContain('Unknown side "&lt;b&gt;"');
+    expect(html).not.toContain('<b>');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * IndexedDB Note Store
+ *
+ * Persists saved notes in IndexedDB so history is no longer bound by the
+ * localStorage quota. Audio is stored as a Blob alongside each note.
+ */
+
+import { STORAGE_KEY, loadSavedNotes, base64ToBlob } from './savedNotes.js';
+
+// Constants
+export const DB_NAME = 'traders-voice';
+export const DB_VERSION = 1;
+export const NOTES_STORE = 'notes';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} - Resolves with the request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade) the notes database
+ * @param {IDBFactory} [factory] - IndexedDB factory (default: indexedDB)
+ * @returns {Promise<IDBDatabase>} - Open database handle
+ */
+export function openNoteStore(factory = indexedDB) {
+  const request = factory.open(DB_NAME, DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(NOTES_STORE)) {
+      const store = db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+      store.createIndex('timestamp', 'timestamp');
+    }
+  };
+
+  return requestToPromise(request);
+}
+
+/**
+ * Load every note, newest first
+ * @param {IDBDatabase} db - Open database handle
+ * @returns {Promise<Array>} - Notes sorted by timestamp descending
+ */
+export async function getAllNotes(db) {
+  const tx = db.transaction(NOTES_STORE, 'readonly');
+  const index = tx.objectStore(NOTES_STORE).index('timestamp');
+  const notes = await requestToPromise(index.getAll());
+  return notes.reverse();
+}
+
+/**
+ * Insert or replace notes in a single transaction
+ * @param {IDBDatabase} db - Open database handle
+ * @param {Array} notes - Notes to write (keyed by id)
+ * @returns {Promise<void>}
+ */
+export function putNotes(db, notes) {
+  const tx = db.transaction(NOTES_STORE, 'readwrite');
+  const store = tx.objectStore(NOTES_STORE);
+  notes.forEach(note => store.put(note));
+  return transactionDone(tx);
+}
+
+/**
+ * Insert or replace a single note
+ * @param {IDBDatabase} db - Open database handle
+ * @param {Object} note - Note to write
+ * @returns {Promise<void>}
+ */
+export function putNote(db, note) {
+  return putNotes(db, [note]);
+}
+
+/**
+ * Delete a note by id
+ * @param {IDBDatabase} db - Open database handle
+ * @param {number} id - Note id
+ * @returns {Promise<void>}
+ */
+export function deleteNote(db, id) {
+  const tx = db.transaction(NOTES_STORE, 'readwrite');
+  tx.objectStore(NOTES_STORE).delete(id);
+  return transactionDone(tx);
+}
+
+/**
+ * Delete every note
+ * @param {IDBDatabase} db - Open database handle
+ * @returns {Promise<void>}
+ */
+export function clearNotes(db) {
+  const tx = db.transaction(NOTES_STORE, 'readwrite');
+  tx.objectStore(NOTES_STORE).clear();
+  return transactionDone(tx);
+}
+
+/**
+ * Convert a legacy localStorage note (base64 audioData) to the stored shape
+ * @param {Object} note - Legacy note object
+ * @returns {Object} - Note with audio as a Blob
+ */
+export function fromLegacyNote(note) {
+  const { audioData, ...rest } = note;
+  let audio = null;
+
+  if (audioData) {
+    try {
+      audio = base64ToBlob(audioData);
+    } catch (err) {
+      console.warn('Dropping unreadable audio for note', note.id, err);
+    }
+  }
+
+  return { ...rest, audio };
+}
+
+/**
+ * One-time migration of notes from localStorage into IndexedDB.
+ * The legacy key is removed only after the write has committed.
+ * @param {IDBDatabase} db - Open database handle
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ * @returns {Promise<number>} - Number of notes migrated
+ */
+export async function migrateLegacyNotes(db, storage = localStorage) {
+  if (storage.getItem(STORAGE_KEY) === null) return 0;
+
+  const notes = loadSavedNotes(storage)
+    .filter(note => note && note.id !== undefined)
+    .map(fromLegacyNote);
+
+  if (notes.length > 0) {
+    await putNotes(db, notes);
+  }
+
+  storage.removeItem(STORAGE_KEY);
+  return notes.length;
+}
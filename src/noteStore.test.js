@@ -0,0 +1,195 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Blob as NodeBlob } from 'node:buffer';
+import {
+  DB_NAME,
+  NOTES_STORE,
+  openNoteStore,
+  getAllNotes,
+  putNote,
+  putNotes,
+  deleteNote,
+  clearNotes,
+  fromLegacyNote,
+  migrateLegacyNotes,
+} from './noteStore.js';
+import { STORAGE_KEY, createNote } from './savedNotes.js';
+import { createMockStorage } from '../test/mockStorage.js';
+
+function deleteDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('noteStore', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await openNoteStore();
+  });
+
+  afterEach(async () => {
+    db.close();
+    await deleteDatabase();
+  });
+
+  describe('openNoteStore', () => {
+    it('creates the notes object store', () => {
+      expect(db.objectStoreNames.contains(NOTES_STORE)).toBe(true);
+    });
+  });
+
+  describe('putNote / getAllNotes', () => {
+    it('returns an empty list for a fresh database', async () => {
+      expect(await getAllNotes(db)).toEqual([]);
+    });
+
+    it('returns notes newest first', async () => {
+      await putNote(db, createNote({ text: 'Old', timestamp: 1000 }));
+      await putNote(db, createNote({ text: 'New', timestamp: 3000 }));
+      await putNote(db, createNote({ text: 'Middle', timestamp: 2000 }));
+
+      const notes = await getAllNotes(db);
+
+      expect(notes.map(n => n.text)).toEqual(['New', 'Middle', 'Old']);
+    });
+
+    it('replaces notes with the same id', async () => {
+      await putNote(db, createNote({ text: 'First', timestamp: 1000 }));
+      await putNote(db, createNote({ text: 'Edited', timestamp: 1000 }));
+
+      const notes = await getAllNotes(db);
+
+      expect(notes).toHaveLength(1);
+      expect(notes[0].text).toBe('Edited');
+    });
+
+    it('stores audio as a Blob', async () => {
+      const audio = new NodeBlob([new Uint8Array([1, 2, 3])], { type: 'audio/webm' });
+      await putNote(db, createNote({ text: 'With audio', audio, timestamp: 1000 }));
+
+      const [note] = await getAllNotes(db);
+
+      expect(note.audio.type).toBe('audio/webm');
+      expect(note.audio.size).toBe(3);
+    });
+
+    it('stores more than the old 10 note limit', async () => {
+      const notes = Array.from({ length: 250 }, (_, i) => createNote({ text: `Note ${i}`, timestamp: i + 1 }));
+      await putNotes(db, notes);
+
+      expect(await getAllNotes(db)).toHaveLength(250);
+    });
+  });
+
+  describe('deleteNote', () => {
+    it('removes only the matching note', async () => {
+      await putNotes(db, [
+        createNote({ text: 'Keep', timestamp: 1000 }),
+        createNote({ text: 'Remove', timestamp: 2000 }),
+      ]);
+
+      await deleteNote(db, 2000);
+      const notes = await getAllNotes(db);
+
+      expect(notes.map(n => n.text)).toEqual(['Keep']);
+    });
+  });
+
+  describe('clearNotes', () => {
+    it('removes every note', async () => {
+      await putNotes(db, [
+        createNote({ text: 'A', timestamp: 1000 }),
+        createNote({ text: 'B', timestamp: 2000 }),
+      ]);
+
+      await clearNotes(db);
+
+      expect(await getAllNotes(db)).toEqual([]);
+    });
+  });
+
+  describe('fromLegacyNote', () => {
+    it('converts base64 audioData to an audio Blob', () => {
+      const note = fromLegacyNote({ id: 1, text: 'Test', audioData: 'data:audio/webm;base64,AAECAwQF' });
+
+      expect(note.audioData).toBeUndefined();
+      expect(note.audio).toBeInstanceOf(Blob);
+      expect(note.audio.type).toBe('audio/webm');
+    });
+
+    it('sets audio to null when there is no audio', () => {
+      const note = fromLegacyNote({ id: 1, text: 'Test', audioData: null });
+
+      expect(note.audio).toBeNull();
+    });
+
+    it('drops malformed audio instead of throwing', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const note = fromLegacyNote({ id: 1, text: 'Test', audioData: 'garbage' });
+
+      expect(note.audio).toBeNull();
+      expect(note.text).toBe('Test');
+      warn.mockRestore();
+    });
+  });
+
+  describe('migrateLegacyNotes', () => {
+    it('does nothing when there is no legacy key', async () => {
+      const storage = createMockStorage();
+
+      const count = await migrateLegacyNotes(db, storage);
+
+      expect(count).toBe(0);
+      expect(storage.removeItem).not.toHaveBeenCalled();
+    });
+
+    it('moves legacy notes into IndexedDB and removes the key', async () => {
+      const legacy = [
+        { id: 2000, timestamp: 2000, text: 'Second', trade: { ticker: 'ETH' }, audioData: null },
+        { id: 1000, timestamp: 1000, text: 'First', trade: null, audioData: null },
+      ];
+      const storage = createMockStorage({ [STORAGE_KEY]: JSON.stringify(legacy) });
+
+      const count = await migrateLegacyNotes(db, storage);
+      const notes = await getAllNotes(db);
+
+      expect(count).toBe(2);
+      expect(notes.map(n => n.text)).toEqual(['Second', 'First']);
+      expect(notes[0].trade.ticker).toBe('ETH');
+      expect(storage.removeItem).toHaveBeenCalledWith(STORAGE_KEY);
+    });
+
+    it('only runs once', async () => {
+      const legacy = [{ id: 1000, timestamp: 1000, text: 'First', audioData: null }];
+      const storage = createMockStorage({ [STORAGE_KEY]: JSON.stringify(legacy) });
+
+      await migrateLegacyNotes(db, storage);
+      const secondCount = await migrateLegacyNotes(db, storage);
+
+      expect(secondCount).toBe(0);
+      expect(await getAllNotes(db)).toHaveLength(1);
+    });
+
+    it('skips entries without an id', async () => {
+      const legacy = [{ text: 'No id' }, { id: 1000, timestamp: 1000, text: 'Valid' }];
+      const storage = createMockStorage({ [STORAGE_KEY]: JSON.stringify(legacy) });
+
+      const count = await migrateLegacyNotes(db, storage);
+
+      expect(count).toBe(1);
+    });
+
+    it('clears unreadable legacy data', async () => {
+      const storage = createMockStorage({ [STORAGE_KEY]: 'not json' });
+
+      const count = await migrateLegacyNotes(db, storage);
+
+      expect(count).toBe(0);
+      expect(storage.removeItem).toHaveBeenCalledWith(STORAGE_KEY);
+    });
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Spoken Number Normalizer
+ *
+ * Rewrites numbers the way Whisper tends to transcribe them ("ninety five
+ * thousand", "42 and a half", "1.2k", "forty-two five") into digits so the
+ * trade extractor's price patterns can match them.
+ */
+
+import { trackText, replaceTracked } from './trackedText.js';
+
+const UNITS = {
+  'ZERO': 0, 'ONE': 1, 'TWO': 2, 'THREE': 3, 'FOUR': 4, 'FIVE': 5, 'SIX': 6,
+  'SEVEN': 7, 'EIGHT': 8, 'NINE': 9,
+};
+
+const TEENS = {
+  'TEN': 10, 'ELEVEN': 11, 'TWELVE': 12, 'THIRTEEN': 13, 'FOURTEEN': 14,
+  'FIFTEEN': 15, 'SIXTEEN': 16, 'SEVENTEEN': 17, 'EIGHTEEN': 18, 'NINETEEN': 19,
+};
+
+const TENS = {
+  'TWENTY': 20, 'THIRTY': 30, 'FORTY': 40, 'FOURTY': 40, 'FIFTY': 50,
+  'SIXTY': 60, 'SEVENTY': 70, 'EIGHTY': 80, 'NINETY': 90,
+};
+
+const SCALES = {
+  'THOUSAND': 1000, 'GRAND': 1000, 'MILLION': 1000000, 'BILLION': 1000000000,
+};
+
+const FRACTIONS = {
+  'HALF': 0.5, 'QUARTER': 0.25, 'THREE QUARTERS': 0.75,
+};
+
+// Words that mark the next number as a price, enabling trader shorthand
+// ("stop at forty-two five" → 42,500)
+const PRICE_CUES = /(?:\b(?:AT|ENTRY|ENTER|STOP|LOSS|SL|TARGET|PROFIT|TP|TO|FROM|AROUND|NEAR|ABOVE|BELOW|UNDER|OVER|IS|EVEN)|@|\$)\s*$/i;
+
+const NUMBER_WORD = [
+  ...Object.keys(UNITS), ...Object.keys(TEENS), ...Object.keys(TENS), 'HUNDRED', ...Object.keys(SCALES),
+].join('|');
+
+const TOKEN = `(?:${NUMBER_WORD}|\\d+(?:,\\d{3})*(?:\\.\\d+)?)`;
+const SEP = '(?:\\s+|-)';
+const FRACTION_TAIL = '(?:\\s+AND\\s+(?:A\\s+)?(?:HALF|QUARTER)|\\s+AND\\s+THREE\\s+QUARTERS)';
+
+const RUN_PATTERN = new RegExp(
+  `\\b${TOKEN}(?:${SEP}(?:AND${SEP})?(?:POINT${SEP})?${TOKEN}(?!\\s+QUARTERS))*${FRACTION_TAIL}?\\b`,
+  'gi'
+);
+
+const TOKEN_PATTERN = new RegExp(
+  `AND\\s+(?:A\\s+)?(?:HALF|QUARTER)|AND\\s+THREE\\s+QUARTERS|\\bPOINT\\b|\\bAND\\b|\\b${TOKEN}\\b`,
+  'gi'
+);
+
+/**
+ * Classify a single token from a number run
+ */
+function classifyToken(raw) {
+  const word = raw.toUpperCase().replace(/\s+/g, ' ');
+
+  if (word.startsWith('AND ')) {
+    const fraction = word.replace(/^AND (?:A )?/, '');
+    return { type: 'fraction', value: FRACTIONS[fraction] };
+  }
+  if (word === 'AND') return { type: 'and' };
+  if (word === 'POINT') return { type: 'point' };
+  if (word === 'HUNDRED') return { type: 'hundred' };
+  if (UNITS[word] !== undefined) return { type: 'unit', value: UNITS[word], word: true };
+  if (TEENS[word] !== undefined) return { type: 'teen', value: TEENS[word], word: true };
+  if (TENS[word] !== undefined) return { type: 'tens', value: TENS[word], word: true };
+  if (SCALES[word] !== undefined) return { type: 'scale', value: SCALES[word] };
+  return { type: 'digits', value: parseFloat(word.replace(/,/g, '')), raw };
+}
+
+/**
+ * Split a run of number tokens into separately spoken numbers.
+ * "forty two five" → [42] [5]; "ninety five thousand" → [95000]
+ */
+function parseGroups(tokens) {
+  const groups = [];
+  let group = null;
+
+  const startGroup = (token) => {
+    group = {
+      total: 0,
+      current: 0,
+      decimals: null,
+      fraction: 0,
+      last: null,
+      hasWords: false,
+      hasScale: false,
+      start: token.start,
+      end: token.end,
+    };
+    groups.push(group);
+  };
+
+  for (const token of tokens) {
+    const { type, value } = token;
+
+    if (type === 'and') continue;
+
+    if (type === 'point') {
+      if (group && group.decimals === null && group.last !== 'fraction') {
+        group.decimals = '';
+        group.hasWords = true;
+      }
+      continue;
+    }
+
+    if (group && group.decimals !== null && (type === 'unit' || (type === 'digits' && /^\d+$/.test(token.raw)))) {
+      group.decimals += String(value);
+      group.end = token.end;
+      continue;
+    }
+
+    if (type === 'fraction') {
+      if (group) {
+        group.fraction = value;
+        group.hasWords = true;
+        group.last = 'fraction';
+        group.end = token.end;
+      }
+      continue;
+    }
+
+    if (type === 'hundred') {
+      if (!group || group.last === 'fraction') startGroup(token);
+      group.current = (group.current || 1) * 100;
+      group.hasWords = true;
+      group.last = 'hundred';
+      group.end = token.end;
+      continue;
+    }
+
+    if (type === 'scale') {
+      if (!group || group.last === 'fraction') startGroup(token);
+      group.total += (group.current || 1) * value;
+      group.current = 0;
+      group.hasWords = true;
+      group.hasScale = true;
+      group.last = 'scale';
+      group.end = token.end;
+      continue;
+    }
+
+    // unit, teen, tens or digits: join the current group only where English allows it
+    const canJoin = group && group.decimals === null && (
+      group.last === 'hundred' ||
+      (group.last === 'scale' && type !== 'digits') ||
+      (group.last === 'tens' && type === 'unit')
+    );
+
+    if (!canJoin) startGroup(token);
+
+    group.current += value;
+    group.hasWords = group.hasWords || Boolean(token.word);
+    group.last = type;
+    group.end = token.end;
+  }
+
+  return groups;
+}
+
+/**
+ * Numeric value of a parsed group
+ */
+function groupValue(group) {
+  const decimals = group.decimals ? parseFloat(`0.${group.decimals}`) : 0;
+  return group.total + group.current + decimals + group.fraction;
+}
+
+/**
+ * Whether a group was spoken as a bare 1-999 number (no scale, no decimals)
+ */
+function isPlainGroup(group) {
+  return group.hasWords && !group.hasScale && group.decimals === null && group.fraction === 0 &&
+    Number.isInteger(group.value) && group.value >= 1 && group.value <= 999;
+}
+
+/**
+ * Whether a group was spoken as whole thousands and a single digit ("two thousand one")
+ */
+function isThousandsAndUnit(group) {
+  const units = group.value % 1000;
+  return group.hasWords && group.hasScale && group.decimals === null && group.fraction === 0 &&
+    Number.isInteger(group.value) && group.value >= 1000 && units >= 1 && units <= 9;
+}
+
+/**
+ * Merge adjacent groups that follow a price cue when `combine` accepts them
+ * @param {Function} [isFirst] - Which groups can start a merge (bare 1-999 numbers by default)
+ */
+function mergeAdjacent(groups, combine, isFirst = isPlainGroup) {
+  const merged = [];
+
+  for (const group of groups) {
+    const prev = merged[merged.length - 1];
+    const value = prev && prev.shorthand && isFirst(prev) && isPlainGroup(group)
+      ? combine(prev.value, group.value)
+      : null;
+
+    if (value !== null) {
+      merged[merged.length - 1] = { ...prev, value, end: group.end };
+    } else {
+      merged.push(group);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Merge trader shorthand spoken after a price cue:
+ * "one eighty-five" → 185, "twenty one fifty" → 2,150, "forty-two five" → 42,500,
+ * "forty-two five hundred" → 42,500, "ninety-five two fifty" → 95,250,
+ * "two thousand one fifty" → 2,150
+ */
+function mergeShorthand(groups) {
+  // Thousands, then a digit and two digits: the digit is hundreds ("two thousand one fifty" → 2,150)
+  const scaled = mergeAdjacent(groups, (prev, value) => {
+    const units = prev % 1000;
+    return value >= 10 && value < 100 ? prev - units + units * 100 + value : null;
+  }, isThousandsAndUnit);
+
+  // One or two digits followed by two digits → hundreds ("two fifty" → 250, "twenty one fifty" → 2,150)
+  const hundreds = mergeAdjacent(scaled, (prev, value) =>
+    (prev < 100 && value >= 10 && value < 100 ? prev * 100 + value : null));
+
+  // Two or three digits followed by hundreds → thousands ("forty-two five" → 42,500)
+  return mergeAdjacent(hundreds, (prev, value) => {
+    const lower = value < 10 ? value * 100 : value;
+    return prev >= 10 && lower >= 100 && lower < 1000 ? prev * 1000 + lower : null;
+  });
+}
+
+/**
+ * Format a normalized value without floating point noise
+ */
+function formatValue(value) {
+  return String(Number(value.toFixed(8)));
+}
+
+/**
+ * Expand suffixed amounts: "1.2k" → 1200, "95K" → 95000, "1.5m" / "2 mil" → 1500000 / 2000000.
+ * A bare integer with "m" is left alone because "5m" / "15m" are timeframes.
+ */
+function expandSuffixes(tracked) {
+  const thousands = replaceTracked(tracked, /\b(\d+(?:\.\d+)?)k\b/gi, (_, n) => formatValue(parseFloat(n) * 1000));
+  const millions = replaceTracked(thousands, /\b(\d+\.\d+)m\b/gi, (_, n) => formatValue(parseFloat(n) * 1000000));
+  return replaceTracked(millions, /\b(\d+(?:\.\d+)?)\s?(?:mm|mil)\b/gi, (_, n) => formatValue(parseFloat(n) * 1000000));
+}
+
+/**
+ * Convert one run of number tokens into its normalized replacement text
+ */
+function normalizeRun(run, offset, fullText) {
+  const tokens = [];
+  for (const match of run.matchAll(TOKEN_PATTERN)) {
+    tokens.push({ ...classifyToken(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+
+  const groups = parseGroups(tokens);
+  if (!groups.some(g => g.hasWords)) return run;
+
+  // Mark groups that follow a price cue; shorthand only applies in that context
+  groups.forEach((group, i) => {
+    if (i === 0) {
+      group.shorthand = PRICE_CUES.test(fullText.slice(0, offset + group.start));
+    } else {
+      group.shorthand = groups[0].shorthand;
+    }
+  });
+
+  groups.forEach(group => { group.value = groupValue(group); });
+  const merged = mergeShorthand(groups);
+
+  // Rebuild the run, replacing only spans that contained words
+  let result = '';
+  let cursor = 0;
+  for (const group of merged) {
+    result += run.slice(cursor, group.start);
+    result += group.hasWords ? formatValue(group.value) : run.slice(group.start, group.end);
+    cursor = group.end;
+  }
+  result += run.slice(cursor);
+
+  return result;
+}
+
+/**
+ * Normalize spoken numbers in a tracked text (see trackedText.js), keeping
+ * each rewritten number mapped to the words it was spoken as
+ * @param {Object} tracked - Tracked transcript
+ * @returns {Object} - Tracked text with spoken numbers replaced by digits
+ */
+export function normalizeTrackedNumbers(tracked) {
+  const expanded = expandSuffixes(tracked);
+  return replaceTracked(expanded, RUN_PATTERN, (run, offset) => normalizeRun(run, offset, expanded.text));
+}
+
+/**
+ * Normalize spoken numbers in a transcript into digits
+ * @param {string} text - Transcribed text
+ * @returns {string} - Text with spoken numbers replaced by digits
+ */
+export function normalizeSpokenNumbers(text) {
+  if (!text || typeof text !== 'string') return text;
+
+  return normalizeTrackedNumbers(trackText(text)).text;
+}
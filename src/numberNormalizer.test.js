@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSpokenNumbers, normalizeTrackedNumbers } from './numberNormalizer.js';
+import { trackText, toSourceRange } from './trackedText.js';
+
+describe('normalizeSpokenNumbers', () => {
+  describe('English number words', () => {
+    it.each([
+      ['ninety five thousand', '95000'],
+      ['ninety-five thousand', '95000'],
+      ['one hundred and five thousand', '105000'],
+      ['three hundred and forty two', '342'],
+      ['sixty three thousand five hundred', '63500'],
+      ['two million', '2000000'],
+      ['fifteen', '15'],
+      ['five grand', '5000'],
+    ])('"%s" → %s', (input, expected) => {
+      expect(normalizeSpokenNumbers(input)).toBe(expected);
+    });
+  });
+
+  describe('decimals and fractions', () => {
+    it.each([
+      ['two point five', '2.5'],
+      ['one point zero eight five', '1.085'],
+      ['42 and a half', '42.5'],
+      ['forty-two and a half', '42.5'],
+      ['185 and a quarter', '185.25'],
+      ['ten and three quarters', '10.75'],
+    ])('"%s" → %s', (input, expected) => {
+      expect(normalizeSpokenNumbers(input)).toBe(expected);
+    });
+  });
+
+  describe('k and m suffixes', () => {
+    it.each([
+      ['target 1.2k', 'target 1200'],
+      ['take profit at 95k', 'take profit at 95000'],
+      ['take profit at 95K', 'take profit at 95000'],
+      ['1.5m position', '1500000 position'],
+      ['2 mil position', '2000000 position'],
+    ])('"%s" → "%s"', (input, expected) => {
+      expect(normalizeSpokenNumbers(input)).toBe(expected);
+    });
+
+    it('leaves timeframes like 5m alone', () => {
+      expect(normalizeSpokenNumbers('on the 5m chart')).toBe('on the 5m chart');
+      expect(normalizeSpokenNumbers('15m chart')).toBe('15m chart');
+    });
+  });
+
+  describe('trader shorthand after a price cue', () => {
+    it.each([
+      ['entry forty-two five', 'entry 42500'],
+      ['stop at forty-two five hundred', 'stop at 42500'],
+      ['target ninety-five two fifty', 'target 95250'],
+      ['stop at one eighty-five', 'stop at 185'],
+      ['take profit at two fifty', 'take profit at 250'],
+      ['long ETH at twenty one fifty', 'long ETH at 2150'],
+      ['long ETH at two thousand one fifty', 'long ETH at 2150'],
+      ['stop at forty-two thousand five fifty', 'stop at 42550'],
+    ])('"%s" → "%s"', (input, expected) => {
+      expect(normalizeSpokenNumbers(input)).toBe(expected);
+    });
+
+    it('does not merge numbers without a price cue', () => {
+      expect(normalizeSpokenNumbers('buy forty two five')).toBe('buy 42 5');
+    });
+  });
+
+  describe('leaves other text intact', () => {
+    it.each([
+      ['42,500, 42,200 and 41,900'],
+      ['EMA 20 and EMA 50'],
+      ['Buy BTC/USDT at 50000'],
+      ['Hello world'],
+    ])('"%s"', (input) => {
+      expect(normalizeSpokenNumbers(input)).toBe(input);
+    });
+
+    it('keeps timeframe words matchable', () => {
+      expect(normalizeSpokenNumbers('four-hour chart')).toBe('4-hour chart');
+      expect(normalizeSpokenNumbers('fifteen minutes')).toBe('15 minutes');
+    });
+
+    it('returns non-string input unchanged', () => {
+      expect(normalizeSpokenNumbers(null)).toBeNull();
+      expect(normalizeSpokenNumbers('')).toBe('');
+    });
+  });
+});
+
+describe('normalizeTrackedNumbers', () => {
+  it.each([
+    ['long at ninety five thousand now', '95000', 'ninety five thousand'],
+    ['target 1.2k then', '1200', '1.2k'],
+    ['stop at 42 and a half', '42.5', '42 and a half'],
+  ])('maps the digits in "%s" back to the spoken words', (input, digits, spoken) => {
+    const tracked = normalizeTrackedNumbers(trackText(input));
+    const start = tracked.text.indexOf(digits);
+    const range = toSourceRange(tracked, start, start + digits.length);
+
+    expect(input.slice(range.start, range.end)).toBe(spoken);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * OHLC Data
+ *
+ * Reads candle CSVs as exchanges and TradingView export them, and picks the
+ * candles around a note's time to show the market it was spoken in.
+ *
+ * Recognized layouts:
+ *   - TradingView "Export chart data": time,open,high,low,close[,Volume,…]
+ *     with the time as Unix seconds or an ISO date
+ *   - Exchange exports with a header naming the columns (Date/Timestamp/Open
+ *     time, Open, High, Low, Close, Volume), optionally a separate Time column
+ *   - Headerless exchange klines (Binance): open time, open, high, low, close,
+ *     volume, … with the time in seconds, milliseconds or microseconds
+ *
+ * Candle shape: { time, open, high, low, close, volume } where time is the
+ * candle's open in epoch milliseconds and volume is null when not exported.
+ */
+
+import { parseCsv } from './csv.js';
+
+// Candles kept around a note: enough history for context, a little of what came after
+export const CANDLES_BEFORE_NOTE = 48;
+export const CANDLES_AFTER_NOTE = 24;
+
+// Header names for each column, compared lower-cased with spaces and underscores removed
+const COLUMN_NAMES = {
+  time: ['time', 'timestamp', 'date', 'datetime', 'opentime', 'unix', 'unixtimestamp'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'last'],
+  volume: ['volume', 'vol', 'v'],
+};
+
+// Column order of headerless kline exports
+const KLINE_COLUMNS = { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+/**
+ * Normalize a header cell for matching, e.g. "Open Time" → "opentime"
+ */
+function normalizeHeader(cell) {
+  return cell.trim().toLowerCase().replace(/[\s_]/g, '');
+}
+
+/**
+ * Find each column's index from a header row
+ * @returns {Object|null} - Column indexes (plus `clock` for a separate Time column), or null without the OHLC columns
+ */
+function findColumns(header) {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_NAMES)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[column] = index;
+  }
+
+  // "Date" and "Time" as separate columns: the time of day completes the date
+  const date = names.indexOf('date');
+  const clock = names.indexOf('time');
+  if (date !== -1 && clock !== -1) {
+    columns.time = date;
+    columns.clock = clock;
+  }
+
+  const required = ['time', 'open', 'high', 'low', 'close'];
+  return required.every(column => columns[column] !== undefined) ? columns : null;
+}
+
+/**
+ * Parse a candle time to epoch milliseconds: Unix seconds, milliseconds or
+ * microseconds (told apart by size), or a date string
+ * @param {string} value - Time cell
+ * @returns {number|null}
+ */
+export function parseCandleTime(value) {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    if (number >= 1e14) return Math.round(number / 1000);
+    if (number >= 1e11) return Math.round(number);
+    return Math.round(number * 1000);
+  }
+
+  const time = Date.parse(text);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Parse a price or volume cell, allowing thousands separators
+ */
+function parseValue(value) {
+  const text = String(value ?? '').trim().replace(/,/g, '');
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse an OHLC CSV into candles ordered by time
+ * @param {string} text - CSV contents
+ * @returns {{candles: Array<Object>, skipped: number}} - Candles (see module doc) and the number of unreadable rows left out
+ * @throws {Error} - If the columns can't be recognized or no row holds a valid candle
+ */
+export function parseOhlcCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error('The file is empty');
+
+  // A first row of numbers means a headerless kline export
+  const headerless = rows[0].length >= 5 && rows[0].slice(0, 5).every(cell => parseValue(cell) !== null);
+  const columns = headerless ? KLINE_COLUMNS : findColumns(rows[0]);
+  if (!columns) {
+    throw new Error('No OHLC columns found: the CSV needs time, open, high, low and close columns');
+  }
+
+  const byTime = new Map();
+  let skipped = 0;
+  for (const row of headerless ? rows : rows.slice(1)) {
+    const time = parseCandleTime(columns.clock === undefined ? row[columns.time] : `${row[columns.time]} ${row[columns.clock]}`);
+    const [open, high, low, close] = ['open', 'high', 'low', 'close'].map(column => parseValue(row[columns[column]]));
+    const volume = columns.volume === undefined ? null : parseValue(row[columns.volume]);
+
+    const valid = time !== null && [open, high, low, close].every(price => price !== null && price > 0)
+      && high >= Math.max(open, close, low) && low <= Math.min(open, close);
+    if (!valid) {
+      skipped++;
+      continue;
+    }
+    // Repeated times (overlapping exports) keep the last row
+    byTime.set(time, { time, open, high, low, close, volume });
+  }
+
+  if (byTime.size === 0) throw new Error('No valid candles found in the file');
+
+  const candles = [...byTime.values()].sort((a, b) => a.time - b.time);
+  return { candles, skipped };
+}
+
+/**
+ * Typical time between candles: the smallest gap, since sessions and weekends only add longer ones
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @returns {number|null} - Milliseconds, or null for fewer than two candles
+ */
+export function getCandleInterval(candles) {
+  let interval = null;
+  for (let i = 1; i < candles.length; i++) {
+    const gap = candles[i].time - candles[i - 1].time;
+    if (gap > 0 && (interval === null || gap < interval)) interval = gap;
+  }
+  return interval;
+}
+
+/**
+ * Index of the candle closest to a time: the one open at that time, else the
+ * nearest one; nothing when the time is more than a candle outside the data
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} - Index, or -1
+ */
+export function findNearestCandleIndex(candles, time) {
+  if (!candles?.length || !Number.isFinite(time)) return -1;
+
+  const interval = getCandleInterval(candles) ?? 0;
+  if (time < candles[0].time - interval || time >= candles[candles.length - 1].time + 2 * interval) return -1;
+
+  // Last candle opened at or before the time
+  let low = 0;
+  let high = candles.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (candles[middle].time <= time) low = middle;
+    else high = middle - 1;
+  }
+
+  const candle = candles[low];
+  if (candle.time <= time && time < candle.time + interval) return low;
+
+  // In a gap (or before the first candle): whichever side is nearer
+  const next = candle.time > time ? low : low + 1;
+  const previous = next - 1;
+  if (previous < 0) return next;
+  if (next >= candles.length) return previous;
+  return time - candles[previous].time <= candles[next].time - time ? previous : next;
+}
+
+/**
+ * Market price at a time: the close of the candle closest to it
+ * @param {Array<Object>|null} candles - Candles ordered by time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number|null}
+ */
+export function getPriceAt(candles, time) {
+  const index = findNearestCandleIndex(candles, time);
+  return index === -1 ? null : candles[index].close;
+}
+
+/**
+ * A trade with its current price taken from the market at a time, for the
+ * price level chart; the trade as it is when no candle is close to the time
+ * @param {Object} trade - Trade info object
+ * @param {Array<Object>|null} candles - Candles ordered by time
+ * @param {number} time - Epoch milliseconds
+ * @returns {Object}
+ */
+export function withMarketPrice(trade, candles, time) {
+  const price = getPriceAt(candles, time);
+  return price === null ? trade : { ...trade, currentPrice: price };
+}
+
+/**
+ * Candles to keep with a note: the ones leading up to its time and a few after
+ * @param {Array<Object>} candles - Candles ordered by time
+ * @param {number} time - Note timestamp
+ * @returns {Array<Object>}
+ * @throws {Error} - If the candles don't reach the note's time
+ */
+export function selectNoteCandles(candles, time) {
+  const index = findNearestCandleIndex(candles, time);
+  if (index === -1) {
+    const first = new Date(candles[0].time).toLocaleString();
+    const last = new Date(candles[candles.length - 1].time).toLocaleString();
+    throw new Error(`The candles run from ${first} to ${last} and don't cover this note's time`);
+  }
+  return candles.slice(Math.max(0, index - CANDLES_BEFORE_NOTE), index + CANDLES_AFTER_NOTE + 1);
+}
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseOhlcCsv,
+  parseCandleTime,
+  getCandleInterval,
+  findNearestCandleIndex,
+  getPriceAt,
+  withMarketPrice,
+  selectNoteCandles,
+  CANDLES_BEFORE_NOTE,
+  CANDLES_AFTER_NOTE,
+} from './ohlcData.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 15, 9);
+
+/**
+ * Hourly candles from START, each opening at the previous close
+ */
+function makeCandles(closes) {
+  return closes.map((close, i) => {
+    const open = i === 0 ? close : closes[i - 1];
+    return { time: START + i * HOUR, open, high: Math.max(open, close) + 1, low: Math.min(open, close) - 1, close, volume: null };
+  });
+}
+
+describe('parseCandleTime', () => {
+  it.each([
+    ['Unix seconds', '1705309200', START],
+    ['milliseconds', '1705309200000', START],
+    ['microseconds', '1705309200000000', START],
+    ['an ISO date', '2024-01-15T09:00:00Z', START],
+    ['an ISO date with an offset', '2024-01-15T10:00:00+01:00', START],
+    ['nothing', '', null],
+    ['garbage', 'soon', null],
+  ])('reads %s', (_, value, time) => {
+    expect(parseCandleTime(value)).toBe(time);
+  });
+});
+
+describe('parseOhlcCsv', () => {
+  it('reads a TradingView export', () => {
+    const csv = 'time,open,high,low,close,Volume,MA\n1705309200,42000,42500,41800,42300,120.5,NaN\n1705312800,42300,42600,42100,42450,98.2,NaN\n';
+    const { candles, skipped } = parseOhlcCsv(csv);
+
+    expect(skipped).toBe(0);
+    expect(candles).toEqual([
+      { time: START, open: 42000, high: 42500, low: 41800, close: 42300, volume: 120.5 },
+      { time: START + HOUR, open: 42300, high: 42600, low: 42100, close: 42450, volume: 98.2 },
+    ]);
+  });
+
+  it('reads a headerless Binance kline export', () => {
+    const csv = '1705309200000,42000.00,42500.00,41800.00,42300.00,120.5,1705312799999,5000000,1200,60,2500000,0\n';
+    expect(parseOhlcCsv(csv).candles[0]).toMatchObject({ time: START, open: 42000, close: 42300, volume: 120.5 });
+  });
+
+  it('reads named columns in any order and case', () => {
+    const csv = 'Open Time,Volume,Close,Low,High,Open\n2024-01-15T09:00:00Z,10,101,99,102,100\n';
+    expect(parseOhlcCsv(csv).candles[0]).toEqual({ time: START, open: 100, high: 102, low: 99, close: 101, volume: 10 });
+  });
+
+  it('joins separate Date and Time columns', () => {
+    const csv = 'Date,Time,Open,High,Low,Close\n2024-01-15,09:00:00Z,100,102,99,101\n';
+    expect(parseOhlcCsv(csv).candles[0].time).toBe(Date.parse('2024-01-15 09:00:00Z'));
+  });
+
+  it('accepts quoted prices with thousands separators and no volume', () => {
+    const csv = 'Date,Open,High,Low,Close\n2024-01-15T09:00:00Z,"42,000.5","42,500","41,800","42,300"\n';
+    expect(parseOhlcCsv(csv).candles[0]).toMatchObject({ open: 42000.5, high: 42500, volume: null });
+  });
+
+  it('orders candles by time and keeps the last of repeated times', () => {
+    const csv = 'time,open,high,low,close\n1705312800,2,3,1,2\n1705309200,1,2,1,1\n1705312800,2,4,1,3\n';
+    expect(parseOhlcCsv(csv).candles.map(c => c.close)).toEqual([1, 3]);
+  });
+
+  it.each([
+    ['an unreadable time', 'never,1,2,1,1'],
+    ['a missing price', '1705309200,1,,1,1'],
+    ['a high below the close', '1705309200,1,2,1,3'],
+    ['a zero price', '1705309200,0,2,0,1'],
+  ])('skips rows with %s', (_, row) => {
+    const { candles, skipped } = parseOhlcCsv(`time,open,high,low,close\n${row}\n1705312800,1,2,1,1\n`);
+
+    expect(candles).toHaveLength(1);
+    expect(skipped).toBe(1);
+  });
+
+  it.each([
+    ['an empty file', '', 'The file is empty'],
+    ['missing columns', 'time,price\n1705309200,100\n', 'No OHLC columns found'],
+    ['no valid rows', 'time,open,high,low,close\nnever,1,2,1,1\n', 'No valid candles'],
+  ])('rejects %s', (_, csv, message) => {
+    expect(() => parseOhlcCsv(csv)).toThrow(message);
+  });
+});
+
+describe('getCandleInterval', () => {
+  it('uses the smallest gap, ignoring session breaks', () => {
+    const candles = [0, 1, 2, 20, 21].map(i => ({ time: i * HOUR }));
+    expect(getCandleInterval(candles)).toBe(HOUR);
+  });
+
+  it('is null for a single candle', () => {
+    expect(getCandleInterval([{ time: 0 }])).toBeNull();
+  });
+});
+
+describe('findNearestCandleIndex', () => {
+  const candles = makeCandles([100, 101, 102, 103, 104]);
+
+  it.each([
+    ['the candle open at the time', START + 2 * HOUR + 15 * 60 * 1000, 2],
+    ['a candle opening exactly then', START + 3 * HOUR, 3],
+    ['the first candle just before the data', START - 10 * 60 * 1000, 0],
+    ['the last candle just after the data', START + 5 * HOUR + 30 * 60 * 1000, 4],
+    ['nothing well before the data', START - 2 * HOUR, -1],
+    ['nothing well after the data', START + 7 * HOUR, -1],
+    ['nothing without a time', NaN, -1],
+  ])('finds %s', (_, time, index) => {
+    expect(findNearestCandleIndex(candles, time)).toBe(index);
+  });
+
+  it('picks the nearer side of a gap', () => {
+    const gapped = [0, 1, 10, 11].map(i => ({ time: START + i * HOUR }));
+
+    expect(findNearestCandleIndex(gapped, START + 3 * HOUR)).toBe(1);
+    expect(findNearestCandleIndex(gapped, START + 8 * HOUR)).toBe(2);
+  });
+
+  it('finds nothing without candles', () => {
+    expect(findNearestCandleIndex([], START)).toBe(-1);
+    expect(findNearestCandleIndex(null, START)).toBe(-1);
+  });
+});
+
+describe('getPriceAt and withMarketPrice', () => {
+  const candles = makeCandles([100, 101, 102]);
+  const trade = { action: 'buy', price: 100, stopLoss: 95, takeProfit: [{ price: 110 }] };
+
+  it('prices a time at the close of its candle', () => {
+    expect(getPriceAt(candles, START + HOUR + 60 * 1000)).toBe(101);
+  });
+
+  it('sets the trade current price from the market', () => {
+    expect(withMarketPrice({ ...trade, currentPrice: 99 }, candles, START).currentPrice).toBe(100);
+  });
+
+  it('leaves the trade alone without a nearby candle', () => {
+    expect(withMarketPrice(trade, candles, START + 10 * HOUR)).toBe(trade);
+    expect(withMarketPrice(trade, null, START)).toBe(trade);
+  });
+});
+
+describe('selectNoteCandles', () => {
+  const candles = makeCandles(Array.from({ length: 200 }, (_, i) => 100 + i));
+
+  it('keeps the candles leading up to the note and a few after', () => {
+    const selected = selectNoteCandles(candles, START + 100 * HOUR);
+
+    expect(selected).toHaveLength(CANDLES_BEFORE_NOTE + CANDLES_AFTER_NOTE + 1);
+    expect(selected[CANDLES_BEFORE_NOTE].time).toBe(START + 100 * HOUR);
+  });
+
+  it('stops at the ends of the data', () => {
+    const selected = selectNoteCandles(candles, START + 2 * HOUR);
+
+    expect(selected[0]).toBe(candles[0]);
+    expect(selected).toHaveLength(3 + CANDLES_AFTER_NOTE);
+  });
+
+  it('rejects candles that miss the note', () => {
+    expect(() => selectNoteCandles(candles, START - 24 * HOUR)).toThrow("don't cover this note's time");
+  });
+});
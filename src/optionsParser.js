@@ -0,0 +1,329 @@
+/**
+ * Options Parsing
+ *
+ * Reads option structures for the trade extractor: strikes, calls/puts,
+ * expiry, contract count and premium, for single legs, verticals, straddles,
+ * strangles and iron condors. Expiries are resolved to dates ("Friday",
+ * "next week", "0DTE", "March monthlies") relative to when the note was taken.
+ *
+ * Option shape on a trade: { strategy, legs: [{ side, type, strike }], expiry?, premiumType? }
+ * where expiry is 'YYYY-MM-DD'. The premium is the trade's entry price and
+ * the contract count its quantity, so stops, targets and R:R work as usual.
+ */
+
+// Constants
+export const OPTION_STRATEGIES = ['single', 'vertical', 'straddle', 'strangle', 'iron condor'];
+
+const MONTH = '(JAN(?:UARY)?|FEB(?:RUARY)?|MAR(?:CH)?|APR(?:IL)?|MAY|JUNE?|JULY?|AUG(?:UST)?|SEP(?:T(?:EMBER)?)?|OCT(?:OBER)?|NOV(?:EMBER)?|DEC(?:EMBER)?)';
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+const FRIDAY = 5;
+
+// A strike, and what may separate the strikes of a spread ("480/485", "470, 475", "480 over 485")
+const N = '(\\d+(?:\\.\\d+)?)';
+const SEP = '(?:\\s*[/,-]\\s*|\\s+(?:AND\\s+|OVER\\s+|BY\\s+)?)';
+
+// "expiring", "expiry", "exp.", "expiration is on the"
+const EXPIRY_KEYWORD = '\\bEXP(?:IR(?:Y|ES|ING|ATION))?\\.?\\s+(?:IS\\s+)?(?:ON\\s+|IN\\s+)?(?:THE\\s+)?';
+
+/**
+ * Local calendar date helpers
+ */
+function dateOnly(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function nextWeekday(from, weekday) {
+  return addDays(from, (weekday - from.getDay() + 7) % 7);
+}
+
+function thirdFriday(year, month) {
+  const first = new Date(year, month, 1);
+  return addDays(first, (FRIDAY - first.getDay() + 7) % 7 + 14);
+}
+
+function monthIndex(name) {
+  return MONTH_NAMES.indexOf(name.slice(0, 3));
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ */
+function toIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * A month/day without a year is the next one on or after today
+ */
+function upcomingDate(today, month, day, year) {
+  if (year) return new Date(year < 100 ? 2000 + year : year, month, day);
+  const date = new Date(today.getFullYear(), month, day);
+  return date < today ? new Date(today.getFullYear() + 1, month, day) : date;
+}
+
+/**
+ * Monthly options expire on the third Friday
+ */
+function monthlyExpiry(today, month, year) {
+  if (year) return thirdFriday(year, month);
+  const date = thirdFriday(today.getFullYear(), month);
+  return date < today ? thirdFriday(today.getFullYear() + 1, month) : date;
+}
+
+// Date expressions: [source, resolve(groups, today), allowed without an expiry keyword]
+const DATE_FORMS = [
+  [`(\\d+)\\s*DTE\\b`, ([days], today) => addDays(today, Number(days)), true],
+  [`\\b(\\d{4})-(\\d{1,2})-(\\d{1,2})\\b`, ([y, m, d]) => new Date(Number(y), Number(m) - 1, Number(d)), true],
+  [`\\b(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?\\b`, ([m, d, y], today) => upcomingDate(today, Number(m) - 1, Number(d), y && Number(y)), false],
+  [`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:ST|ND|RD|TH)?\\b(?:,?\\s+(\\d{4}))?`, ([month, d, y], today) => upcomingDate(today, monthIndex(month), Number(d), y && Number(y)), true],
+  [`\\b(\\d{1,2})(?:ST|ND|RD|TH)\\s+(?:OF\\s+)?${MONTH}\\b(?:,?\\s+(\\d{4}))?`, ([d, month, y], today) => upcomingDate(today, monthIndex(month), Number(d), y && Number(y)), true],
+  [`\\b(?:(THIS|NEXT)\\s+)?(MONDAY|TUESDAY|WEDNESDAY|THURSDAY|FRIDAY)\\b`, ([which, day], today) => addDays(nextWeekday(today, WEEKDAYS.indexOf(day)), which === 'NEXT' ? 7 : 0), true],
+  [`\\b(TODAY|TOMORROW)\\b`, ([day], today) => addDays(today, day === 'TOMORROW' ? 1 : 0), false],
+  [`\\b(THIS|NEXT)\\s+WEEK(?:'?S)?\\b`, ([which], today) => addDays(nextWeekday(today, FRIDAY), which === 'NEXT' ? 7 : 0), false],
+  [`\\b(THIS|NEXT)\\s+WEEK'?S\\b|\\b(WEEKLIES)\\b`, ([which], today) => addDays(nextWeekday(today, FRIDAY), which === 'NEXT' ? 7 : 0), true],
+  [`\\b(\\d+)\\s+(DAY|WEEK|MONTH)S?\\b(?=\\s+(?:OUT|AWAY|FROM\\s+NOW))`, ([n, unit], today) => {
+    if (unit === 'DAY') return addDays(today, Number(n));
+    if (unit === 'WEEK') return addDays(nextWeekday(today, FRIDAY), 7 * Number(n));
+    const month = new Date(today.getFullYear(), today.getMonth() + Number(n), 1);
+    return thirdFriday(month.getFullYear(), month.getMonth());
+  }, true],
+  [`\\b${MONTH}(?:\\s+(\\d{4}))?\\b(?=\\s+(?:MONTHL(?:Y|IES)|OPTIONS|EXP|\\d+(?:\\.\\d+)?\\s*(?:C|P|CALLS?|PUTS?)\\b|CALLS?\\b|PUTS?\\b))`, ([month, y], today) => monthlyExpiry(today, monthIndex(month), y && Number(y)), true],
+  [`\\b${MONTH}(?:\\s+(\\d{4}))?\\b`, ([month, y], today) => monthlyExpiry(today, monthIndex(month), y && Number(y)), false],
+];
+
+/**
+ * Find an option expiry and resolve it to a date
+ * @param {string} text - Transcript text
+ * @param {Date} [now] - When the note was taken
+ * @returns {{expiry: string, range: Array<number>}|null} - Expiry as YYYY-MM-DD and where it was said
+ */
+export function parseExpiry(text, now = new Date()) {
+  const upper = text.toUpperCase();
+  const today = dateOnly(now);
+
+  // Dates after an expiry keyword win over dates said anywhere else
+  const attempts = [
+    ...DATE_FORMS.map(([source, resolve]) => [new RegExp(EXPIRY_KEYWORD + source, 'd'), resolve]),
+    ...DATE_FORMS.filter(([, , bare]) => bare).map(([source, resolve]) => [new RegExp(source, 'd'), resolve]),
+  ];
+
+  for (const [pattern, resolve] of attempts) {
+    const match = upper.match(pattern);
+    if (!match) continue;
+
+    // "may" is a month only when capitalized
+    const may = match.slice(1).findIndex(group => group === 'MAY');
+    if (may !== -1 && text.slice(...match.indices[may + 1]) !== 'May') continue;
+
+    const date = resolve(match.slice(1), today);
+    if (!isNaN(date)) {
+      return { expiry: toIsoDate(date), range: match.indices[0] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Legs of a structure for a buyer or seller. A bought vertical is long the
+ * pricier leg (the lower call or the higher put); a sold iron condor is
+ * short the inner strikes.
+ */
+function buildLegs(strategy, type, strikes, side) {
+  const other = side === 'buy' ? 'sell' : 'buy';
+  const [low, high] = strikes;
+
+  switch (strategy) {
+    case 'vertical':
+      return type === 'call'
+        ? [{ side, type, strike: low }, { side: other, type, strike: high }]
+        : [{ side, type, strike: high }, { side: other, type, strike: low }];
+    case 'straddle':
+      return [{ side, type: 'call', strike: low }, { side, type: 'put', strike: low }];
+    case 'strangle':
+      return [{ side, type: 'put', strike: low }, { side, type: 'call', strike: high }];
+    case 'iron condor': {
+      const wings = side === 'sell' ? 'buy' : 'sell';
+      const body = side === 'sell' ? 'sell' : 'buy';
+      return [
+        { side: wings, type: 'put', strike: strikes[0] },
+        { side: body, type: 'put', strike: strikes[1] },
+        { side: body, type: 'call', strike: strikes[2] },
+        { side: wings, type: 'call', strike: strikes[3] },
+      ];
+    }
+    default:
+      return [{ side, type, strike: low }];
+  }
+}
+
+// Structure patterns in the order they're tried: [strategy, regex, read(match) → { type, strikes, premiumType }]
+const STRUCTURES = [
+  ['iron condor', new RegExp(`${N}${SEP}${N}${SEP}${N}${SEP}${N}\\s+(?:(?:SHORT|LONG)\\s+)?IRON\\s*CONDORS?\\b`, 'd'), m => ({ strikes: m.slice(1, 5) })],
+  ['iron condor', new RegExp(`\\bIRON\\s*CONDORS?\\s+(?:AT\\s+|WITH\\s+)?(?:THE\\s+)?(?:STRIKES\\s+)?${N}${SEP}${N}${SEP}${N}${SEP}${N}`, 'd'), m => ({ strikes: m.slice(1, 5) })],
+  ['iron condor', /\bIRON\s*CONDORS?\b/d, () => ({ strikes: [] })],
+  ['vertical', new RegExp(`${N}${SEP}${N}\\s+(?:(?:BULL|BEAR)\\s+)?(CALL|PUT)S?\\s+(?:(DEBIT|CREDIT)\\s+)?(?:SPREAD|VERTICAL)S?\\b`, 'd'), m => ({ strikes: [m[1], m[2]], type: m[3], premiumType: m[4] })],
+  ['vertical', new RegExp(`\\b(?:(?:BULL|BEAR)\\s+)?(CALL|PUT)\\s+(?:(DEBIT|CREDIT)\\s+)?(?:SPREAD|VERTICAL)S?\\s+(?:AT\\s+)?(?:THE\\s+)?${N}${SEP}${N}\\b`, 'd'), m => ({ strikes: [m[3], m[4]], type: m[1], premiumType: m[2] })],
+  ['strangle', new RegExp(`${N}${SEP}${N}\\s+STRANGLES?\\b`, 'd'), m => ({ strikes: [m[1], m[2]] })],
+  ['strangle', new RegExp(`\\bSTRANGLES?\\s+(?:AT\\s+)?(?:THE\\s+)?${N}${SEP}${N}\\b`, 'd'), m => ({ strikes: [m[1], m[2]] })],
+  ['straddle', new RegExp(`${N}\\s+(?:STRIKE\\s+)?STRADDLES?\\b`, 'd'), m => ({ strikes: [m[1]] })],
+  ['straddle', new RegExp(`\\bSTRADDLES?\\s+(?:AT\\s+)?(?:THE\\s+)?${N}\\b`, 'd'), m => ({ strikes: [m[1]] })],
+  ['single', new RegExp(`\\b(CALL|PUT)S?\\s+(?:AT\\s+|WITH\\s+)?(?:A\\s+|THE\\s+)?${N}\\s+STRIKE\\b`, 'd'), m => ({ strikes: [m[2]], type: m[1] })],
+  ['single', new RegExp(`\\b${N}\\s*(?:STRIKE\\s+)?(CALL|PUT)S?\\b`, 'd'), m => ({ strikes: [m[1]], type: m[2] })],
+  ['single', new RegExp(`\\b${N}(C|P)\\b`, 'd'), m => ({ strikes: [m[1]], type: m[2] === 'C' ? 'CALL' : 'PUT' })],
+];
+
+// Premium: "for 2.35", "paid 2.35", "at 1.20", "for a 1.20 credit", "debit 1.80"
+const PREMIUM_PATTERNS = [
+  /\b(?:FOR|AT|PAID|PAYING|PAY|PREMIUM(?:\s+OF)?|COLLECT(?:ED|ING)?|RECEIV(?:ED|ING)|NET(?:TING|TED)?)\s+(?:A\s+|AN\s+)?\$?\s*(\d*\.?\d+)\s*(CREDIT|DEBIT)?\b(?!\s*(?:STRIKE|CALL|PUT|DTE|DAYS?|WEEKS?|X\b|%|PERCENT|CONTRACTS?|LOTS?))/dg,
+  /@\s*\$?\s*(\d*\.?\d+)\s*(CREDIT|DEBIT)?/dg,
+  /\$?\s*(\d*\.?\d+)\s+(CREDIT|DEBIT)\b/dg,
+  /\b(?:CREDIT|DEBIT)(?:\s+OF)?\s+\$?\s*(\d*\.?\d+)\b(?!\s*(?:STRIKE|CALL|PUT|SPREAD))/dg,
+];
+
+// Levels that aren't the premium: "stop at 1.20", "target 4"
+const NOT_PREMIUM_BEFORE = /(?:STOP|SL|TARGET|TP|PROFIT)\b[^,.]*$/;
+
+// Contract count: "5 contracts", "sold 2 iron condors", or a count right
+// before the structure ("bought 5 SPY Jan 17 480 calls")
+const CONTRACTS_PATTERN = /\b(\d+)\s+(?:CONTRACTS?|LOTS?)\b/d;
+const CONTRACTS_BEFORE_PATTERN = /\b(\d{1,4})\s*X?\s+(?:OF\s+)?(?:THE\s+)?(?:[A-Z]{1,5}\s+)?(?:[A-Z]{3,9}\.?\s+\d{1,2}(?:ST|ND|RD|TH)?\s+)?$/d;
+
+/**
+ * Extract an option structure from a transcript
+ * @param {string} text - Transcript text (spoken numbers already normalized)
+ * @param {Object} [options]
+ * @param {string|null} [options.action] - 'buy' or 'sell' from the extractor
+ * @param {Date} [options.now] - When the note was taken, for relative expiries
+ * @returns {Object|null} - { strategy, legs, expiry?, premiumType?, contracts?, premium?, ranges } or null when the note isn't an options trade
+ */
+export function extractOptions(text, { action = null, now = new Date() } = {}) {
+  const upper = text.toUpperCase();
+
+  let structure = null;
+  for (const [strategy, pattern, read] of STRUCTURES) {
+    const match = upper.match(pattern);
+    if (match) {
+      structure = { strategy, match, ...read(match) };
+      break;
+    }
+  }
+  if (!structure) return null;
+
+  const strikes = structure.strikes.map(Number).sort((a, b) => a - b);
+  const ranges = { option: structure.match.indices[0] };
+
+  // Premium: the first plausible amount that isn't a strike
+  let premium = null;
+  let premiumType = structure.premiumType?.toLowerCase() ?? null;
+  for (const pattern of PREMIUM_PATTERNS) {
+    for (const match of upper.matchAll(pattern)) {
+      const value = parseFloat(match[1]);
+      const overlapsStructure = match.index < ranges.option[1] && match.index + match[0].length > ranges.option[0];
+      if (isNaN(value) || value <= 0 || strikes.includes(value) || overlapsStructure) continue;
+      if (NOT_PREMIUM_BEFORE.test(upper.slice(Math.max(0, match.index - 20), match.index))) continue;
+      if (strikes.length > 0 && value >= strikes[0]) continue;
+      premium = value;
+      premiumType = (match[2] || match[0].match(/CREDIT|DEBIT/)?.[0])?.toLowerCase() ?? premiumType;
+      ranges.premium = match.indices[1];
+      break;
+    }
+    if (premium !== null) break;
+  }
+  if (!premiumType) {
+    premiumType = /\bCREDIT\b/.test(upper) ? 'credit' : (/\bDEBIT\b/.test(upper) ? 'debit' : null);
+  }
+
+  // Credit and debit say which side of the structure was taken when the note doesn't
+  let side = action;
+  if (!side) side = premiumType === 'credit' ? 'sell' : (premiumType === 'debit' ? 'buy' : null);
+  if (!side) side = structure.strategy === 'iron condor' ? 'sell' : 'buy';
+
+  const type = structure.type?.toLowerCase() ?? null;
+  const legs = structure.strategy === 'iron condor' && strikes.length < 4
+    ? []
+    : buildLegs(structure.strategy, type, strikes, side);
+
+  let contracts = null;
+  const contractsMatch = upper.match(CONTRACTS_PATTERN) || upper.slice(0, ranges.option[0]).match(CONTRACTS_BEFORE_PATTERN);
+  const count = contractsMatch ? parseInt(contractsMatch[1], 10) : NaN;
+  if (count > 0 && !strikes.includes(count)) {
+    contracts = count;
+    ranges.contracts = contractsMatch.indices[1];
+  }
+
+  const expiry = parseExpiry(text, now);
+  if (expiry) ranges.expiry = expiry.range;
+
+  return {
+    strategy: structure.strategy,
+    legs,
+    expiry: expiry?.expiry ?? null,
+    premiumType: premiumType ?? (side === 'sell' ? 'credit' : 'debit'),
+    contracts,
+    premium,
+    ranges,
+  };
+}
+
+/**
+ * Format an expiry date, e.g. "Jan 17, 2025"
+ * @param {string} expiry - YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatExpiry(expiry) {
+  const [y, m, d] = expiry.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Days from a date to an expiry
+ * @param {string} expiry - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function daysToExpiry(expiry, now = new Date()) {
+  const [y, m, d] = expiry.split('-').map(Number);
+  return Math.round((new Date(y, m - 1, d) - dateOnly(now)) / 86400000);
+}
+
+/**
+ * Format a strike without trailing zeros
+ */
+function formatStrike(strike) {
+  return String(Number(strike.toFixed(2)));
+}
+
+/**
+ * Describe an option structure, e.g. "480 call", "480/485 call vertical", "470/475/500/505 iron condor"
+ * @param {Object} option - Trade option
+ * @returns {string}
+ */
+export function describeOption(option) {
+  const strikes = [...new Set(option.legs.map(leg => leg.strike))].sort((a, b) => a - b).map(formatStrike).join('/');
+  const type = option.legs[0]?.type;
+
+  switch (option.strategy) {
+    case 'single':
+      return `${strikes} ${type}`;
+    case 'vertical':
+      return `${strikes} ${type} vertical`;
+    default:
+      return strikes ? `${strikes} ${option.strategy}` : option.strategy;
+  }
+}
+
+/**
+ * Format one leg, e.g. "Sell 485 call"
+ * @param {{side: string, type: string, strike: number}} leg
+ * @returns {string}
+ */
+export function formatOptionLeg(leg) {
+  return `${leg.side === 'buy' ? 'Buy' : 'Sell'} ${formatStrike(leg.strike)} ${leg.type}`;
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { parseExpiry, extractOptions, describeOption, formatOptionLeg, formatExpiry, daysToExpiry } from './optionsParser.js';
+
+// Wednesday, January 15, 2025
+const now = new Date(2025, 0, 15);
+
+describe('parseExpiry', () => {
+  it.each([
+    ['expiring Friday', '2025-01-17'],
+    ['exp next Friday', '2025-01-24'],
+    ['0DTE', '2025-01-15'],
+    ['3 DTE', '2025-01-18'],
+    ['expiring tomorrow', '2025-01-16'],
+    ['this week\'s calls', '2025-01-17'],
+    ['expiry next week', '2025-01-24'],
+    ['2 weeks out', '2025-01-31'],
+    ['expiring 2/21', '2025-02-21'],
+    ['March 21st', '2025-03-21'],
+    ['the 21st of March', '2025-03-21'],
+    ['Jan 10', '2026-01-10'],
+    ['2025-06-20', '2025-06-20'],
+    ['March monthlies', '2025-03-21'],
+    ['Jan 2026 480 calls', '2026-01-16'],
+  ])('"%s" → %s', (text, expiry) => {
+    expect(parseExpiry(text, now).expiry).toBe(expiry);
+  });
+
+  it('prefers a date after an expiry keyword', () => {
+    expect(parseExpiry('Bought on Monday, expiring Friday', now).expiry).toBe('2025-01-17');
+  });
+
+  it('reads "may" as a month only when capitalized', () => {
+    expect(parseExpiry('it may 5x from here', now)).toBeNull();
+    expect(parseExpiry('expiring May 16', now).expiry).toBe('2025-05-16');
+  });
+
+  it('returns the range the expiry was read from', () => {
+    const text = 'SPY calls expiring Friday';
+    const { range } = parseExpiry(text, now);
+    expect(text.slice(...range)).toBe('expiring Friday');
+  });
+
+  it('returns null without a date', () => {
+    expect(parseExpiry('Bought SPY calls', now)).toBeNull();
+  });
+});
+
+describe('extractOptions', () => {
+  it('parses a single leg with contracts, expiry and premium', () => {
+    expect(extractOptions('bought 5 SPY 480 calls expiring Friday for 2.35', { action: 'buy', now })).toMatchObject({
+      strategy: 'single',
+      legs: [{ side: 'buy', type: 'call', strike: 480 }],
+      expiry: '2025-01-17',
+      premiumType: 'debit',
+      contracts: 5,
+      premium: 2.35,
+    });
+  });
+
+  it.each([
+    ['480C', { type: 'call', strike: 480 }],
+    ['190P', { type: 'put', strike: 190 }],
+    ['calls at the 480 strike', { type: 'call', strike: 480 }],
+    ['the 72.5 puts', { type: 'put', strike: 72.5 }],
+  ])('reads "%s" as a single leg', (text, leg) => {
+    expect(extractOptions(text, { now }).legs).toEqual([{ side: 'buy', ...leg }]);
+  });
+
+  it.each([
+    ['bought the 480/485 call spread', 'buy', [['buy', 'call', 480], ['sell', 'call', 485]]],
+    ['sold the 480/485 call spread', 'sell', [['sell', 'call', 480], ['buy', 'call', 485]]],
+    ['sold the 480/475 put spread', 'sell', [['sell', 'put', 480], ['buy', 'put', 475]]],
+    ['bear put spread 100 95', null, [['buy', 'put', 100], ['sell', 'put', 95]]],
+    ['bought the 480 straddle', 'buy', [['buy', 'call', 480], ['buy', 'put', 480]]],
+    ['sold the 470/500 strangle', 'sell', [['sell', 'put', 470], ['sell', 'call', 500]]],
+    ['470/475/500/505 iron condor', null, [['buy', 'put', 470], ['sell', 'put', 475], ['sell', 'call', 500], ['buy', 'call', 505]]],
+  ])('builds the legs of "%s"', (text, action, legs) => {
+    expect(extractOptions(text, { action, now }).legs.map(leg => [leg.side, leg.type, leg.strike])).toEqual(legs);
+  });
+
+  it('reads the side from credit or debit when no action is said', () => {
+    const option = extractOptions('480/485 call vertical for a 1.20 credit', { now });
+    expect(option.premiumType).toBe('credit');
+    expect(option.premium).toBe(1.2);
+    expect(option.legs[0]).toEqual({ side: 'sell', type: 'call', strike: 480 });
+  });
+
+  it.each([
+    ['sold 2 SPY 470/475/500/505 iron condors for 1.10', 2],
+    ['bought 10 contracts of the 480 calls', 10],
+    ['bought 3 AAPL Jan 17 190 calls', 3],
+  ])('reads the contract count of "%s"', (text, contracts) => {
+    expect(extractOptions(text, { now }).contracts).toBe(contracts);
+  });
+
+  it('does not read strikes or stop levels as the premium', () => {
+    expect(extractOptions('bought calls at the 480 strike', { now }).premium).toBeNull();
+    expect(extractOptions('bought the 480 calls, stop at 1.20, paid 2.35', { now }).premium).toBe(2.35);
+  });
+
+  it('keeps an iron condor without strikes legless', () => {
+    expect(extractOptions('sold an iron condor for 1.10', { now })).toMatchObject({ strategy: 'iron condor', legs: [], premium: 1.1 });
+  });
+
+  it('returns null for notes without an option structure', () => {
+    expect(extractOptions('Long BTC at 95000, put a stop at 92000', { action: 'buy', now })).toBeNull();
+  });
+});
+
+describe('option formatting', () => {
+  it.each([
+    [{ strategy: 'single', legs: [{ side: 'buy', type: 'call', strike: 480 }] }, '480 call'],
+    [{ strategy: 'vertical', legs: [{ side: 'sell', type: 'put', strike: 485 }, { side: 'buy', type: 'put', strike: 480 }] }, '480/485 put vertical'],
+    [{ strategy: 'straddle', legs: [{ side: 'buy', type: 'call', strike: 72.5 }, { side: 'buy', type: 'put', strike: 72.5 }] }, '72.5 straddle'],
+    [{ strategy: 'iron condor', legs: [] }, 'iron condor'],
+  ])('describes %j as "%s"', (option, text) => {
+    expect(describeOption(option)).toBe(text);
+  });
+
+  it('formats legs and expiries', () => {
+    expect(formatOptionLeg({ side: 'sell', type: 'call', strike: 485 })).toBe('Sell 485 call');
+    expect(formatExpiry('2025-01-17')).toBe('Jan 17, 2025');
+    expect(daysToExpiry('2025-01-17', now)).toBe(2);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Position Sizing
+ *
+ * The risk engine behind the trade card's sizing section: how much to buy so
+ * that getting stopped out costs the account's risk budget (equity × risk %)
+ * with fees, slippage and funding included, what that position is worth and
+ * ties up in margin, and whether a spoken position size or leverage goes over
+ * the budget.
+ *
+ * Sizing shape: { quantity, notional, margin, leverage, risk, riskBudget,
+ * fees, capped } where quantity is in the trade's own units (shares or coins,
+ * contracts, forex units), fees covers every cost on top of the price move
+ * and capped means the max leverage, not the risk budget, limited the size.
+ */
+
+import { getRiskBudget } from './accountSettings.js';
+import { getContractSpec } from './futuresContracts.js';
+import { getEntryLevels, averagePrice } from './tradeLevels.js';
+import { calculateNetPnl } from './tradingCosts.js';
+import { formatNumber } from './savedNotes.js';
+
+// Shares per options contract
+const OPTION_MULTIPLIER = 100;
+
+// Forex sizes round down to micro lots
+const FOREX_UNIT_STEP = 1000;
+
+// Spoken sizes may overshoot the budget by this much (rounding, a tick of slippage) before they're flagged
+const BUDGET_TOLERANCE = 0.01;
+
+/**
+ * Dollars a one-point move is worth per unit of quantity: the contract
+ * multiplier for futures, 100 for options, 1 for everything else
+ * (forex units count in the quote currency)
+ * @param {Object} trade - Trade info object
+ * @returns {number}
+ */
+export function getUnitMultiplier(trade) {
+  const spec = getContractSpec(trade);
+  if (spec) return spec.multiplier;
+  return trade?.option ? OPTION_MULTIPLIER : 1;
+}
+
+/**
+ * Round a quantity down to what can actually be traded: whole contracts,
+ * micro lots for forex, whole shares or coins, or four significant digits
+ * when less than one whole unit fits (crypto, high-priced shares)
+ * @param {number} quantity - Raw quantity
+ * @param {Object} trade - Trade info object
+ * @returns {number}
+ */
+export function roundQuantity(quantity, trade) {
+  if (!(quantity > 0)) return 0;
+  // Float noise shouldn't cost a whole unit: 100 / 0.005 is 19999.999…
+  quantity = Number(quantity.toPrecision(12));
+  if (trade.option || trade.futures) return Math.floor(quantity);
+  if (trade.forex) return Math.floor(quantity / FOREX_UNIT_STEP) * FOREX_UNIT_STEP;
+  if (quantity >= 1) return Math.floor(quantity);
+
+  const scale = 10 ** (3 - Math.floor(Math.log10(quantity)));
+  return Math.floor(quantity * scale) / scale;
+}
+
+/**
+ * Format a quantity with up to four decimals, e.g. "1,200", "0.0833"
+ * @param {number} quantity
+ * @returns {string}
+ */
+export function formatQuantity(quantity) {
+  return quantity.toLocaleString('en-US', { maximumFractionDigits: 4 });
+}
+
+/**
+ * Format a dollar amount rounded to the cent, e.g. "$1,250.5" → "$1,250.50"
+ */
+function formatDollars(amount) {
+  return `$${formatNumber(Math.round(amount * 100) / 100)}`;
+}
+
+/**
+ * Loss per unit if the stop is hit: the price distance plus fees and slippage
+ * on both fills and funding over the hold
+ * @param {Object} trade - Trade info object with an entry and a stop
+ * @param {Object} settings - Account settings
+ * @returns {{entry: number, perUnit: number, feesPerUnit: number, multiplier: number}|null}
+ */
+function getUnitRisk(trade, settings) {
+  const entry = averagePrice(getEntryLevels(trade));
+  if (entry === null || !trade.stopLoss || trade.stopLoss === entry) return null;
+
+  // The stop's side says which way the trade goes, even before the action is known
+  const side = { ...trade, action: trade.stopLoss < entry ? 'buy' : 'sell' };
+  const multiplier = getUnitMultiplier(trade);
+  const perUnit = -calculateNetPnl(side, entry, trade.stopLoss, 'stop', settings) * multiplier;
+  const feesPerUnit = perUnit - Math.abs(entry - trade.stopLoss) * multiplier;
+  return { entry, perUnit, feesPerUnit, multiplier };
+}
+
+/**
+ * Size a position for a quantity: what it's worth, ties up and loses at the stop
+ */
+function describePosition(quantity, unitRisk, trade, settings) {
+  const notional = quantity * unitRisk.entry * unitRisk.multiplier;
+  // Spoken leverage (up to the max) sets the margin; otherwise use just enough to fit the equity
+  const leverage = trade.leverage
+    ? Math.min(trade.leverage, settings.maxLeverage)
+    : Math.max(1, notional / settings.equity);
+
+  return {
+    quantity,
+    notional,
+    margin: notional / leverage,
+    leverage,
+    risk: quantity * unitRisk.perUnit,
+    fees: quantity * unitRisk.feesPerUnit,
+  };
+}
+
+/**
+ * Recommended position for a trade: as much as the risk budget allows at the
+ * stop, but never more notional than equity × max leverage
+ * @param {Object} trade - Trade info object
+ * @param {Object} settings - Account settings
+ * @returns {Object|null} - Sizing (see module doc), or null without equity, entry or stop
+ */
+export function calculatePositionSize(trade, settings) {
+  const riskBudget = getRiskBudget(settings);
+  if (!trade || !riskBudget) return null;
+
+  const unitRisk = getUnitRisk(trade, settings);
+  if (!unitRisk) return null;
+
+  const byRisk = riskBudget / unitRisk.perUnit;
+  const byLeverage = settings.equity * settings.maxLeverage / (unitRisk.entry * unitRisk.multiplier);
+  const capped = byLeverage < byRisk;
+  const quantity = roundQuantity(Math.min(byRisk, byLeverage), trade);
+
+  return { ...describePosition(quantity, unitRisk, trade, settings), riskBudget, capped };
+}
+
+/**
+ * Quantity to price a trade's P&L with: what the trader said, else the recommended size
+ * @param {Object} trade - Trade info object
+ * @param {Object} settings - Account settings
+ * @returns {number|null} - Units, or null when there's nothing to go on
+ */
+export function getPositionQuantity(trade, settings) {
+  const entry = averagePrice(getEntryLevels(trade));
+  if (trade.quantity) return trade.quantity;
+  if (trade.positionSize && entry) return trade.positionSize / (entry * getUnitMultiplier(trade));
+  return calculatePositionSize(trade, settings)?.quantity || null;
+}
+
+/**
+ * Quantity the trader said, in units: the spoken quantity, or the position size converted at entry
+ */
+function getSpokenQuantity(trade, unitRisk) {
+  if (trade.quantity) return { field: 'quantity', quantity: trade.quantity };
+  if (trade.positionSize) return { field: 'positionSize', quantity: trade.positionSize / (unitRisk.entry * unitRisk.multiplier) };
+  return null;
+}
+
+/**
+ * Warnings for a spoken size or leverage that goes over the account's limits,
+ * in the same shape as getTradeWarnings so the card can show them together
+ * @param {Object} trade - Trade info object
+ * @param {Object} settings - Account settings
+ * @returns {Array<{field: string, severity: 'warning', message: string}>}
+ */
+export function getSizingWarnings(trade, settings) {
+  if (!trade) return [];
+  const warnings = [];
+
+  if (trade.leverage && trade.leverage > settings.maxLeverage) {
+    warnings.push({
+      field: 'leverage',
+      severity: 'warning',
+      message: `Leverage: ${trade.leverage}x is above your ${settings.maxLeverage}x maximum`,
+    });
+  }
+
+  const riskBudget = getRiskBudget(settings);
+  const unitRisk = riskBudget ? getUnitRisk(trade, settings) : null;
+  const spoken = unitRisk ? getSpokenQuantity(trade, unitRisk) : null;
+  if (!spoken) return warnings;
+
+  const position = describePosition(spoken.quantity, unitRisk, trade, settings);
+  const label = spoken.field === 'quantity' ? 'Quantity' : 'Position size';
+  const recommended = calculatePositionSize(trade, settings);
+  let fits = 'nothing fits';
+  if (recommended.quantity > 0) {
+    fits = `${spoken.field === 'quantity' ? formatQuantity(recommended.quantity) : formatDollars(recommended.notional)} fits`;
+  }
+
+  if (position.risk > riskBudget * (1 + BUDGET_TOLERANCE)) {
+    const percent = position.risk / settings.equity * 100;
+    warnings.push({
+      field: spoken.field,
+      severity: 'warning',
+      message: `${label}: risks ${formatDollars(position.risk)} (${percent.toFixed(1)}% of equity) at the stop, over your ${formatDollars(riskBudget)} budget; ${fits}`,
+    });
+  }
+
+  const needed = position.notional / settings.equity;
+  if (!trade.leverage && needed > settings.maxLeverage * (1 + BUDGET_TOLERANCE)) {
+    warnings.push({
+      field: spoken.field,
+      severity: 'warning',
+      message: `${label}: needs ${needed.toFixed(1)}x leverage, above your ${settings.maxLeverage}x maximum`,
+    });
+  }
+
+  return warnings;
+}
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getUnitMultiplier,
+  roundQuantity,
+  formatQuantity,
+  calculatePositionSize,
+  getPositionQuantity,
+  getSizingWarnings,
+} from './positionSizing.js';
+
+// $10,000 account risking 1% ($100) per trade, no costs unless a test sets them
+const account = { equity: 10000, riskPercent: 1, maxLeverage: 10, feeRate: 0, slippage: 0, fundingRate: 0, holdingHours: 24, exchangeFees: {} };
+
+const stock = { ticker: 'AAPL', action: 'buy', price: 100, stopLoss: 95 };
+const futures = { ticker: 'ES', action: 'buy', price: 5000, stopLoss: 4990, futures: { root: 'ES' } };
+const option = { ticker: 'SPY', action: 'buy', price: 2.5, stopLoss: 1.25, option: { strategy: 'long call', legs: [], premiumType: 'debit' } };
+const forex = { ticker: 'EUR/USD', action: 'buy', price: 1.085, stopLoss: 1.08, forex: { pipSize: 0.0001 } };
+
+describe('getUnitMultiplier', () => {
+  it.each([
+    ['futures', futures, 50],
+    ['options', option, 100],
+    ['forex', forex, 1],
+    ['stocks', stock, 1],
+  ])('%s', (_, trade, expected) => {
+    expect(getUnitMultiplier(trade)).toBe(expected);
+  });
+});
+
+describe('roundQuantity', () => {
+  it.each([
+    [2.9, futures, 2],
+    [4.7, option, 4],
+    [21700, forex, 21000],
+    [19.6, stock, 19],
+    [0.089365, { ticker: 'BTC' }, 0.08936],
+    [19999.999999999996, forex, 20000],
+    [0, stock, 0],
+  ])('%d for %j', (quantity, trade, expected) => {
+    expect(roundQuantity(quantity, trade)).toBe(expected);
+  });
+});
+
+describe('formatQuantity', () => {
+  it.each([
+    [1200, '1,200'],
+    [20, '20'],
+    [0.08936, '0.0894'],
+  ])('%d → %s', (quantity, expected) => {
+    expect(formatQuantity(quantity)).toBe(expected);
+  });
+});
+
+describe('calculatePositionSize', () => {
+  it('sizes a stock so the stop costs the risk budget', () => {
+    expect(calculatePositionSize(stock, account)).toEqual({
+      quantity: 20, notional: 2000, margin: 2000, leverage: 1, risk: 100, fees: 0, riskBudget: 100, capped: false,
+    });
+  });
+
+  it('includes fees on both fills in the risk', () => {
+    const sizing = calculatePositionSize(stock, { ...account, feeRate: 0.1 });
+
+    // $5 distance + $0.195 fees per share
+    expect(sizing.quantity).toBe(19);
+    expect(sizing.fees).toBeCloseTo(3.705);
+    expect(sizing.risk).toBeCloseTo(98.705);
+  });
+
+  it('uses the exchange fees and slippage for the trade', () => {
+    const settings = { ...account, slippage: 0.05, exchangeFees: { BINANCE: { maker: 0.02, taker: 0.05 } } };
+    const sizing = calculatePositionSize({ ...stock, exchange: 'Binance' }, settings);
+
+    // $5 distance + 0.1% of $100 in + 0.1% of $95 out
+    expect(sizing.quantity).toBe(19);
+    expect(sizing.risk).toBeCloseTo(98.705);
+  });
+
+  it('sizes futures in whole contracts with margin from the leverage needed', () => {
+    const sizing = calculatePositionSize(futures, { ...account, equity: 50000 });
+
+    expect(sizing).toMatchObject({ quantity: 1, notional: 250000, leverage: 5, margin: 50000, risk: 500 });
+  });
+
+  it('sizes options per 100-share contract', () => {
+    expect(calculatePositionSize(option, { ...account, equity: 50000 })).toMatchObject({ quantity: 4, notional: 1000, risk: 500 });
+  });
+
+  it('sizes forex in micro lots', () => {
+    const sizing = calculatePositionSize(forex, account);
+
+    expect(sizing.quantity).toBe(20000);
+    expect(sizing.risk).toBeCloseTo(100);
+  });
+
+  it('sizes crypto in fractions of a coin', () => {
+    const sizing = calculatePositionSize({ ticker: 'BTC', action: 'buy', price: 60000, stopLoss: 59000 }, account);
+
+    expect(sizing.quantity).toBe(0.1);
+    expect(sizing.notional).toBe(6000);
+  });
+
+  it('uses the average entry of a ladder', () => {
+    const trade = { ...stock, price: 100, entries: [{ price: 100 }, { price: 98 }] };
+
+    expect(calculatePositionSize(trade, account).quantity).toBe(25);
+  });
+
+  it('uses spoken leverage for the margin', () => {
+    expect(calculatePositionSize({ ...stock, leverage: 4 }, account)).toMatchObject({ leverage: 4, margin: 500 });
+  });
+
+  it('caps the notional at equity times max leverage', () => {
+    const tight = { ...stock, stopLoss: 99.9 };
+    const sizing = calculatePositionSize(tight, { ...account, maxLeverage: 2 });
+
+    expect(sizing).toMatchObject({ quantity: 200, notional: 20000, capped: true });
+    expect(sizing.risk).toBeCloseTo(20);
+  });
+
+  it.each([
+    ['no equity', stock, { ...account, equity: null }],
+    ['no stop', { ...stock, stopLoss: null }, account],
+    ['no entry', { ...stock, price: null }, account],
+    ['no trade', null, account],
+  ])('returns null with %s', (_, trade, settings) => {
+    expect(calculatePositionSize(trade, settings)).toBeNull();
+  });
+});
+
+describe('getPositionQuantity', () => {
+  it.each([
+    ['the spoken quantity', { ...stock, quantity: 7 }, 7],
+    ['the spoken position size at entry', { ...stock, positionSize: 1500 }, 15],
+    ['the recommended size', stock, 20],
+    ['nothing without a stop or size', { ...stock, stopLoss: null }, null],
+  ])('uses %s', (_, trade, expected) => {
+    expect(getPositionQuantity(trade, account)).toBe(expected);
+  });
+});
+
+describe('getSizingWarnings', () => {
+  it('flags a spoken position size over the risk budget', () => {
+    expect(getSizingWarnings({ ...stock, positionSize: 10000 }, account)).toEqual([{
+      field: 'positionSize',
+      severity: 'warning',
+      message: 'Position size: risks $500.00 (5.0% of equity) at the stop, over your $100.00 budget; $2,000 fits',
+    }]);
+  });
+
+  it('flags a spoken quantity over the risk budget', () => {
+    const [warning] = getSizingWarnings({ ...futures, quantity: 3 }, { ...account, equity: 50000 });
+
+    expect(warning.field).toBe('quantity');
+    expect(warning.message).toBe('Quantity: risks $1,500 (3.0% of equity) at the stop, over your $500.00 budget; 1 fits');
+  });
+
+  it('says when not even one contract fits', () => {
+    const [warning] = getSizingWarnings({ ...futures, quantity: 1 }, account);
+
+    expect(warning.message).toMatch(/; nothing fits$/);
+  });
+
+  it('flags spoken leverage above the max', () => {
+    expect(getSizingWarnings({ ...stock, leverage: 50 }, account)).toEqual([{
+      field: 'leverage',
+      severity: 'warning',
+      message: 'Leverage: 50x is above your 10x maximum',
+    }]);
+  });
+
+  it('flags a position size that needs more than the max leverage', () => {
+    const trade = { ...stock, stopLoss: 99.99, positionSize: 150000 };
+
+    expect(getSizingWarnings(trade, account).map(w => w.message))
+      .toEqual(['Position size: needs 15.0x leverage, above your 10x maximum']);
+  });
+
+  it('checks leverage even without equity', () => {
+    expect(getSizingWarnings({ ...stock, leverage: 20 }, { ...account, equity: null })).toHaveLength(1);
+  });
+
+  it('is quiet for sizes within the budget', () => {
+    expect(getSizingWarnings({ ...stock, positionSize: 2000, leverage: 5 }, account)).toEqual([]);
+    expect(getSizingWarnings({ ...stock, quantity: 20 }, account)).toEqual([]);
+    expect(getSizingWarnings(null, account)).toEqual([]);
+  });
+});
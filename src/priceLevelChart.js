@@ -2,9 +2,40 @@
  * Price Level Chart Component
  *
  * Generates an SVG-based visual chart showing entry, stop loss, and take profit levels.
- * Displays risk/reward ratio and percentage distances.
+ * Displays risk/reward ratio and the distance to each level.
  */
 
+import { getEntryLevels, getTargetLevels, averagePrice, calculateBlendedRiskReward, calculateDollarRiskReward } from './tradeLevels.js';
+
+// Liquidation is drawn when it's within this many stop distances of entry
+const LIQUIDATION_RANGE = 3;
+
+// SVG height and the space kept above the top and below the bottom of the price range
+export const CHART_HEIGHT = 120;
+const CHART_MARGIN_Y = 10;
+
+/**
+ * Y coordinate of a price on a chart with a given price range
+ * @param {number} price - Price
+ * @param {{top: number, bottom: number}} range - Prices at the top and bottom of the chart
+ * @returns {number} - Y in SVG units
+ */
+export function priceToChartY(price, { top, bottom }) {
+  const normalized = (top - price) / (top - bottom);
+  return CHART_MARGIN_Y + normalized * (CHART_HEIGHT - 2 * CHART_MARGIN_Y);
+}
+
+/**
+ * Price at a Y coordinate; the inverse of priceToChartY
+ * @param {number} y - Y in SVG units
+ * @param {{top: number, bottom: number}} range - Prices at the top and bottom of the chart
+ * @returns {number}
+ */
+export function chartYToPrice(y, { top, bottom }) {
+  const normalized = (y - CHART_MARGIN_Y) / (CHART_HEIGHT - 2 * CHART_MARGIN_Y);
+  return top - normalized * (top - bottom);
+}
+
 /**
  * Calculate risk/reward ratio
  * @param {number} entry - Entry price
@@ -51,66 +82,130 @@ export function formatPrice(price) {
   if (price >= 1000) {
     return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
   }
-  return price.toFixed(2);
+  // Forex quotes carry up to 5 decimals ("1.08525")
+  const decimals = (String(price).split('.')[1] || '').length;
+  return price.toFixed(Math.min(5, Math.max(2, decimals)));
+}
+
+/**
+ * Format a price worked out rather than said (breakeven, liquidation), dropping float noise
+ * @param {number} price - Computed price
+ * @returns {string} - e.g. "60,120.12", "98.4375", "1.05432"
+ */
+export function formatComputedPrice(price) {
+  return formatPrice(price >= 1000 ? price : Number(price.toPrecision(6)));
+}
+
+/**
+ * Format a signed dollar distance, e.g. "-$800", "+$1,250.50"
+ * @param {number} amount - Dollars (negative for a loss)
+ * @returns {string}
+ */
+export function formatDollarChange(amount) {
+  const abs = Math.round(Math.abs(amount) * 100) / 100;
+  const digits = Number.isInteger(abs) ? 0 : 2;
+  const value = abs.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  return `${amount < 0 ? '-' : '+'}$${value}`;
 }
 
 /**
- * Create price level chart SVG
+ * Format a pip count, to a tenth of a pip
+ * @param {number} pips
+ * @returns {string}
+ */
+export function formatPips(pips) {
+  return String(Math.round(pips * 10) / 10);
+}
+
+/**
+ * Format a net P&L: dollars when a quantity is known, else percent of entry
+ * @param {{netAmount: number|null, netPercent: number}} exit - Exit from calculateTradeCosts
+ * @returns {string}
+ */
+export function formatNetPnl(exit) {
+  if (exit.netAmount !== null) return formatDollarChange(exit.netAmount);
+  return `${exit.netPercent < 0 ? '-' : '+'}${Math.abs(exit.netPercent).toFixed(2)}%`;
+}
+
+/**
+ * Create price level chart SVG.
+ * Multi-leg trades draw every entry and target with a blended R:R. Distances
+ * are in dollars for futures (contract multiplier × contracts), pips for
+ * forex pairs and percent otherwise.
  * @param {Object} tradeInfo - Trade information object
  * @param {number} tradeInfo.price - Entry price
+ * @param {Array} [tradeInfo.entries] - Optional entry ladder levels
  * @param {number} tradeInfo.stopLoss - Stop loss price
- * @param {number} tradeInfo.takeProfit - Take profit price
+ * @param {number|Array} tradeInfo.takeProfit - Take profit price or ordered target levels
  * @param {string} tradeInfo.action - 'buy' or 'sell'
  * @param {number} [tradeInfo.currentPrice] - Optional current price
+ * @param {Object} [options]
+ * @param {Object} [options.costs] - Result of calculateTradeCosts, for breakeven and net figures
+ * @param {number} [options.liquidation] - Liquidation price; left off when it's far beyond the stop
+ * @param {boolean} [options.interactive] - Add drag handles to the entry, stop and target lines
+ * @param {{top: number, bottom: number}} [options.range] - Fixed price range, so the scale holds still while a level is dragged
  * @returns {string} - SVG string
  */
-export function createPriceLevelChart(tradeInfo) {
-  const { price, stopLoss, takeProfit, action, currentPrice } = tradeInfo;
+export function createPriceLevelChart(tradeInfo, { costs = null, liquidation = null, interactive = false, range = null } = {}) {
+  const { stopLoss, action, currentPrice } = tradeInfo;
+  const entries = getEntryLevels(tradeInfo);
+  const targets = getTargetLevels(tradeInfo);
 
   // Validate required fields
-  if (!price || !stopLoss || !takeProfit || !action) {
+  if (entries.length === 0 || !stopLoss || targets.length === 0 || !action) {
     return '';
   }
 
   const isBuy = action === 'buy';
+  const price = averagePrice(entries);
+  const isLadder = entries.length > 1;
+  const hasMultipleTargets = targets.length > 1;
 
-  // Calculate R:R ratio
-  const rrRatio = calculateRiskReward(price, stopLoss, takeProfit, action);
+  // Calculate R:R ratio (blended across all entries and targets)
+  const rrRatio = calculateBlendedRiskReward(tradeInfo);
 
-  // Calculate percentages
-  const slPercentage = calculatePercentage(price, stopLoss);
-  const tpPercentage = calculatePercentage(price, takeProfit);
+  // Distances from entry: dollars when the trade has a point value, pips for forex, else percentages
+  const pointValue = calculateDollarRiskReward(tradeInfo)?.pointValue;
+  const pipSize = tradeInfo.forex?.pipSize;
+  const distanceLabel = (level, loss) => {
+    if (pointValue) return formatDollarChange(Math.abs(level - price) * pointValue * (loss ? -1 : 1));
+    if (pipSize) return `${loss ? '-' : '+'}${formatPips(Math.abs(level - price) / pipSize)} pips`;
+    return calculatePercentage(price, level);
+  };
+  const slPercentage = distanceLabel(stopLoss, true);
 
   // Determine price range and levels
-  const prices = [price, stopLoss, takeProfit];
+  const prices = [...entries.map(e => e.price), stopLoss, ...targets.map(t => t.price)];
   if (currentPrice) prices.push(currentPrice);
+  if (costs?.breakeven) prices.push(costs.breakeven);
+
+  // A liquidation price miles past the stop would squash every other level
+  const showLiquidation = liquidation > 0 &&
+    Math.abs(liquidation - price) <= Math.abs(stopLoss - price) * LIQUIDATION_RANGE;
+  if (showLiquidation) prices.push(liquidation);
 
   const maxPrice = Math.max(...prices);
   const minPrice = Math.min(...prices);
   const priceRange = maxPrice - minPrice;
   const padding = priceRange * 0.15; // 15% padding
 
-  const chartTop = maxPrice + padding;
-  const chartBottom = minPrice - padding;
-  const chartRange = chartTop - chartBottom;
+  const scale = range || { top: maxPrice + padding, bottom: minPrice - padding };
 
   // SVG dimensions
   const width = 280; // Total width to fit chart + labels
-  const height = 120;
+  const height = CHART_HEIGHT;
   const leftMargin = 8;
   const rightMargin = 120; // Space for price labels
   const chartWidth = width - leftMargin - rightMargin;
 
   // Helper: Convert price to Y coordinate
-  const priceToY = (p) => {
-    const normalized = (chartTop - p) / chartRange;
-    return 10 + normalized * (height - 20);
-  };
+  const priceToY = (p) => priceToChartY(p, scale);
 
   // Calculate Y positions
   const entryY = priceToY(price);
   const slY = priceToY(stopLoss);
-  const tpY = priceToY(takeProfit);
+  const furthestTarget = targets.reduce((best, t) => (isBuy ? Math.max(best, t.price) : Math.min(best, t.price)), targets[0].price);
+  const tpY = priceToY(furthestTarget);
   const currentY = currentPrice ? priceToY(currentPrice) : null;
 
   // Determine zones (profit zone is green, loss zone is red)
@@ -130,9 +225,92 @@ export function createPriceLevelChart(tradeInfo) {
     lossZoneBottom = entryY;
   }
 
+  const levelLine = (y, className, color) => `
+      <line
+        x1="${leftMargin}"
+        y1="${y}"
+        x2="${leftMargin + chartWidth}"
+        y2="${y}"
+        class="price-level ${className}"
+      />
+      <circle cx="${leftMargin}" cy="${y}" r="1.5" fill="${color}" />`;
+
+  const labelX = leftMargin + chartWidth + 4;
+
+  const targetLines = targets
+    .map(t => levelLine(priceToY(t.price), 'price-level-tp', 'var(--success)'))
+    .join('');
+
+  const targetLabels = targets
+    .map((t, i) => {
+      const tag = hasMultipleTargets
+        ? `<tspan class="price-label-tag">TP${i + 1}${t.allocation !== undefined ? ` ${t.allocation}%` : ''}</tspan>`
+        : '';
+      return `
+      <text x="${labelX}" y="${priceToY(t.price)}" class="price-label price-label-tp">
+        <tspan class="price-label-value">$${formatPrice(t.price)}</tspan>
+        <tspan class="price-label-pct">${distanceLabel(t.price, false)}</tspan>
+        ${tag}
+      </text>`;
+    })
+    .join('');
+
+  // Entry ladders draw each fill level plus a dashed average entry line
+  const entryLines = isLadder
+    ? entries.map(e => levelLine(priceToY(e.price), 'price-level-entry price-level-ladder', 'var(--accent)')).join('') +
+      levelLine(entryY, 'price-level-entry price-level-average', 'var(--accent)')
+    : levelLine(entryY, 'price-level-entry', 'var(--accent)');
+
+  const entryLabels = isLadder
+    ? entries.map((e, i) => `
+      <text x="${labelX}" y="${priceToY(e.price)}" class="price-label price-label-entry">
+        <tspan class="price-label-value">$${formatPrice(e.price)}</tspan>
+        <tspan class="price-label-tag">E${i + 1}</tspan>
+      </text>`).join('')
+    : `
+      <text x="${labelX}" y="${entryY}" class="price-label price-label-entry">
+        <tspan class="price-label-value">$${formatPrice(price)}</tspan>
+        <tspan class="price-label-tag">ENTRY</tspan>
+      </text>`;
+
+  const rrLabel = isLadder || hasMultipleTargets ? 'blended R:R' : 'R:R';
+  const netRrLabel = costs ? ` · 1:${costs.netRiskReward.toFixed(1)} net` : '';
+
+  // Net P&L sits at the left end of the stop and target lines, breakeven gets its own line
+  const netTag = (y, exit, className) => `
+      <text x="${leftMargin + 3}" y="${y - 3}" class="price-net-tag ${className}">net ${formatNetPnl(exit)}</text>`;
+  const costsMarkup = costs ? `
+      ${levelLine(priceToY(costs.breakeven), 'price-level-breakeven', 'var(--fg-muted)')}
+      <text x="${leftMargin + chartWidth - 3}" y="${priceToY(costs.breakeven) - 3}" class="price-breakeven-tag">BE $${formatComputedPrice(costs.breakeven)}</text>
+      ${netTag(slY, costs.stop, 'price-net-loss')}
+      ${costs.targets.map(t => netTag(priceToY(t.price), t, t.net < 0 ? 'price-net-loss' : 'price-net-gain')).join('')}` : '';
+
+  // Drag handles: a wide invisible line over each level, focusable and announced as a slider
+  const handle = (p, level, index, label) => `
+      <line
+        x1="${leftMargin}"
+        y1="${priceToY(p)}"
+        x2="${leftMargin + chartWidth}"
+        y2="${priceToY(p)}"
+        class="price-level-handle"
+        data-level="${level}"
+        data-index="${index}"
+        tabindex="0"
+        role="slider"
+        aria-label="${label}"
+        aria-valuenow="${p}"
+        aria-valuetext="$${formatPrice(p)}"
+      />`;
+  const handles = interactive ? [
+    ...entries.map((e, i) => handle(e.price, 'entry', i, isLadder ? `Entry ${i + 1}` : 'Entry')),
+    handle(stopLoss, 'stopLoss', 0, 'Stop loss'),
+    ...targets.map((t, i) => handle(t.price, 'takeProfit', i, hasMultipleTargets ? `Take profit ${i + 1}` : 'Take profit')),
+  ].join('') : '';
+  const scaleAttributes = interactive ? ` data-top="${scale.top}" data-bottom="${scale.bottom}"` : '';
+
   // Generate SVG
   const svg = `
-    <svg class="price-chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+    <svg class="price-chart${interactive ? ' price-chart-interactive' : ''}" viewBox="0 0 ${width} ${height}"${scaleAttributes} xmlns="http://www.w3.org/2000/svg">
       <!-- Profit Zone Background -->
       <rect
         x="${leftMargin}"
@@ -151,73 +329,52 @@ export function createPriceLevelChart(tradeInfo) {
         fill="rgba(239, 68, 68, 0.08)"
       />
 
-      <!-- Take Profit Line -->
-      <line
-        x1="${leftMargin}"
-        y1="${tpY}"
-        x2="${leftMargin + chartWidth}"
-        y2="${tpY}"
-        class="price-level price-level-tp"
-      />
-      <circle cx="${leftMargin}" cy="${tpY}" r="1.5" fill="var(--success)" />
+      <!-- Take Profit Lines -->
+      ${targetLines}
 
-      <!-- Entry Price Line -->
-      <line
-        x1="${leftMargin}"
-        y1="${entryY}"
-        x2="${leftMargin + chartWidth}"
-        y2="${entryY}"
-        class="price-level price-level-entry"
-      />
-      <circle cx="${leftMargin}" cy="${entryY}" r="1.5" fill="var(--accent)" />
+      <!-- Entry Price Line(s) -->
+      ${entryLines}
 
       <!-- Stop Loss Line -->
-      <line
-        x1="${leftMargin}"
-        y1="${slY}"
-        x2="${leftMargin + chartWidth}"
-        y2="${slY}"
-        class="price-level price-level-sl"
-      />
-      <circle cx="${leftMargin}" cy="${slY}" r="1.5" fill="var(--error)" />
+      ${levelLine(slY, 'price-level-sl', 'var(--error)')}
+
+      <!-- Breakeven and Net P&L (if costs provided) -->
+      ${costsMarkup}
+
+      <!-- Liquidation Line (if provided and in range) -->
+      ${showLiquidation ? levelLine(priceToY(liquidation), 'price-level-liq', 'var(--error)') : ''}
 
       <!-- Current Price Line (if provided) -->
-      ${currentY !== null ? `
-        <line
-          x1="${leftMargin}"
-          y1="${currentY}"
-          x2="${leftMargin + chartWidth}"
-          y2="${currentY}"
-          class="price-level price-level-current"
-        />
-        <circle cx="${leftMargin}" cy="${currentY}" r="1.5" fill="var(--fg-muted)" />
-      ` : ''}
+      ${currentY !== null ? levelLine(currentY, 'price-level-current', 'var(--fg-muted)') : ''}
 
       <!-- Price Labels -->
-      <text x="${leftMargin + chartWidth + 4}" y="${tpY}" class="price-label price-label-tp">
-        <tspan class="price-label-value">$${formatPrice(takeProfit)}</tspan>
-        <tspan class="price-label-pct">${tpPercentage}</tspan>
-      </text>
-
-      <text x="${leftMargin + chartWidth + 4}" y="${entryY}" class="price-label price-label-entry">
-        <tspan class="price-label-value">$${formatPrice(price)}</tspan>
-        <tspan class="price-label-tag">ENTRY</tspan>
-      </text>
+      ${targetLabels}
+      ${entryLabels}
 
-      <text x="${leftMargin + chartWidth + 4}" y="${slY}" class="price-label price-label-sl">
+      <text x="${labelX}" y="${slY}" class="price-label price-label-sl">
         <tspan class="price-label-value">$${formatPrice(stopLoss)}</tspan>
         <tspan class="price-label-pct">${slPercentage}</tspan>
       </text>
 
+      ${showLiquidation ? `
+        <text x="${labelX}" y="${priceToY(liquidation)}" class="price-label price-label-liq">
+          <tspan class="price-label-value">$${formatComputedPrice(liquidation)}</tspan>
+          <tspan class="price-label-tag">LIQ</tspan>
+        </text>
+      ` : ''}
+
       ${currentY !== null ? `
-        <text x="${leftMargin + chartWidth + 4}" y="${currentY}" class="price-label price-label-current">
+        <text x="${labelX}" y="${currentY}" class="price-label price-label-current">
           <tspan class="price-label-value">$${formatPrice(currentPrice)}</tspan>
           <tspan class="price-label-tag">NOW</tspan>
         </text>
       ` : ''}
 
       <!-- R:R Ratio Badge -->
-      <text x="${leftMargin + chartWidth / 2}" y="8" class="price-rr-badge">1:${rrRatio.toFixed(1)} R:R</text>
+      <text x="${leftMargin + chartWidth / 2}" y="8" class="price-rr-badge">1:${rrRatio.toFixed(1)} ${rrLabel}${netRrLabel}</text>
+
+      <!-- Drag Handles (interactive charts) -->
+      ${handles}
     </svg>
   `;
 
@@ -3,8 +3,16 @@ import {
   calculateRiskReward,
   calculatePercentage,
   formatPrice,
-  createPriceLevelChart
+  formatDollarChange,
+  createPriceLevelChart,
+  formatNetPnl,
+  formatComputedPrice,
+  priceToChartY,
+  chartYToPrice,
+  CHART_HEIGHT,
 } from './priceLevelChart.js';
+import { calculateTradeCosts } from './tradingCosts.js';
+import { createDefaultAccountSettings } from './accountSettings.js';
 
 describe('calculateRiskReward', () => {
   describe('buy trades', () => {
@@ -142,6 +150,11 @@ describe('formatPrice', () => {
     it('formats sub-dollar prices', () => {
       expect(formatPrice(0.50)).toBe('0.50');
     });
+
+    it('keeps up to five decimals for forex quotes', () => {
+      expect(formatPrice(1.08525)).toBe('1.08525');
+      expect(formatPrice(151.2)).toBe('151.20');
+    });
   });
 
   describe('prices 1000 and over', () => {
@@ -417,4 +430,210 @@ describe('createPriceLevelChart', () => {
       expect(svg).toContain('$0.85');
     });
   });
+
+  describe('multi-leg trades', () => {
+    const multiTarget = {
+      action: 'buy',
+      price: 42000,
+      stopLoss: 41000,
+      takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }],
+    };
+
+    it('draws a line for every target', () => {
+      const svg = createPriceLevelChart(multiTarget);
+      expect(svg.match(/price-level price-level-tp/g)).toHaveLength(2);
+      expect(svg).toContain('43,200.00');
+      expect(svg).toContain('44,000.00');
+    });
+
+    it('labels targets with their number and allocation', () => {
+      const svg = createPriceLevelChart(multiTarget);
+      expect(svg).toContain('TP1 50%');
+      expect(svg).toContain('TP2');
+    });
+
+    it('shows a blended R:R badge', () => {
+      const svg = createPriceLevelChart(multiTarget);
+      expect(svg).toContain('1:1.6 blended R:R');
+    });
+
+    it('draws each entry of a ladder plus the average entry', () => {
+      const svg = createPriceLevelChart({
+        action: 'buy',
+        price: 42500,
+        entries: [{ price: 42500 }, { price: 42200 }, { price: 41900 }],
+        stopLoss: 41000,
+        takeProfit: [{ price: 44000 }],
+      });
+      expect(svg.match(/price-level-ladder/g)).toHaveLength(3);
+      expect(svg).toContain('price-level-average');
+      expect(svg).toContain('E1');
+      expect(svg).toContain('E3');
+    });
+
+    it('accepts legacy numeric take profit', () => {
+      const svg = createPriceLevelChart({ action: 'buy', price: 100, stopLoss: 95, takeProfit: 110 });
+      expect(svg).toContain('1:2.0 R:R');
+    });
+
+    it('returns empty string when the target list is empty', () => {
+      expect(createPriceLevelChart({ action: 'buy', price: 100, stopLoss: 95, takeProfit: [] })).toBe('');
+    });
+  });
+
+  describe('forex', () => {
+    it('labels the stop and targets in pips', () => {
+      const svg = createPriceLevelChart({
+        action: 'buy',
+        price: 1.085,
+        stopLoss: 1.082,
+        takeProfit: [{ price: 1.091 }],
+        forex: { pipSize: 0.0001 },
+      });
+      expect(svg).toContain('-30 pips');
+      expect(svg).toContain('+60 pips');
+      expect(svg).toContain('$1.085');
+    });
+  });
+
+  describe('futures', () => {
+    it('labels the stop and targets with dollars per position', () => {
+      const svg = createPriceLevelChart({
+        action: 'buy',
+        price: 5000,
+        stopLoss: 4992,
+        takeProfit: [{ price: 5020 }],
+        quantity: 2,
+        futures: { root: 'ES' },
+      });
+      expect(svg).toContain('-$800');
+      expect(svg).toContain('+$2,000');
+      expect(svg).not.toContain('%');
+    });
+  });
+
+  describe('trading costs', () => {
+    const trade = { action: 'buy', price: 60000, stopLoss: 59400, takeProfit: [{ price: 61200 }], exchange: 'Binance' };
+
+    it('draws a breakeven line with net P&L and the net R:R', () => {
+      const costs = calculateTradeCosts(trade, createDefaultAccountSettings());
+      const svg = createPriceLevelChart(trade, { costs });
+
+      expect(svg).toContain('price-level-breakeven');
+      expect(svg).toContain('BE $60,120.12');
+      expect(svg).toContain('net -1.20%');
+      expect(svg).toContain('net +1.88%');
+      expect(svg).toContain('1:2.0 R:R · 1:1.6 net');
+    });
+
+    it('shows net dollars when the quantity is known', () => {
+      const costs = calculateTradeCosts(trade, createDefaultAccountSettings(), 0.5);
+      const svg = createPriceLevelChart(trade, { costs });
+
+      expect(svg).toContain('net -$359.70');
+      expect(svg).toContain('net +$563.88');
+    });
+
+    it('leaves them out without costs', () => {
+      const svg = createPriceLevelChart(trade);
+
+      expect(svg).not.toContain('price-level-breakeven');
+      expect(svg).not.toContain('net');
+    });
+  });
+});
+
+describe('createPriceLevelChart liquidation', () => {
+  const trade = { action: 'buy', price: 60000, stopLoss: 58000, takeProfit: [{ price: 64000 }], leverage: 50 };
+
+  it('draws the liquidation level when it is near the stop', () => {
+    const svg = createPriceLevelChart(trade, { liquidation: 59036.14 });
+
+    expect(svg).toContain('price-level-liq');
+    expect(svg).toContain('$59,036.14');
+    expect(svg).toContain('LIQ');
+  });
+
+  it('leaves off a liquidation far beyond the stop', () => {
+    expect(createPriceLevelChart(trade, { liquidation: 30000 })).not.toContain('price-level-liq');
+  });
+});
+
+describe('createPriceLevelChart interactive', () => {
+  const trade = { action: 'buy', price: 100, stopLoss: 90, takeProfit: [{ price: 110 }, { price: 120 }] };
+
+  it('adds a focusable slider handle for each level', () => {
+    const svg = createPriceLevelChart(trade, { interactive: true });
+
+    expect(svg).toContain('price-chart-interactive');
+    expect(svg.match(/class="price-level-handle"/g)).toHaveLength(4);
+    expect(svg).toContain('data-level="stopLoss"');
+    expect(svg).toContain('aria-label="Take profit 2"');
+    expect(svg).toContain('aria-valuetext="$120.00"');
+    expect(svg).toContain('tabindex="0"');
+  });
+
+  it('records its price scale', () => {
+    const svg = createPriceLevelChart(trade, { interactive: true });
+
+    // 90 to 120, padded by 15% of the range
+    expect(svg).toContain('data-top="124.5"');
+    expect(svg).toContain('data-bottom="85.5"');
+  });
+
+  it('draws on a fixed range when given one', () => {
+    const svg = createPriceLevelChart(trade, { interactive: true, range: { top: 200, bottom: 0 } });
+
+    expect(svg).toContain('data-top="200"');
+    expect(svg).toContain(`y1="${priceToChartY(100, { top: 200, bottom: 0 })}"`);
+  });
+
+  it('has no handles by default', () => {
+    const svg = createPriceLevelChart(trade);
+
+    expect(svg).not.toContain('price-level-handle');
+    expect(svg).not.toContain('data-top');
+  });
+});
+
+describe('priceToChartY and chartYToPrice', () => {
+  const range = { top: 120, bottom: 80 };
+
+  it.each([
+    [120, 10],
+    [80, CHART_HEIGHT - 10],
+    [100, CHART_HEIGHT / 2],
+  ])('puts %d at y %d', (price, y) => {
+    expect(priceToChartY(price, range)).toBe(y);
+    expect(chartYToPrice(y, range)).toBe(price);
+  });
+});
+
+describe('formatComputedPrice', () => {
+  it.each([
+    [60120.12012012, '60,120.12'],
+    [98.43751234, '98.4375'],
+    [1.054321987, '1.05432'],
+  ])('formats %d as %s', (price, text) => {
+    expect(formatComputedPrice(price)).toBe(text);
+  });
+});
+
+describe('formatNetPnl', () => {
+  it.each([
+    [{ netAmount: -719.4, netPercent: -1.199 }, '-$719.40'],
+    [{ netAmount: null, netPercent: 1.8796 }, '+1.88%'],
+  ])('formats %j as %s', (exit, text) => {
+    expect(formatNetPnl(exit)).toBe(text);
+  });
+});
+
+describe('formatDollarChange', () => {
+  it.each([
+    [-800, '-$800'],
+    [1250.5, '+$1,250.50'],
+    [12.5, '+$12.50'],
+  ])('formats %d as %s', (amount, text) => {
+    expect(formatDollarChange(amount)).toBe(text);
+  });
 });
@@ -0,0 +1,86 @@
+/**
+ * Price Offsets
+ *
+ * Stops and targets said as a distance from entry rather than a price:
+ * "stop 8 points below", "20 tick stop", "30 pip stop", "target 40 points".
+ * The extractor turns them into prices once it knows the entry, the side and
+ * the instrument's tick or pip size.
+ *
+ * Offset shape: { amount, unit: 'points'|'ticks'|'pips', range } where range
+ * is where the distance was said.
+ */
+
+const AMOUNT = '(\\d+(?:\\.\\d+)?)';
+const UNIT = '(POINTS?|PTS?|HANDLES?|TICKS?|PIPS?)';
+
+// Stop distances: "stop 8 points below", "stop loss is 12 ticks", "30 pip stop"
+const STOP_OFFSET_PATTERNS = [
+  new RegExp(`\\b(?:STOP(?:\\s*LOSS)?|SL)\\s+(?:(?:IS|AT|OF)\\s+)?(?:A\\s+)?${AMOUNT}\\s*${UNIT}\\b(?:\\s+(?:BELOW|ABOVE|AWAY|OUT|BACK))?`, 'id'),
+  new RegExp(`\\b${AMOUNT}[\\s-]*${UNIT}\\s+(?:STOP(?:\\s*LOSS)?|SL)\\b`, 'id'),
+];
+
+// Target distances: "target 20 ticks", "TP 40 points above", "a 30 point target"
+const TARGET_OFFSET_PATTERNS = [
+  new RegExp(`\\b(?:TARGET(?:ING)?|TAKE\\s*PROFIT|PROFIT\\s*TARGET|TP)\\d?\\s+(?:(?:IS|AT|OF)\\s+)?(?:A\\s+)?${AMOUNT}\\s*${UNIT}\\b(?:\\s+(?:BELOW|ABOVE|AWAY|OUT))?`, 'gid'),
+  new RegExp(`\\b${AMOUNT}[\\s-]*${UNIT}\\s+(?:TARGET|TAKE\\s*PROFIT|PROFIT\\s*TARGET|TP)\\b`, 'gid'),
+];
+
+/**
+ * Offset for a pattern match; the range runs from the amount to the end ("8 points below")
+ */
+function toOffset(match) {
+  return {
+    amount: parseFloat(match[1]),
+    unit: /^TICK/i.test(match[2]) ? 'ticks' : (/^PIP/i.test(match[2]) ? 'pips' : 'points'),
+    range: [match.indices[1][0], match.index + match[0].length],
+  };
+}
+
+/**
+ * Find stop and target distances in a transcript
+ * @param {string} text - Transcript text (spoken numbers already normalized)
+ * @returns {{stopLoss: Object|null, takeProfit: Array<Object>}} - Offsets in the order they were said
+ */
+export function extractOffsets(text) {
+  let stopLoss = null;
+  for (const pattern of STOP_OFFSET_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      stopLoss = toOffset(match);
+      break;
+    }
+  }
+
+  const takeProfit = TARGET_OFFSET_PATTERNS
+    .flatMap(pattern => [...text.matchAll(pattern)])
+    .sort((a, b) => a.index - b.index)
+    .map(toOffset);
+
+  return { stopLoss, takeProfit };
+}
+
+/**
+ * Turn a distance from entry into a price
+ * @param {number} entry - Entry price
+ * @param {{amount: number, unit: string}} offset - Distance
+ * @param {Object} options
+ * @param {string} options.action - 'buy' or 'sell'
+ * @param {string} options.level - 'stopLoss' or 'takeProfit'
+ * @param {number} [options.tickSize] - Minimum price move; ticks can't be converted without it
+ * @param {number} [options.pipSize] - Pip size of a currency pair; pips can't be converted without it
+ * @returns {number|null} - Price rounded to the tick size (a tenth of a pip for pips), or null when it can't be worked out
+ */
+export function offsetToPrice(entry, offset, { action, level, tickSize = null, pipSize = null }) {
+  if (!entry || (action !== 'buy' && action !== 'sell')) return null;
+  if ((offset.unit === 'ticks' && !tickSize) || (offset.unit === 'pips' && !pipSize)) return null;
+
+  const distance = offset.amount * ({ ticks: tickSize, pips: pipSize }[offset.unit] || 1);
+  const below = (action === 'buy') === (level === 'stopLoss');
+  const price = below ? entry - distance : entry + distance;
+  if (price <= 0) return null;
+
+  const step = pipSize ? pipSize / 10 : tickSize;
+  if (!step) return Number(price.toFixed(2));
+  const decimals = Math.max(2, (String(step).split('.')[1] || '').length);
+  return Number((Math.round(price / step) * step).toFixed(decimals));
+}
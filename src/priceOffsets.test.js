@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { extractOffsets, offsetToPrice } from './priceOffsets.js';
+
+describe('extractOffsets', () => {
+  it.each([
+    ['stop 8 points below', { amount: 8, unit: 'points' }],
+    ['stop loss is 12 ticks', { amount: 12, unit: 'ticks' }],
+    ['with a 10 point stop', { amount: 10, unit: 'points' }],
+    ['SL 4 handles', { amount: 4, unit: 'points' }],
+    ['30 pip stop', { amount: 30, unit: 'pips' }],
+  ])('reads the stop in "%s"', (text, expected) => {
+    expect(extractOffsets(text).stopLoss).toMatchObject(expected);
+  });
+
+  it('reads every target in order', () => {
+    const { takeProfit } = extractOffsets('TP1 20 points, and a 40 point target');
+    expect(takeProfit.map(({ amount, unit }) => [amount, unit])).toEqual([[20, 'points'], [40, 'points']]);
+  });
+
+  it('returns the range of the distance', () => {
+    const text = 'Long ES, stop 8 points below';
+    const { range } = extractOffsets(text).stopLoss;
+    expect(text.slice(...range)).toBe('8 points below');
+  });
+
+  it('ignores levels given as prices', () => {
+    expect(extractOffsets('stop at 4992, target 5020')).toEqual({ stopLoss: null, takeProfit: [] });
+  });
+});
+
+describe('offsetToPrice', () => {
+  it.each([
+    ['buy', 'stopLoss', 4992],
+    ['buy', 'takeProfit', 5008],
+    ['sell', 'stopLoss', 5008],
+    ['sell', 'takeProfit', 4992],
+  ])('puts a %s %s on the right side of entry', (action, level, price) => {
+    expect(offsetToPrice(5000, { amount: 8, unit: 'points' }, { action, level })).toBe(price);
+  });
+
+  it('converts ticks with the tick size', () => {
+    expect(offsetToPrice(72.4, { amount: 30, unit: 'ticks' }, { action: 'buy', level: 'stopLoss', tickSize: 0.01 })).toBe(72.1);
+    expect(offsetToPrice(21500, { amount: 10, unit: 'ticks' }, { action: 'sell', level: 'stopLoss', tickSize: 0.25 })).toBe(21502.5);
+  });
+
+  it('converts pips with the pip size, to a tenth of a pip', () => {
+    expect(offsetToPrice(1.085, { amount: 30, unit: 'pips' }, { action: 'buy', level: 'stopLoss', pipSize: 0.0001 })).toBe(1.082);
+    expect(offsetToPrice(1.27345, { amount: 50, unit: 'pips' }, { action: 'sell', level: 'takeProfit', pipSize: 0.0001 })).toBe(1.26845);
+    expect(offsetToPrice(151.2, { amount: 40, unit: 'pips' }, { action: 'buy', level: 'stopLoss', pipSize: 0.01 })).toBe(150.8);
+  });
+
+  it('returns null when the price cannot be worked out', () => {
+    expect(offsetToPrice(1.085, { amount: 30, unit: 'pips' }, { action: 'buy', level: 'stopLoss' })).toBeNull();
+    expect(offsetToPrice(100, { amount: 10, unit: 'ticks' }, { action: 'buy', level: 'stopLoss' })).toBeNull();
+    expect(offsetToPrice(null, { amount: 8, unit: 'points' }, { action: 'buy', level: 'stopLoss' })).toBeNull();
+    expect(offsetToPrice(5000, { amount: 8, unit: 'points' }, { action: null, level: 'stopLoss' })).toBeNull();
+  });
+});
@@ -6,11 +6,47 @@
  */
 
 import { createPriceLevelChart } from './priceLevelChart.js';
+import { createCandlestickChart } from './candlestickChart.js';
+import { withMarketPrice } from './ohlcData.js';
+import { getEntryLevels, getTargetLevels, calculateBlendedRiskReward, calculateDollarRiskReward, formatLevelList } from './tradeLevels.js';
+import { toCsv } from './csv.js';
+import { describeOption, formatOptionLeg, formatExpiry } from './optionsParser.js';
+import { formatLots } from './forexPairs.js';
 
 // Constants
-export const MAX_SAVED_NOTES = 10;
-export const STORAGE_KEY = 'traders-voice-notes';
-export const MAX_AUDIO_SIZE = 500 * 1024; // 500KB limit for audio storage
+export const STORAGE_KEY = 'traders-voice-notes'; // Legacy localStorage key (migrated to IndexedDB)
+export const MAX_AUDIO_SIZE = 10 * 1024 * 1024; // 10MB limit for audio storage
+export const NOTES_PAGE_SIZE = 20;
+
+// CSV export columns, in order. Keep stable: journal tools map columns by header.
+export const NOTE_CSV_COLUMNS = [
+  'timestamp',
+  'ticker',
+  'side',
+  'entry',
+  'sl',
+  'tp',
+  'qty',
+  'size',
+  'leverage',
+  'timeframe',
+  'indicators',
+  'rr',
+  'transcript',
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Keep a text cell from being run as a formula when the CSV is opened in a
+ * spreadsheet, by prefixing it with an apostrophe
+ * @param {*} value - Cell value
+ * @returns {*}
+ */
+function neutralizeFormula(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
 
 /**
  * Convert Blob to base64 data URL
@@ -90,7 +126,29 @@ export function formatNumber(num) {
   if (num >= 1000) {
     return num.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
   }
-  return num.toFixed(2);
+  // Forex quotes carry up to 5 decimals ("1.08525")
+  const decimals = (String(num).split('.')[1] || '').length;
+  return num.toFixed(Math.min(5, Math.max(2, decimals)));
+}
+
+/**
+ * Format dollar risk and reward, e.g. "$1,000 / $2,500", with a reward that
+ * loses money shown as a loss ("$1,000 / -$500")
+ * @param {{risk: number, reward: number}} dollars - Result of calculateDollarRiskReward
+ * @returns {string}
+ */
+export function formatDollarRiskReward({ risk, reward }) {
+  return `$${formatNumber(risk)} / ${reward < 0 ? '-' : ''}$${formatNumber(Math.abs(reward))}`;
+}
+
+/**
+ * Format a take-profit target with its allocation, e.g. "$43,200 (50%)"
+ * @param {{price: number, allocation?: number}} target - Target level
+ * @returns {string} - Formatted target
+ */
+function formatTarget(target) {
+  const allocation = target.allocation !== undefined ? ` (${target.allocation}%)` : '';
+  return `$${formatNumber(target.price)}${allocation}`;
 }
 
 /**
@@ -109,25 +167,163 @@ export function formatNoteForClipboard(note) {
     if (note.trade.action) copyText += `Action: ${note.trade.action.toUpperCase()}\n`;
     if (note.trade.positionSize) copyText += `Position Size: $${formatNumber(note.trade.positionSize)}\n`;
     if (note.trade.quantity) copyText += `Quantity: ${note.trade.quantity}\n`;
-    if (note.trade.price) copyText += `Price: $${formatNumber(note.trade.price)}\n`;
+    const entries = getEntryLevels(note.trade);
+    if (entries.length > 1) {
+      copyText += `Entries: ${entries.map(e => `$${formatNumber(e.price)}`).join(', ')}\n`;
+    } else if (note.trade.price) {
+      copyText += `Price: $${formatNumber(note.trade.price)}\n`;
+    }
     if (note.trade.stopLoss) copyText += `Stop Loss: $${formatNumber(note.trade.stopLoss)}\n`;
-    if (note.trade.takeProfit) copyText += `Take Profit: $${formatNumber(note.trade.takeProfit)}\n`;
+    const targets = getTargetLevels(note.trade);
+    if (targets.length > 0) {
+      const label = targets.length > 1 ? 'Take Profits' : 'Take Profit';
+      copyText += `${label}: ${targets.map(formatTarget).join(', ')}\n`;
+    }
   }
 
   return copyText;
 }
 
 /**
- * Render a single saved note's trade info as HTML
- * @param {Object} trade - Trade info object
- * @returns {string} - HTML string
+ * Format a transcript and its trade as a Markdown "# Trade Note" section
+ * (the layout noteImport reads back)
+ * @param {string} text - Transcript
+ * @param {Object|null} trade - Trade info object
+ * @param {Date} [date] - When the note was taken
+ * @returns {string}
  */
-export function renderSavedNoteTrade(trade) {
-  if (!trade) return '';
+export function formatNoteAsMarkdown(text, trade, date = new Date()) {
+  let markdown = '# Trade Note\n';
+  markdown += `**Date:** ${date.toLocaleString()}\n\n`;
 
-  const actionClass = trade.action || '';
-  const actionText = trade.action ? trade.action.toUpperCase() : '';
+  markdown += '## Transcript\n';
+  markdown += `${text}\n\n`;
+
+  if (trade) {
+    markdown += '## Trade Details\n';
+
+    if (trade.action || trade.tradeType) {
+      const action = trade.tradeType || trade.action || '';
+      markdown += `- **Action:** ${action.charAt(0).toUpperCase() + action.slice(1)}\n`;
+    }
+
+    if (trade.ticker) {
+      markdown += `- **Ticker:** ${trade.ticker}\n`;
+    }
+
+    if (trade.exchange) {
+      markdown += `- **Exchange:** ${trade.exchange}\n`;
+    }
+
+    if (trade.futures?.contract) {
+      markdown += `- **Contract:** ${trade.futures.contract}\n`;
+    }
+
+    if (trade.option) {
+      markdown += `- **Option:** ${describeOption(trade.option)} (${trade.option.legs.map(formatOptionLeg).join(', ')})\n`;
+      if (trade.option.expiry) {
+        markdown += `- **Expiry:** ${formatExpiry(trade.option.expiry)}\n`;
+      }
+    }
+
+    const entries = getEntryLevels(trade);
+    if (entries.length > 1) {
+      markdown += `- **Entries:** ${entries.map(e => `$${formatNumber(e.price)}`).join(', ')}\n`;
+    } else if (trade.price) {
+      markdown += `- **${trade.option ? 'Premium' : 'Entry'}:** $${formatNumber(trade.price)}\n`;
+    }
+
+    if (trade.stopLoss) {
+      markdown += `- **Stop Loss:** $${formatNumber(trade.stopLoss)}\n`;
+    }
+
+    getTargetLevels(trade).forEach((target, i, targets) => {
+      const label = targets.length > 1 ? `Take Profit ${i + 1}` : 'Take Profit';
+      const allocation = target.allocation !== undefined ? ` (${target.allocation}%)` : '';
+      markdown += `- **${label}:** $${formatNumber(target.price)}${allocation}\n`;
+    });
+
+    // Calculate R:R ratio (blended for multi-leg trades)
+    const rrRatio = calculateBlendedRiskReward(trade);
+    if (rrRatio !== null && rrRatio !== 0) {
+      markdown += `- **R:R:** 1:${rrRatio.toFixed(2)}\n`;
+    }
+
+    const dollars = calculateDollarRiskReward(trade);
+    if (dollars) {
+      markdown += `- **Risk / Reward:** ${formatDollarRiskReward(dollars)}\n`;
+    }
+
+    if (trade.timeframe) {
+      markdown += `- **Timeframe:** ${trade.timeframe}\n`;
+    }
+
+    if (trade.positionSize) {
+      markdown += `- **Position Size:** $${formatNumber(trade.positionSize)}\n`;
+    }
+
+    if (trade.quantity) {
+      markdown += `- **${trade.option || trade.futures ? 'Contracts' : 'Quantity'}:** ${formatNumber(trade.quantity)}\n`;
+      if (trade.forex?.lots) {
+        markdown += `- **Lots:** ${formatLots(trade.forex)}\n`;
+      }
+    }
+
+    if (trade.leverage) {
+      markdown += `- **Leverage:** ${trade.leverage}x\n`;
+    }
 
+    if (trade.indicators && trade.indicators.length > 0) {
+      markdown += `- **Indicators:** ${trade.indicators.join(', ')}\n`;
+    }
+
+    if (trade.rationale) {
+      markdown += `\n## Rationale\n${trade.rationale}\n`;
+    }
+  }
+
+  return markdown;
+}
+
+/**
+ * Format notes as CSV, one row per note.
+ * Ladders and multiple targets are listed in one cell ("42500, 42200"),
+ * numbers are written without thousands separators and text that would run
+ * as a spreadsheet formula is prefixed with an apostrophe.
+ * @param {Array} notes - Notes to export
+ * @returns {string} - CSV text with a header row
+ */
+export function formatNotesAsCsv(notes) {
+  const rows = notes.map((note) => {
+    const trade = note.trade || {};
+    const rr = calculateBlendedRiskReward(trade);
+
+    return [
+      new Date(note.timestamp).toISOString(),
+      neutralizeFormula(trade.ticker),
+      trade.action,
+      formatLevelList(getEntryLevels(trade)),
+      trade.stopLoss,
+      formatLevelList(getTargetLevels(trade)),
+      trade.quantity,
+      trade.positionSize,
+      trade.leverage,
+      trade.timeframe,
+      neutralizeFormula(Array.isArray(trade.indicators) ? trade.indicators.join(', ') : ''),
+      rr > 0 ? rr.toFixed(2) : '',
+      neutralizeFormula(note.text),
+    ];
+  });
+
+  return toCsv([NOTE_CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Render the detail rows of a saved note's trade (size, entries, stop, targets)
+ * @param {Object} trade - Trade info object
+ * @returns {string} - HTML string (empty when there are no details)
+ */
+export function renderSavedNoteTradeDetails(trade) {
   let detailsHtml = '';
 
   const addDetail = (label, value) => {
@@ -138,35 +334,75 @@ export function renderSavedNoteTrade(trade) {
       </div>`;
   };
 
+  if (trade.option) {
+    const expiry = trade.option.expiry ? ` exp ${formatExpiry(trade.option.expiry)}` : '';
+    addDetail('Option', escapeHtml(`${describeOption(trade.option)}${expiry}`));
+  }
   if (trade.positionSize) addDetail('Size', `$${formatNumber(trade.positionSize)}`);
-  if (trade.quantity) addDetail('Qty', trade.quantity.toLocaleString());
-  if (trade.price) addDetail('Price', `$${formatNumber(trade.price)}`);
+  if (trade.futures?.contract) addDetail('Contract', escapeHtml(trade.futures.contract));
+  if (trade.forex?.lots) addDetail('Lots', formatLots(trade.forex));
+  if (trade.quantity) addDetail(trade.option || trade.futures ? 'Contracts' : (trade.forex ? 'Units' : 'Qty'), trade.quantity.toLocaleString());
+  const entries = getEntryLevels(trade);
+  if (entries.length > 1) {
+    addDetail('Entries', entries.map(e => `$${formatNumber(e.price)}`).join(', '));
+  } else if (trade.price) {
+    addDetail('Price', `$${formatNumber(trade.price)}`);
+  }
   if (trade.stopLoss) addDetail('SL', `$${formatNumber(trade.stopLoss)}`);
-  if (trade.takeProfit) addDetail('TP', `$${formatNumber(trade.takeProfit)}`);
+  const targets = getTargetLevels(trade);
+  if (targets.length > 0) addDetail('TP', targets.map(formatTarget).join(', '));
+
+  return detailsHtml;
+}
+
+/**
+ * Render a single saved note's trade info as HTML
+ * @param {Object} trade - Trade info object
+ * @param {Object} [market]
+ * @param {Array<Object>} [market.candles] - Candles loaded for the note, drawn as a candlestick chart
+ *   and pricing the level chart's current price at the note's time
+ * @param {number} [market.timestamp] - Note time
+ * @returns {string} - HTML string
+ */
+export function renderSavedNoteTrade(trade, { candles = null, timestamp = null } = {}) {
+  if (!trade) return '';
+
+  const actionClass = trade.action || '';
+  const actionText = trade.action ? trade.action.toUpperCase() : '';
+  const detailsHtml = renderSavedNoteTradeDetails(trade);
+  const entries = getEntryLevels(trade);
+  const targets = getTargetLevels(trade);
 
   // Generate price chart for saved notes
   let chartHtml = '';
-  if (trade.price && trade.stopLoss && trade.takeProfit && trade.action) {
-    const chartSvg = createPriceLevelChart(trade);
+  if (entries.length > 0 && trade.stopLoss && targets.length > 0 && trade.action) {
+    const chartSvg = createPriceLevelChart(withMarketPrice(trade, candles, timestamp), { interactive: true });
     if (chartSvg) {
       chartHtml = `<div class="price-chart-container">${chartSvg}</div>`;
     }
   }
 
+  const candlesHtml = candles?.length ? `
+      <div class="candlestick-chart-container">
+        ${createCandlestickChart(candles, trade, { timestamp })}
+        <button class="saved-note-candles-remove" title="Remove the loaded candles">Remove candles</button>
+      </div>` : '';
+
   return `
     <div class="saved-note-trade">
       <div class="saved-note-trade-header">
-        ${trade.ticker ? `<span class="saved-note-trade-ticker">${trade.ticker}</span>` : '<span></span>'}
+        ${trade.ticker ? `<span class="saved-note-trade-ticker">${escapeHtml(trade.ticker)}</span>` : '<span></span>'}
         ${actionText ? `<span class="saved-note-trade-action ${actionClass}">${actionText}</span>` : ''}
       </div>
       ${detailsHtml ? `<div class="saved-note-trade-details">${detailsHtml}</div>` : ''}
       ${chartHtml}
+      ${candlesHtml}
     </div>
   `;
 }
 
 /**
- * Load saved notes from localStorage
+ * Load legacy saved notes from localStorage
  * @param {Storage} [storage] - Storage interface (default: localStorage)
  * @returns {Array} - Array of saved notes
  */
@@ -180,7 +416,7 @@ export function loadSavedNotes(storage = localStorage) {
 }
 
 /**
- * Save notes to localStorage
+ * Save notes to legacy localStorage
  * @param {Array} notes - Notes to save
  * @param {Storage} [storage] - Storage interface (default: localStorage)
  */
@@ -188,37 +424,58 @@ export function saveSavedNotes(notes, storage = localStorage) {
   storage.setItem(STORAGE_KEY, JSON.stringify(notes));
 }
 
-/**
- * Validate if a note can be saved (not exceeding limit)
- * @param {Array} currentNotes - Current notes array
- * @returns {{ valid: boolean, error?: string }}
- */
-export function canSaveNote(currentNotes) {
-  if (currentNotes.length >= MAX_SAVED_NOTES) {
-    return {
-      valid: false,
-      error: `Maximum ${MAX_SAVED_NOTES} notes reached. Delete some to save more.`,
-    };
-  }
-  return { valid: true };
-}
+// Last default timestamp handed out: notes created in the same millisecond
+// still get distinct ids, since the id is the IndexedDB key
+let lastCreatedAt = 0;
 
 /**
- * Create a new note object
+ * Create a new note object.
+ * The id is the timestamp, moved up past any id in `usedIds` (which it is
+ * then added to) so a note never overwrites another when stored.
  * @param {Object} params - Note parameters
  * @param {string} params.text - Note text
  * @param {Object} [params.trade] - Trade info
- * @param {string} [params.audioData] - Base64 audio data
- * @param {number} [params.timestamp] - Timestamp (default: now)
+ * @param {Object} [params.extractedTrade] - Raw extractor output, kept when the trade was corrected by hand
+ * @param {Blob} [params.audio] - Recorded audio
+ * @param {Array<{text: string, start: number, end: number}>} [params.words] - Word timings into the audio (see transcriptTiming.js)
+ * @param {number} [params.timestamp] - Timestamp (default: now, never the same as the previous default)
+ * @param {Set<number>} [params.usedIds] - Ids already taken
  * @returns {Object} - Note object
  */
-export function createNote({ text, trade = null, audioData = null, timestamp = Date.now() }) {
+export function createNote({ text, trade = null, extractedTrade = null, audio = null, words = null, timestamp = null, usedIds = null }) {
+  if (timestamp === null) {
+    timestamp = Math.max(Date.now(), lastCreatedAt + 1);
+    lastCreatedAt = timestamp;
+  }
+
+  let id = timestamp;
+  if (usedIds) {
+    while (usedIds.has(id)) id += 1;
+    usedIds.add(id);
+  }
+
   return {
-    id: timestamp,
+    id,
     timestamp,
     text,
     trade,
-    audioData,
+    extractedTrade,
+    audio,
+    words,
+  };
+}
+
+/**
+ * Take the first page-worth of notes for rendering
+ * @param {Array} notes - Notes to paginate
+ * @param {number} visibleCount - Number of notes currently shown
+ * @returns {{ visible: Array, remaining: number }}
+ */
+export function paginateNotes(notes, visibleCount = NOTES_PAGE_SIZE) {
+  const count = Math.max(0, visibleCount);
+  return {
+    visible: notes.slice(0, count),
+    remaining: Math.max(0, notes.length - count),
   };
 }
 
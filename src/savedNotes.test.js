@@ -1,24 +1,35 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
-  MAX_SAVED_NOTES,
   STORAGE_KEY,
+  MAX_AUDIO_SIZE,
+  NOTES_PAGE_SIZE,
   blobToBase64,
   base64ToBlob,
   formatTimestamp,
   escapeHtml,
   formatNumber,
+  formatDollarRiskReward,
   formatNoteForClipboard,
+  formatNoteAsMarkdown,
+  NOTE_CSV_COLUMNS,
+  formatNotesAsCsv,
   renderSavedNoteTrade,
+  renderSavedNoteTradeDetails,
   loadSavedNotes,
   saveSavedNotes,
-  canSaveNote,
   createNote,
   filterNotes,
+  paginateNotes,
 } from './savedNotes.js';
+import { parseCsv } from './csv.js';
 
 describe('Constants', () => {
-  it('MAX_SAVED_NOTES is 10', () => {
-    expect(MAX_SAVED_NOTES).toBe(10);
+  it('MAX_AUDIO_SIZE is 10MB', () => {
+    expect(MAX_AUDIO_SIZE).toBe(10 * 1024 * 1024);
+  });
+
+  it('NOTES_PAGE_SIZE is 20', () => {
+    expect(NOTES_PAGE_SIZE).toBe(20);
   });
 
   it('STORAGE_KEY is traders-voice-notes', () => {
@@ -196,6 +207,7 @@ describe('formatNumber', () => {
   it('formats small numbers with 2 decimal places', () => {
     expect(formatNumber(1.5)).toBe('1.50');
     expect(formatNumber(99.99)).toBe('99.99');
+    expect(formatNumber(1.27345)).toBe('1.27345');
   });
 
   it('formats thousands with commas', () => {
@@ -218,6 +230,23 @@ describe('formatNumber', () => {
   });
 });
 
+describe('formatDollarRiskReward', () => {
+  it.each([
+    ['a winning reward', { risk: 1000, reward: 2500 }, '$1,000 / $2,500'],
+    ['a losing reward', { risk: 1000, reward: -500 }, '$1,000 / -$500.00'],
+  ])('formats %s', (_, dollars, expected) => {
+    expect(formatDollarRiskReward(dollars)).toBe(expected);
+  });
+});
+
+describe('formatNoteAsMarkdown', () => {
+  it('shows a target on the wrong side of entry as a dollar loss', () => {
+    const trade = { ticker: 'ES', action: 'buy', price: 5200, stopLoss: 5180, takeProfit: [{ price: 5190 }], quantity: 1, futures: { root: 'ES' } };
+
+    expect(formatNoteAsMarkdown('Long ES', trade)).toContain('- **Risk / Reward:** $1,000 / -$500.00\n');
+  });
+});
+
 describe('formatNoteForClipboard', () => {
   it('returns empty string for null note', () => {
     expect(formatNoteForClipboard(null)).toBe('');
@@ -291,6 +320,87 @@ describe('formatNoteForClipboard', () => {
 
     expect(result).toContain('Action: BUY');
   });
+
+  it('lists entry ladders and every target', () => {
+    const note = {
+      text: 'Scale in',
+      trade: {
+        action: 'buy',
+        price: 42500,
+        entries: [{ price: 42500 }, { price: 42200 }],
+        takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }],
+      },
+    };
+    const result = formatNoteForClipboard(note);
+
+    expect(result).toContain('Entries: $42,500, $42,200');
+    expect(result).toContain('Take Profits: $43,200 (50%), $44,000');
+    expect(result).not.toContain('Price:');
+  });
+});
+
+describe('formatNotesAsCsv', () => {
+  const timestamp = Date.UTC(2025, 0, 15, 14, 30);
+
+  it('writes a stable header row', () => {
+    expect(formatNotesAsCsv([])).toBe(`${NOTE_CSV_COLUMNS.join(',')}\r\n`);
+    expect(NOTE_CSV_COLUMNS).toEqual([
+      'timestamp', 'ticker', 'side', 'entry', 'sl', 'tp', 'qty', 'size', 'leverage', 'timeframe', 'indicators', 'rr', 'transcript',
+    ]);
+  });
+
+  it('writes one row per note with raw numbers', () => {
+    const csv = formatNotesAsCsv([{
+      timestamp,
+      text: 'Long BTC at 95,000',
+      trade: {
+        ticker: 'BTC',
+        action: 'buy',
+        price: 95000,
+        stopLoss: 92000,
+        takeProfit: [{ price: 105000 }],
+        positionSize: 500,
+        leverage: 10,
+        timeframe: '4h',
+        indicators: ['RSI'],
+      },
+    }]);
+
+    expect(csv.split('\r\n')[1]).toBe('2025-01-15T14:30:00.000Z,BTC,buy,95000,92000,105000,,500,10,4h,RSI,3.33,"Long BTC at 95,000"');
+  });
+
+  it.each(['=HYPERLINK("http://x")', '+1 on the breakout', '-50 and out', '@BTC long'])('keeps "%s" from running as a formula', (text) => {
+    const csv = formatNotesAsCsv([{ timestamp, text, trade: { ticker: '=CMD()', indicators: ['@RSI'] } }]);
+
+    expect(parseCsv(csv)[1]).toEqual([
+      '2025-01-15T14:30:00.000Z', "'=CMD()", '', '', '', '', '', '', '', '', "'@RSI", '', `'${text}`,
+    ]);
+  });
+
+  it('quotes multi-leg levels, indicator lists and transcripts', () => {
+    const csv = formatNotesAsCsv([{
+      timestamp,
+      text: 'Said "scale in"\nthen waited',
+      trade: {
+        action: 'buy',
+        price: 42500,
+        entries: [{ price: 42500 }, { price: 42200 }],
+        takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }],
+        indicators: ['RSI', 'MACD'],
+      },
+    }]);
+
+    expect(csv).toContain('"42500, 42200"');
+    expect(csv).toContain('"43200 @ 50%, 44000"');
+    expect(csv).toContain('"RSI, MACD"');
+    expect(csv).toContain('"Said ""scale in""\nthen waited"');
+  });
+
+  it('leaves trade columns empty for notes without a trade', () => {
+    const csv = formatNotesAsCsv([{ timestamp, text: 'Just thoughts', trade: null }]);
+
+    expect(csv.split('\r\n')[1]).toBe('2025-01-15T14:30:00.000Z,,,,,,,,,,,,Just thoughts');
+  });
 });
 
 describe('renderSavedNoteTrade', () => {
@@ -335,6 +445,18 @@ describe('renderSavedNoteTrade', () => {
     expect(result).toContain('SELL'); // text
   });
 
+  it('renders the option structure and contracts', () => {
+    const trade = {
+      ticker: 'SPY',
+      quantity: 5,
+      option: { strategy: 'single', legs: [{ side: 'buy', type: 'call', strike: 480 }], expiry: '2025-01-17', premiumType: 'debit' },
+    };
+    const result = renderSavedNoteTrade(trade);
+
+    expect(result).toContain('480 call exp Jan 17, 2025');
+    expect(result).toContain('Contracts:');
+  });
+
   it('renders position size with dollar sign', () => {
     const trade = { positionSize: 5000 };
     const result = renderSavedNoteTrade(trade);
@@ -399,6 +521,45 @@ describe('renderSavedNoteTrade', () => {
 
     expect(result).not.toContain('price-chart-container');
   });
+
+  it('draws the chart with draggable levels', () => {
+    const trade = { price: 100, stopLoss: 90, takeProfit: [{ price: 120 }], action: 'buy' };
+    expect(renderSavedNoteTrade(trade)).toContain('price-level-handle');
+  });
+
+  it('adds loaded candles and prices the level chart at the note time', () => {
+    const trade = { price: 100, stopLoss: 90, takeProfit: [{ price: 120 }], action: 'buy' };
+    const candles = [
+      { time: 0, open: 100, high: 104, low: 99, close: 103, volume: null },
+      { time: 60000, open: 103, high: 106, low: 102, close: 105, volume: null },
+    ];
+    const result = renderSavedNoteTrade(trade, { candles, timestamp: 70000 });
+
+    expect(result).toContain('candlestick-chart');
+    expect(result).toContain('candle-note-marker');
+    expect(result).toContain('price-level-current');
+    expect(result).toContain('$105.00');
+    expect(result).toContain('saved-note-candles-remove');
+  });
+
+  it('has no candlestick chart without candles', () => {
+    const trade = { price: 100, stopLoss: 90, takeProfit: [{ price: 120 }], action: 'buy' };
+    expect(renderSavedNoteTrade(trade)).not.toContain('candlestick-chart');
+  });
+});
+
+describe('renderSavedNoteTradeDetails', () => {
+  it('renders just the detail rows', () => {
+    const result = renderSavedNoteTradeDetails({ price: 100, stopLoss: 90, takeProfit: [{ price: 120 }], action: 'buy' });
+
+    expect(result).toContain('SL:');
+    expect(result).not.toContain('saved-note-trade-details');
+    expect(result).not.toContain('<svg');
+  });
+
+  it('is empty without any details', () => {
+    expect(renderSavedNoteTradeDetails({ ticker: 'BTC' })).toBe('');
+  });
 });
 
 describe('loadSavedNotes', () => {
@@ -490,45 +651,6 @@ describe('saveSavedNotes', () => {
   });
 });
 
-describe('canSaveNote', () => {
-  it('returns valid: true when under limit', () => {
-    const notes = new Array(5).fill({ id: 1 });
-    const result = canSaveNote(notes);
-
-    expect(result.valid).toBe(true);
-    expect(result.error).toBeUndefined();
-  });
-
-  it('returns valid: true when at limit - 1', () => {
-    const notes = new Array(9).fill({ id: 1 });
-    const result = canSaveNote(notes);
-
-    expect(result.valid).toBe(true);
-  });
-
-  it('returns valid: false when at limit', () => {
-    const notes = new Array(10).fill({ id: 1 });
-    const result = canSaveNote(notes);
-
-    expect(result.valid).toBe(false);
-    expect(result.error).toContain('Maximum');
-    expect(result.error).toContain('10');
-  });
-
-  it('returns valid: false when over limit', () => {
-    const notes = new Array(15).fill({ id: 1 });
-    const result = canSaveNote(notes);
-
-    expect(result.valid).toBe(false);
-  });
-
-  it('returns valid: true for empty array', () => {
-    const result = canSaveNote([]);
-
-    expect(result.valid).toBe(true);
-  });
-});
-
 describe('createNote', () => {
   it('creates note with required text', () => {
     const note = createNote({ text: 'Buy Bitcoin' });
@@ -545,11 +667,11 @@ describe('createNote', () => {
     expect(note.trade).toEqual(trade);
   });
 
-  it('includes audio data when provided', () => {
-    const audioData = 'data:audio/webm;base64,abc';
-    const note = createNote({ text: 'Trade', audioData });
+  it('includes audio blob when provided', () => {
+    const audio = new Blob(['abc'], { type: 'audio/webm' });
+    const note = createNote({ text: 'Trade', audio });
 
-    expect(note.audioData).toBe(audioData);
+    expect(note.audio).toBe(audio);
   });
 
   it('uses provided timestamp', () => {
@@ -566,10 +688,51 @@ describe('createNote', () => {
     expect(note.trade).toBeNull();
   });
 
-  it('defaults audioData to null', () => {
+  it('defaults audio to null', () => {
     const note = createNote({ text: 'Simple note' });
 
-    expect(note.audioData).toBeNull();
+    expect(note.audio).toBeNull();
+  });
+
+  it('keeps word timings when provided', () => {
+    const words = [{ text: 'Long', start: 0.2, end: 0.5 }, { text: 'BTC', start: 0.5, end: 0.9 }];
+    const note = createNote({ text: 'Long BTC', words });
+
+    expect(note.words).toBe(words);
+    expect(createNote({ text: 'Simple note' }).words).toBeNull();
+  });
+
+  it('keeps the raw extraction alongside a corrected trade', () => {
+    const extractedTrade = { ticker: 'BTC', action: 'buy', stopLoss: 98000 };
+    const trade = { ...extractedTrade, stopLoss: 92000 };
+    const note = createNote({ text: 'Trade', trade, extractedTrade });
+
+    expect(note.trade.stopLoss).toBe(92000);
+    expect(note.extractedTrade.stopLoss).toBe(98000);
+  });
+
+  it('defaults extractedTrade to null', () => {
+    const note = createNote({ text: 'Simple note' });
+
+    expect(note.extractedTrade).toBeNull();
+  });
+
+  it('gives notes created in the same millisecond distinct ids', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(5000);
+
+    const ids = [createNote({ text: 'First' }), createNote({ text: 'Second' })].map(note => note.id);
+
+    expect(new Set(ids).size).toBe(2);
+    now.mockRestore();
+  });
+
+  it('moves the id past ids already taken', () => {
+    const usedIds = new Set([1000, 1001]);
+
+    const note = createNote({ text: 'Trade', timestamp: 1000, usedIds });
+
+    expect(note).toMatchObject({ id: 1002, timestamp: 1000 });
+    expect(usedIds.has(1002)).toBe(true);
   });
 
   it('creates unique ids from timestamp', () => {
@@ -580,6 +743,43 @@ describe('createNote', () => {
   });
 });
 
+describe('paginateNotes', () => {
+  const notes = Array.from({ length: 45 }, (_, i) => ({ id: i, text: `Note ${i}` }));
+
+  it('returns the first page by default', () => {
+    const { visible, remaining } = paginateNotes(notes);
+
+    expect(visible).toHaveLength(NOTES_PAGE_SIZE);
+    expect(visible[0].id).toBe(0);
+    expect(remaining).toBe(25);
+  });
+
+  it('returns more notes as the visible count grows', () => {
+    const { visible, remaining } = paginateNotes(notes, 40);
+
+    expect(visible).toHaveLength(40);
+    expect(remaining).toBe(5);
+  });
+
+  it('returns everything when the count exceeds the list', () => {
+    const { visible, remaining } = paginateNotes(notes, 100);
+
+    expect(visible).toHaveLength(45);
+    expect(remaining).toBe(0);
+  });
+
+  it('handles empty lists', () => {
+    expect(paginateNotes([], 20)).toEqual({ visible: [], remaining: 0 });
+  });
+
+  it('treats negative counts as zero', () => {
+    const { visible, remaining } = paginateNotes(notes, -5);
+
+    expect(visible).toEqual([]);
+    expect(remaining).toBe(45);
+  });
+});
+
 describe('Integration: save and load round-trip', () => {
   it('saves and loads notes correctly', () => {
     const storage = new Map();
@@ -624,7 +824,7 @@ describe('filterNotes', () => {
     timestamp: Date.now(),
     text,
     trade,
-    audioData: null,
+    audio: null,
   });
 
   it('returns all notes when query is empty', () => {
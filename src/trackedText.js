@@ -0,0 +1,92 @@
+/**
+ * Tracked Text
+ *
+ * The trade extractor rewrites a transcript before matching it (custom
+ * vocabulary corrections, spoken numbers → digits), which shifts character
+ * offsets. A tracked text remembers, for every character, the range of the
+ * original transcript it came from, so a match in the rewritten text can be
+ * mapped back onto what was actually said.
+ *
+ * Shape: { text, starts, ends } where character i of `text` came from
+ * original[starts[i]..ends[i]).
+ */
+
+/**
+ * Start tracking a text (every character maps to itself)
+ * @param {string} text - Original text
+ * @returns {{text: string, starts: Array<number>, ends: Array<number>}}
+ */
+export function trackText(text) {
+  const starts = [];
+  const ends = [];
+  for (let i = 0; i < text.length; i++) {
+    starts.push(i);
+    ends.push(i + 1);
+  }
+  return { text, starts, ends };
+}
+
+/**
+ * Map a range of a tracked text back onto the original text
+ * @param {Object} tracked - Tracked text
+ * @param {number} start - Start offset in tracked.text
+ * @param {number} end - End offset in tracked.text (exclusive)
+ * @returns {{start: number, end: number}} - Range in the original text
+ */
+export function toSourceRange(tracked, start, end) {
+  const { starts, ends } = tracked;
+  if (start >= end) {
+    const position = start < starts.length ? starts[start] : (ends.length > 0 ? ends[ends.length - 1] : 0);
+    return { start: position, end: position };
+  }
+  return { start: starts[start], end: ends[end - 1] };
+}
+
+/**
+ * String.prototype.replace for tracked text. Characters of a replacement map
+ * to the whole original range of the text they replaced; untouched text
+ * keeps its per-character mapping.
+ * @param {Object} tracked - Tracked text
+ * @param {RegExp} pattern - Pattern (global to replace every match)
+ * @param {string|Function} replacement - Replacement string or String.replace-style callback
+ * @returns {Object} - New tracked text
+ */
+export function replaceTracked(tracked, pattern, replacement) {
+  const { text } = tracked;
+  const matches = pattern.global ? [...text.matchAll(pattern)] : [text.match(pattern)].filter(Boolean);
+  if (matches.length === 0) return tracked;
+
+  const single = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+  const result = { text: '', starts: [], ends: [] };
+  const copy = (from, to) => {
+    result.text += text.slice(from, to);
+    for (let i = from; i < to; i++) {
+      result.starts.push(tracked.starts[i]);
+      result.ends.push(tracked.ends[i]);
+    }
+  };
+
+  let cursor = 0;
+  for (const match of matches) {
+    const end = match.index + match[0].length;
+    const value = typeof replacement === 'function'
+      ? replacement(...match, match.index, text)
+      : match[0].replace(single, replacement);
+
+    copy(cursor, match.index);
+    if (value === match[0]) {
+      copy(match.index, end);
+    } else {
+      const source = toSourceRange(tracked, match.index, end);
+      result.text += value;
+      for (let i = 0; i < value.length; i++) {
+        result.starts.push(source.start);
+        result.ends.push(source.end);
+      }
+    }
+    cursor = end;
+  }
+  copy(cursor, text.length);
+
+  return result;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { trackText, toSourceRange, replaceTracked } from './trackedText.js';
+
+/**
+ * Original text behind a range of a tracked text
+ */
+function sourceOf(original, tracked, start, end) {
+  const range = toSourceRange(tracked, start, end);
+  return original.slice(range.start, range.end);
+}
+
+describe('trackText', () => {
+  it('maps every character to itself', () => {
+    const tracked = trackText('BTC');
+
+    expect(tracked).toEqual({ text: 'BTC', starts: [0, 1, 2], ends: [1, 2, 3] });
+  });
+});
+
+describe('replaceTracked', () => {
+  const original = 'long at ninety five, stop 92';
+
+  it('maps replacements to the text they replaced', () => {
+    const tracked = replaceTracked(trackText(original), /ninety five/, '95');
+
+    expect(tracked.text).toBe('long at 95, stop 92');
+    expect(sourceOf(original, tracked, 8, 10)).toBe('ninety five');
+    expect(sourceOf(original, tracked, 8, 9)).toBe('ninety five');
+  });
+
+  it('keeps untouched text mapped per character', () => {
+    const tracked = replaceTracked(trackText(original), /ninety five/, '95');
+
+    expect(sourceOf(original, tracked, 12, 19)).toBe('stop 92');
+  });
+
+  it('replaces every match of a global pattern, with String.replace semantics', () => {
+    const tracked = replaceTracked(trackText('a1 b22 c333'), /([a-z])(\d+)/g, '$2$1');
+
+    expect(tracked.text).toBe('1a 22b 333c');
+    expect(sourceOf('a1 b22 c333', tracked, 3, 6)).toBe('b22');
+  });
+
+  it('passes match details to a replacement function', () => {
+    const tracked = replaceTracked(trackText('x 1.5k y'), /(\d+(?:\.\d+)?)k/g, (_, n, offset, text) => `${n * 1000}@${offset}/${text.length}`);
+
+    expect(tracked.text).toBe('x 1500@2/8 y');
+  });
+
+  it('chains replacements back to the original text', () => {
+    const first = replaceTracked(trackText(original), /ninety five/, '95');
+    const second = replaceTracked(first, /95/, '95000');
+
+    expect(second.text).toBe('long at 95000, stop 92');
+    expect(sourceOf(original, second, 8, 13)).toBe('ninety five');
+  });
+
+  it('returns the same tracked text when nothing matches', () => {
+    const tracked = trackText(original);
+
+    expect(replaceTracked(tracked, /xyz/g, '')).toBe(tracked);
+  });
+});
+
+describe('toSourceRange', () => {
+  it('maps an empty range to a single position', () => {
+    const tracked = trackText('abc');
+
+    expect(toSourceRange(tracked, 1, 1)).toEqual({ start: 1, end: 1 });
+    expect(toSourceRange(tracked, 3, 3)).toEqual({ start: 3, end: 3 });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Trade Editor
+ *
+ * Converts trades to and from the inline edit form on the trade card and
+ * validates hand-corrected values before they replace the extracted trade.
+ *
+ * Level fields (entry, take profit) accept a list: "95000, 94000" or
+ * "105000 @ 50%, 110000" where "@ N%" is the allocation for that level.
+ */
+
+import { getEntryLevels, getTargetLevels, averagePrice, formatLevelList } from './tradeLevels.js';
+import { MAX_LEVERAGE } from './tradeExtractor.js';
+
+// Constants
+export const TIMEFRAME_OPTIONS = ['1m', '5m', '15m', '1h', '4h', '1D', '1W', '1M'];
+
+const LEVEL_PATTERN = /^\$?(\d+(?:,\d{3})*(?:\.\d+)?|\.\d+)\s*(?:@\s*(\d+(?:\.\d+)?)\s*%?)?$/;
+
+// List separators: semicolons, or commas that aren't thousands separators
+const LIST_SEPARATOR = /;|,(?!\d{3}(?!\d))/;
+
+/**
+ * Parse a single positive number field ("$95,000" → 95000)
+ * @returns {{value: number|null, error: string|null}}
+ */
+function parseNumberField(raw, label) {
+  const text = String(raw ?? '').trim().replace(/[$,\s]/g, '');
+  if (text === '') return { value: null, error: null };
+
+  const value = Number(text);
+  if (!isFinite(value) || value <= 0) {
+    return { value: null, error: `${label} must be a positive number` };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Parse a level list field into levels
+ * @returns {{levels: Array<{price: number, allocation?: number}>, error: string|null}}
+ */
+function parseLevelField(raw, label) {
+  const parts = String(raw ?? '')
+    .split(LIST_SEPARATOR)
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  const levels = [];
+  for (const part of parts) {
+    const match = part.match(LEVEL_PATTERN);
+    const price = match ? Number(match[1].replace(/,/g, '')) : NaN;
+
+    if (!match || !(price > 0)) {
+      return { levels: [], error: `${label}: "${part}" is not a valid price` };
+    }
+
+    const level = { price };
+    if (match[2] !== undefined) {
+      const allocation = Number(match[2]);
+      if (allocation <= 0 || allocation > 100) {
+        return { levels: [], error: `${label}: allocation must be between 1 and 100%` };
+      }
+      level.allocation = allocation;
+    }
+    levels.push(level);
+  }
+
+  return { levels, error: null };
+}
+
+/**
+ * Convert a trade into string values for the edit form
+ * @param {Object|null} trade - Trade info object
+ * @returns {Object} - Form values keyed by field name
+ */
+export function tradeToFormValues(trade) {
+  const t = trade || {};
+  const numberValue = (value) => (typeof value === 'number' ? String(value) : '');
+
+  return {
+    ticker: t.ticker || '',
+    action: t.action || '',
+    entry: formatLevelList(getEntryLevels(t)),
+    stopLoss: numberValue(t.stopLoss),
+    takeProfit: formatLevelList(getTargetLevels(t)),
+    positionSize: numberValue(t.positionSize),
+    quantity: numberValue(t.quantity),
+    leverage: numberValue(t.leverage),
+    timeframe: t.timeframe || '',
+    indicators: Array.isArray(t.indicators) ? t.indicators.join(', ') : '',
+  };
+}
+
+/**
+ * Validate a trade's price levels and position values
+ * @param {Object} trade - Trade info object
+ * @returns {Object} - Error messages keyed by field name (empty when valid)
+ */
+export function validateTrade(trade) {
+  const errors = {};
+  if (!trade) return errors;
+
+  const entry = averagePrice(getEntryLevels(trade));
+  const targets = getTargetLevels(trade);
+  const isLong = trade.action === 'buy';
+  const isShort = trade.action === 'sell';
+
+  if (entry !== null && trade.stopLoss) {
+    if (isLong && trade.stopLoss >= entry) {
+      errors.stopLoss = 'For a long, stop loss must be below entry';
+    } else if (isShort && trade.stopLoss <= entry) {
+      errors.stopLoss = 'For a short, stop loss must be above entry';
+    }
+  }
+
+  if (entry !== null && targets.length > 0) {
+    if (isLong && targets.some(t => t.price <= entry)) {
+      errors.takeProfit = 'For a long, take profit must be above entry';
+    } else if (isShort && targets.some(t => t.price >= entry)) {
+      errors.takeProfit = 'For a short, take profit must be below entry';
+    }
+  }
+
+  const allocated = targets.reduce((sum, t) => sum + (t.allocation ?? 0), 0);
+  if (allocated > 100 && !errors.takeProfit) {
+    errors.takeProfit = 'Take profit allocations add up to more than 100%';
+  }
+
+  if (typeof trade.leverage === 'number' && trade.leverage < 1) {
+    errors.leverage = 'Leverage must be at least 1x';
+  } else if (typeof trade.leverage === 'number' && trade.leverage > MAX_LEVERAGE) {
+    errors.leverage = `Leverage above ${MAX_LEVERAGE}x is out of range`;
+  }
+
+  return errors;
+}
+
+/**
+ * Apply edit form values to a trade
+ * @param {Object|null} trade - Trade being edited (fields not in the form are kept)
+ * @param {Object} values - Form values keyed by field name
+ * @returns {{trade: Object, errors: Object, valid: boolean}} - Edited trade and field errors
+ */
+export function applyTradeEdits(trade, values) {
+  const edited = { ...(trade || {}) };
+  const errors = {};
+
+  const setField = (key, value) => {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+      delete edited[key];
+    } else {
+      edited[key] = value;
+    }
+  };
+
+  setField('ticker', String(values.ticker ?? '').trim().toUpperCase() || null);
+
+  if (values.action === 'buy' || values.action === 'sell') {
+    edited.action = values.action;
+    edited.tradeType = values.action === 'buy' ? 'long' : 'short';
+  } else {
+    delete edited.action;
+    delete edited.tradeType;
+  }
+
+  const entry = parseLevelField(values.entry, 'Entry');
+  if (entry.error) errors.entry = entry.error;
+  setField('price', entry.levels.length > 0 ? entry.levels[0].price : null);
+  setField('entries', entry.levels.length > 1 ? entry.levels : null);
+
+  const takeProfit = parseLevelField(values.takeProfit, 'Take profit');
+  if (takeProfit.error) errors.takeProfit = takeProfit.error;
+  setField('takeProfit', takeProfit.levels);
+
+  const numberFields = [
+    ['stopLoss', 'Stop loss'],
+    ['positionSize', 'Size'],
+    ['quantity', 'Quantity'],
+    ['leverage', 'Leverage'],
+  ];
+  for (const [key, label] of numberFields) {
+    const { value, error } = parseNumberField(String(values[key] ?? '').replace(/x$/i, ''), label);
+    if (error) errors[key] = error;
+    setField(key, value);
+  }
+
+  setField('timeframe', String(values.timeframe ?? '').trim() || null);
+
+  const indicators = String(values.indicators ?? '')
+    .split(',')
+    .map(ind => ind.trim())
+    .filter(Boolean);
+  setField('indicators', indicators);
+
+  // Level checks only make sense once every field parsed
+  const levelErrors = validateTrade(edited);
+  for (const [key, message] of Object.entries(levelErrors)) {
+    if (!errors[key]) errors[key] = message;
+  }
+
+  return { trade: edited, errors, valid: Object.keys(errors).length === 0 };
+}
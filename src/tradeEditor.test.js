@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { tradeToFormValues, validateTrade, applyTradeEdits } from './tradeEditor.js';
+
+const longTrade = {
+  ticker: 'BTC',
+  action: 'buy',
+  tradeType: 'long',
+  price: 95000,
+  stopLoss: 92000,
+  takeProfit: [{ price: 105000 }],
+  leverage: 10,
+  timeframe: '4h',
+  indicators: ['RSI', 'MACD'],
+  exchange: 'Binance',
+};
+
+describe('tradeToFormValues', () => {
+  it('converts a trade into form strings', () => {
+    expect(tradeToFormValues(longTrade)).toEqual({
+      ticker: 'BTC',
+      action: 'buy',
+      entry: '95000',
+      stopLoss: '92000',
+      takeProfit: '105000',
+      positionSize: '',
+      quantity: '',
+      leverage: '10',
+      timeframe: '4h',
+      indicators: 'RSI, MACD',
+    });
+  });
+
+  it('lists ladders and allocations', () => {
+    const values = tradeToFormValues({
+      price: 3000,
+      entries: [{ price: 3000 }, { price: 2950 }],
+      takeProfit: [{ price: 3200, allocation: 50 }, { price: 3400 }],
+    });
+
+    expect(values.entry).toBe('3000, 2950');
+    expect(values.takeProfit).toBe('3200 @ 50%, 3400');
+  });
+
+  it('reads legacy numeric takeProfit', () => {
+    expect(tradeToFormValues({ takeProfit: 105000 }).takeProfit).toBe('105000');
+  });
+
+  it('returns empty values for no trade', () => {
+    expect(tradeToFormValues(null).ticker).toBe('');
+  });
+});
+
+describe('validateTrade', () => {
+  it('accepts a consistent long', () => {
+    expect(validateTrade(longTrade)).toEqual({});
+  });
+
+  it.each([
+    ['long stop above entry', { ...longTrade, stopLoss: 96000 }, 'stopLoss', 'below entry'],
+    ['short stop below entry', { ...longTrade, action: 'sell', stopLoss: 92000, takeProfit: [{ price: 90000 }] }, 'stopLoss', 'above entry'],
+    ['long target below entry', { ...longTrade, takeProfit: [{ price: 94000 }] }, 'takeProfit', 'above entry'],
+    ['short target above entry', { ...longTrade, action: 'sell', stopLoss: 97000 }, 'takeProfit', 'below entry'],
+    ['over-allocated targets', { ...longTrade, takeProfit: [{ price: 100000, allocation: 60 }, { price: 105000, allocation: 60 }] }, 'takeProfit', '100%'],
+    ['leverage below 1x', { ...longTrade, leverage: 0.5 }, 'leverage', 'at least 1x'],
+    ['leverage above the maximum', { ...longTrade, leverage: 200 }, 'leverage', 'out of range'],
+  ])('flags %s', (_, trade, field, message) => {
+    expect(validateTrade(trade)[field]).toContain(message);
+  });
+
+  it('checks the stop against the average of an entry ladder', () => {
+    const trade = { ...longTrade, entries: [{ price: 95000 }, { price: 91000 }], stopLoss: 93500 };
+
+    expect(validateTrade(trade).stopLoss).toContain('below entry');
+  });
+
+  it('skips side checks without an action', () => {
+    expect(validateTrade({ price: 100, stopLoss: 120 })).toEqual({});
+  });
+});
+
+describe('applyTradeEdits', () => {
+  const edit = (changes) => applyTradeEdits(longTrade, { ...tradeToFormValues(longTrade), ...changes });
+
+  it('keeps unchanged values', () => {
+    const { trade, valid } = edit({});
+
+    expect(valid).toBe(true);
+    expect(trade).toEqual(longTrade);
+  });
+
+  it('does not modify the original trade', () => {
+    edit({ stopLoss: '93000' });
+
+    expect(longTrade.stopLoss).toBe(92000);
+  });
+
+  it('applies corrected fields', () => {
+    const { trade } = edit({ ticker: ' eth ', entry: '$3,000', stopLoss: '2,900', takeProfit: '3200', timeframe: '1h' });
+
+    expect(trade).toMatchObject({
+      ticker: 'ETH',
+      price: 3000,
+      stopLoss: 2900,
+      takeProfit: [{ price: 3200 }],
+      timeframe: '1h',
+      exchange: 'Binance',
+    });
+  });
+
+  it('switches side and trade type together', () => {
+    const { trade } = edit({ action: 'sell', stopLoss: '97000', takeProfit: '90000' });
+
+    expect(trade.action).toBe('sell');
+    expect(trade.tradeType).toBe('short');
+  });
+
+  it('parses entry ladders and allocated targets', () => {
+    const { trade, valid } = edit({ entry: '95000, 94000', takeProfit: '100,000 @ 50%; 110000' });
+
+    expect(valid).toBe(true);
+    expect(trade.price).toBe(95000);
+    expect(trade.entries).toEqual([{ price: 95000 }, { price: 94000 }]);
+    expect(trade.takeProfit).toEqual([{ price: 100000, allocation: 50 }, { price: 110000 }]);
+  });
+
+  it('removes cleared fields', () => {
+    const { trade } = edit({ leverage: '', indicators: '', timeframe: '' });
+
+    expect(trade).not.toHaveProperty('leverage');
+    expect(trade).not.toHaveProperty('indicators');
+    expect(trade).not.toHaveProperty('timeframe');
+  });
+
+  it('accepts leverage written with an x', () => {
+    expect(edit({ leverage: '20x' }).trade.leverage).toBe(20);
+  });
+
+  it('splits indicators', () => {
+    expect(edit({ indicators: 'RSI, EMA 200,  ' }).trade.indicators).toEqual(['RSI', 'EMA 200']);
+  });
+
+  it.each([
+    ['entry', 'abc', 'not a valid price'],
+    ['takeProfit', '105000 @ 150%', 'between 1 and 100%'],
+    ['stopLoss', '-5', 'positive number'],
+    ['positionSize', 'lots', 'positive number'],
+  ])('reports invalid %s', (field, value, message) => {
+    const { errors, valid } = edit({ [field]: value });
+
+    expect(valid).toBe(false);
+    expect(errors[field]).toContain(message);
+  });
+
+  it('reports a long stop above entry', () => {
+    const { errors, valid } = edit({ stopLoss: '99000' });
+
+    expect(valid).toBe(false);
+    expect(errors.stopLoss).toBe('For a long, stop loss must be below entry');
+  });
+});
@@ -5,6 +5,17 @@
  * Supports stocks, crypto pairs, and various trading terminology.
  */
 
+import { getEntryLevels, getTargetLevels, averagePrice, calculateBlendedRiskReward, calculateDollarRiskReward, isMultiLeg } from './tradeLevels.js';
+import { normalizeTrackedNumbers } from './numberNormalizer.js';
+import { extractOptions, describeOption, formatExpiry } from './optionsParser.js';
+import { FUTURES_CONTRACTS, findFuturesContract, findContractCount } from './futuresContracts.js';
+import { extractOffsets, offsetToPrice } from './priceOffsets.js';
+import { findForexPair, isForexPair, getPipSize, findLots, formatLots } from './forexPairs.js';
+import { trackText, toSourceRange, replaceTracked } from './trackedText.js';
+
+// Highest leverage read from a transcript (and accepted by the trade editor)
+export const MAX_LEVERAGE = 125;
+
 // Common words to exclude from ticker detection
 const EXCLUDED_WORDS = new Set([
   'AT', 'THE', 'AND', 'FOR', 'WITH', 'USD', 'USDT', 'USDC', 'EUR', 'GBP',
@@ -12,8 +23,14 @@ const EXCLUDED_WORDS = new Set([
   'OPEN', 'CLOSE', 'SET', 'PUT', 'CALL', 'GET', 'TRADE', 'TRADING',
   'PRICE', 'SHARES', 'CONTRACTS', 'LOTS', 'QUANTITY', 'POSITION', 'SIZE',
   'MEET', 'MEAN', 'REVERSION', 'MARKET', 'LIMIT', 'ORDER',
+  'TP', 'SL', 'OFF', 'HALF', 'THIRD', 'ADD', 'MORE', 'SCALE',
+  'CALLS', 'PUTS', 'STRIKE', 'SPREAD', 'IRON', 'CONDOR', 'STRADDLE', 'STRANGLE',
+  'DTE', 'EXP', 'EXPIRY', 'CREDIT', 'DEBIT',
 ]);
 
+// Words around an option structure that aren't its underlying ("SPY Jan 480 calls")
+const NOT_UNDERLYING = /^(?:JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|SEPT|OCT|NOV|DEC|MON|TUE|WED|THU|FRI|ON|IN|OF|OK)$/;
+
 // Popular crypto pairs and tokens
 const CRYPTO_TOKENS = [
   'BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOGE', 'DOT', 'MATIC', 'LINK', 'AVAX',
@@ -50,14 +67,10 @@ const SPOKEN_PAIR_VARIANTS = {
   'ETHEREUM TETHER': 'ETH/USDT',
   'ETHER TETHER': 'ETH/USDT',
   'ETH USDT': 'ETH/USDT',
-  'EURO DOLLAR': 'EUR/USD',
-  'POUND DOLLAR': 'GBP/USD',
-  'STERLING DOLLAR': 'GBP/USD',
-  'DOLLAR YEN': 'USD/JPY',
 };
 
 // Known crypto exchanges
-const EXCHANGES = [
+export const EXCHANGES = [
   'BINANCE', 'COINBASE', 'KRAKEN', 'BYBIT', 'OKX', 'KUCOIN', 'BITFINEX',
   'GEMINI', 'HUOBI', 'GATE.IO', 'BITGET', 'MEXC', 'CRYPTO.COM',
 ];
@@ -137,6 +150,85 @@ const STOCK_TICKERS = [
   'SPY', 'QQQ', 'IWM', 'DIA', 'VTI', 'VOO', 'ARKK', 'XLF', 'XLE', 'XLK',
 ];
 
+// Runtime tables: the built-in lists above merged with the user's custom
+// vocabulary (see setCustomVocabulary)
+let stockTickers = STOCK_TICKERS;
+let cryptoTokens = CRYPTO_TOKENS;
+let cryptoNameToTicker = CRYPTO_NAME_TO_TICKER;
+let indicators = INDICATORS;
+let indicatorCorrections = INDICATOR_CORRECTIONS;
+let tickerAliases = [];
+let phoneticCorrections = [];
+
+// Number with optional thousands separators, used by the multi-leg patterns
+// (stricter than [\d,]+ so "43,200, 44,000" splits into two numbers)
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,5})?|\\d+(?:\\.\\d{1,5})?';
+
+// Spoken ordinals for numbered targets ("first target", "TP two")
+const ORDINALS = {
+  'FIRST': 1, 'ONE': 1, 'SECOND': 2, 'TWO': 2, 'THIRD': 3, 'THREE': 3,
+  'FOURTH': 4, 'FOUR': 4, 'FIFTH': 5, 'FIVE': 5, 'FINAL': Infinity, 'LAST': Infinity,
+};
+
+// Spoken fractions of a position ("take half off")
+const FRACTIONS = {
+  'HALF': 50, 'A HALF': 50, 'A THIRD': 33.33, 'ONE THIRD': 33.33, 'TWO THIRDS': 66.67,
+  'A QUARTER': 25, 'ONE QUARTER': 25, 'THREE QUARTERS': 75,
+};
+
+/**
+ * Escape a string for use in a RegExp
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regex source for a spoken phrase; spaces and hyphens are interchangeable
+ * ("e-mini" matches "E MINI" and "E-MINI")
+ */
+function phrasePattern(phrase) {
+  return phrase.split(/[\s-]+/).map(escapeRegExp).join('[\\s-]+');
+}
+
+/**
+ * Sort [from, to] pairs so longer phrases are tried first
+ */
+function longestFirst(entries) {
+  return [...entries].sort((a, b) => b[0].length - a[0].length);
+}
+
+/**
+ * Merge a custom vocabulary into the extractor's ticker, crypto and indicator tables.
+ * Passing null restores the built-in tables.
+ * @param {Object|null} vocab - Vocabulary from vocabulary.js
+ */
+export function setCustomVocabulary(vocab) {
+  const unique = (list) => [...new Set(list)];
+
+  stockTickers = unique([...STOCK_TICKERS, ...(vocab?.tickers || [])]);
+  cryptoTokens = unique([...CRYPTO_TOKENS, ...(vocab?.cryptoTokens || [])]);
+  cryptoNameToTicker = { ...CRYPTO_NAME_TO_TICKER, ...(vocab?.cryptoNames || {}) };
+  indicatorCorrections = { ...INDICATOR_CORRECTIONS, ...(vocab?.indicatorCorrections || {}) };
+  indicators = unique([
+    ...INDICATORS,
+    ...(vocab?.indicators || []),
+    ...Object.keys(vocab?.indicatorCorrections || {}),
+  ]);
+  tickerAliases = longestFirst(Object.entries(vocab?.aliases || {}));
+  phoneticCorrections = longestFirst(Object.entries(vocab?.corrections || {}))
+    .map(([heard, meant]) => [new RegExp(`\\b${phrasePattern(heard)}\\b`, 'gi'), meant]);
+}
+
+/**
+ * Rewrite phrases Whisper keeps mishearing, from the custom vocabulary
+ * @param {Object} tracked - Tracked transcript (see trackedText.js)
+ * @returns {Object} - Tracked text with corrections applied
+ */
+function applyPhoneticCorrections(tracked) {
+  return phoneticCorrections.reduce((result, [pattern, meant]) => replaceTracked(result, pattern, meant), tracked);
+}
+
 /**
  * Parse a number that may contain commas (e.g., "86,000" → 86000)
  */
@@ -147,15 +239,220 @@ function parseNumber(str) {
   return isNaN(num) ? null : num;
 }
 
+/**
+ * Find the numbers in a list like "42,500, 42,200 and 41,900", with their offsets in the full text
+ * @param {string} str - List tail
+ * @param {number} [offset] - Offset of `str` in the full text
+ * @returns {Array<{value: number, range: Array<number>}>}
+ */
+function findNumbers(str, offset = 0) {
+  return [...str.matchAll(new RegExp(NUMBER, 'g'))]
+    .map(match => ({ value: parseNumber(match[0]), range: [offset + match.index, offset + match.index + match[0].length] }))
+    .filter(number => number.value !== null);
+}
+
+/**
+ * Parse an allocation phrase ("half", "a third", "50%", "25 percent") to a percentage
+ */
+function parseAllocation(str) {
+  if (!str) return null;
+  const upper = str.toUpperCase().replace(/\s+/g, ' ').trim();
+  if (FRACTIONS[upper] !== undefined) return FRACTIONS[upper];
+  const pct = parseFloat(upper);
+  return !isNaN(pct) && pct > 0 && pct <= 100 ? pct : null;
+}
+
+/**
+ * Keep list-tail numbers that are plausibly prices of the same instrument
+ * (drops stray numbers like the "4" in "44,000, 4-hour chart")
+ */
+function isComparablePrice(value, reference) {
+  return value >= reference * 0.5 && value <= reference * 2;
+}
+
+/**
+ * Extract ordered take-profit targets with optional allocation percentages
+ * @param {string} text - Transcribed text
+ * @param {Function} [record] - Called with (start, end) of each target price in `text`
+ * @returns {Array<{price: number, allocation?: number}>}
+ */
+function extractTargets(text, record = () => {}) {
+  const targets = [];
+  const allocationSuffix = '(?:\\s*\\(?\\s*(?:FOR|WITH)?\\s*(\\d{1,3})\\s*(?:%|PERCENT)\\)?(?!\\s*(?:OFF\\s+)?(?:AT|ON)\\b))?';
+  const targetPattern = new RegExp(
+    '(?:\\b(FIRST|SECOND|THIRD|FOURTH|FIFTH|FINAL|LAST)\\s+)?' +
+    '\\b(?:TAKE\\s*PROFIT|PROFIT\\s*TARGET|TARGET|PROFIT|TP)S?' +
+    '(?:\\s*(\\d)(?![\\d,.])|\\s+(ONE|TWO|THREE|FOUR|FIVE)\\b)?' +
+    '\\s*(?:AT|@|IS|OF|:)?\\s*\\$?\\s*(' + NUMBER + ')' + allocationSuffix +
+    '((?:\\s*(?:,|AND|THEN|&)\\s*(?:AND\\s+|THEN\\s+)?\\$?\\s*(?:' + NUMBER + ')(?![\\d-]))*)',
+    'gid'
+  );
+
+  for (const match of text.matchAll(targetPattern)) {
+    const [, ordinalWord, indexDigit, indexWord, first, inlineAllocation, tail] = match;
+    // "TP2" on its own is a target number, not a price of 2
+    if (!indexDigit && /(?:TP|TARGET)\d$/i.test(match[0])) continue;
+
+    const price = parseNumber(first);
+    if (price === null) continue;
+
+    const ordinal = ordinalWord || indexWord;
+    const index = indexDigit ? parseInt(indexDigit, 10) : (ordinal ? ORDINALS[ordinal.toUpperCase()] : null);
+    const allocation = parseAllocation(inlineAllocation);
+
+    targets.push({ price, index, allocation, range: match.indices[4] });
+
+    for (const extra of findNumbers(tail || '', match.indices[6]?.[0])) {
+      if (isComparablePrice(extra.value, price)) {
+        targets.push({ price: extra.value, index: null, allocation: null, range: extra.range });
+      }
+    }
+  }
+
+  // Allocation phrases: "take half off at the first target", "close 25% at 44,000"
+  const allocationPattern = new RegExp(
+    '\\b(HALF|A\\s+HALF|A\\s+THIRD|ONE\\s+THIRD|TWO\\s+THIRDS|A\\s+QUARTER|ONE\\s+QUARTER|THREE\\s+QUARTERS|\\d{1,3}\\s*(?:%|PERCENT))' +
+    '\\s+(?:OF\\s+(?:THE\\s+)?(?:POSITION|IT)\\s+)?(?:OFF\\s+)?(?:AT|ON)\\s+(?:THE\\s+)?' +
+    '(?:(FIRST|SECOND|THIRD|FOURTH|FIFTH|FINAL|LAST)\\s+(?:TARGET|TP|TAKE\\s*PROFIT)|(?:TP|TARGET)\\s*(\\d)(?![\\d,.])|\\$?\\s*(' + NUMBER + '))',
+    'gi'
+  );
+
+  for (const match of text.matchAll(allocationPattern)) {
+    const [, amount, ordinalWord, indexDigit, priceStr] = match;
+    const allocation = parseAllocation(amount.replace(/\s*(?:%|PERCENT)$/i, ''));
+    if (allocation === null) continue;
+
+    let target = null;
+    if (priceStr) {
+      const price = parseNumber(priceStr);
+      target = targets.find(t => t.price === price);
+    } else {
+      const index = indexDigit ? parseInt(indexDigit, 10) : ORDINALS[ordinalWord.toUpperCase()];
+      target = targets.find(t => t.index === index) ||
+        (index === Infinity ? targets[targets.length - 1] : targets[index - 1]);
+    }
+
+    if (target && target.allocation === null) {
+      target.allocation = allocation;
+    }
+  }
+
+  // Numbered targets are ordered by their number; otherwise keep spoken order
+  const ordered = targets.every(t => t.index !== null)
+    ? [...targets].sort((a, b) => a.index - b.index)
+    : targets;
+
+  const seen = new Set();
+  return ordered
+    .filter(t => !seen.has(t.price) && seen.add(t.price))
+    .map((t) => {
+      record(...t.range);
+      return t.allocation !== null ? { price: t.price, allocation: t.allocation } : { price: t.price };
+    });
+}
+
+/**
+ * Extract an entry ladder ("scale in at 42,500, 42,200 and 41,900", "add at 41,900")
+ * @param {string} text - Transcribed text
+ * @returns {Array<{price: number, range: Array<number>}>} - Entry prices and where each was said in `text`
+ */
+function extractEntryLadder(text) {
+  const entries = [];
+
+  const ladderPattern = new RegExp(
+    '\\b(?:SCALE|SCALING|LADDER|LADDERING|LAYER|LAYERING)\\s+(?:IN|INTO\\s+(?:IT|THE\\s+POSITION))\\s+' +
+    '(?:AT|FROM|AROUND|BETWEEN)?\\s*\\$?\\s*(' + NUMBER + ')' +
+    '((?:\\s*(?:,|AND|THEN|&|TO)\\s*(?:AND\\s+|THEN\\s+)?\\$?\\s*(?:' + NUMBER + ')(?![\\d-]))*)',
+    'gid'
+  );
+
+  for (const match of text.matchAll(ladderPattern)) {
+    const first = parseNumber(match[1]);
+    if (first === null) continue;
+    entries.push({ price: first, range: match.indices[1] });
+    for (const extra of findNumbers(match[2] || '', match.indices[2]?.[0])) {
+      if (isComparablePrice(extra.value, first)) entries.push({ price: extra.value, range: extra.range });
+    }
+  }
+
+  const addPattern = new RegExp(
+    '\\b(?:ADD|ADDING)\\s+(?:MORE\\s+|AGAIN\\s+)?(?:AT|ON|AROUND)\\s+\\$?\\s*(' + NUMBER + ')',
+    'gid'
+  );
+  for (const match of text.matchAll(addPattern)) {
+    const price = parseNumber(match[1]);
+    if (price !== null) entries.push({ price, range: match.indices[1] });
+  }
+
+  const seen = new Set();
+  return entries.filter(entry => !seen.has(entry.price) && seen.add(entry.price));
+}
+
 /**
  * Extract trade information from transcribed text
- * @param {string} text - The transcribed text to analyze
+ * @param {string} rawText - The transcribed text to analyze
+ * @param {Object} [options] - See extractTradeDetails
  * @returns {Object|null} - Extracted trade info or null if no trade detected
  */
-export function extractTradeInfo(text) {
-  if (!text || typeof text !== 'string') return null;
+export function extractTradeInfo(rawText, options) {
+  return extractTradeDetails(rawText, options).trade;
+}
 
+/**
+ * Extract trade information along with where each field was found and how
+ * sure the extractor is about it.
+ * Spans are character ranges of the raw text (before vocabulary corrections
+ * and number normalization), so "ninety five thousand" is marked as the
+ * entry rather than the "95000" it was read as.
+ * Fields rate each detected field 'high', 'medium' or 'low' and list the
+ * other readings that were considered: other prices that were mentioned, or
+ * 'exit' for a close that may end a position rather than open one.
+ * @param {string} rawText - The transcribed text to analyze
+ * @param {Object} [options]
+ * @param {Date} [options.now] - When the note was taken, for relative option expiries ("Friday", "0DTE")
+ * @returns {{trade: Object|null, spans: Array<{field: string, start: number, end: number}>, fields: Object<string, {confidence: string, alternatives: Array, note?: string}>}} - Spans and fields are empty when no trade is detected
+ */
+export function extractTradeDetails(rawText, { now = new Date() } = {}) {
+  if (!rawText || typeof rawText !== 'string') return { trade: null, spans: [], fields: {} };
+
+  // Fix known mishearings, then turn spoken numbers ("ninety five thousand", "1.2k") into digits
+  const tracked = normalizeTrackedNumbers(applyPhoneticCorrections(trackText(rawText)));
+  const { text } = tracked;
   const upperText = text.toUpperCase();
+
+  const spans = [];
+  const markIn = (source, field, start, end) => {
+    if (start === undefined || end > source.text.length) return;
+    // "[\d,]+" price captures can swallow a list comma
+    while (end > start && /[\s,.]/.test(source.text[end - 1])) end--;
+    if (start >= end) return;
+    spans.push({ field, ...toSourceRange(source, start, end) });
+  };
+  // Record a field at a range of `text` (or `upperText`, which lines up with it)
+  const mark = (field, start, end) => markIn(tracked, field, start, end);
+  const markMatch = (field, match, group = 0) => {
+    if (match.indices) {
+      const [start, end] = match.indices[group] ?? [];
+      mark(field, start, end);
+    } else {
+      mark(field, match.index, match.index + match[0].length);
+    }
+  };
+  // Forget a field's spans (those overlapping a range of `text`, or all of them)
+  const unmark = (field, range = null) => {
+    const source = range && toSourceRange(tracked, ...range);
+    for (let i = spans.length - 1; i >= 0; i--) {
+      const span = spans[i];
+      if (span.field === field && (!source || (span.start < source.end && span.end > source.start))) spans.splice(i, 1);
+    }
+  };
+
+  const fields = {};
+  const rate = (field, confidence, alternatives = [], note = null) => {
+    fields[field] = { confidence: alternatives.length > 0 && confidence === 'high' ? 'medium' : confidence, alternatives };
+    if (note) fields[field].note = note;
+  };
+
   const trade = {
     ticker: null,
     action: null,
@@ -164,53 +461,90 @@ export function extractTradeInfo(text) {
     stopLoss: null,
     takeProfit: null,
     positionSize: null,
+    entries: null,
     exchange: null,
     timeframe: null,
     indicators: [],
     breakEven: null,
+    closing: null,
+    stoppedOut: null,
     leverage: null,
     tradeType: null,
+    option: null,
+    futures: null,
+    forex: null,
   };
 
   // === ACTION DETECTION ===
   const buyPatterns = /\b(BUY|BUYING|BOUGHT|LONG|GOING LONG|OPEN LONG|OPENING LONG)\b/i;
   const sellPatterns = /\b(SELL|SELLING|SOLD|SHORT|GOING SHORT|OPEN SHORT|OPENING SHORT|CLOSE|CLOSING)\b/i;
 
-  if (buyPatterns.test(text)) {
+  const shortPattern = /\b(SELL|SELLING|SOLD|SHORT)\b/i;
+
+  const buyMatch = text.match(buyPatterns);
+  const sellMatch = buyMatch ? null : text.match(sellPatterns);
+  const actionWord = (buyMatch || sellMatch)?.[1].toLowerCase();
+  if (buyMatch) {
     trade.action = 'buy';
     trade.tradeType = 'long';
-  } else if (sellPatterns.test(text)) {
+    markMatch('action', buyMatch);
+    rate('action', 'high', shortPattern.test(text) ? ['sell'] : []);
+  } else if (sellMatch) {
     trade.action = 'sell';
     trade.tradeType = 'short';
+    markMatch('action', sellMatch);
+    rate('action', 'high');
   }
 
+  // === OPTIONS DETECTION ===
+  // Strikes, calls/puts and expiry; applied to the price and quantity further down
+  const options = extractOptions(text, { action: trade.action, now });
+
   // === EXCHANGE DETECTION ===
   for (const exchange of EXCHANGES) {
-    if (upperText.includes(exchange)) {
+    const index = upperText.indexOf(exchange);
+    if (index !== -1) {
       trade.exchange = exchange.charAt(0) + exchange.slice(1).toLowerCase();
+      mark('exchange', index, index + exchange.length);
+      rate('exchange', 'high');
       break;
     }
   }
 
   // === TIMEFRAME DETECTION ===
+  // The first variant in list order wins; other timeframes mentioned (outside
+  // the phrases already matched, so "4 hour chart" isn't also "hour chart") are alternatives
+  const timeframeMentions = [];
   for (const [variant, canonical] of TIMEFRAME_VARIANTS) {
-    if (upperText.includes(variant)) {
-      trade.timeframe = canonical;
-      break;
+    for (let index = upperText.indexOf(variant); index !== -1; index = upperText.indexOf(variant, index + 1)) {
+      const end = index + variant.length;
+      if (!timeframeMentions.some(m => index < m.end && end > m.start)) {
+        timeframeMentions.push({ canonical, start: index, end });
+      }
     }
   }
+  if (timeframeMentions.length > 0) {
+    const [first] = timeframeMentions;
+    trade.timeframe = first.canonical;
+    mark('timeframe', first.start, first.end);
+    rate('timeframe', 'high', [...new Set(timeframeMentions.map(m => m.canonical))].filter(t => t !== first.canonical));
+  }
 
   // === INDICATOR DETECTION ===
-  for (const indicator of INDICATORS) {
+  for (const indicator of indicators) {
     // Match whole words or specific patterns like "RSI", "MACD", "EMA 20"
-    const indicatorPattern = new RegExp(`\\b${indicator.replace(/\./g, '\\.')}\\b`, 'i');
-    if (indicatorPattern.test(text)) {
+    const indicatorPattern = new RegExp(`\\b${phrasePattern(indicator)}\\b`, 'gi');
+    const indicatorMatches = [...text.matchAll(indicatorPattern)];
+    if (indicatorMatches.length > 0) {
+      indicatorMatches.forEach(match => markMatch('indicators', match));
+      // Built-in names are shortened ("BOLLINGER BANDS" → "BOLLINGER"); custom names are kept whole
+      const shortName = INDICATORS.includes(indicator) ? indicator.split(' ')[0] : indicator;
       // Apply corrections for Whisper mishearings (MHCD → MACD, etc.)
-      let normalizedIndicator = indicator.split(' ')[0]; // "BOLLINGER BANDS" → "BOLLINGER"
-      normalizedIndicator = INDICATOR_CORRECTIONS[normalizedIndicator] || normalizedIndicator;
+      const normalizedIndicator = indicatorCorrections[indicator] || indicatorCorrections[shortName] || shortName;
       if (!trade.indicators.includes(normalizedIndicator)) {
         trade.indicators.push(normalizedIndicator);
       }
+      rate('indicators', 'high');
     }
   }
 
@@ -221,14 +555,37 @@ export function extractTradeInfo(text) {
     /\b(?:WITH|USING)\s+(\d+)X\b/i,
     /\b(\d+)X\s+(?:LONG|SHORT|POSITION)/i,
   ];
-  for (const pattern of leveragePatterns) {
+  for (const [i, pattern] of leveragePatterns.entries()) {
     const match = text.match(pattern);
     if (match) {
       const lev = parseInt(match[1], 10);
-      if (lev >= 1 && lev <= 125) {
+      if (lev >= 1 && lev <= MAX_LEVERAGE) {
         trade.leverage = lev;
+        markMatch('leverage', match);
+        // "with 5x" / "5x long" could be a size multiple rather than leverage
+        const alternatives = leveragePatterns
+          .flatMap(p => [...text.matchAll(new RegExp(p.source, 'gi'))].map(m => parseInt(m[1], 10)))
+          .filter(value => value !== lev && value >= 1 && value <= MAX_LEVERAGE);
+        rate('leverage', i < 2 ? 'high' : 'medium', [...new Set(alternatives)]);
         break;
       }
+      if (lev > MAX_LEVERAGE) {
+        // Kept for the editor to flag rather than dropped: likely misheard ("200x" for "20x")
+        trade.leverage = lev;
+        markMatch('leverage', match);
+        rate('leverage', 'low', [], `${lev}x is above the ${MAX_LEVERAGE}x maximum and may be misheard`);
+        break;
+      }
+    }
+  }
+
+  // === CUSTOM ALIASES ("e-mini" → ES) ===
+  for (const [alias, ticker] of tickerAliases) {
+    const match = upperText.match(new RegExp(`\\b${phrasePattern(alias)}\\b`, 'i'));
+    if (match) {
+      trade.ticker = ticker;
+      markMatch('ticker', match);
+      break;
     }
   }
 
@@ -236,19 +593,31 @@ export function extractTradeInfo(text) {
 
   // First check spoken pair variants (e.g., "bitcoin tether" → "BTC/USDT")
   for (const [spokenVariant, canonicalPair] of Object.entries(SPOKEN_PAIR_VARIANTS)) {
-    if (upperText.includes(spokenVariant)) {
+    const index = trade.ticker ? -1 : upperText.indexOf(spokenVariant);
+    if (index !== -1) {
       trade.ticker = canonicalPair;
+      mark('ticker', index, index + spokenVariant.length);
       break;
     }
   }
 
+  // Currency pairs: "EURUSD", "EUR/USD", "euro dollar", "cable"
+  if (!trade.ticker) {
+    const forexPair = findForexPair(text);
+    if (forexPair) {
+      trade.ticker = forexPair.pair;
+      mark('ticker', ...forexPair.range);
+    }
+  }
+
   // If no spoken variant matched, check crypto name to ticker mapping
   if (!trade.ticker) {
-    for (const [cryptoName, ticker] of Object.entries(CRYPTO_NAME_TO_TICKER)) {
+    for (const [cryptoName, ticker] of Object.entries(cryptoNameToTicker)) {
       // Match "Buy Bitcoin" or "Bitcoin USDT"
-      const namePattern = new RegExp(`\\b${cryptoName}(?:\\s+(USDT|USDC|USD|BUSD|EUR|BTC|ETH))?\\b`, 'i');
+      const namePattern = new RegExp(`\\b${phrasePattern(cryptoName)}(?:\\s+(USDT|USDC|USD|BUSD|EUR|BTC|ETH))?\\b`, 'i');
       const match = upperText.match(namePattern);
       if (match) {
+        markMatch('ticker', match);
         if (match[1]) {
           // "Bitcoin USDT" → "BTC/USDT"
           trade.ticker = `${ticker}/${match[1].toUpperCase()}`;
@@ -258,6 +627,7 @@ export function extractTradeInfo(text) {
           const quoteMatch = upperText.match(quotePattern);
           if (quoteMatch) {
             trade.ticker = `${ticker}/${quoteMatch[1].toUpperCase()}`;
+            markMatch('ticker', quoteMatch);
           } else {
             trade.ticker = ticker; // Just the ticker
           }
@@ -268,18 +638,20 @@ export function extractTradeInfo(text) {
   }
 
   // Match patterns like "BTC USDT", "BTC/USDT", "BTCUSDT", "BTC-USDT"
+  const tokenPattern = cryptoTokens.map(escapeRegExp).join('|');
   if (!trade.ticker) {
     const cryptoPairPatterns = [
       // "BTC USDT", "BTC / USDT", "BTC-USDT"
-      new RegExp(`\\b(${CRYPTO_TOKENS.join('|')})\\s*[/\\-]?\\s*(USDT|USDC|USD|BUSD|EUR|BTC|ETH)\\b`, 'i'),
+      new RegExp(`\\b(${tokenPattern})\\s*[/\\-]?\\s*(USDT|USDC|USD|BUSD|EUR|BTC|ETH)\\b`, 'i'),
       // "BTCUSDT" (combined)
-      new RegExp(`\\b(${CRYPTO_TOKENS.join('|')})(USDT|USDC|USD|BUSD|EUR|BTC|ETH)\\b`, 'i'),
+      new RegExp(`\\b(${tokenPattern})(USDT|USDC|USD|BUSD|EUR|BTC|ETH)\\b`, 'i'),
     ];
 
     for (const pattern of cryptoPairPatterns) {
       const match = upperText.match(pattern);
       if (match) {
         trade.ticker = `${match[1]}/${match[2]}`.toUpperCase();
+        markMatch('ticker', match);
         break;
       }
     }
@@ -288,10 +660,31 @@ export function extractTradeInfo(text) {
   // === STOCK TICKER DETECTION (if no crypto found) ===
   if (!trade.ticker) {
     // First try known stock tickers
-    const stockPattern = new RegExp(`\\b(${STOCK_TICKERS.join('|')})\\b`, 'i');
+    const stockPattern = new RegExp(`\\b(${stockTickers.map(escapeRegExp).join('|')})\\b`, 'i');
     const stockMatch = upperText.match(stockPattern);
     if (stockMatch) {
       trade.ticker = stockMatch[1].toUpperCase();
+      markMatch('ticker', stockMatch);
+    }
+  }
+
+  // Futures: contract codes ("ESH6"), roots ("NQ") and names ("crude")
+  let futures = findFuturesContract(text, { now });
+  if (!trade.ticker && futures) {
+    trade.ticker = futures.root;
+    mark('ticker', ...futures.range);
+  }
+  if (futures?.root !== trade.ticker) {
+    futures = FUTURES_CONTRACTS[trade.ticker] ? { root: trade.ticker } : null;
+  }
+
+  // Standalone crypto tokens ("closing my BTC long"); case-sensitive so
+  // everyday words like "near" or "link" aren't read as tokens
+  if (!trade.ticker) {
+    const tokenMatch = text.match(new RegExp(`\\b(${tokenPattern})\\b`));
+    if (tokenMatch) {
+      trade.ticker = tokenMatch[1];
+      markMatch('ticker', tokenMatch);
     }
   }
 
@@ -300,9 +693,9 @@ export function extractTradeInfo(text) {
     // Look for ticker-like patterns: 1-5 uppercase letters that aren't common words
     // Must be near trading context words
     const contextPatterns = [
-      /\b(BUY|SELL|LONG|SHORT|TRADE|TRADING)\s+([A-Z]{2,5})\b/i,
-      /\b([A-Z]{2,5})\s+(?:AT|@|\$|PRICE)/i,
-      /\bTICKER\s+([A-Z]{2,5})\b/i,
+      /\b(BUY|SELL|LONG|SHORT|TRADE|TRADING)\s+([A-Z]{2,5})\b/id,
+      /\b([A-Z]{2,5})\s+(?:AT|@|\$|PRICE)/id,
+      /\bTICKER\s+([A-Z]{2,5})\b/id,
     ];
 
     for (const pattern of contextPatterns) {
@@ -311,18 +704,54 @@ export function extractTradeInfo(text) {
         const candidate = (match[2] || match[1]).toUpperCase();
         if (!EXCLUDED_WORDS.has(candidate)) {
           trade.ticker = candidate;
+          markMatch('ticker', match, match[2] ? 2 : 1);
+          rate('ticker', 'low', [], `"${candidate}" is not a known ticker`);
           break;
         }
       }
     }
   }
 
+  // Option underlyings outside the ticker lists: the capitalized symbol
+  // nearest before the structure ("bought 5 ROKU 80 calls"), else the first after it
+  if (!trade.ticker && options) {
+    const symbols = [...text.matchAll(/\b[A-Z]{2,5}\b/g)]
+      .filter(match => !EXCLUDED_WORDS.has(match[0]) && !NOT_UNDERLYING.test(match[0]))
+      .filter(match => match.index + match[0].length <= options.ranges.option[0] || match.index >= options.ranges.option[1]);
+    const symbol = symbols.filter(match => match.index < options.ranges.option[0]).pop() || symbols[0];
+    if (symbol) {
+      trade.ticker = symbol[0];
+      mark('ticker', symbol.index, symbol.index + symbol[0].length);
+      rate('ticker', 'low', [], `"${symbol[0]}" is not a known ticker`);
+    }
+  }
+
+  // Other instruments named in the same note ("BTC … ETH looks weak") make the pick a guess.
+  // Written-out tickers count only in capitals, and not after a number ("200 MA")
+  if (trade.ticker && !fields.ticker) {
+    const base = trade.ticker.split('/')[0];
+    const mentioned = new Set();
+    for (const [cryptoName, ticker] of Object.entries(cryptoNameToTicker)) {
+      if (new RegExp(`\\b${phrasePattern(cryptoName)}\\b`, 'i').test(upperText)) mentioned.add(ticker);
+    }
+    const symbolPattern = new RegExp(`(?<![\\d.]\\s?)\\b(${[...stockTickers, ...cryptoTokens].map(escapeRegExp).join('|')})\\b`, 'g');
+    for (const match of text.matchAll(symbolPattern)) mentioned.add(match[1]);
+    for (const [alias, ticker] of tickerAliases) {
+      if (new RegExp(`\\b${phrasePattern(alias)}\\b`, 'i').test(upperText)) mentioned.add(ticker);
+    }
+
+    rate('ticker', 'high', [...mentioned].filter(t => t !== base && t.length > 1 && !indicators.includes(t)));
+  }
+
   // === PRICE EXTRACTION ===
   // Look for explicit price mentions (not stop loss or take profit)
   const pricePatterns = [
-    /(?:PRICE|ENTRY|ENTER|AT)\s+(?:OF\s+)?(?:IS\s+)?\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-    /\$\s*([\d,]+(?:\.\d{1,2})?)\s*(?:EACH|PER|ENTRY)?/i,
-    /(?:BUY|SELL|LONG|SHORT)\s+(?:AT\s+)?\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
+    /(?:PRICE|ENTRY|ENTER|AT)\s+(?:OF\s+)?(?:IS\s+)?\$?\s*([\d,]+(?:\.\d{1,5})?)/id,
+    /\$\s*([\d,]+(?:\.\d{1,5})?)\s*(?:EACH|PER|ENTRY)?/id,
+    /(?:BUY|SELL|LONG|SHORT)\s+(?:AT\s+)?\$?\s*([\d,]+(?:\.\d{1,5})?)/id,
+    // Bare price right after the direction and symbol ("entered long BTC 42,500"),
+    // unless the number is a size, leverage or timeframe
+    /(?:BUY|BOUGHT|SELL|SOLD|LONG|SHORT)\s+[A-Z][\w./-]*\s+\$?([\d,]+(?:\.\d{1,5})?)(?![\d,.]|\s*(?:X\b|%|SHARES|CONTRACTS|LOTS|UNITS|[SMHDW]\b|MIN|HOUR|DAY|WEEK))/id,
   ];
 
   // But NOT if it's preceded by stop loss or take profit keywords (within 20 chars)
@@ -337,6 +766,7 @@ export function extractTradeInfo(text) {
         const price = parseNumber(match[1]);
         if (price !== null) {
           trade.price = price;
+          markMatch('price', match, 1);
           break;
         }
       }
@@ -382,52 +812,150 @@ export function extractTradeInfo(text) {
 
   // === STOP LOSS ===
   // First, normalize common Whisper mishearings in the text
-  let normalizedText = upperText;
+  let normalized = { ...tracked, text: upperText };
   for (const variant of STOP_LOSS_VARIANTS) {
-    if (normalizedText.includes(variant)) {
-      normalizedText = normalizedText.replace(new RegExp(variant, 'gi'), 'STOP LOSS');
+    if (normalized.text.includes(variant)) {
+      normalized = replaceTracked(normalized, new RegExp(variant, 'gi'), 'STOP LOSS');
     }
   }
 
   const stopLossPatterns = [
-    /STOP\s*LOSS\s*(?:AT|@|IS|OF)?\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-    /STOP\s+(?:AT|@)\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-    /SL\s*(?:AT|@|IS)?\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-    /(?:SET|PUT)\s+(?:A\s+)?STOP\s+(?:AT\s+)?\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
+    /STOP\s*LOSS\s*(?:AT|@|IS|OF)?\s*\$?\s*([\d,]+(?:\.\d{1,5})?)/id,
+    /STOP\s+(?:AT|@)\s*\$?\s*([\d,]+(?:\.\d{1,5})?)/id,
+    /SL\s*(?:AT|@|IS)?\s*\$?\s*([\d,]+(?:\.\d{1,5})?)/id,
+    /(?:SET|PUT)\s+(?:A\s+)?STOP\s+(?:AT\s+)?\$?\s*([\d,]+(?:\.\d{1,5})?)/id,
   ];
 
+  let stopLossMatch = null;
   for (const pattern of stopLossPatterns) {
-    const match = normalizedText.match(pattern);
+    const match = normalized.text.match(pattern);
     if (match) {
       const sl = parseNumber(match[1]);
       if (sl !== null) {
         trade.stopLoss = sl;
+        stopLossMatch = match;
+        markIn(normalized, 'stopLoss', ...match.indices[1]);
         break;
       }
     }
   }
 
   // === TAKE PROFIT ===
-  const takeProfitPatterns = [
-    /(?:TAKE\s*PROFIT|TP)\s*(?:AT|@|IS)?\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-    /TARGET\s*(?:AT|@|IS|OF)?\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-    /PROFIT\s*(?:AT|@)?\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
-  ];
+  // Ordered list of targets ("TP1 at 43,200, TP2 at 44,000, take half off at the first target")
+  const targets = extractTargets(text, (start, end) => mark('takeProfit', start, end));
+  if (targets.length > 0) {
+    trade.takeProfit = targets;
+    rate('takeProfit', 'high');
+  }
 
-  for (const pattern of takeProfitPatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      const tp = parseNumber(match[1]);
-      if (tp !== null) {
-        trade.takeProfit = tp;
-        break;
+  // === ENTRY LADDER ===
+  const ladder = extractEntryLadder(text);
+  if (ladder.length > 0) {
+    ladder.forEach(level => mark('price', ...level.range));
+    const levels = ladder.map(level => ({ price: level.price }));
+    if (trade.price !== null && !levels.some(level => level.price === trade.price)) {
+      levels.unshift({ price: trade.price });
+    }
+    if (levels.length > 1) {
+      trade.entries = levels;
+    }
+    if (trade.price === null) {
+      trade.price = levels[0].price;
+    }
+  }
+
+  // === OPTIONS ===
+  // Strikes aren't prices: the premium is the entry and the contract count the quantity
+  if (options) {
+    const strikes = options.legs.map(leg => leg.strike);
+
+    trade.option = { strategy: options.strategy, legs: options.legs };
+    if (options.expiry) trade.option.expiry = options.expiry;
+    trade.option.premiumType = options.premiumType;
+    mark('option', ...options.ranges.option);
+    if (options.ranges.expiry) mark('expiry', ...options.ranges.expiry);
+    rate('option', 'high');
+
+    if (options.premium !== null) {
+      trade.price = options.premium;
+      trade.entries = null;
+      unmark('price');
+      mark('price', ...options.ranges.premium);
+    } else if (strikes.includes(trade.price)) {
+      trade.price = null;
+      trade.entries = null;
+      unmark('price');
+    }
+
+    if (options.contracts !== null) {
+      trade.quantity = options.contracts;
+    } else if (strikes.includes(trade.quantity)) {
+      trade.quantity = null;
+    }
+  }
+
+  // === FUTURES ===
+  // Contract month, and the contract count said with the contract ("2 ES", "3 NQ contracts")
+  if (futures) {
+    trade.futures = { root: futures.root };
+    if (futures.contract) {
+      trade.futures.contract = futures.contract;
+      trade.futures.month = futures.month;
+    }
+    if (futures.monthRange) mark('expiry', ...futures.monthRange);
+    const count = futures.range && trade.quantity === null ? findContractCount(text, futures.range) : null;
+    if (count) trade.quantity = count.count;
+  }
+
+  // === FOREX ===
+  // Lots are sized in units: "2 mini lots" is 20,000 units
+  if (isForexPair(trade.ticker)) {
+    trade.forex = { pipSize: getPipSize(trade.ticker) };
+    const lots = findLots(text);
+    if (lots) {
+      trade.forex.lots = lots.lots;
+      trade.forex.lotType = lots.lotType;
+      trade.quantity = lots.units;
+    }
+  }
+
+  // === STOP AND TARGET DISTANCES ===
+  // "Stop 8 points below", "target 20 ticks", "30 pip stop": prices from the entry, side and tick or pip size.
+  // The level patterns above read these as a stop at 8 and a target at 20
+  const offsets = extractOffsets(text);
+  const entryPrice = averagePrice(getEntryLevels(trade));
+  const tickSize = futures ? FUTURES_CONTRACTS[futures.root].tickSize : null;
+  const pipSize = trade.forex?.pipSize ?? null;
+  const offsetPrice = (offset, level) => offsetToPrice(entryPrice, offset, { action: trade.action, level, tickSize, pipSize });
+
+  if (offsets.stopLoss) {
+    trade.stopLoss = offsetPrice(offsets.stopLoss, 'stopLoss');
+    stopLossMatch = null;
+    unmark('stopLoss');
+    if (trade.stopLoss !== null) {
+      mark('stopLoss', ...offsets.stopLoss.range);
+      rate('stopLoss', 'high');
+    }
+  }
+
+  if (offsets.takeProfit.length > 0) {
+    const amounts = offsets.takeProfit.map(offset => offset.amount);
+    const converted = [];
+    for (const offset of offsets.takeProfit) {
+      unmark('takeProfit', offset.range);
+      const price = offsetPrice(offset, 'takeProfit');
+      if (price !== null && !converted.some(target => target.price === price)) {
+        converted.push({ price });
+        mark('takeProfit', ...offset.range);
       }
     }
+    trade.takeProfit = [...(trade.takeProfit || []).filter(target => !amounts.includes(target.price)), ...converted];
+    if (trade.takeProfit.length > 0) rate('takeProfit', 'high');
   }
 
   // === BREAK EVEN ===
   const breakEvenPatterns = [
-    /(?:BREAK\s*EVEN|BREAKEVEN|B\s*E)\s*(?:AT|@|IS)?\s*\$?\s*([\d,]+(?:\.\d{1,2})?)/i,
+    /(?:BREAK\s*EVEN|BREAKEVEN|B\s*E)\s*(?:AT|@|IS)?\s*\$?\s*([\d,]+(?:\.\d{1,5})?)/i,
     /(?:MOVE|MOVED|MOVING)\s+(?:STOP\s+)?(?:TO\s+)?(?:BREAK\s*EVEN|BREAKEVEN|B\s*E)/i,
   ];
 
@@ -448,12 +976,60 @@ export function extractTradeInfo(text) {
     }
   }
 
+  // === CLOSING ===
+  // "Closed BTC at 43,100", "exiting the ETH short", "stopped out", "took profit" - but not
+  // partial exits planned in an entry note ("close half at 3200")
+  const closingPattern = /\b(?:CLOSE|CLOSED|CLOSING|EXIT|EXITED|EXITING)\b(?!\s+(?:\d+(?:\.\d+)?\s*%|HALF|A\s+(?:HALF|THIRD|QUARTER)|ONE\s+(?:THIRD|QUARTER)|TWO\s+THIRDS|THREE\s+QUARTERS|\w+\s+OFF)\b)/i;
+  if (/\bSTOPPED\s+OUT\b/i.test(text)) {
+    trade.closing = true;
+    trade.stoppedOut = true;
+  } else if (closingPattern.test(text) || /\bTOOK\s+(?:THE\s+)?PROFITS?\b/i.test(text)) {
+    trade.closing = true;
+  }
+  // The side a close names ("close my ETH short") is the position it ends, so
+  // the action may be an exit rather than a new entry
+  if (trade.closing && trade.action) {
+    rate('action', 'low', ['exit', ...fields.action.alternatives], `Read "${actionWord}" as opening a ${trade.tradeType}`);
+  }
+
+  // === CONFIDENCE ===
+  // Other numbers the entry and stop loss patterns matched, less the ones
+  // already used for another level (or too far off to be the same instrument)
+  const levels = [
+    trade.price, trade.stopLoss, trade.breakEven, trade.positionSize, trade.quantity,
+    ...(trade.takeProfit || []).map(t => t.price),
+    ...(trade.entries || []).map(e => e.price),
+  ];
+  const otherValues = (source, patterns, value, keep = () => true) => {
+    const values = patterns
+      .flatMap(pattern => [...source.matchAll(new RegExp(pattern.source, 'gi'))])
+      .filter(keep)
+      .map(match => parseNumber(match[1]))
+      .filter(n => n !== null && !levels.includes(n) && isComparablePrice(n, value));
+    return [...new Set(values)];
+  };
+
+  if (trade.price !== null) {
+    const notExcluded = match => !priceExcludeBefore.test(text.substring(Math.max(0, match.index - 20), match.index));
+    rate('price', 'high', otherValues(text, pricePatterns, trade.price, notExcluded));
+  }
+
+  if (stopLossMatch) {
+    // The keyword as spoken, e.g. "stoppers" for a misheard "stop loss"
+    const keyword = toSourceRange(normalized, stopLossMatch.index, stopLossMatch.indices[1][0]);
+    const spoken = rawText.slice(keyword.start, keyword.end).replace(/[\s$:@]+$/, '').replace(/\s+(?:AT|IS|OF)$/i, '');
+    const misheard = !/\b(?:STOP|SL)\b/i.test(spoken);
+    rate('stopLoss', misheard ? 'medium' : 'high', otherValues(normalized.text, stopLossPatterns, trade.stopLoss),
+      misheard ? `Read "${spoken}" as stop loss` : null);
+  }
+
   // === VALIDATION ===
   // Only return if we found meaningful trade info
   const hasTradeInfo = trade.ticker || trade.action || trade.price ||
-                       trade.quantity || trade.stopLoss || trade.takeProfit || trade.positionSize;
+                       trade.quantity || trade.stopLoss || trade.takeProfit || trade.positionSize ||
+                       trade.breakEven || trade.closing || trade.option;
 
-  if (!hasTradeInfo) return null;
+  if (!hasTradeInfo) return { trade: null, spans: [], fields: {} };
 
   // Clean up null values and empty arrays for cleaner output
   Object.keys(trade).forEach(key => {
@@ -462,7 +1038,24 @@ export function extractTradeInfo(text) {
     }
   });
 
-  return trade;
+  Object.keys(fields).forEach(key => {
+    if (!(key in trade)) delete fields[key];
+  });
+
+  return { trade, spans: sortSpans(spans), fields };
+}
+
+/**
+ * Sort spans by position and drop duplicates of the same field
+ */
+function sortSpans(spans) {
+  const seen = new Set();
+  return spans
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.field.localeCompare(b.field))
+    .filter((span) => {
+      const key = `${span.field}:${span.start}:${span.end}`;
+      return !seen.has(key) && seen.add(key);
+    });
 }
 
 /**
@@ -472,7 +1065,9 @@ function formatNumber(num) {
   if (num >= 1000) {
     return num.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
   }
-  return num.toFixed(2);
+  // Keep forex precision ("1.08525"), but always show cents
+  const decimals = (String(num).split('.')[1] || '').length;
+  return num.toFixed(Math.min(5, Math.max(2, decimals)));
 }
 
 /**
@@ -486,16 +1081,21 @@ export function generateTradeSummary(trade) {
   // Main action and ticker
   if (trade.action && trade.ticker) {
     let actionText = trade.action === 'buy' ? 'Buy' : 'Sell';
-    if (trade.tradeType) {
+    // Options are bought and sold; long/short is for the underlying
+    if (trade.tradeType && !trade.option) {
       actionText = trade.tradeType === 'long' ? 'Long' : 'Short';
     }
-    parts.push(`${actionText} ${trade.ticker}`);
+    parts.push(`${actionText} ${trade.futures?.contract || trade.ticker}`);
   } else if (trade.ticker) {
-    parts.push(`Trade ${trade.ticker}`);
+    parts.push(`Trade ${trade.futures?.contract || trade.ticker}`);
   } else if (trade.action) {
     parts.push(trade.action === 'buy' ? 'Buy' : 'Sell');
   }
 
+  if (trade.option) {
+    parts.push(describeOption(trade.option));
+  }
+
   // Exchange
   if (trade.exchange) {
     parts.push(`on ${trade.exchange}`);
@@ -506,8 +1106,11 @@ export function generateTradeSummary(trade) {
     parts.push(`(${trade.timeframe})`);
   }
 
-  if (trade.quantity) {
-    parts.push(`${trade.quantity} shares`);
+  if (trade.forex?.lots) {
+    parts.push(`${formatLots(trade.forex)} (${trade.quantity.toLocaleString('en-US')} units)`);
+  } else if (trade.quantity) {
+    const unit = trade.option || trade.futures ? (trade.quantity === 1 ? 'contract' : 'contracts') : (trade.forex ? 'units' : 'shares');
+    parts.push(`${trade.quantity} ${unit}`);
   }
 
   if (trade.positionSize) {
@@ -519,19 +1122,45 @@ export function generateTradeSummary(trade) {
     parts.push(`${trade.leverage}x`);
   }
 
-  if (trade.price) {
-    parts.push(`at $${formatNumber(trade.price)}`);
+  const entries = getEntryLevels(trade);
+  if (entries.length > 1) {
+    parts.push(`scaling in at ${entries.map(e => `$${formatNumber(e.price)}`).join(', ')}`);
+  } else if (trade.price) {
+    const premiumType = trade.option?.premiumType ? ` ${trade.option.premiumType}` : '';
+    parts.push(`at $${formatNumber(trade.price)}${premiumType}`);
   }
 
   // Additional info
   const extras = [];
 
+  if (trade.option?.expiry) {
+    extras.push(`Expiry: ${formatExpiry(trade.option.expiry)}`);
+  }
+
   if (trade.stopLoss) {
     extras.push(`Stop loss: $${formatNumber(trade.stopLoss)}`);
   }
 
-  if (trade.takeProfit) {
-    extras.push(`Target: $${formatNumber(trade.takeProfit)}`);
+  const targets = getTargetLevels(trade);
+  if (targets.length === 1 && targets[0].allocation === undefined) {
+    extras.push(`Target: $${formatNumber(targets[0].price)}`);
+  } else if (targets.length > 0) {
+    const targetText = targets
+      .map((t, i) => `TP${i + 1} $${formatNumber(t.price)}${t.allocation !== undefined ? ` (${t.allocation}%)` : ''}`)
+      .join(', ');
+    extras.push(`Targets: ${targetText}`);
+  }
+
+  if (isMultiLeg(trade)) {
+    const blendedRR = calculateBlendedRiskReward(trade);
+    if (blendedRR > 0) {
+      extras.push(`Blended R:R: 1:${blendedRR.toFixed(2)}`);
+    }
+  }
+
+  const dollars = calculateDollarRiskReward(trade);
+  if (dollars) {
+    extras.push(`Risk: $${formatNumber(dollars.risk)}, reward: $${formatNumber(dollars.reward)}`);
   }
 
   if (trade.breakEven !== undefined) {
@@ -542,6 +1171,12 @@ export function generateTradeSummary(trade) {
     }
   }
 
+  if (trade.stoppedOut) {
+    extras.push('Stopped out');
+  } else if (trade.closing) {
+    extras.push('Closing position');
+  }
+
   if (trade.indicators && trade.indicators.length > 0) {
     extras.push(`Indicators: ${trade.indicators.join(', ')}`);
   }
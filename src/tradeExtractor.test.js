@@ -1,5 +1,6 @@
-import { describe, it, expect } from 'vitest';
-import { extractTradeInfo, generateTradeSummary } from './tradeExtractor.js';
+import { describe, it, expect, afterEach } from 'vitest';
+import { extractTradeInfo, extractTradeDetails, generateTradeSummary, setCustomVocabulary } from './tradeExtractor.js';
+import { normalizeVocabulary } from './vocabulary.js';
 
 describe('extractTradeInfo', () => {
   describe('action detection', () => {
@@ -84,13 +85,13 @@ describe('extractTradeInfo', () => {
 
     it('parses take profit with commas', () => {
       const result = extractTradeInfo('Take profit at 94,000');
-      expect(result.takeProfit).toBe(94000);
+      expect(result.takeProfit).toEqual([{ price: 94000 }]);
     });
 
     it('handles mixed comma formats', () => {
       const result = extractTradeInfo('Buy BTC USDT, stop loss at 85,500, take profit at 95,000');
       expect(result.stopLoss).toBe(85500);
-      expect(result.takeProfit).toBe(95000);
+      expect(result.takeProfit).toEqual([{ price: 95000 }]);
     });
   });
 
@@ -125,6 +126,23 @@ describe('extractTradeInfo', () => {
       expect(result.price).toBeUndefined();
       expect(result.stopLoss).toBe(140);
     });
+
+    it.each([
+      ['entered long BTC 42,500', 42500],
+      ['bought TSLA 250.5', 250.5],
+      ['short ETH $2,300', 2300],
+    ])('reads the bare price after the symbol in "%s"', (text, price) => {
+      expect(extractTradeInfo(text).price).toBe(price);
+    });
+
+    it.each([
+      ['a share count', 'buy AAPL 100 shares'],
+      ['a contract count', 'short ES 2 contracts'],
+      ['leverage', 'long BTC 5x'],
+      ['a timeframe', 'short ETH 4h chart'],
+    ])('does not read %s after the symbol as the price', (_, text) => {
+      expect(extractTradeInfo(text).price).toBeUndefined();
+    });
   });
 
   describe('quantity extraction', () => {
@@ -155,9 +173,9 @@ describe('extractTradeInfo', () => {
 
   describe('take profit extraction', () => {
     it('extracts take profit with various formats', () => {
-      expect(extractTradeInfo('Take profit at $200').takeProfit).toBe(200);
-      expect(extractTradeInfo('TP at 175').takeProfit).toBe(175);
-      expect(extractTradeInfo('Target 180').takeProfit).toBe(180);
+      expect(extractTradeInfo('Take profit at $200').takeProfit).toEqual([{ price: 200 }]);
+      expect(extractTradeInfo('TP at 175').takeProfit).toEqual([{ price: 175 }]);
+      expect(extractTradeInfo('Target 180').takeProfit).toEqual([{ price: 180 }]);
     });
   });
 
@@ -171,7 +189,7 @@ describe('extractTradeInfo', () => {
       expect(result.action).toBe('buy');
       expect(result.positionSize).toBe(500);
       expect(result.stopLoss).toBe(86000);
-      expect(result.takeProfit).toBe(94000);
+      expect(result.takeProfit).toEqual([{ price: 94000 }]);
     });
 
     it('parses stock trade with shares', () => {
@@ -184,7 +202,7 @@ describe('extractTradeInfo', () => {
       expect(result.quantity).toBe(100);
       expect(result.price).toBe(150);
       expect(result.stopLoss).toBe(140);
-      expect(result.takeProfit).toBe(170);
+      expect(result.takeProfit).toEqual([{ price: 170 }]);
     });
 
     it('parses short trade', () => {
@@ -193,7 +211,7 @@ describe('extractTradeInfo', () => {
       expect(result.ticker).toBe('ETH/USDT');
       expect(result.action).toBe('sell');
       expect(result.stopLoss).toBe(2600);
-      expect(result.takeProfit).toBe(2300);
+      expect(result.takeProfit).toEqual([{ price: 2300 }]);
     });
 
     it('handles Whisper transcription errors', () => {
@@ -207,7 +225,7 @@ describe('extractTradeInfo', () => {
       expect(result.tradeType).toBe('long');
       expect(result.price).toBe(95000);
       expect(result.stopLoss).toBe(92000);
-      expect(result.takeProfit).toBe(105000);
+      expect(result.takeProfit).toEqual([{ price: 105000 }]);
       expect(result.exchange).toBe('Binance');
       expect(result.timeframe).toBe('4h');
       expect(result.indicators).toContain('RSI');
@@ -225,6 +243,364 @@ describe('extractTradeInfo', () => {
   });
 });
 
+describe('spoken number extraction', () => {
+  it.each([
+    ['Long Bitcoin at ninety five thousand', 'price', 95000],
+    ['Buy AAPL at 185 and a half', 'price', 185.5],
+    ['Short ETH at three thousand two hundred', 'price', 3200],
+    ['Long BTC, entry forty-two five', 'price', 42500],
+    ['stop loss at ninety two thousand', 'stopLoss', 92000],
+    ['stop loss at forty-one five hundred', 'stopLoss', 41500],
+    ['buy 100 shares at 42 and a quarter', 'price', 42.25],
+    ['Buy BTC at 1.2k', 'price', 1200],
+  ])('"%s" → %s %s', (text, field, expected) => {
+    expect(extractTradeInfo(text)[field]).toBe(expected);
+  });
+
+  it.each([
+    ['take profit at one hundred and five thousand', [{ price: 105000 }]],
+    ['target 95k', [{ price: 95000 }]],
+    ['TP one at forty-three two hundred, TP two at forty-four thousand', [{ price: 43200 }, { price: 44000 }]],
+  ])('"%s" → takeProfit', (text, expected) => {
+    expect(extractTradeInfo(text).takeProfit).toEqual(expected);
+  });
+
+  it('still detects spoken timeframes', () => {
+    expect(extractTradeInfo('Long BTC on the four-hour chart').timeframe).toBe('4h');
+    expect(extractTradeInfo('Short ETH on the fifteen minutes').timeframe).toBe('15m');
+  });
+});
+
+describe('multi-leg extraction', () => {
+  describe('multiple take-profit targets', () => {
+    it.each([
+      ['TP1 at 43,200, TP2 at 44,000', [{ price: 43200 }, { price: 44000 }]],
+      ['TP 1 43200 TP 2 44000', [{ price: 43200 }, { price: 44000 }]],
+      ['targets 44,000 and 45,000', [{ price: 44000 }, { price: 45000 }]],
+      ['take profit at 3,000, 2,900 and 2,800', [{ price: 3000 }, { price: 2900 }, { price: 2800 }]],
+      ['first target 3000, second target 2800', [{ price: 3000 }, { price: 2800 }]],
+      ['TP2 at 44,000, TP1 at 43,200', [{ price: 43200 }, { price: 44000 }]],
+      ['final target 200, target one 195', [{ price: 195 }, { price: 200 }]],
+    ])('parses "%s"', (text, expected) => {
+      expect(extractTradeInfo(text).takeProfit).toEqual(expected);
+    });
+
+    it('ignores stray numbers after a target list', () => {
+      const result = extractTradeInfo('Long BTC at 42,000, target 44,000, 4-hour chart');
+      expect(result.takeProfit).toEqual([{ price: 44000 }]);
+    });
+  });
+
+  describe('target allocations', () => {
+    it.each([
+      ['TP1 at 43,200, TP2 at 44,000, take half off at the first target', [{ price: 43200, allocation: 50 }, { price: 44000 }]],
+      ['TP1 at 43,200 50%, TP2 at 44,000 50%', [{ price: 43200, allocation: 50 }, { price: 44000, allocation: 50 }]],
+      ['first target 3000, second target 2800, close 25% at 3000', [{ price: 3000, allocation: 25 }, { price: 2800 }]],
+      ['TP1 43,200, TP2 44,000, take a third off at TP2', [{ price: 43200 }, { price: 44000, allocation: 33.33 }]],
+    ])('parses "%s"', (text, expected) => {
+      expect(extractTradeInfo(text).takeProfit).toEqual(expected);
+    });
+  });
+
+  describe('entry ladders', () => {
+    it.each([
+      ['Buy BTC, scale in at 42,500, 42,200 and 41,900', [42500, 42200, 41900]],
+      ['Long ETH, ladder in from 3,200 to 3,100', [3200, 3100]],
+      ['Buy AAPL at 185, add more at 180', [185, 180]],
+      ['Long BTC at 42,500, scaling in at 42,200 and 41,900', [42500, 42200, 41900]],
+    ])('parses "%s"', (text, expected) => {
+      const result = extractTradeInfo(text);
+      expect(result.entries.map(e => e.price)).toEqual(expected);
+      expect(result.price).toBe(expected[0]);
+    });
+
+    it('omits entries for a single entry price', () => {
+      expect(extractTradeInfo('Buy BTC at 42,500').entries).toBeUndefined();
+    });
+  });
+});
+
+describe('position lifecycle', () => {
+  it.each([
+    ['Closed BTC at 43,100', { ticker: 'BTC', price: 43100, closing: true }],
+    ['Closing my BTC long at 43,100', { ticker: 'BTC', action: 'buy', closing: true }],
+    ['Stopped out of ETH', { ticker: 'ETH', closing: true, stoppedOut: true }],
+    ['BTC hit target, took profit at 44,000', { ticker: 'BTC', takeProfit: [{ price: 44000 }], closing: true }],
+    ['Moved stop to break even on BTC', { ticker: 'BTC', breakEven: true }],
+  ])('"%s"', (text, expected) => {
+    expect(extractTradeInfo(text)).toMatchObject(expected);
+  });
+
+  it('does not treat a partial close target as closing', () => {
+    expect(extractTradeInfo('Long ETH at 3000, close half at 3200 and the rest at 3400').closing).toBeUndefined();
+  });
+
+  it('summarizes closing notes', () => {
+    expect(generateTradeSummary({ ticker: 'ETH', closing: true, stoppedOut: true })).toContain('Stopped out');
+    expect(generateTradeSummary({ ticker: 'BTC', price: 43100, closing: true })).toContain('Closing position');
+  });
+});
+
+describe('custom vocabulary', () => {
+  afterEach(() => {
+    setCustomVocabulary(null);
+  });
+
+  const vocab = normalizeVocabulary({
+    tickers: ['ES', 'PLTR'],
+    cryptoTokens: ['TAO'],
+    cryptoNames: { bittensor: 'TAO' },
+    aliases: { 'e-mini': 'ES', nas: 'NQ' },
+    indicators: ['SUPERTREND'],
+    indicatorCorrections: { 'super trend': 'SUPERTREND' },
+    corrections: { 'stop laws': 'stop loss' },
+  });
+
+  it.each([
+    ['Buy PLTR at 25', 'PLTR'],
+    ['Short ES at 5200', 'ES'],
+    ['Long TAO USDT at 400', 'TAO/USDT'],
+    ['Buy bittensor at 400', 'TAO'],
+    ['Long the e-mini at 5200', 'ES'],
+    ['Long the E mini at 5200', 'ES'],
+    ['Short nas at 18000', 'NQ'],
+  ])('detects custom instruments: %s', (text, ticker) => {
+    setCustomVocabulary(vocab);
+    expect(extractTradeInfo(text).ticker).toBe(ticker);
+  });
+
+  it('does not know custom instruments without the vocabulary', () => {
+    expect(extractTradeInfo('Short nas at 18000').ticker).not.toBe('NQ');
+  });
+
+  it('detects custom indicators and corrections', () => {
+    setCustomVocabulary(vocab);
+    expect(extractTradeInfo('Long BTC, super trend flipped green, RSI 40').indicators).toEqual(['RSI', 'SUPERTREND']);
+  });
+
+  it('applies phonetic corrections before extraction', () => {
+    setCustomVocabulary(vocab);
+    expect(extractTradeInfo('Long BTC at 95000, stop laws 92000').stopLoss).toBe(92000);
+  });
+
+  it('keeps built-in tables when merged', () => {
+    setCustomVocabulary(vocab);
+    expect(extractTradeInfo('Buy Bitcoin at 95000').ticker).toBe('BTC');
+    expect(extractTradeInfo('Buy AAPL at 180').ticker).toBe('AAPL');
+  });
+});
+
+describe('extractTradeDetails', () => {
+  afterEach(() => {
+    setCustomVocabulary(null);
+  });
+
+  /**
+   * Spans as "field: spoken text" pairs
+   */
+  function spokenFields(text) {
+    return extractTradeDetails(text).spans.map(span => `${span.field}: ${text.slice(span.start, span.end)}`);
+  }
+
+  it('returns the same trade as extractTradeInfo', () => {
+    const text = 'Long BTC at 95,000 on Binance, stop loss 92,000, TP1 at 100,000, 10x leverage, 4 hour chart, RSI oversold';
+
+    expect(extractTradeDetails(text).trade).toEqual(extractTradeInfo(text));
+  });
+
+  it('marks every detected field in order', () => {
+    const text = 'Long BTC at 95,000 on Binance, stop loss 92,000, TP1 at 100,000, 10x leverage, 4 hour chart, RSI oversold';
+
+    expect(spokenFields(text)).toEqual([
+      'action: Long',
+      'ticker: BTC',
+      'price: 95,000',
+      'exchange: Binance',
+      'stopLoss: 92,000',
+      'takeProfit: 100,000',
+      'leverage: 10x leverage',
+      'timeframe: 4 hour',
+      'indicators: RSI',
+    ]);
+  });
+
+  it.each([
+    ['spoken numbers', 'Buy bitcoin at ninety five thousand', 'price: ninety five thousand'],
+    ['suffixed amounts', 'Short ETH at 3200, stop at 3.3k', 'stopLoss: 3.3k'],
+    ['stop loss mishearings', 'Long SOL at 150, stoppers 140', 'stopLoss: 140'],
+    ['target lists', 'Long BTC at 95000, targets 100000 and 105000', 'takeProfit: 105000'],
+    ['entry ladders', 'Long ETH, scale in at 3200, 3150 and 3100', 'price: 3150'],
+    ['generic tickers', 'Buy XYZ at 12', 'ticker: XYZ'],
+  ])('maps %s back to what was said', (_, text, expected) => {
+    expect(spokenFields(text)).toContain(expected);
+  });
+
+  it('marks each mention of an indicator', () => {
+    expect(spokenFields('Long BTC, RSI oversold and RSI divergence').filter(field => field.startsWith('indicators'))).toHaveLength(2);
+  });
+
+  it('maps phonetic corrections back to the misheard words', () => {
+    setCustomVocabulary(normalizeVocabulary({ corrections: { 'stop laws': 'stop loss' } }));
+
+    expect(spokenFields('Long BTC at 95000, stop laws 92000')).toContain('stopLoss: 92000');
+  });
+
+  describe('field confidence', () => {
+    it('is high for clearly stated fields', () => {
+      const { fields } = extractTradeDetails('Long BTC at 95,000, stop loss 92,000, TP1 at 100,000, 10x leverage, 4 hour chart');
+
+      expect(Object.values(fields).every(field => field.confidence === 'high' && field.alternatives.length === 0)).toBe(true);
+      expect(Object.keys(fields).sort()).toEqual(['action', 'leverage', 'price', 'stopLoss', 'takeProfit', 'ticker', 'timeframe']);
+    });
+
+    it.each([
+      ['a close that may be an exit', 'Closing my BTC at 43,100', 'action', { confidence: 'low', alternatives: ['exit'] }],
+      ['a close naming the short it ends', 'Close my ETH short at 2,300', 'action', { confidence: 'low', alternatives: ['exit'] }],
+      ['a close naming the long it ends', 'Closing my BTC long at 45,000', 'action', { confidence: 'low', alternatives: ['exit'] }],
+      ['both sides', 'Long BTC here, short ETH later', 'action', { confidence: 'medium', alternatives: ['sell'] }],
+      ['two prices', 'Long BTC at 95,000 or at 94,000', 'price', { confidence: 'medium', alternatives: [94000] }],
+      ['two stops', 'Long BTC at 95000, stop at 92000, maybe stop at 91,500', 'stopLoss', { confidence: 'medium', alternatives: [91500] }],
+      ['a misheard stop', 'Long SOL at 150, stoppers 140', 'stopLoss', { confidence: 'medium', note: 'Read "stoppers" as stop loss' }],
+      ['other instruments', 'Long ETH at 3200, bitcoin looks weak', 'ticker', { confidence: 'medium', alternatives: ['ETH'] }],
+      ['an unknown ticker', 'Buy XYZ at 12', 'ticker', { confidence: 'low' }],
+      ['a leverage guess', 'Long BTC at 95000 with 5x', 'leverage', { confidence: 'medium' }],
+      ['leverage above the maximum', 'Long BTC at 95000, 200x leverage', 'leverage', { confidence: 'low', note: '200x is above the 125x maximum and may be misheard' }],
+      ['two timeframes', 'Long BTC at 95000, daily and 4 hour', 'timeframe', { confidence: 'medium', alternatives: ['1D'] }],
+    ])('is lowered for %s', (_, text, field, expected) => {
+      expect(extractTradeDetails(text).fields[field]).toMatchObject(expected);
+    });
+
+    it('keeps leverage above the maximum for the editor to flag', () => {
+      expect(extractTradeInfo('Long BTC at 95000, 200x leverage').leverage).toBe(200);
+    });
+
+    it('does not treat a partial close target as an exit', () => {
+      expect(extractTradeDetails('Long ETH at 3000, close half at 3200').fields.action.confidence).toBe('high');
+    });
+
+    it('does not count numbers used for other levels as alternatives', () => {
+      const { fields } = extractTradeDetails('Long BTC at 95000, scale in at 94000, stop at 92000, TP1 at 100000');
+
+      expect(fields.price.alternatives).toEqual([]);
+    });
+
+    it('does not read "4 hour chart" as also an hourly chart', () => {
+      expect(extractTradeDetails('Long BTC at 95000, 4 hour chart').fields.timeframe.alternatives).toEqual([]);
+    });
+  });
+
+  it('returns no spans when no trade is detected', () => {
+    expect(extractTradeDetails('the weather is nice')).toEqual({ trade: null, spans: [], fields: {} });
+    expect(extractTradeDetails('')).toEqual({ trade: null, spans: [], fields: {} });
+  });
+});
+
+describe('options trades', () => {
+  // Wednesday, January 15, 2025
+  const now = new Date(2025, 0, 15);
+
+  it('reads premium and contracts instead of the strike', () => {
+    expect(extractTradeInfo('bought 5 SPY 480 calls expiring Friday for 2.35', { now })).toEqual({
+      ticker: 'SPY',
+      action: 'buy',
+      tradeType: 'long',
+      quantity: 5,
+      price: 2.35,
+      option: {
+        strategy: 'single',
+        legs: [{ side: 'buy', type: 'call', strike: 480 }],
+        expiry: '2025-01-17',
+        premiumType: 'debit',
+      },
+    });
+  });
+
+  it.each([
+    ['Sold 10 SPY 480/475 put spreads for a 1.20 credit, stop at 2.40', { ticker: 'SPY', action: 'sell', quantity: 10, price: 1.2, stopLoss: 2.4 }],
+    ['sold 2 QQQ 470/475/500/505 iron condors next Friday for 1.10', { ticker: 'QQQ', quantity: 2, price: 1.1 }],
+    ['Bought the TSLA 400 straddle 0DTE at 4.50, target 7', { ticker: 'TSLA', price: 4.5, takeProfit: [{ price: 7 }] }],
+    ['Bought 3 ROKU 80 calls for 1.05', { ticker: 'ROKU', quantity: 3, price: 1.05 }],
+  ])('"%s"', (text, expected) => {
+    expect(extractTradeInfo(text, { now })).toMatchObject(expected);
+  });
+
+  it('does not read a strike as the entry when no premium is said', () => {
+    const trade = extractTradeInfo('Buy AAPL calls at the 190 strike', { now });
+    expect(trade.price).toBeUndefined();
+    expect(trade.option.legs).toEqual([{ side: 'buy', type: 'call', strike: 190 }]);
+  });
+
+  it('marks the structure, expiry and premium', () => {
+    const text = 'bought 5 SPY 480 calls expiring Friday for 2.35';
+    const { spans } = extractTradeDetails(text, { now });
+    expect(spans.map(span => [span.field, text.slice(span.start, span.end)])).toEqual([
+      ['action', 'bought'],
+      ['ticker', 'SPY'],
+      ['option', '480 calls'],
+      ['expiry', 'expiring Friday'],
+      ['price', '2.35'],
+    ]);
+  });
+
+  it('rates an unknown underlying low', () => {
+    expect(extractTradeDetails('Bought 3 ROKU 80 calls for 1.05', { now }).fields.ticker).toMatchObject({
+      confidence: 'low',
+      note: '"ROKU" is not a known ticker',
+    });
+  });
+});
+
+describe('futures trades', () => {
+  // Wednesday, January 15, 2025
+  const now = new Date(2025, 0, 15);
+
+  it.each([
+    ['Long 2 ES at 5000, stop 8 points below, target 20 points', { ticker: 'ES', quantity: 2, stopLoss: 4992, takeProfit: [{ price: 5020 }], futures: { root: 'ES' } }],
+    ['Short March NQ at 21,500, stop 60 ticks, target 200 points', { ticker: 'NQ', stopLoss: 21515, takeProfit: [{ price: 21300 }], futures: { root: 'NQ', contract: 'NQH5', month: '2025-03' } }],
+    ['Bought 3 CLZ5 at 72.40, stop loss 30 ticks, target 60 ticks', { ticker: 'CL', quantity: 3, stopLoss: 72.1, takeProfit: [{ price: 73 }], futures: { contract: 'CLZ5' } }],
+    ['Long gold futures at 2650, stop at 2640, target 2680', { ticker: 'GC', stopLoss: 2640, futures: { root: 'GC' } }],
+    ['Short 1 MES at 6000 with a 10 point stop and a 25 point target', { ticker: 'MES', quantity: 1, stopLoss: 6010, takeProfit: [{ price: 5975 }] }],
+  ])('"%s"', (text, expected) => {
+    expect(extractTradeInfo(text, { now })).toMatchObject(expected);
+  });
+
+  it('reads point stops for other instruments too', () => {
+    expect(extractTradeInfo('Long AAPL at 190, stop 5 points below, target 200')).toMatchObject({ stopLoss: 185, takeProfit: [{ price: 200 }] });
+  });
+
+  it('drops a stop in ticks without a tick size or entry', () => {
+    expect(extractTradeInfo('Long AAPL at 190, stop 10 ticks').stopLoss).toBeUndefined();
+    expect(extractTradeInfo('Long ES, stop 8 points').stopLoss).toBeUndefined();
+  });
+
+  it('marks the contract month and distances', () => {
+    const text = 'Short March NQ at 21,500, stop 60 ticks';
+    const { spans } = extractTradeDetails(text, { now });
+    expect(spans.map(span => [span.field, text.slice(span.start, span.end)])).toEqual([
+      ['action', 'Short'],
+      ['expiry', 'March'],
+      ['ticker', 'NQ'],
+      ['price', '21,500'],
+      ['stopLoss', '60 ticks'],
+    ]);
+  });
+});
+
+describe('forex trades', () => {
+  it.each([
+    ['Long EURUSD at 1.0850, 30 pip stop, 60 pip target, 2 standard lots', { ticker: 'EUR/USD', price: 1.085, stopLoss: 1.082, takeProfit: [{ price: 1.091 }], quantity: 200000, forex: { pipSize: 0.0001, lots: 2, lotType: 'standard' } }],
+    ['Short cable at 1.27345 with a 25 pip stop and target 50 pips, 3 mini lots', { ticker: 'GBP/USD', price: 1.27345, stopLoss: 1.27595, takeProfit: [{ price: 1.26845 }], quantity: 30000 }],
+    ['Buy dollar yen at 151.20, stop 40 pips, target 80 pips', { ticker: 'USD/JPY', stopLoss: 150.8, takeProfit: [{ price: 152 }], forex: { pipSize: 0.01 } }],
+    ['Sell GBP/JPY at 192.450, stop loss at 193.100, take profit at 190.800, 0.5 lots', { ticker: 'GBP/JPY', price: 192.45, stopLoss: 193.1, takeProfit: [{ price: 190.8 }], quantity: 50000 }],
+  ])('"%s"', (text, expected) => {
+    expect(extractTradeInfo(text)).toMatchObject(expected);
+  });
+
+  it('reads prices with more than two decimals', () => {
+    expect(extractTradeInfo('Long AUD/USD at 0.66525, stop at 0.66215').stopLoss).toBe(0.66215);
+  });
+});
+
 describe('generateTradeSummary', () => {
   it('generates summary for crypto trade', () => {
     const trade = {
@@ -257,4 +633,50 @@ describe('generateTradeSummary', () => {
     expect(summary).toContain('Sell');
     expect(summary).toContain('Stop loss');
   });
+
+  it('lists every target with allocations and a blended R:R', () => {
+    const trade = {
+      action: 'buy',
+      ticker: 'BTC',
+      price: 42000,
+      stopLoss: 41000,
+      takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }],
+    };
+    const summary = generateTradeSummary(trade);
+    expect(summary).toContain('Targets: TP1 $43,200 (50%), TP2 $44,000');
+    expect(summary).toContain('Blended R:R: 1:1.60');
+  });
+
+  it('lists entry ladders', () => {
+    const trade = {
+      action: 'buy',
+      ticker: 'BTC',
+      price: 42500,
+      entries: [{ price: 42500 }, { price: 42200 }, { price: 41900 }],
+    };
+    expect(generateTradeSummary(trade)).toBe('Buy BTC scaling in at $42,500, $42,200, $41,900');
+  });
+
+  it.each([
+    [
+      { action: 'buy', tradeType: 'long', ticker: 'SPY', quantity: 5, price: 2.35, option: { strategy: 'single', legs: [{ side: 'buy', type: 'call', strike: 480 }], expiry: '2025-01-17', premiumType: 'debit' } },
+      'Buy SPY 480 call 5 contracts at $2.35 debit • Expiry: Jan 17, 2025',
+    ],
+    [
+      { action: 'sell', tradeType: 'short', ticker: 'SPY', quantity: 1, price: 1.2, option: { strategy: 'vertical', legs: [{ side: 'sell', type: 'put', strike: 480 }, { side: 'buy', type: 'put', strike: 475 }], premiumType: 'credit' } },
+      'Sell SPY 475/480 put vertical 1 contract at $1.20 credit',
+    ],
+  ])('summarizes options trades', (trade, summary) => {
+    expect(generateTradeSummary(trade)).toBe(summary);
+  });
+
+  it('summarizes forex lots and quote precision', () => {
+    const trade = { action: 'sell', tradeType: 'short', ticker: 'GBP/USD', quantity: 30000, price: 1.27345, forex: { pipSize: 0.0001, lots: 3, lotType: 'mini' } };
+    expect(generateTradeSummary(trade)).toBe('Short GBP/USD 3 mini lots (30,000 units) at $1.27345');
+  });
+
+  it('summarizes futures trades with dollar risk', () => {
+    const trade = { action: 'buy', tradeType: 'long', ticker: 'ES', quantity: 2, price: 5000, stopLoss: 4992, takeProfit: [{ price: 5020 }], futures: { root: 'ES', contract: 'ESH5', month: '2025-03' } };
+    expect(generateTradeSummary(trade)).toBe('Long ESH5 2 contracts at $5,000 • Stop loss: $4,992 • Target: $5,020 • Risk: $800.00, reward: $2,000');
+  });
 });
@@ -0,0 +1,164 @@
+/**
+ * Trade Level Utilities
+ *
+ * Normalizes entry and take-profit levels for multi-leg trades (entry ladders,
+ * multiple targets with allocation percentages) and computes blended R:R.
+ *
+ * A level is `{ price, allocation? }` where allocation is a percentage of the
+ * position. Legacy trades store a single number, which is treated as one level.
+ */
+
+import { getPointValue } from './futuresContracts.js';
+
+/**
+ * Normalize a number, level object, or array of either into a level list
+ * @param {number|Object|Array|null} value - Raw level value(s)
+ * @returns {Array<{price: number, allocation?: number}>} - Valid levels
+ */
+export function normalizeLevels(value) {
+  if (value === null || value === undefined) return [];
+
+  const items = Array.isArray(value) ? value : [value];
+
+  return items
+    .map(item => (typeof item === 'number' ? { price: item } : item))
+    .filter(item => item && typeof item.price === 'number' && isFinite(item.price) && item.price > 0)
+    .map(item => (typeof item.allocation === 'number' ? { price: item.price, allocation: item.allocation } : { price: item.price }));
+}
+
+/**
+ * Get entry levels for a trade (entry ladder, or the single entry price)
+ * @param {Object} trade - Trade info object
+ * @returns {Array<{price: number, allocation?: number}>}
+ */
+export function getEntryLevels(trade) {
+  if (!trade) return [];
+  const ladder = normalizeLevels(trade.entries);
+  return ladder.length > 0 ? ladder : normalizeLevels(trade.price);
+}
+
+/**
+ * Get take-profit levels for a trade in order
+ * @param {Object} trade - Trade info object
+ * @returns {Array<{price: number, allocation?: number}>}
+ */
+export function getTargetLevels(trade) {
+  if (!trade) return [];
+  return normalizeLevels(trade.takeProfit);
+}
+
+/**
+ * Resolve allocation weights so they sum to 100.
+ * Spoken allocations are kept; the remainder is shared evenly by the rest.
+ * @param {Array<{price: number, allocation?: number}>} levels - Levels
+ * @returns {Array<number>} - Allocation percentage per level
+ */
+export function resolveAllocations(levels) {
+  if (levels.length === 0) return [];
+
+  const specified = levels.map(l => (typeof l.allocation === 'number' ? Math.max(0, l.allocation) : null));
+  const specifiedTotal = specified.reduce((sum, a) => sum + (a ?? 0), 0);
+  const unspecifiedCount = specified.filter(a => a === null).length;
+
+  // Over-allocated (e.g. "half at TP1, 80% at TP2") - scale down proportionally
+  if (specifiedTotal >= 100 || unspecifiedCount === 0) {
+    const total = specifiedTotal || levels.length;
+    return specified.map(a => ((specifiedTotal ? (a ?? 0) : 1) / total) * 100);
+  }
+
+  const share = (100 - specifiedTotal) / unspecifiedCount;
+  return specified.map(a => (a === null ? share : a));
+}
+
+/**
+ * Allocation-weighted average price of a set of levels
+ * @param {Array<{price: number, allocation?: number}>} levels - Levels
+ * @returns {number|null} - Average price, or null if there are no levels
+ */
+export function averagePrice(levels) {
+  if (levels.length === 0) return null;
+
+  const weights = resolveAllocations(levels);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  if (totalWeight === 0) return levels[0].price;
+
+  return levels.reduce((sum, level, i) => sum + level.price * weights[i], 0) / totalWeight;
+}
+
+/**
+ * Format levels as a list, e.g. "105000 @ 50%, 110000"
+ * @param {Array<{price: number, allocation?: number}>} levels - Levels
+ * @returns {string}
+ */
+export function formatLevelList(levels) {
+  return levels
+    .map(level => (level.allocation !== undefined ? `${level.price} @ ${level.allocation}%` : String(level.price)))
+    .join(', ');
+}
+
+/**
+ * Blended risk/reward across all entries and targets.
+ * Risk is measured from the average entry to the stop; reward is the
+ * allocation-weighted distance from the average entry to each target, signed
+ * for the trade's side so a target on the wrong side of entry counts as a loss.
+ * @param {Object} trade - Trade info object
+ * @returns {number} - Blended R:R ratio (0 when it cannot be computed, negative when the targets lose on balance)
+ */
+export function calculateBlendedRiskReward(trade) {
+  if (!trade || !trade.stopLoss || !trade.action) return 0;
+
+  const entry = averagePrice(getEntryLevels(trade));
+  const targets = getTargetLevels(trade);
+  if (entry === null || targets.length === 0) return 0;
+
+  const isBuy = trade.action === 'buy';
+  const risk = Math.abs(entry - trade.stopLoss);
+  if (risk === 0) return 0;
+
+  const weights = resolveAllocations(targets);
+  const reward = targets.reduce((sum, target, i) => {
+    const distance = isBuy ? target.price - entry : entry - target.price;
+    return sum + distance * (weights[i] / 100);
+  }, 0);
+
+  return reward / risk;
+}
+
+/**
+ * Risk and reward in dollars for instruments with a known point value
+ * (futures: contract multiplier × contracts), measured like the blended R:R
+ * @param {Object} trade - Trade info object
+ * @returns {{risk: number, reward: number, pointValue: number}|null} - reward is negative when the targets lose on balance;
+ *   null without a point value, entry, stop or target
+ */
+export function calculateDollarRiskReward(trade) {
+  const pointValue = getPointValue(trade);
+  if (!pointValue || !trade.stopLoss) return null;
+
+  const entry = averagePrice(getEntryLevels(trade));
+  const targets = getTargetLevels(trade);
+  if (entry === null || targets.length === 0) return null;
+
+  // Without an action, the stop's side says which way the trade goes
+  const isBuy = trade.action ? trade.action === 'buy' : trade.stopLoss < entry;
+  const weights = resolveAllocations(targets);
+  const distance = targets.reduce((sum, target, i) => {
+    const move = isBuy ? target.price - entry : entry - target.price;
+    return sum + move * (weights[i] / 100);
+  }, 0);
+
+  return {
+    risk: Math.abs(entry - trade.stopLoss) * pointValue,
+    reward: distance * pointValue,
+    pointValue,
+  };
+}
+
+/**
+ * Whether a trade has more than one entry or target
+ * @param {Object} trade - Trade info object
+ * @returns {boolean}
+ */
+export function isMultiLeg(trade) {
+  return getEntryLevels(trade).length > 1 || getTargetLevels(trade).length > 1;
+}
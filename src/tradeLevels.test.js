@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeLevels,
+  getEntryLevels,
+  getTargetLevels,
+  resolveAllocations,
+  averagePrice,
+  formatLevelList,
+  calculateBlendedRiskReward,
+  calculateDollarRiskReward,
+  isMultiLeg,
+} from './tradeLevels.js';
+
+describe('normalizeLevels', () => {
+  it('wraps a single number', () => {
+    expect(normalizeLevels(105000)).toEqual([{ price: 105000 }]);
+  });
+
+  it('keeps level objects with allocations', () => {
+    expect(normalizeLevels([{ price: 100, allocation: 50 }, { price: 110 }]))
+      .toEqual([{ price: 100, allocation: 50 }, { price: 110 }]);
+  });
+
+  it('accepts arrays of numbers', () => {
+    expect(normalizeLevels([100, 110])).toEqual([{ price: 100 }, { price: 110 }]);
+  });
+
+  it('drops invalid levels', () => {
+    expect(normalizeLevels([0, null, { price: NaN }, { price: -5 }, { price: 10 }])).toEqual([{ price: 10 }]);
+  });
+
+  it('returns empty array for null or undefined', () => {
+    expect(normalizeLevels(null)).toEqual([]);
+    expect(normalizeLevels(undefined)).toEqual([]);
+  });
+});
+
+describe('getEntryLevels / getTargetLevels', () => {
+  it('uses the entry ladder when present', () => {
+    const trade = { price: 100, entries: [{ price: 100 }, { price: 95 }] };
+    expect(getEntryLevels(trade)).toEqual([{ price: 100 }, { price: 95 }]);
+  });
+
+  it('falls back to the single entry price', () => {
+    expect(getEntryLevels({ price: 100 })).toEqual([{ price: 100 }]);
+  });
+
+  it('reads legacy numeric take profit', () => {
+    expect(getTargetLevels({ takeProfit: 120 })).toEqual([{ price: 120 }]);
+  });
+
+  it('handles missing trades', () => {
+    expect(getEntryLevels(null)).toEqual([]);
+    expect(getTargetLevels(undefined)).toEqual([]);
+  });
+});
+
+describe('resolveAllocations', () => {
+  it('splits evenly when nothing is specified', () => {
+    expect(resolveAllocations([{ price: 1 }, { price: 2 }])).toEqual([50, 50]);
+  });
+
+  it('shares the remainder among unspecified levels', () => {
+    expect(resolveAllocations([{ price: 1, allocation: 50 }, { price: 2 }, { price: 3 }])).toEqual([50, 25, 25]);
+  });
+
+  it('scales over-allocated levels down to 100', () => {
+    expect(resolveAllocations([{ price: 1, allocation: 100 }, { price: 2, allocation: 100 }])).toEqual([50, 50]);
+  });
+
+  it('scales fully specified levels that fall short of 100', () => {
+    expect(resolveAllocations([{ price: 1, allocation: 50 }])).toEqual([100]);
+  });
+
+  it('returns empty array for no levels', () => {
+    expect(resolveAllocations([])).toEqual([]);
+  });
+});
+
+describe('averagePrice', () => {
+  it('averages evenly weighted levels', () => {
+    expect(averagePrice([{ price: 100 }, { price: 90 }])).toBe(95);
+  });
+
+  it('weights by allocation', () => {
+    expect(averagePrice([{ price: 100, allocation: 75 }, { price: 80, allocation: 25 }])).toBe(95);
+  });
+
+  it('returns null for no levels', () => {
+    expect(averagePrice([])).toBeNull();
+  });
+});
+
+describe('formatLevelList', () => {
+  it('lists prices with their allocations', () => {
+    expect(formatLevelList([{ price: 105000, allocation: 50 }, { price: 110000 }])).toBe('105000 @ 50%, 110000');
+  });
+});
+
+describe('calculateBlendedRiskReward', () => {
+  it('matches simple R:R for a single entry and target', () => {
+    const trade = { action: 'buy', price: 100, stopLoss: 95, takeProfit: 110 };
+    expect(calculateBlendedRiskReward(trade)).toBe(2);
+  });
+
+  it('blends multiple targets by allocation', () => {
+    const trade = {
+      action: 'buy',
+      price: 42000,
+      stopLoss: 41000,
+      takeProfit: [{ price: 43200, allocation: 50 }, { price: 44000 }],
+    };
+    // 0.5 * 1200 + 0.5 * 2000 = 1600 reward over 1000 risk
+    expect(calculateBlendedRiskReward(trade)).toBeCloseTo(1.6);
+  });
+
+  it('uses the average entry of a ladder', () => {
+    const trade = {
+      action: 'buy',
+      price: 100,
+      entries: [{ price: 100 }, { price: 90 }],
+      stopLoss: 85,
+      takeProfit: [{ price: 125 }],
+    };
+    // Average entry 95, risk 10, reward 30
+    expect(calculateBlendedRiskReward(trade)).toBe(3);
+  });
+
+  it('handles shorts', () => {
+    const trade = {
+      action: 'sell',
+      price: 3200,
+      stopLoss: 3400,
+      takeProfit: [{ price: 3000 }, { price: 2800 }],
+    };
+    // Reward 0.5 * 200 + 0.5 * 400 = 300 over 200 risk
+    expect(calculateBlendedRiskReward(trade)).toBe(1.5);
+  });
+
+  it('returns 0 when data is missing', () => {
+    expect(calculateBlendedRiskReward({ action: 'buy', price: 100, takeProfit: 110 })).toBe(0);
+    expect(calculateBlendedRiskReward({ action: 'buy', price: 100, stopLoss: 90 })).toBe(0);
+    expect(calculateBlendedRiskReward(null)).toBe(0);
+  });
+
+  it('returns 0 when risk is zero', () => {
+    expect(calculateBlendedRiskReward({ action: 'buy', price: 100, stopLoss: 100, takeProfit: 110 })).toBe(0);
+  });
+
+  it.each([
+    ['buy', { action: 'buy', price: 100, stopLoss: 95, takeProfit: [{ price: 110 }, { price: 96 }] }, 0.6],
+    ['sell', { action: 'sell', price: 100, stopLoss: 105, takeProfit: [{ price: 90 }, { price: 104 }] }, 0.6],
+    ['buy with every target below entry', { action: 'buy', price: 100, stopLoss: 95, takeProfit: [{ price: 98 }] }, -0.4],
+  ])('counts a %s target on the wrong side of entry as a loss', (_, trade, rr) => {
+    expect(calculateBlendedRiskReward(trade)).toBeCloseTo(rr);
+  });
+});
+
+describe('calculateDollarRiskReward', () => {
+  it('multiplies distances by the contract multiplier and count', () => {
+    // ES: $50 a point; 2 contracts, 8 points of risk, 20 points of reward
+    const trade = { action: 'buy', price: 5000, stopLoss: 4992, takeProfit: [{ price: 5020 }], quantity: 2, futures: { root: 'ES' } };
+    expect(calculateDollarRiskReward(trade)).toEqual({ risk: 800, reward: 2000, pointValue: 100 });
+  });
+
+  it('weights targets by allocation', () => {
+    const trade = {
+      action: 'sell',
+      price: 72.4,
+      stopLoss: 72.6,
+      takeProfit: [{ price: 72, allocation: 50 }, { price: 71.6 }],
+      futures: { root: 'CL' },
+    };
+    const { risk, reward } = calculateDollarRiskReward(trade);
+    expect(risk).toBeCloseTo(200);
+    expect(reward).toBeCloseTo(600);
+  });
+
+  it('counts a target on the wrong side of entry as a loss', () => {
+    // ES: 10 points of reward on the first half, 6 points lost on the second
+    const trade = { price: 5000, stopLoss: 4992, takeProfit: [{ price: 5010 }, { price: 4994 }], futures: { root: 'ES' } };
+    expect(calculateDollarRiskReward(trade).reward).toBe(100);
+  });
+
+  it('returns null without a known contract or levels', () => {
+    expect(calculateDollarRiskReward({ action: 'buy', price: 100, stopLoss: 95, takeProfit: 110 })).toBeNull();
+    expect(calculateDollarRiskReward({ action: 'buy', price: 5000, takeProfit: 5020, futures: { root: 'ES' } })).toBeNull();
+  });
+});
+
+describe('isMultiLeg', () => {
+  it('detects multiple targets', () => {
+    expect(isMultiLeg({ price: 100, takeProfit: [{ price: 110 }, { price: 120 }] })).toBe(true);
+  });
+
+  it('detects entry ladders', () => {
+    expect(isMultiLeg({ entries: [{ price: 100 }, { price: 95 }], takeProfit: 110 })).toBe(true);
+  });
+
+  it('is false for single-leg trades', () => {
+    expect(isMultiLeg({ price: 100, takeProfit: 110 })).toBe(false);
+  });
+});
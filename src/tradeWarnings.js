@@ -0,0 +1,81 @@
+/**
+ * Trade Warnings
+ *
+ * Problems shown on the trade card: values that contradict each other (a
+ * long with its stop above entry, a target on the wrong side, leverage out of
+ * range) and fields the extractor wasn't sure about, with the other readings
+ * it considered.
+ */
+
+import { ENTITY_LABELS } from './entityHighlight.js';
+import { escapeHtml, formatNumber } from './savedNotes.js';
+import { validateTrade } from './tradeEditor.js';
+
+// Fields whose alternatives are prices
+const PRICE_FIELDS = ['price', 'stopLoss', 'takeProfit'];
+
+// Validation errors that make the price levels meaningless to chart
+const LEVEL_ERRORS = ['stopLoss', 'takeProfit'];
+
+/**
+ * Format an alternative reading of a field
+ */
+function formatAlternative(field, value) {
+  if (PRICE_FIELDS.includes(field) && typeof value === 'number') return `$${formatNumber(value)}`;
+  if (field === 'leverage') return `${value}x`;
+  if (field === 'action') return { buy: 'long', sell: 'short', exit: 'an exit' }[value] || value;
+  return String(value);
+}
+
+/**
+ * Collect warnings for a trade
+ * @param {Object|null} trade - Trade info object
+ * @param {Object} [fields] - Per-field confidence from extractTradeDetails (omit for edited trades)
+ * @returns {Array<{field: string, severity: 'error'|'warning', message: string}>} - Errors first
+ */
+export function getTradeWarnings(trade, fields = {}) {
+  if (!trade) return [];
+
+  const errors = Object.entries(validateTrade(trade))
+    .map(([field, message]) => ({ field, severity: 'error', message }));
+
+  const warnings = Object.entries(fields)
+    .filter(([, detail]) => detail.confidence !== 'high')
+    .map(([field, detail]) => {
+      const label = ENTITY_LABELS[field] || field;
+      const parts = [];
+      if (detail.note) parts.push(detail.note);
+      if (detail.alternatives.length > 0) {
+        parts.push(`could also be ${detail.alternatives.map(value => formatAlternative(field, value)).join(' or ')}`);
+      }
+      const reason = parts.length > 0 ? parts.join('; ') : `${detail.confidence} confidence`;
+      return { field, severity: 'warning', message: `${label}: ${reason}` };
+    });
+
+  return [...errors, ...warnings];
+}
+
+/**
+ * Whether a trade's levels contradict each other, so a chart of them would be misleading
+ * @param {Object} trade - Trade info object
+ * @returns {boolean}
+ */
+export function hasInconsistentLevels(trade) {
+  const errors = validateTrade(trade);
+  return LEVEL_ERRORS.some(field => errors[field]);
+}
+
+/**
+ * Render trade card warnings
+ * @param {Array} warnings - Result of getTradeWarnings, plus any 'critical' ones (e.g. a stop past liquidation)
+ * @returns {string} - HTML string (empty when there are none)
+ */
+export function renderTradeWarnings(warnings) {
+  if (warnings.length === 0) return '';
+
+  const items = warnings
+    .map(warning => `<li class="trade-warning trade-warning-${warning.severity}">${escapeHtml(warning.message)}</li>`)
+    .join('');
+
+  return `<ul class="trade-warnings">${items}</ul>`;
+}
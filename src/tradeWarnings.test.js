@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { getTradeWarnings, hasInconsistentLevels, renderTradeWarnings } from './tradeWarnings.js';
+import { extractTradeDetails } from './tradeExtractor.js';
+
+const longTrade = { ticker: 'BTC', action: 'buy', price: 95000, stopLoss: 92000, takeProfit: [{ price: 100000 }] };
+
+describe('getTradeWarnings', () => {
+  it('returns nothing for a consistent trade read with confidence', () => {
+    const { trade, fields } = extractTradeDetails('Long BTC at 95,000, stop loss 92,000, target 100,000');
+
+    expect(getTradeWarnings(trade, fields)).toEqual([]);
+    expect(getTradeWarnings(null)).toEqual([]);
+  });
+
+  it.each([
+    ['a long stop above entry', { ...longTrade, stopLoss: 96000 }, 'stopLoss', 'below entry'],
+    ['a long target below entry', { ...longTrade, takeProfit: [{ price: 94000 }] }, 'takeProfit', 'above entry'],
+    ['leverage out of range', { ...longTrade, leverage: 200 }, 'leverage', 'out of range'],
+  ])('flags %s as an error', (_, trade, field, message) => {
+    const [warning] = getTradeWarnings(trade);
+
+    expect(warning).toMatchObject({ field, severity: 'error' });
+    expect(warning.message).toContain(message);
+  });
+
+  it.each([
+    ['a close that may be an exit', 'Closing my BTC at 43,100', 'Side: Read "closing" as opening a short; could also be an exit'],
+    ['two candidate prices', 'Long BTC at 95,000 or at 94,000', 'Entry: could also be $94,000'],
+    ['a misheard stop loss', 'Long SOL at 150, stoppers 140', 'Stop loss: Read "stoppers" as stop loss'],
+    ['another instrument', 'Long ETH at 3200, SOL looks weak', 'Ticker: could also be SOL'],
+    ['an unknown ticker', 'Buy XYZ at 12', 'Ticker: "XYZ" is not a known ticker'],
+    ['two timeframes', 'Long BTC at 95000, daily and 4 hour', 'Timeframe: could also be 1D'],
+  ])('warns about %s', (_, text, message) => {
+    const { trade, fields } = extractTradeDetails(text);
+
+    expect(getTradeWarnings(trade, fields)).toContainEqual(expect.objectContaining({ severity: 'warning', message }));
+  });
+
+  it('lists errors before warnings', () => {
+    const { trade, fields } = extractTradeDetails('Long BTC at 95,000 or at 94,000, stop loss 96,000');
+
+    expect(getTradeWarnings(trade, fields).map(w => w.severity)).toEqual(['error', 'warning']);
+  });
+});
+
+describe('hasInconsistentLevels', () => {
+  it.each([
+    [longTrade, false],
+    [{ ...longTrade, stopLoss: 96000 }, true],
+    [{ ...longTrade, action: 'sell', stopLoss: 97000 }, true],
+    [{ ...longTrade, leverage: 200 }, false],
+  ])('%o → %s', (trade, expected) => {
+    expect(hasInconsistentLevels(trade)).toBe(expected);
+  });
+});
+
+describe('renderTradeWarnings', () => {
+  it('renders escaped warnings by severity', () => {
+    const html = renderTradeWarnings([
+      { field: 'stopLoss', severity: 'error', message: 'Stop <b>loss</b>' },
+      { field: 'ticker', severity: 'warning', message: 'Ticker' },
+    ]);
+
+    expect(html).toContain('trade-warning-error');
+    expect(html).toContain('trade-warning-warning');
+    expect(html).toContain('Stop &lt;b&gt;loss&lt;/b&gt;');
+  });
+
+  it('renders nothing without warnings', () => {
+    expect(renderTradeWarnings([])).toBe('');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Trading Costs
+ *
+ * What a trade keeps once the exchange and the market take their cut: maker
+ * and taker fees for the trade's exchange, slippage on market fills and
+ * funding on perpetuals. Turns the raw R:R from price distances into a net
+ * R:R, and works out the breakeven price and the net P&L at each target and
+ * at the stop.
+ *
+ * Fills are assumed to be: entry and stop at market (taker fee plus
+ * slippage), targets as resting limit orders (maker fee, no slippage).
+ * Per-unit amounts are in price units; multiply by the unit multiplier and
+ * quantity for dollars.
+ */
+
+import { getContractSpec } from './futuresContracts.js';
+import { getEntryLevels, getTargetLevels, averagePrice, resolveAllocations } from './tradeLevels.js';
+
+// Hours between perpetual funding payments
+const FUNDING_INTERVAL_HOURS = 8;
+
+/**
+ * Maker and taker fee rates (%) for a trade: its exchange's rates from the
+ * fee table, or the account's flat fee rate for both sides
+ * @param {Object} trade - Trade info object
+ * @param {Object} settings - Account settings
+ * @returns {{maker: number, taker: number, exchange: string|null}}
+ */
+export function getFeeRates(trade, settings) {
+  const exchange = trade?.exchange ? trade.exchange.toUpperCase() : null;
+  const fees = exchange ? settings.exchangeFees?.[exchange] : null;
+  if (fees) return { maker: fees.maker, taker: fees.taker, exchange };
+  return { maker: settings.feeRate, taker: settings.feeRate, exchange: null };
+}
+
+/**
+ * Whether a trade is a perpetual swap that pays funding: leveraged crypto,
+ * i.e. leverage on anything that isn't a future, option or currency pair
+ * @param {Object} trade - Trade info object
+ * @returns {boolean}
+ */
+export function isPerpetual(trade) {
+  return Boolean(trade?.leverage) && !getContractSpec(trade) && !trade.option && !trade.forex;
+}
+
+/**
+ * Funding paid per unit over the expected hold; longs pay a positive rate and shorts collect it
+ * @param {Object} trade - Trade info object
+ * @param {number} entry - Entry price
+ * @param {Object} settings - Account settings
+ * @returns {number} - Cost per unit in price units (negative when funding is collected)
+ */
+export function getFundingCost(trade, entry, settings) {
+  if (!isPerpetual(trade)) return 0;
+  const periods = settings.holdingHours / FUNDING_INTERVAL_HOURS;
+  const cost = entry * settings.fundingRate / 100 * periods;
+  return trade.action === 'sell' ? -cost : cost;
+}
+
+/**
+ * Cost rates (fractions) of the entry and of each kind of exit
+ */
+function getCostRates(trade, settings) {
+  const { maker, taker } = getFeeRates(trade, settings);
+  const market = (taker + settings.slippage) / 100;
+  return { entry: market, stop: market, target: maker / 100 };
+}
+
+/**
+ * Net P&L per unit of closing at a price, after fees, slippage and funding
+ * @param {Object} trade - Trade info object with an action
+ * @param {number} entry - Entry price
+ * @param {number} exit - Exit price
+ * @param {'stop'|'target'} kind - How the position is closed
+ * @param {Object} settings - Account settings
+ * @returns {number} - Price units per unit (negative for a loss)
+ */
+export function calculateNetPnl(trade, entry, exit, kind, settings) {
+  const rates = getCostRates(trade, settings);
+  const funding = getFundingCost(trade, entry, settings);
+  const gross = trade.action === 'sell' ? entry - exit : exit - entry;
+  return gross - entry * rates.entry - exit * rates[kind] - funding;
+}
+
+/**
+ * Price at which closing at market makes the trade break even, fees, slippage and funding paid
+ * @param {Object} trade - Trade info object
+ * @param {Object} settings - Account settings
+ * @returns {number|null} - null without an entry or a buy/sell action
+ */
+export function calculateBreakeven(trade, settings) {
+  const entry = averagePrice(getEntryLevels(trade));
+  if (entry === null || (trade.action !== 'buy' && trade.action !== 'sell')) return null;
+
+  const rates = getCostRates(trade, settings);
+  const funding = getFundingCost(trade, entry, settings);
+  return trade.action === 'buy'
+    ? (entry * (1 + rates.entry) + funding) / (1 - rates.stop)
+    : (entry * (1 - rates.entry) - funding) / (1 + rates.stop);
+}
+
+/**
+ * Costs of a trade and what it nets at the stop and each target
+ * @param {Object} trade - Trade info object
+ * @param {Object} settings - Account settings
+ * @param {number|null} [quantity] - Position size in units (contracts, shares, coins) for dollar P&L
+ * @param {number} [multiplier] - Dollars per point per unit (contract multiplier)
+ * @returns {Object|null} - { fees, slippage, funding, breakeven, grossRiskReward,
+ *   netRiskReward, stop, targets, quantity } where stop and targets hold
+ *   { price, net, netPercent, netAmount } (netAmount null without a quantity);
+ *   null without an entry, stop, target or buy/sell action
+ */
+export function calculateTradeCosts(trade, settings, quantity = null, multiplier = 1) {
+  if (!trade || !trade.stopLoss || (trade.action !== 'buy' && trade.action !== 'sell')) return null;
+
+  const entry = averagePrice(getEntryLevels(trade));
+  const targetLevels = getTargetLevels(trade);
+  if (entry === null || targetLevels.length === 0) return null;
+
+  const describeExit = (price, kind) => {
+    const net = calculateNetPnl(trade, entry, price, kind, settings);
+    return {
+      price,
+      net,
+      netPercent: net / entry * 100,
+      netAmount: quantity ? net * multiplier * quantity : null,
+    };
+  };
+
+  const stop = describeExit(trade.stopLoss, 'stop');
+  const targets = targetLevels.map(level => describeExit(level.price, 'target'));
+
+  // Allocation-weighted like the blended R:R
+  const weights = resolveAllocations(targetLevels);
+  const weighted = (pick) => targets.reduce((sum, target, i) => sum + pick(target) * weights[i] / 100, 0);
+  const grossRisk = Math.abs(entry - trade.stopLoss);
+  // Signed for the side, like the blended R:R: a target past the wrong side of entry loses
+  const grossReward = weighted(target => (trade.action === 'buy' ? target.price - entry : entry - target.price));
+  const netRisk = -stop.net;
+
+  return {
+    fees: getFeeRates(trade, settings),
+    slippage: settings.slippage,
+    funding: getFundingCost(trade, entry, settings),
+    breakeven: calculateBreakeven(trade, settings),
+    grossRiskReward: grossRisk > 0 ? grossReward / grossRisk : 0,
+    netRiskReward: netRisk > 0 ? weighted(target => target.net) / netRisk : 0,
+    stop,
+    targets,
+    quantity,
+  };
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getFeeRates,
+  isPerpetual,
+  getFundingCost,
+  calculateNetPnl,
+  calculateBreakeven,
+  calculateTradeCosts,
+} from './tradingCosts.js';
+import { createDefaultAccountSettings } from './accountSettings.js';
+
+// Binance standard fees (0.02% maker, 0.05% taker), 0.05% slippage, 0.01% funding held 24h
+const settings = createDefaultAccountSettings();
+
+const spot = { ticker: 'BTC', action: 'buy', price: 60000, stopLoss: 59400, takeProfit: [{ price: 61200 }], exchange: 'Binance' };
+const perpShort = { ...spot, action: 'sell', stopLoss: 60600, takeProfit: [{ price: 58800 }], leverage: 10 };
+
+describe('getFeeRates', () => {
+  it('uses the fee table for a known exchange', () => {
+    expect(getFeeRates(spot, settings)).toEqual({ maker: 0.02, taker: 0.05, exchange: 'BINANCE' });
+    expect(getFeeRates({ exchange: 'Gate.io' }, settings).exchange).toBe('GATE.IO');
+  });
+
+  it('falls back to the flat fee rate', () => {
+    expect(getFeeRates({ ticker: 'AAPL' }, settings)).toEqual({ maker: 0.1, taker: 0.1, exchange: null });
+  });
+});
+
+describe('isPerpetual', () => {
+  it.each([
+    ['leveraged crypto', perpShort, true],
+    ['spot crypto', spot, false],
+    ['leveraged futures', { leverage: 5, futures: { root: 'ES' } }, false],
+    ['leveraged forex', { leverage: 30, forex: { pipSize: 0.0001 } }, false],
+  ])('%s', (_, trade, expected) => {
+    expect(isPerpetual(trade)).toBe(expected);
+  });
+});
+
+describe('getFundingCost', () => {
+  it('charges longs three funding periods a day', () => {
+    expect(getFundingCost({ ...perpShort, action: 'buy' }, 60000, settings)).toBeCloseTo(18);
+  });
+
+  it('pays shorts when the rate is positive', () => {
+    expect(getFundingCost(perpShort, 60000, settings)).toBeCloseTo(-18);
+  });
+
+  it('is zero off perpetuals', () => {
+    expect(getFundingCost(spot, 60000, settings)).toBe(0);
+  });
+});
+
+describe('calculateNetPnl', () => {
+  it('pays taker fees and slippage at the stop', () => {
+    // -600 move, -60 in, -59.40 out
+    expect(calculateNetPnl(spot, 60000, 59400, 'stop', settings)).toBeCloseTo(-719.4);
+  });
+
+  it('pays only the maker fee at a target', () => {
+    // +1200 move, -60 in, -12.24 out
+    expect(calculateNetPnl(spot, 60000, 61200, 'target', settings)).toBeCloseTo(1127.76);
+  });
+});
+
+describe('calculateBreakeven', () => {
+  it('sits above entry for a long', () => {
+    expect(calculateBreakeven(spot, settings)).toBeCloseTo(60000 * 1.001 / 0.999);
+  });
+
+  it('counts funding collected by a short', () => {
+    expect(calculateBreakeven(perpShort, settings)).toBeCloseTo((59940 + 18) / 1.001);
+  });
+
+  it('is null without an entry or side', () => {
+    expect(calculateBreakeven({ ...spot, price: null }, settings)).toBeNull();
+    expect(calculateBreakeven({ ...spot, action: 'exit' }, settings)).toBeNull();
+  });
+});
+
+describe('calculateTradeCosts', () => {
+  it('shows the net R:R below the gross one', () => {
+    const costs = calculateTradeCosts(spot, settings);
+
+    expect(costs.grossRiskReward).toBe(2);
+    expect(costs.netRiskReward).toBeCloseTo(1127.76 / 719.4);
+    expect(costs.stop.netPercent).toBeCloseTo(-1.199);
+    expect(costs.stop.netAmount).toBeNull();
+  });
+
+  it('prices P&L in dollars with a quantity and multiplier', () => {
+    const costs = calculateTradeCosts({ ...spot, futures: null }, settings, 2, 5);
+
+    expect(costs.stop.netAmount).toBeCloseTo(-7194);
+    expect(costs.targets[0].netAmount).toBeCloseTo(11277.6);
+  });
+
+  it('counts a target on the wrong side of entry against the gross R:R', () => {
+    const trade = { action: 'buy', price: 100, stopLoss: 95, takeProfit: [{ price: 110 }, { price: 96 }] };
+    const costs = calculateTradeCosts(trade, { ...settings, slippage: 0, exchangeFees: {}, feeRate: 0 });
+
+    expect(costs.grossRiskReward).toBeCloseTo(0.6);
+  });
+
+  it('weights targets by allocation', () => {
+    const trade = { ...spot, takeProfit: [{ price: 60600, allocation: 50 }, { price: 61200, allocation: 50 }] };
+    const costs = calculateTradeCosts(trade, { ...settings, slippage: 0, exchangeFees: {}, feeRate: 0 });
+
+    expect(costs.targets.map(t => t.net)).toEqual([600, 1200]);
+    expect(costs.netRiskReward).toBeCloseTo(1.5);
+  });
+
+  it('can go negative when costs eat a small target', () => {
+    const scalp = { ...spot, stopLoss: 59970, takeProfit: [{ price: 60050 }] };
+
+    expect(calculateTradeCosts(scalp, settings).netRiskReward).toBeLessThan(0);
+  });
+
+  it.each([
+    ['no stop', { ...spot, stopLoss: null }],
+    ['no target', { ...spot, takeProfit: [] }],
+    ['no side', { ...spot, action: null }],
+  ])('returns null with %s', (_, trade) => {
+    expect(calculateTradeCosts(trade, settings)).toBeNull();
+  });
+});
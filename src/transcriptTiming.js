@@ -0,0 +1,194 @@
+/**
+ * Transcript Timing
+ *
+ * Whisper word timestamps (`return_timestamps: 'word'`) are stored with each
+ * note as `words: [{ text, start, end }]`, in seconds from the start of the
+ * saved audio. Models without word alignment fall back to segment timestamps
+ * in the same shape. The transcript text is the words joined by single
+ * spaces, so character positions in the text map straight back to words.
+ */
+
+import { renderHighlightedText } from './entityHighlight.js';
+import { escapeHtml } from './savedNotes.js';
+import { extractTradeInfo } from './tradeExtractor.js';
+
+// Constants
+export const FIELD_LINK_MAX_WORDS = 12; // Longest phrase a field is linked to
+export const FIELD_LINK_PADDING_SECONDS = 0.25; // Extra audio played after a linked phrase
+
+// Trade fields that can be linked back to the audio, in display order
+export const TIMED_FIELDS = [
+  { key: 'ticker', label: 'Ticker', value: trade => trade.ticker },
+  { key: 'action', label: 'Side', value: trade => trade.action },
+  { key: 'entry', label: 'Entry', value: trade => trade.price },
+  { key: 'stopLoss', label: 'SL', value: trade => trade.stopLoss },
+  { key: 'takeProfit', label: 'TP', value: trade => trade.takeProfit?.[0]?.price },
+  { key: 'leverage', label: 'Leverage', value: trade => trade.leverage },
+  { key: 'timeframe', label: 'Timeframe', value: trade => trade.timeframe },
+];
+
+/**
+ * Round seconds to centiseconds
+ */
+function roundSeconds(seconds) {
+  return Math.round(seconds * 100) / 100;
+}
+
+/**
+ * Turn pipeline timestamp chunks into stored word timings
+ * @param {Array<{text: string, timestamp: Array<number|null>}>} chunks - Pipeline `chunks` output
+ * @param {Object} [options]
+ * @param {number} [options.offset] - Seconds to add, e.g. silence trimmed before transcription
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+export function normalizeWordTimings(chunks, { offset = 0 } = {}) {
+  const words = [];
+
+  for (const chunk of chunks || []) {
+    const text = (chunk.text || '').trim();
+    const [start, end] = chunk.timestamp || [];
+    if (!text || typeof start !== 'number') continue;
+
+    words.push({
+      text,
+      start: roundSeconds(start + offset),
+      end: roundSeconds((typeof end === 'number' ? end : start) + offset),
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Join word timings into the transcript text
+ * @param {Array<{text: string}>} words - Word timings
+ * @returns {string}
+ */
+export function wordsToText(words) {
+  return words.map(word => word.text).join(' ');
+}
+
+/**
+ * Find the word being spoken at a playback time
+ * @param {Array<{start: number}>} words - Word timings, in order
+ * @param {number} time - Playback position in seconds
+ * @returns {number} - Index of the last word started by `time`, or -1 before the first word
+ */
+export function findWordIndexAtTime(words, time) {
+  let low = 0;
+  let high = words.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (words[mid].start <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Find where each extracted trade field was spoken.
+ * A field is linked to the first word after which the transcript so far
+ * yields its final value (found by binary search over prefixes), and the
+ * phrase is widened backwards until that phrase alone yields it too, e.g.
+ * "stop loss at 92,000" rather than just "92,000".
+ * @param {Array<{text: string, start: number, end: number}>} words - Word timings
+ * @param {Object|null} trade - Trade extracted from the full transcript
+ * @returns {Object<string, {start: number, end: number, from: number, to: number}>} - Audio span and word range per field key
+ */
+export function linkTradeFields(words, trade) {
+  const links = {};
+  if (!words?.length || !trade) return links;
+
+  const phrase = (from, to) => wordsToText(words.slice(from, to + 1));
+  const prefixTrades = new Map();
+  const prefixTrade = (to) => {
+    if (!prefixTrades.has(to)) prefixTrades.set(to, extractTradeInfo(phrase(0, to)));
+    return prefixTrades.get(to);
+  };
+
+  for (const field of TIMED_FIELDS) {
+    const target = field.value(trade);
+    if (target === undefined || target === null) continue;
+
+    const matches = (candidate) => candidate !== null && field.value(candidate) === target;
+    if (!matches(prefixTrade(words.length - 1))) continue;
+
+    let low = 0;
+    let high = words.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (matches(prefixTrade(mid))) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    const to = low;
+    let from = to;
+    while (from > 0 && to - from < FIELD_LINK_MAX_WORDS - 1 && !matches(extractPhrase(phrase(from, to)))) {
+      from--;
+    }
+
+    links[field.key] = { start: words[from].start, end: words[to].end, from, to };
+  }
+
+  return links;
+}
+
+/**
+ * Extract a trade from a short phrase. Phrases holding only a timeframe or
+ * leverage don't count as a trade on their own, so a ticker is put in front.
+ */
+function extractPhrase(text) {
+  return extractTradeInfo(text) ?? extractTradeInfo(`BTC ${text}`);
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatSeconds(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Render a transcript as clickable words
+ * @param {Array<{text: string, start: number}>} words - Word timings
+ * @param {Array<{field: string, start: number, end: number}>} [spans] - Extracted field spans to highlight, in wordsToText(words)
+ * @returns {string} - HTML string; its text content equals wordsToText(words)
+ */
+export function renderTimedTranscript(words, spans = []) {
+  return renderHighlightedText(wordsToText(words), spans, { words });
+}
+
+/**
+ * Render buttons that play the audio where each trade field was spoken
+ * @param {Object} links - Result of linkTradeFields
+ * @param {Array<{text: string}>} words - Word timings the links point into
+ * @returns {string} - HTML string (empty when nothing is linked)
+ */
+export function renderFieldLinks(links, words) {
+  const attr = (value) => escapeHtml(value).replace(/"/g, '&quot;');
+
+  const buttons = TIMED_FIELDS
+    .filter(field => links[field.key])
+    .map((field) => {
+      const { start, end, from, to } = links[field.key];
+      const spoken = wordsToText(words.slice(from, to + 1));
+      return `<button class="transcript-link" data-start="${start}" data-end="${roundSeconds(end + FIELD_LINK_PADDING_SECONDS)}" title="Play &quot;${attr(spoken)}&quot;">${field.label} <span class="transcript-link-time">${formatSeconds(start)}</span></button>`;
+    });
+
+  if (buttons.length === 0) return '';
+
+  return `<div class="transcript-links"><span class="transcript-links-label">Spoken at</span>${buttons.join('')}</div>`;
+}
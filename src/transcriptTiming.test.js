@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeWordTimings,
+  wordsToText,
+  findWordIndexAtTime,
+  linkTradeFields,
+  formatSeconds,
+  renderTimedTranscript,
+  renderFieldLinks,
+} from './transcriptTiming.js';
+import { extractTradeInfo } from './tradeExtractor.js';
+
+/**
+ * Word timings with one word per second
+ */
+function timedWords(text) {
+  return text.split(' ').map((word, i) => ({ text: word, start: i, end: i + 0.8 }));
+}
+
+describe('normalizeWordTimings', () => {
+  it('trims words and shifts them by the trimmed offset', () => {
+    const words = normalizeWordTimings([
+      { text: ' Long', timestamp: [0, 0.42] },
+      { text: ' BTC', timestamp: [0.42, 0.901] },
+    ], { offset: 1.5 });
+
+    expect(words).toEqual([
+      { text: 'Long', start: 1.5, end: 1.92 },
+      { text: 'BTC', start: 1.92, end: 2.4 },
+    ]);
+  });
+
+  it('skips empty text and fills a missing end', () => {
+    const words = normalizeWordTimings([
+      { text: ' ', timestamp: [0, 1] },
+      { text: ' stop', timestamp: [1, null] },
+      { text: 'x', timestamp: [] },
+    ]);
+
+    expect(words).toEqual([{ text: 'stop', start: 1, end: 1 }]);
+  });
+
+  it('handles missing chunks', () => {
+    expect(normalizeWordTimings(undefined)).toEqual([]);
+  });
+});
+
+describe('findWordIndexAtTime', () => {
+  const words = timedWords('Long BTC at 95000');
+
+  it.each([
+    [-1, -1],
+    [0, 0],
+    [1.5, 1],
+    [3, 3],
+    [10, 3],
+  ])('at %ss → word %i', (time, expected) => {
+    expect(findWordIndexAtTime(words, time)).toBe(expected);
+  });
+
+  it('returns -1 without words', () => {
+    expect(findWordIndexAtTime([], 1)).toBe(-1);
+  });
+});
+
+describe('linkTradeFields', () => {
+  const text = 'Long Bitcoin at 95,000 on the 4-hour chart, stop loss at 92,000, take profit 105,000, 10x leverage.';
+  const words = timedWords(text);
+  const trade = extractTradeInfo(text);
+
+  const spoken = (link) => wordsToText(words.slice(link.from, link.to + 1));
+
+  it('links each field to the phrase it was spoken in', () => {
+    const links = linkTradeFields(words, trade);
+
+    expect(spoken(links.ticker)).toBe('Bitcoin');
+    expect(spoken(links.entry)).toBe('at 95,000');
+    expect(spoken(links.stopLoss)).toBe('stop loss at 92,000,');
+    expect(spoken(links.takeProfit)).toBe('profit 105,000,');
+    expect(spoken(links.timeframe)).toBe('4-hour');
+    expect(spoken(links.leverage)).toBe('10x leverage.');
+  });
+
+  it('carries the audio span of the phrase', () => {
+    expect(linkTradeFields(words, trade).entry).toEqual({ start: 2, end: 3.8, from: 2, to: 3 });
+  });
+
+  it('skips fields the transcript does not yield', () => {
+    const links = linkTradeFields(words, { ...trade, stopLoss: 90000 });
+
+    expect(links.stopLoss).toBeUndefined();
+    expect(links.entry).toBeDefined();
+  });
+
+  it.each([
+    ['no words', [], trade],
+    ['no trade', words, null],
+  ])('returns no links with %s', (_, list, value) => {
+    expect(linkTradeFields(list, value)).toEqual({});
+  });
+});
+
+describe('formatSeconds', () => {
+  it.each([
+    [0, '0:00'],
+    [3.7, '0:03'],
+    [75, '1:15'],
+  ])('%s → %s', (seconds, expected) => {
+    expect(formatSeconds(seconds)).toBe(expected);
+  });
+});
+
+describe('renderTimedTranscript', () => {
+  it('renders escaped words whose text joins back to the transcript', () => {
+    const words = timedWords('Long <BTC> now');
+    const container = document.createElement('div');
+
+    container.innerHTML = renderTimedTranscript(words);
+
+    expect(container.textContent).toBe('Long <BTC> now');
+    expect(container.querySelectorAll('.transcript-word')).toHaveLength(3);
+    expect(container.querySelector('[data-index="1"]').dataset.start).toBe('1');
+  });
+
+  it('highlights field spans inside the clickable words', () => {
+    const words = timedWords('Long BTC now');
+    const container = document.createElement('div');
+
+    container.innerHTML = renderTimedTranscript(words, [{ field: 'ticker', start: 5, end: 8 }]);
+
+    expect(container.textContent).toBe('Long BTC now');
+    expect(container.querySelector('[data-index="1"] mark.entity-ticker').textContent).toBe('BTC');
+  });
+});
+
+describe('renderFieldLinks', () => {
+  it('renders a play button per linked field', () => {
+    const words = timedWords('Long BTC at "95000"');
+    const html = renderFieldLinks({ entry: { start: 2, end: 3.8, from: 2, to: 3 } }, words);
+
+    expect(html).toContain('Spoken at');
+    expect(html).toContain('data-start="2" data-end="4.05"');
+    expect(html).toContain('Entry <span class="transcript-link-time">0:02</span>');
+    expect(html).toContain('title="Play &quot;at &quot;95000&quot;&quot;"');
+  });
+
+  it('renders nothing without links', () => {
+    expect(renderFieldLinks({}, [])).toBe('');
+  });
+});
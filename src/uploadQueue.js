@@ -0,0 +1,285 @@
+/**
+ * Audio Upload Queue
+ *
+ * Transcribes uploaded audio files one at a time. The Whisper worker is
+ * shared with recording, so jobs only start when `canStart()` allows it and
+ * `resume()` is called again once the app is idle. Each job keeps its own
+ * progress and result so a batch can be reviewed file by file.
+ */
+
+import { escapeHtml } from './savedNotes.js';
+import { generateTradeSummary } from './tradeExtractor.js';
+
+// Constants
+export const SUPPORTED_AUDIO_EXTENSIONS = ['webm', 'ogg', 'mp3', 'm4a', 'wav'];
+export const AUDIO_FILE_ACCEPT = SUPPORTED_AUDIO_EXTENSIONS.map(ext => `.${ext}`).join(',');
+
+const SUPPORTED_AUDIO_TYPES = ['audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/wav', 'audio/x-wav', 'audio/wave'];
+const FINISHED_STATUSES = ['done', 'error', 'cancelled'];
+
+/**
+ * Whether a file is an audio format the uploader accepts
+ * @param {{name: string, type?: string}} file - File or File-like object
+ * @returns {boolean}
+ */
+export function isSupportedAudioFile(file) {
+  const extension = String(file?.name ?? '').toLowerCase().split('.').pop();
+  if (SUPPORTED_AUDIO_EXTENSIONS.includes(extension)) return true;
+
+  const type = String(file?.type ?? '').split(';')[0].trim().toLowerCase();
+  return SUPPORTED_AUDIO_TYPES.includes(type);
+}
+
+/**
+ * Format a byte count, e.g. "1.4 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Create a sequential transcription queue for uploaded files
+ * @param {Object} options
+ * @param {Function} options.process - async (file, { signal, report }) → result; report({ progress, stage, partialText }) updates the job
+ * @param {Function} [options.onChange] - Called with the job list after every change
+ * @param {Function} [options.canStart] - Whether the next job may start now
+ * @returns {Object} - Queue with add, cancel, remove, clearFinished, markSaved, resume, isRunning, getJob and getJobs
+ */
+export function createUploadQueue({ process, onChange = () => {}, canStart = () => true }) {
+  let jobs = [];
+  let nextId = 1;
+  let active = null; // { job, controller }
+
+  function notify() {
+    onChange(jobs.slice());
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes);
+    notify();
+  }
+
+  async function runNext() {
+    if (active || !canStart()) return;
+
+    const job = jobs.find(j => j.status === 'queued');
+    if (!job) return;
+
+    const controller = new AbortController();
+    active = { job, controller };
+    update(job, { status: 'processing', progress: 0, stage: 'Starting...' });
+
+    try {
+      const result = await process(job.file, {
+        signal: controller.signal,
+        report: (changes) => {
+          if (active?.job === job && !controller.signal.aborted) update(job, changes);
+        },
+      });
+
+      if (controller.signal.aborted) {
+        update(job, { status: 'cancelled', stage: 'Cancelled', partialText: '' });
+      } else {
+        update(job, { status: 'done', progress: 100, stage: 'Done', partialText: '', result });
+      }
+    } catch (err) {
+      if (controller.signal.aborted || err?.name === 'AbortError') {
+        update(job, { status: 'cancelled', stage: 'Cancelled', partialText: '' });
+      } else {
+        update(job, { status: 'error', stage: 'Failed', partialText: '', error: err?.message || String(err) });
+      }
+    } finally {
+      active = null;
+    }
+
+    runNext();
+  }
+
+  return {
+    /**
+     * Queue files for transcription; unsupported files are rejected
+     * @param {Iterable<File>} files - Files from a picker or drop
+     * @returns {{added: Array<Object>, rejected: Array<string>}} - New jobs and rejected file names
+     */
+    add(files) {
+      const added = [];
+      const rejected = [];
+
+      for (const file of files) {
+        if (!isSupportedAudioFile(file)) {
+          rejected.push(file.name);
+          continue;
+        }
+        added.push({
+          id: nextId++,
+          file,
+          name: file.name,
+          size: file.size,
+          status: 'queued',
+          progress: 0,
+          stage: 'Queued',
+          partialText: '',
+          result: null,
+          error: null,
+          saved: false,
+        });
+      }
+
+      if (added.length > 0) {
+        jobs = jobs.concat(added);
+        notify();
+        runNext();
+      }
+      return { added, rejected };
+    },
+
+    /**
+     * Cancel a queued or running job
+     * @param {number} id - Job id
+     * @returns {boolean} - Whether the job was cancelled
+     */
+    cancel(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job) return false;
+
+      if (active?.job === job) {
+        active.controller.abort();
+        return true;
+      }
+      if (job.status === 'queued') {
+        update(job, { status: 'cancelled', stage: 'Cancelled' });
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Remove a job that is not running
+     * @param {number} id - Job id
+     * @returns {boolean} - Whether the job was removed
+     */
+    remove(id) {
+      if (active?.job.id === id) return false;
+
+      const count = jobs.length;
+      jobs = jobs.filter(j => j.id !== id);
+      if (jobs.length === count) return false;
+
+      notify();
+      return true;
+    },
+
+    /**
+     * Remove every finished, failed or cancelled job
+     */
+    clearFinished() {
+      jobs = jobs.filter(j => !FINISHED_STATUSES.includes(j.status));
+      notify();
+    },
+
+    /**
+     * Mark a finished job's result as saved to the notes
+     * @param {number} id - Job id
+     */
+    markSaved(id) {
+      const job = jobs.find(j => j.id === id);
+      if (job) update(job, { saved: true });
+    },
+
+    /**
+     * Start the next queued job if none is running and canStart() allows it
+     */
+    resume() {
+      runNext();
+    },
+
+    /**
+     * Whether a job is being transcribed
+     * @returns {boolean}
+     */
+    isRunning() {
+      return active !== null;
+    },
+
+    /**
+     * Get a job by id
+     * @param {number} id - Job id
+     * @returns {Object|undefined}
+     */
+    getJob(id) {
+      return jobs.find(j => j.id === id);
+    },
+
+    /**
+     * Get all jobs in upload order
+     * @returns {Array<Object>}
+     */
+    getJobs() {
+      return jobs.slice();
+    },
+  };
+}
+
+/**
+ * Render one upload job row
+ */
+function renderJob(job) {
+  const text = job.result?.text || job.partialText;
+  const excerpt = text ? `<div class="upload-job-text">${escapeHtml(text)}</div>` : '';
+  const trade = job.result?.trade ? `<div class="upload-job-trade">${escapeHtml(generateTradeSummary(job.result.trade))}</div>` : '';
+
+  let actions = '';
+  if (job.status === 'queued' || job.status === 'processing') {
+    actions = '<button class="saved-note-btn upload-cancel" title="Cancel">Cancel</button>';
+  } else {
+    const openSave = job.status === 'done' && job.result?.text
+      ? `<button class="saved-note-btn upload-open" title="Show in the editor">Open</button>
+         <button class="saved-note-btn upload-save" title="Save as a note"${job.saved ? ' disabled' : ''}>${job.saved ? 'Saved' : 'Save'}</button>`
+      : '';
+    actions = `${openSave}<button class="saved-note-btn upload-remove" title="Remove from the list">Remove</button>`;
+  }
+
+  const stage = job.status === 'error' ? job.error : job.stage;
+
+  return `
+    <div class="upload-job upload-job-${job.status}" data-job-id="${job.id}">
+      <div class="upload-job-header">
+        <span class="upload-job-name" title="${escapeHtml(job.name)}">${escapeHtml(job.name)}</span>
+        <span class="upload-job-size">${formatFileSize(job.size)}</span>
+        <div class="saved-note-actions">${actions}</div>
+      </div>
+      <div class="progress-bar upload-job-progress">
+        <div class="progress-fill" style="width: ${Math.round(job.progress)}%"></div>
+      </div>
+      <div class="upload-job-stage">${escapeHtml(stage || '')}</div>
+      ${excerpt}
+      ${trade}
+    </div>`;
+}
+
+/**
+ * Render the upload queue
+ * @param {Array<Object>} jobs - Jobs from getJobs()
+ * @returns {string} - HTML string (empty when there are no jobs)
+ */
+export function renderUploadQueue(jobs) {
+  if (jobs.length === 0) return '';
+
+  const finished = jobs.filter(job => FINISHED_STATUSES.includes(job.status)).length;
+  const clearBtn = finished > 0
+    ? '<button class="btn btn-small btn-secondary" id="uploadQueueClearBtn">Clear finished</button>'
+    : '';
+
+  return `
+    <div class="upload-queue-header">
+      <span class="upload-queue-title">Uploads (${finished}/${jobs.length} finished)</span>
+      ${clearBtn}
+    </div>
+    ${jobs.map(renderJob).join('')}
+  `;
+}
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  isSupportedAudioFile,
+  formatFileSize,
+  createUploadQueue,
+  renderUploadQueue,
+} from './uploadQueue.js';
+
+const file = (name, type = '') => new File(['abc'], name, { type });
+
+/**
+ * Process function whose calls can be resolved or rejected from the test
+ */
+function createDeferredProcess() {
+  const calls = [];
+  const process = vi.fn((input, context) => new Promise((resolve, reject) => {
+    calls.push({ file: input, context, resolve, reject });
+  }));
+  return { process, calls };
+}
+
+// Let queued promise callbacks run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('isSupportedAudioFile', () => {
+  it.each([
+    ['memo.webm', '', true],
+    ['memo.OGG', '', true],
+    ['memo.mp3', '', true],
+    ['memo.m4a', '', true],
+    ['memo.wav', '', true],
+    ['memo', 'audio/mpeg', true],
+    ['memo.flac', '', false],
+    ['notes.txt', 'text/plain', false],
+  ])('%s (%s) → %s', (name, type, expected) => {
+    expect(isSupportedAudioFile(file(name, type))).toBe(expected);
+  });
+});
+
+describe('formatFileSize', () => {
+  it.each([
+    [512, '512 B'],
+    [2048, '2 KB'],
+    [1.5 * 1024 * 1024, '1.5 MB'],
+  ])('%i → %s', (bytes, expected) => {
+    expect(formatFileSize(bytes)).toBe(expected);
+  });
+});
+
+describe('createUploadQueue', () => {
+  it('rejects unsupported files', () => {
+    const queue = createUploadQueue({ process: vi.fn(() => new Promise(() => {})) });
+
+    const { added, rejected } = queue.add([file('a.mp3'), file('notes.pdf')]);
+
+    expect(added.map(job => job.name)).toEqual(['a.mp3']);
+    expect(rejected).toEqual(['notes.pdf']);
+  });
+
+  it('processes files one at a time, each with its own result', async () => {
+    const { process, calls } = createDeferredProcess();
+    const queue = createUploadQueue({ process });
+
+    queue.add([file('a.webm'), file('b.wav')]);
+
+    expect(process).toHaveBeenCalledTimes(1);
+    expect(queue.getJobs().map(job => job.status)).toEqual(['processing', 'queued']);
+
+    calls[0].resolve({ text: 'Long BTC' });
+    await flush();
+
+    expect(process).toHaveBeenCalledTimes(2);
+    expect(calls[1].file.name).toBe('b.wav');
+
+    calls[1].resolve({ text: 'Short ETH' });
+    await flush();
+
+    expect(queue.getJobs().map(job => [job.status, job.progress, job.result.text])).toEqual([
+      ['done', 100, 'Long BTC'],
+      ['done', 100, 'Short ETH'],
+    ]);
+    expect(queue.isRunning()).toBe(false);
+  });
+
+  it('applies progress reports to the running job', () => {
+    const { process, calls } = createDeferredProcess();
+    const onChange = vi.fn();
+    const queue = createUploadQueue({ process, onChange });
+    queue.add([file('a.webm')]);
+
+    calls[0].context.report({ progress: 40, stage: 'Transcribing...', partialText: 'Long' });
+
+    expect(queue.getJobs()[0]).toMatchObject({ progress: 40, stage: 'Transcribing...', partialText: 'Long' });
+    expect(onChange).toHaveBeenLastCalledWith([expect.objectContaining({ progress: 40 })]);
+  });
+
+  it('records errors and moves on', async () => {
+    const { process, calls } = createDeferredProcess();
+    const queue = createUploadQueue({ process });
+    queue.add([file('a.webm'), file('b.webm')]);
+
+    calls[0].reject(new Error('Unable to decode audio'));
+    await flush();
+
+    expect(queue.getJobs()[0]).toMatchObject({ status: 'error', error: 'Unable to decode audio' });
+    expect(queue.getJobs()[1].status).toBe('processing');
+  });
+
+  it('aborts the running job on cancel', async () => {
+    const { process, calls } = createDeferredProcess();
+    const queue = createUploadQueue({ process });
+    queue.add([file('a.webm')]);
+
+    const { signal } = calls[0].context;
+    signal.addEventListener('abort', () => {
+      const err = new Error('Transcription cancelled');
+      err.name = 'AbortError';
+      calls[0].reject(err);
+    });
+
+    expect(queue.cancel(1)).toBe(true);
+    await flush();
+
+    expect(queue.getJobs()[0].status).toBe('cancelled');
+  });
+
+  it('cancels queued jobs without running them', async () => {
+    const { process, calls } = createDeferredProcess();
+    const queue = createUploadQueue({ process });
+    queue.add([file('a.webm'), file('b.webm')]);
+
+    queue.cancel(2);
+    calls[0].resolve({ text: 'Long BTC' });
+    await flush();
+
+    expect(process).toHaveBeenCalledTimes(1);
+    expect(queue.getJobs()[1].status).toBe('cancelled');
+  });
+
+  it('waits for canStart before starting', () => {
+    const { process } = createDeferredProcess();
+    let idle = false;
+    const queue = createUploadQueue({ process, canStart: () => idle });
+
+    queue.add([file('a.webm')]);
+    expect(process).not.toHaveBeenCalled();
+
+    idle = true;
+    queue.resume();
+    expect(process).toHaveBeenCalledTimes(1);
+  });
+
+  it('removes finished jobs but not the running one', async () => {
+    const { process, calls } = createDeferredProcess();
+    const queue = createUploadQueue({ process });
+    queue.add([file('a.webm'), file('b.webm'), file('c.webm')]);
+
+    calls[0].resolve({ text: 'Long BTC' });
+    await flush();
+
+    expect(queue.remove(2)).toBe(false);
+    queue.clearFinished();
+
+    expect(queue.getJobs().map(job => job.name)).toEqual(['b.webm', 'c.webm']);
+  });
+});
+
+describe('renderUploadQueue', () => {
+  it('renders per-file progress and results', () => {
+    const html = renderUploadQueue([
+      { id: 1, name: '<memo>.mp3', size: 2048, status: 'done', progress: 100, stage: 'Done', result: { text: 'Long BTC at 95000', trade: { ticker: 'BTC', action: 'buy', price: 95000 } } },
+      { id: 2, name: 'b.wav', size: 512, status: 'processing', progress: 40, stage: 'Transcribing...', partialText: '' },
+      { id: 3, name: 'c.ogg', size: 512, status: 'error', progress: 10, stage: 'Failed', error: 'Unable to decode audio' },
+    ]);
+
+    expect(html).toContain('Uploads (2/3 finished)');
+    expect(html).toContain('&lt;memo&gt;.mp3');
+    expect(html).toContain('Buy BTC at $95,000');
+    expect(html).toContain('width: 40%');
+    expect(html).toContain('Unable to decode audio');
+    expect(html).toContain('upload-save');
+  });
+
+  it('renders nothing for an empty queue', () => {
+    expect(renderUploadQueue([])).toBe('');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Custom Vocabulary
+ *
+ * A user-maintained dictionary of instruments and phrases the trade extractor
+ * doesn't know out of the box: extra tickers, crypto tokens and names,
+ * aliases ("e-mini" → ES), indicators and phonetic corrections for words
+ * Whisper keeps mishearing. Persisted in localStorage and exportable as JSON.
+ */
+
+// Constants
+export const VOCABULARY_STORAGE_KEY = 'traders-voice-vocabulary';
+export const VOCABULARY_VERSION = 1;
+
+// List fields hold symbols; map fields hold "heard/alias" → "canonical" pairs
+const LIST_FIELDS = ['tickers', 'cryptoTokens', 'indicators'];
+const MAP_FIELDS = ['cryptoNames', 'aliases', 'indicatorCorrections', 'corrections'];
+
+/**
+ * Create an empty vocabulary
+ * @returns {Object} - Vocabulary with every field empty
+ */
+export function createEmptyVocabulary() {
+  return {
+    version: VOCABULARY_VERSION,
+    tickers: [],
+    cryptoTokens: [],
+    cryptoNames: {},
+    aliases: {},
+    indicators: [],
+    indicatorCorrections: {},
+    corrections: {},
+  };
+}
+
+/**
+ * Normalize a term: trim, collapse whitespace, uppercase
+ */
+function normalizeTerm(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Validate and normalize a vocabulary object (e.g. from an imported file)
+ * @param {*} raw - Parsed JSON
+ * @returns {Object} - Normalized vocabulary
+ * @throws {Error} - If the shape is not a vocabulary
+ */
+export function normalizeVocabulary(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Vocabulary must be a JSON object');
+  }
+  if (raw.version !== undefined && raw.version > VOCABULARY_VERSION) {
+    throw new Error(`Unsupported vocabulary version ${raw.version}`);
+  }
+
+  const vocab = createEmptyVocabulary();
+
+  for (const field of LIST_FIELDS) {
+    if (raw[field] === undefined) continue;
+    if (!Array.isArray(raw[field])) {
+      throw new Error(`"${field}" must be a list`);
+    }
+    vocab[field] = [...new Set(raw[field].map(normalizeTerm).filter(Boolean))];
+  }
+
+  for (const field of MAP_FIELDS) {
+    if (raw[field] === undefined) continue;
+    if (!raw[field] || typeof raw[field] !== 'object' || Array.isArray(raw[field])) {
+      throw new Error(`"${field}" must be an object of "from": "to" pairs`);
+    }
+    for (const [from, to] of Object.entries(raw[field])) {
+      const key = normalizeTerm(from);
+      const value = normalizeTerm(to);
+      if (key && value) vocab[field][key] = value;
+    }
+  }
+
+  return vocab;
+}
+
+/**
+ * Merge two vocabularies; entries in `extra` win on conflicts
+ * @param {Object} base - Existing vocabulary
+ * @param {Object} extra - Vocabulary to merge in
+ * @returns {Object} - Merged vocabulary
+ */
+export function mergeVocabulary(base, extra) {
+  const merged = createEmptyVocabulary();
+
+  for (const field of LIST_FIELDS) {
+    merged[field] = [...new Set([...base[field], ...extra[field]])];
+  }
+  for (const field of MAP_FIELDS) {
+    merged[field] = { ...base[field], ...extra[field] };
+  }
+
+  return merged;
+}
+
+/**
+ * Whether a vocabulary has any entries
+ * @param {Object} vocab - Vocabulary
+ * @returns {boolean}
+ */
+export function isVocabularyEmpty(vocab) {
+  return LIST_FIELDS.every(field => vocab[field].length === 0) &&
+    MAP_FIELDS.every(field => Object.keys(vocab[field]).length === 0);
+}
+
+/**
+ * Load the saved vocabulary
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ * @returns {Object} - Vocabulary (empty if missing or unreadable)
+ */
+export function loadVocabulary(storage = localStorage) {
+  try {
+    const raw = storage.getItem(VOCABULARY_STORAGE_KEY);
+    return raw ? normalizeVocabulary(JSON.parse(raw)) : createEmptyVocabulary();
+  } catch (err) {
+    console.warn('Ignoring unreadable custom vocabulary:', err);
+    return createEmptyVocabulary();
+  }
+}
+
+/**
+ * Save the vocabulary
+ * @param {Object} vocab - Vocabulary to save
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ */
+export function saveVocabulary(vocab, storage = localStorage) {
+  storage.setItem(VOCABULARY_STORAGE_KEY, JSON.stringify(vocab));
+}
+
+/**
+ * Serialize the vocabulary for export
+ * @param {Object} vocab - Vocabulary
+ * @returns {string} - Pretty-printed JSON
+ */
+export function serializeVocabulary(vocab) {
+  return JSON.stringify(vocab, null, 2);
+}
+
+/**
+ * Parse an exported vocabulary file
+ * @param {string} json - File contents
+ * @returns {Object} - Normalized vocabulary
+ * @throws {Error} - If the file is not valid vocabulary JSON
+ */
+export function parseVocabularyJson(json) {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  return normalizeVocabulary(raw);
+}
+
+/**
+ * Parse a textarea list ("PLTR, SOFI" or one per line)
+ * @param {string} text - Textarea contents
+ * @returns {Array<string>} - Normalized terms
+ */
+export function parseListText(text) {
+  return [...new Set(String(text ?? '').split(/[\n,]/).map(normalizeTerm).filter(Boolean))];
+}
+
+/**
+ * Format a list for a textarea, one term per line
+ * @param {Array<string>} list - Terms
+ * @returns {string}
+ */
+export function formatListText(list) {
+  return list.join('\n');
+}
+
+/**
+ * Parse "from = to" lines into a map; lines without "=" are ignored
+ * @param {string} text - Textarea contents
+ * @returns {Object} - Map of normalized terms
+ */
+export function parseMappingText(text) {
+  const map = {};
+  for (const line of String(text ?? '').split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator === -1) continue;
+
+    const from = normalizeTerm(line.slice(0, separator));
+    const to = normalizeTerm(line.slice(separator + 1));
+    if (from && to) map[from] = to;
+  }
+  return map;
+}
+
+/**
+ * Format a map as "from = to" lines
+ * @param {Object} map - Map of terms
+ * @returns {string}
+ */
+export function formatMappingText(map) {
+  return Object.entries(map).map(([from, to]) => `${from} = ${to}`).join('\n');
+}
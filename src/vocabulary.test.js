@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  VOCABULARY_STORAGE_KEY,
+  VOCABULARY_VERSION,
+  createEmptyVocabulary,
+  normalizeVocabulary,
+  mergeVocabulary,
+  isVocabularyEmpty,
+  loadVocabulary,
+  saveVocabulary,
+  serializeVocabulary,
+  parseVocabularyJson,
+  parseListText,
+  formatListText,
+  parseMappingText,
+  formatMappingText,
+} from './vocabulary.js';
+import { createMockStorage } from '../test/mockStorage.js';
+
+describe('normalizeVocabulary', () => {
+  it('uppercases, trims and dedupes entries', () => {
+    const vocab = normalizeVocabulary({
+      tickers: [' pltr ', 'PLTR', 'es'],
+      aliases: { ' e-mini ': 'es', 'nas  100': 'nq' },
+    });
+
+    expect(vocab.tickers).toEqual(['PLTR', 'ES']);
+    expect(vocab.aliases).toEqual({ 'E-MINI': 'ES', 'NAS 100': 'NQ' });
+  });
+
+  it('fills missing fields', () => {
+    expect(normalizeVocabulary({})).toEqual(createEmptyVocabulary());
+  });
+
+  it('drops empty pairs', () => {
+    expect(normalizeVocabulary({ corrections: { '': 'X', 'Y': ' ' } }).corrections).toEqual({});
+  });
+
+  it.each([
+    ['a non-object', [], 'JSON object'],
+    ['a list field that is not a list', { tickers: 'PLTR' }, '"tickers" must be a list'],
+    ['a map field that is a list', { aliases: ['ES'] }, '"aliases" must be an object'],
+    ['a newer version', { version: VOCABULARY_VERSION + 1 }, 'Unsupported vocabulary version'],
+  ])('rejects %s', (_, raw, message) => {
+    expect(() => normalizeVocabulary(raw)).toThrow(message);
+  });
+});
+
+describe('mergeVocabulary', () => {
+  it('unions lists and lets imported pairs win', () => {
+    const base = normalizeVocabulary({ tickers: ['PLTR'], aliases: { NAS: 'NDX' } });
+    const extra = normalizeVocabulary({ tickers: ['SOFI', 'PLTR'], aliases: { NAS: 'NQ', 'E-MINI': 'ES' } });
+
+    const merged = mergeVocabulary(base, extra);
+
+    expect(merged.tickers).toEqual(['PLTR', 'SOFI']);
+    expect(merged.aliases).toEqual({ NAS: 'NQ', 'E-MINI': 'ES' });
+  });
+});
+
+describe('isVocabularyEmpty', () => {
+  it('detects empty and non-empty vocabularies', () => {
+    expect(isVocabularyEmpty(createEmptyVocabulary())).toBe(true);
+    expect(isVocabularyEmpty(normalizeVocabulary({ corrections: { A: 'B' } }))).toBe(false);
+  });
+});
+
+describe('storage', () => {
+  it('returns an empty vocabulary when nothing is saved', () => {
+    expect(loadVocabulary(createMockStorage())).toEqual(createEmptyVocabulary());
+  });
+
+  it('round-trips through storage', () => {
+    const storage = createMockStorage();
+    const vocab = normalizeVocabulary({ tickers: ['ES'], aliases: { NAS: 'NQ' } });
+
+    saveVocabulary(vocab, storage);
+
+    expect(storage.setItem).toHaveBeenCalledWith(VOCABULARY_STORAGE_KEY, expect.any(String));
+    expect(loadVocabulary(storage)).toEqual(vocab);
+  });
+
+  it('ignores unreadable data', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = createMockStorage({ [VOCABULARY_STORAGE_KEY]: '{broken' });
+
+    expect(loadVocabulary(storage)).toEqual(createEmptyVocabulary());
+    warn.mockRestore();
+  });
+});
+
+describe('JSON import/export', () => {
+  it('round-trips an exported file', () => {
+    const vocab = normalizeVocabulary({ cryptoTokens: ['TAO'], cryptoNames: { BITTENSOR: 'TAO' } });
+
+    expect(parseVocabularyJson(serializeVocabulary(vocab))).toEqual(vocab);
+  });
+
+  it('reports invalid JSON', () => {
+    expect(() => parseVocabularyJson('not json')).toThrow('not valid JSON');
+  });
+});
+
+describe('textarea helpers', () => {
+  it('parses lists split by lines or commas', () => {
+    expect(parseListText('pltr, sofi\n\nes\n')).toEqual(['PLTR', 'SOFI', 'ES']);
+  });
+
+  it('formats lists one per line', () => {
+    expect(formatListText(['PLTR', 'SOFI'])).toBe('PLTR\nSOFI');
+  });
+
+  it('parses "from = to" lines and skips others', () => {
+    expect(parseMappingText('e-mini = ES\nnas=NQ\njunk line\n = X')).toEqual({ 'E-MINI': 'ES', NAS: 'NQ' });
+  });
+
+  it('formats mappings as lines', () => {
+    expect(formatMappingText({ 'E-MINI': 'ES', NAS: 'NQ' })).toBe('E-MINI = ES\nNAS = NQ');
+  });
+});
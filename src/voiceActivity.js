@@ -0,0 +1,115 @@
+/**
+ * Voice Activity Detection
+ *
+ * Energy-based speech detection used to auto-stop recording after a pause
+ * (off until the user picks a delay) and to trim leading/trailing silence
+ * before audio reaches Whisper, which tends to hallucinate text on silent
+ * tails. The saved recording itself is left whole.
+ */
+
+// Constants
+export const AUTO_STOP_STORAGE_KEY = 'traders-voice-auto-stop';
+export const DEFAULT_AUTO_STOP_MS = 0; // Off: recording runs until stopped
+export const SPEECH_RMS_THRESHOLD = 0.02;
+export const VAD_FRAME_MS = 20;
+export const TRIM_PADDING_MS = 250;
+
+/**
+ * Root-mean-square energy of audio samples
+ * @param {Float32Array|Uint8Array} samples - Float samples (-1..1) or byte samples from getByteTimeDomainData (128 = silence)
+ * @returns {number} - RMS energy in the range 0..1
+ */
+export function calculateRms(samples) {
+  if (!samples || samples.length === 0) return 0;
+
+  const isByteData = samples instanceof Uint8Array;
+  let sum = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const value = isByteData ? (samples[i] - 128) / 128 : samples[i];
+    sum += value * value;
+  }
+
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Create a detector that decides when a recording should auto-stop.
+ * It only triggers after speech has been heard, so a pause before speaking
+ * never ends the recording.
+ * @param {Object} options - { silenceMs, threshold }
+ * @returns {{update: Function}} - update(rms, now) → { speaking, shouldStop }
+ */
+export function createVoiceActivityDetector({ silenceMs = DEFAULT_AUTO_STOP_MS, threshold = SPEECH_RMS_THRESHOLD } = {}) {
+  let heardSpeech = false;
+  let lastSpeechAt = null;
+
+  return {
+    update(rms, now) {
+      const speaking = rms >= threshold;
+
+      if (speaking) {
+        heardSpeech = true;
+        lastSpeechAt = now;
+      }
+
+      const shouldStop = silenceMs > 0 && heardSpeech && !speaking && now - lastSpeechAt >= silenceMs;
+      return { speaking, shouldStop };
+    },
+  };
+}
+
+/**
+ * Find the sample range containing speech, padded so word edges aren't clipped
+ * @param {Float32Array} samples - Mono audio samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - { threshold, frameMs, paddingMs }
+ * @returns {{start: number, end: number}|null} - Speech bounds, or null if no speech was found
+ */
+export function findSpeechBounds(samples, sampleRate, {
+  threshold = SPEECH_RMS_THRESHOLD,
+  frameMs = VAD_FRAME_MS,
+  paddingMs = TRIM_PADDING_MS,
+} = {}) {
+  const frameSize = Math.max(1, Math.round((sampleRate * frameMs) / 1000));
+  let first = -1;
+  let last = -1;
+
+  for (let offset = 0; offset < samples.length; offset += frameSize) {
+    const frame = samples.subarray(offset, Math.min(samples.length, offset + frameSize));
+    if (calculateRms(frame) >= threshold) {
+      if (first === -1) first = offset;
+      last = offset + frame.length;
+    }
+  }
+
+  if (first === -1) return null;
+
+  const padding = Math.round((sampleRate * paddingMs) / 1000);
+  return {
+    start: Math.max(0, first - padding),
+    end: Math.min(samples.length, last + padding),
+  };
+}
+
+/**
+ * Read the auto-stop silence setting
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ * @returns {number} - Silence in ms before auto-stop (0 = off)
+ */
+export function loadAutoStopSetting(storage = localStorage) {
+  const value = storage.getItem(AUTO_STOP_STORAGE_KEY);
+  if (value === null) return DEFAULT_AUTO_STOP_MS;
+
+  const ms = parseInt(value, 10);
+  return Number.isFinite(ms) && ms >= 0 ? ms : DEFAULT_AUTO_STOP_MS;
+}
+
+/**
+ * Persist the auto-stop silence setting
+ * @param {number} ms - Silence in ms before auto-stop (0 = off)
+ * @param {Storage} [storage] - Storage interface (default: localStorage)
+ */
+export function saveAutoStopSetting(ms, storage = localStorage) {
+  storage.setItem(AUTO_STOP_STORAGE_KEY, String(ms));
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUTO_STOP_STORAGE_KEY,
+  DEFAULT_AUTO_STOP_MS,
+  calculateRms,
+  createVoiceActivityDetector,
+  findSpeechBounds,
+  loadAutoStopSetting,
+  saveAutoStopSetting,
+} from './voiceActivity.js';
+import { createMockStorage } from '../test/mockStorage.js';
+
+const SAMPLE_RATE = 1000;
+
+/**
+ * Build mono audio from [seconds, amplitude] sections (square wave)
+ */
+function buildAudio(sections) {
+  const parts = sections.map(([seconds, amplitude]) =>
+    Array.from({ length: seconds * SAMPLE_RATE }, (_, i) => (i % 2 === 0 ? amplitude : -amplitude)));
+  return new Float32Array(parts.flat());
+}
+
+describe('calculateRms', () => {
+  it('returns 0 for empty input', () => {
+    expect(calculateRms(new Float32Array(0))).toBe(0);
+  });
+
+  it('measures float samples', () => {
+    expect(calculateRms(new Float32Array([0.5, -0.5, 0.5, -0.5]))).toBeCloseTo(0.5);
+  });
+
+  it('treats byte 128 as silence', () => {
+    expect(calculateRms(new Uint8Array([128, 128, 128]))).toBe(0);
+    expect(calculateRms(new Uint8Array([192, 64]))).toBeCloseTo(0.5);
+  });
+});
+
+describe('createVoiceActivityDetector', () => {
+  it('does not stop before any speech is heard', () => {
+    const detector = createVoiceActivityDetector({ silenceMs: 1000 });
+
+    expect(detector.update(0, 0).shouldStop).toBe(false);
+    expect(detector.update(0, 5000).shouldStop).toBe(false);
+  });
+
+  it('stops after the configured silence following speech', () => {
+    const detector = createVoiceActivityDetector({ silenceMs: 1000 });
+
+    expect(detector.update(0.2, 0)).toEqual({ speaking: true, shouldStop: false });
+    expect(detector.update(0, 500).shouldStop).toBe(false);
+    expect(detector.update(0, 1000).shouldStop).toBe(true);
+  });
+
+  it('resets the silence timer when speech resumes', () => {
+    const detector = createVoiceActivityDetector({ silenceMs: 1000 });
+
+    detector.update(0.2, 0);
+    detector.update(0, 800);
+    detector.update(0.2, 900);
+
+    expect(detector.update(0, 1500).shouldStop).toBe(false);
+    expect(detector.update(0, 1900).shouldStop).toBe(true);
+  });
+
+  it('never stops when auto-stop is off', () => {
+    const detector = createVoiceActivityDetector({ silenceMs: 0 });
+
+    detector.update(0.2, 0);
+    expect(detector.update(0, 60000).shouldStop).toBe(false);
+  });
+});
+
+describe('findSpeechBounds', () => {
+  it('returns null for silence', () => {
+    expect(findSpeechBounds(buildAudio([[2, 0.001]]), SAMPLE_RATE)).toBeNull();
+  });
+
+  it('trims leading and trailing silence with padding', () => {
+    const audio = buildAudio([[2, 0], [1, 0.3], [3, 0]]);
+
+    const bounds = findSpeechBounds(audio, SAMPLE_RATE, { paddingMs: 100 });
+
+    expect(bounds).toEqual({ start: 1900, end: 3100 });
+  });
+
+  it('keeps pauses between words', () => {
+    const audio = buildAudio([[1, 0], [1, 0.3], [2, 0], [1, 0.3], [1, 0]]);
+
+    const bounds = findSpeechBounds(audio, SAMPLE_RATE, { paddingMs: 0 });
+
+    expect(bounds).toEqual({ start: 1000, end: 5000 });
+  });
+
+  it('clamps padding to the audio length', () => {
+    const audio = buildAudio([[1, 0.3]]);
+
+    expect(findSpeechBounds(audio, SAMPLE_RATE)).toEqual({ start: 0, end: 1000 });
+  });
+});
+
+describe('auto-stop setting', () => {
+  it('defaults to off when nothing is stored', () => {
+    expect(DEFAULT_AUTO_STOP_MS).toBe(0);
+    expect(loadAutoStopSetting(createMockStorage())).toBe(0);
+  });
+
+  it('round-trips a saved value', () => {
+    const storage = createMockStorage();
+    saveAutoStopSetting(5000, storage);
+
+    expect(storage.setItem).toHaveBeenCalledWith(AUTO_STOP_STORAGE_KEY, '5000');
+    expect(loadAutoStopSetting(storage)).toBe(5000);
+  });
+
+  it('keeps 0 (off)', () => {
+    expect(loadAutoStopSetting(createMockStorage({ [AUTO_STOP_STORAGE_KEY]: '0' }))).toBe(0);
+  });
+
+  it('falls back to the default for invalid values', () => {
+    expect(loadAutoStopSetting(createMockStorage({ [AUTO_STOP_STORAGE_KEY]: 'soon' }))).toBe(DEFAULT_AUTO_STOP_MS);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Whisper Worker Client
+ *
+ * Promise-based wrapper around the Whisper Web Worker message protocol
+ * (see whisperWorker.js). Tracks requests by id so late messages from a
+ * cancelled transcription are ignored.
+ */
+
+/**
+ * Create an error marking a cancelled transcription
+ * @returns {Error} - Error with name 'AbortError'
+ */
+function createAbortError() {
+  const err = new Error('Transcription cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Create a client for the Whisper worker
+ * @param {Function} createWorker - Factory returning a new Worker
+ * @returns {Object} - Client with load, transcribe, cancel, onProgress and terminate
+ */
+export function createWhisperClient(createWorker) {
+  let worker = null;
+  let nextId = 1;
+  let activeTranscriptionId = null;
+  let progressListener = null;
+  const pending = new Map();
+
+  function rejectAll(error) {
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+    activeTranscriptionId = null;
+  }
+
+  function handleMessage(event) {
+    const message = event.data;
+
+    if (message.type === 'progress') {
+      progressListener?.(message.progress);
+      return;
+    }
+
+    const request = pending.get(message.id);
+    if (!request) return;
+
+    switch (message.type) {
+      case 'status':
+        request.onStatus?.(message.status);
+        break;
+      case 'partial':
+        request.onPartial?.(message.text);
+        break;
+      case 'chunk':
+        request.onChunk?.(message.completed);
+        break;
+      case 'ready':
+      case 'result':
+        pending.delete(message.id);
+        request.resolve(message.output ?? message.model);
+        break;
+      case 'cancelled':
+        pending.delete(message.id);
+        request.reject(createAbortError());
+        break;
+      case 'error':
+        pending.delete(message.id);
+        request.reject(new Error(message.message));
+        break;
+    }
+
+    if (!pending.has(message.id) && activeTranscriptionId === message.id) {
+      activeTranscriptionId = null;
+    }
+  }
+
+  function getWorker() {
+    if (!worker) {
+      worker = createWorker();
+      worker.addEventListener('message', handleMessage);
+      worker.addEventListener('error', (event) => {
+        // Uncaught worker failure - drop the worker so the next call starts fresh
+        event.preventDefault?.();
+        worker.terminate();
+        worker = null;
+        rejectAll(new Error(event.message || 'Transcription worker crashed'));
+      });
+    }
+    return worker;
+  }
+
+  function send(message, callbacks = {}, transfer = []) {
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, ...callbacks });
+    });
+    getWorker().postMessage({ ...message, id }, transfer);
+    return { id, promise };
+  }
+
+  return {
+    /**
+     * Load a model in the worker (downloads on first use)
+     * @param {string} model - Hugging Face model id
+     * @returns {Promise<string>} - Resolves with the model id once ready
+     */
+    load(model) {
+      return send({ type: 'load', model }).promise;
+    },
+
+    /**
+     * Transcribe 16kHz mono audio. The audio buffer is transferred to the worker.
+     * @param {Float32Array} audio - Audio samples
+     * @param {Object} params - { model, options, onPartial, onStatus, onChunk }
+     * @returns {Promise<Object>} - Pipeline output; rejects with AbortError when cancelled
+     */
+    transcribe(audio, { model, options = {}, onPartial, onStatus, onChunk } = {}) {
+      const { id, promise } = send(
+        { type: 'transcribe', model, audio, options },
+        { onPartial, onStatus, onChunk },
+        [audio.buffer]
+      );
+      activeTranscriptionId = id;
+      return promise;
+    },
+
+    /**
+     * Cancel the active transcription, if any
+     * @returns {boolean} - Whether there was a transcription to cancel
+     */
+    cancel() {
+      const id = activeTranscriptionId;
+      if (id === null || !worker) return false;
+
+      worker.postMessage({ type: 'cancel', id });
+
+      // Reject now so the UI is released immediately; any late result is ignored
+      const request = pending.get(id);
+      pending.delete(id);
+      activeTranscriptionId = null;
+      request?.reject(createAbortError());
+      return true;
+    },
+
+    /**
+     * Whether a transcription is in progress
+     * @returns {boolean}
+     */
+    isBusy() {
+      return activeTranscriptionId !== null;
+    },
+
+    /**
+     * Register a listener for model download progress events
+     * @param {Function|null} listener - Called with transformers.js progress objects
+     */
+    onProgress(listener) {
+      progressListener = listener;
+    },
+
+    /**
+     * Stop the worker and reject pending requests
+     */
+    terminate() {
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+      rejectAll(createAbortError());
+    },
+  };
+}
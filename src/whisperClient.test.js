@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createWhisperClient } from './whisperClient.js';
+
+/**
+ * Minimal Worker stand-in that records posted messages and lets tests reply
+ */
+class FakeWorker extends EventTarget {
+  constructor() {
+    super();
+    this.messages = [];
+    this.terminate = vi.fn();
+  }
+
+  postMessage(message, transfer) {
+    this.messages.push({ message, transfer });
+  }
+
+  reply(data) {
+    this.dispatchEvent(new MessageEvent('message', { data }));
+  }
+
+  crash(message) {
+    const event = new Event('error');
+    event.message = message;
+    this.dispatchEvent(event);
+  }
+
+  lastMessage() {
+    return this.messages[this.messages.length - 1].message;
+  }
+}
+
+describe('createWhisperClient', () => {
+  let workers;
+  let client;
+
+  beforeEach(() => {
+    workers = [];
+    client = createWhisperClient(() => {
+      const worker = new FakeWorker();
+      workers.push(worker);
+      return worker;
+    });
+  });
+
+  it('creates the worker lazily', () => {
+    expect(workers).toHaveLength(0);
+    client.load('Xenova/whisper-tiny.en');
+    expect(workers).toHaveLength(1);
+  });
+
+  it('resolves load when the worker reports ready', async () => {
+    const promise = client.load('Xenova/whisper-tiny.en');
+    const { id, model } = workers[0].lastMessage();
+
+    workers[0].reply({ type: 'ready', id, model });
+
+    await expect(promise).resolves.toBe('Xenova/whisper-tiny.en');
+  });
+
+  it('forwards model progress to the listener', () => {
+    const listener = vi.fn();
+    client.onProgress(listener);
+    client.load('Xenova/whisper-tiny.en');
+
+    workers[0].reply({ type: 'progress', progress: { status: 'progress', file: 'model.onnx', progress: 42 } });
+
+    expect(listener).toHaveBeenCalledWith({ status: 'progress', file: 'model.onnx', progress: 42 });
+  });
+
+  it('transfers the audio buffer and resolves with the output', async () => {
+    const audio = new Float32Array(16);
+    const promise = client.transcribe(audio, { model: 'm', options: { chunk_length_s: 30 } });
+    const { message, transfer } = workers[0].messages[0];
+
+    expect(message).toMatchObject({ type: 'transcribe', model: 'm', options: { chunk_length_s: 30 } });
+    expect(transfer).toEqual([audio.buffer]);
+
+    workers[0].reply({ type: 'result', id: message.id, output: { text: ' Long BTC at 95000' } });
+
+    await expect(promise).resolves.toEqual({ text: ' Long BTC at 95000' });
+    expect(client.isBusy()).toBe(false);
+  });
+
+  it('delivers partial text and status updates', () => {
+    const onPartial = vi.fn();
+    const onStatus = vi.fn();
+    client.transcribe(new Float32Array(16), { model: 'm', onPartial, onStatus });
+    const { id } = workers[0].lastMessage();
+
+    workers[0].reply({ type: 'status', id, status: 'transcribing' });
+    workers[0].reply({ type: 'partial', id, text: 'Long BTC' });
+
+    expect(onStatus).toHaveBeenCalledWith('transcribing');
+    expect(onPartial).toHaveBeenCalledWith('Long BTC');
+  });
+
+  it('reports finished audio chunks', () => {
+    const onChunk = vi.fn();
+    client.transcribe(new Float32Array(16), { model: 'm', onChunk });
+    const { id } = workers[0].lastMessage();
+
+    workers[0].reply({ type: 'chunk', id, completed: 1 });
+    workers[0].reply({ type: 'chunk', id, completed: 2 });
+
+    expect(onChunk.mock.calls).toEqual([[1], [2]]);
+  });
+
+  it('rejects with the worker error message', async () => {
+    const promise = client.transcribe(new Float32Array(16), { model: 'm' });
+    const { id } = workers[0].lastMessage();
+
+    workers[0].reply({ type: 'error', id, message: 'Out of memory' });
+
+    await expect(promise).rejects.toThrow('Out of memory');
+  });
+
+  describe('cancel', () => {
+    it('returns false when nothing is running', () => {
+      expect(client.cancel()).toBe(false);
+    });
+
+    it('sends a cancel message and rejects with AbortError', async () => {
+      const promise = client.transcribe(new Float32Array(16), { model: 'm' });
+      const { id } = workers[0].lastMessage();
+
+      expect(client.isBusy()).toBe(true);
+      expect(client.cancel()).toBe(true);
+
+      expect(workers[0].lastMessage()).toEqual({ type: 'cancel', id });
+      await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+      expect(client.isBusy()).toBe(false);
+    });
+
+    it('ignores late messages from a cancelled transcription', async () => {
+      const onPartial = vi.fn();
+      const promise = client.transcribe(new Float32Array(16), { model: 'm', onPartial });
+      const { id } = workers[0].lastMessage();
+      client.cancel();
+      await promise.catch(() => {});
+
+      workers[0].reply({ type: 'partial', id, text: 'late' });
+      workers[0].reply({ type: 'result', id, output: { text: 'late' } });
+
+      expect(onPartial).not.toHaveBeenCalled();
+    });
+  });
+
+  it('rejects pending requests and restarts after a worker crash', async () => {
+    const promise = client.load('m');
+    workers[0].crash('WASM abort');
+
+    await expect(promise).rejects.toThrow('WASM abort');
+    expect(workers[0].terminate).toHaveBeenCalled();
+
+    client.load('m');
+    expect(workers).toHaveLength(2);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Whisper Web Worker
+ *
+ * Loads the transformers.js speech recognition pipeline and runs inference off
+ * the main thread so recording, the waveform and progress UI stay responsive.
+ *
+ * Messages in:
+ *   { type: 'load', id, model }
+ *   { type: 'transcribe', id, model, audio: Float32Array, options }
+ *   { type: 'cancel', id }
+ *
+ * Messages out:
+ *   { type: 'progress', progress }       - model download progress (transformers.js format)
+ *   { type: 'ready', id, model }         - model loaded
+ *   { type: 'status', id, status }       - 'transcribing' once inference starts
+ *   { type: 'partial', id, text }        - text decoded so far
+ *   { type: 'chunk', id, completed }     - audio chunks fully decoded so far
+ *   { type: 'result', id, output }       - final pipeline output ({ text, chunks? })
+ *   { type: 'cancelled', id }            - transcription stopped by a cancel message
+ *   { type: 'error', id, message }       - load or inference failure
+ */
+
+import {
+  pipeline,
+  env,
+  WhisperTextStreamer,
+  InterruptableStoppingCriteria,
+} from '@huggingface/transformers';
+
+// Disable local model loading (use Hugging Face CDN)
+env.allowLocalModels = false;
+
+let transcriber = null;
+let transcriberModel = null;
+let loadingPromise = null;
+let loadingModel = null;
+
+// Active transcription, so a cancel message can interrupt generation
+let activeId = null;
+let cancelled = false;
+const queuedIds = new Set(); // Requests waiting for their turn or for the model to load
+const cancelledIds = new Set(); // Queued requests cancelled before they started
+const stoppingCriteria = new InterruptableStoppingCriteria();
+
+// Transcriptions run one at a time; a new request waits for the previous one
+let queue = Promise.resolve();
+
+/**
+ * Load or retrieve the cached pipeline for a model
+ */
+async function getTranscriber(model) {
+  if (transcriber && transcriberModel === model) {
+    return transcriber;
+  }
+
+  if (loadingPromise && loadingModel === model) {
+    return loadingPromise;
+  }
+
+  if (transcriber) {
+    await transcriber.dispose?.();
+    transcriber = null;
+    transcriberModel = null;
+  }
+
+  loadingModel = model;
+  loadingPromise = pipeline('automatic-speech-recognition', model, {
+    dtype: 'q8',
+    device: 'wasm',
+    progress_callback: (progress) => {
+      self.postMessage({ type: 'progress', progress });
+    },
+  });
+
+  try {
+    transcriber = await loadingPromise;
+    transcriberModel = model;
+    return transcriber;
+  } finally {
+    loadingPromise = null;
+    loadingModel = null;
+  }
+}
+
+/**
+ * Run inference, streaming partial text back to the main thread
+ */
+async function transcribe({ id, model, audio, options }) {
+  let pipe = null;
+  try {
+    if (!cancelledIds.has(id)) pipe = await getTranscriber(model);
+  } catch (err) {
+    cancelledIds.delete(id);
+    throw err;
+  } finally {
+    queuedIds.delete(id);
+  }
+
+  // A cancel can arrive while waiting in the queue or while the model loads
+  if (cancelledIds.delete(id)) {
+    self.postMessage({ type: 'cancelled', id });
+    return;
+  }
+
+  activeId = id;
+  cancelled = false;
+  stoppingCriteria.reset();
+
+  self.postMessage({ type: 'status', id, status: 'transcribing' });
+
+  let partialText = '';
+  let completedChunks = 0;
+  const streamer = new WhisperTextStreamer(pipe.tokenizer, {
+    skip_prompt: true,
+    callback_function: (text) => {
+      partialText += text;
+      self.postMessage({ type: 'partial', id, text: partialText.trim() });
+    },
+    // Called once per generate() call, i.e. once per chunk_length_s window
+    on_finalize: () => {
+      completedChunks += 1;
+      self.postMessage({ type: 'chunk', id, completed: completedChunks });
+    },
+  });
+
+  try {
+    const output = await pipe(audio, {
+      ...options,
+      streamer,
+      stopping_criteria: stoppingCriteria,
+    });
+
+    if (cancelled) {
+      self.postMessage({ type: 'cancelled', id });
+    } else {
+      self.postMessage({ type: 'result', id, output });
+    }
+  } finally {
+    activeId = null;
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case 'load':
+        await getTranscriber(message.model);
+        self.postMessage({ type: 'ready', id: message.id, model: message.model });
+        break;
+      case 'transcribe': {
+        // Each job starts after the previous one settles, whether or not it failed
+        const job = queue.catch(() => {}).then(() => transcribe(message));
+        queuedIds.add(message.id);
+        queue = job;
+        await job;
+        break;
+      }
+      case 'cancel':
+        if (message.id === activeId) {
+          cancelled = true;
+          stoppingCriteria.interrupt();
+        } else if (queuedIds.has(message.id)) {
+          // Finished (or unknown) jobs have nothing left to cancel
+          cancelledIds.add(message.id);
+        }
+        break;
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', id: message.id, message: err?.message || String(err) });
+  }
+});
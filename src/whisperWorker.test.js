@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+
+// The pipeline resolves when a test says so, and each call runs the next queued inference
+const loads = [];
+const inferences = [];
+
+vi.mock('@huggingface/transformers', () => ({
+  env: {},
+  pipeline: vi.fn(() => new Promise((resolve) => {
+    const pipe = vi.fn(() => inferences.shift()());
+    loads.push(() => resolve(pipe));
+  })),
+  WhisperTextStreamer: class {},
+  InterruptableStoppingCriteria: class {
+    reset() {}
+    interrupt() {}
+  },
+}));
+
+describe('whisperWorker', () => {
+  let posted;
+
+  const send = (data) => self.dispatchEvent(new MessageEvent('message', { data }));
+  const repliesFor = (id) => posted.filter(message => message.id === id).map(message => message.type);
+
+  beforeAll(async () => {
+    await import('./whisperWorker.js');
+  });
+
+  beforeEach(() => {
+    posted = [];
+    vi.spyOn(self, 'postMessage').mockImplementation((message) => posted.push(message));
+  });
+
+  it('cancels a job whose cancel arrives while the model is loading', async () => {
+    send({ type: 'transcribe', id: 1, model: 'tiny', audio: new Float32Array(1) });
+    await vi.waitFor(() => expect(loads).toHaveLength(1));
+    send({ type: 'cancel', id: 1 });
+    loads.shift()();
+
+    await vi.waitFor(() => expect(repliesFor(1)).toEqual(['cancelled']));
+  });
+
+  it('runs the next job after one fails', async () => {
+    inferences.push(() => Promise.reject(new Error('out of memory')));
+    inferences.push(() => Promise.resolve({ text: 'long BTC' }));
+
+    send({ type: 'transcribe', id: 2, model: 'tiny', audio: new Float32Array(1) });
+    send({ type: 'transcribe', id: 3, model: 'tiny', audio: new Float32Array(1) });
+
+    await vi.waitFor(() => expect(repliesFor(3)).toContain('result'));
+    expect(posted.find(message => message.type === 'error')).toMatchObject({ id: 2, message: 'out of memory' });
+    expect(repliesFor(3)).not.toContain('error');
+  });
+
+  it('ignores a cancel for a job that is not queued', async () => {
+    inferences.push(() => Promise.resolve({ text: 'short ETH' }));
+
+    send({ type: 'cancel', id: 4 });
+    send({ type: 'transcribe', id: 4, model: 'tiny', audio: new Float32Array(1) });
+
+    await vi.waitFor(() => expect(repliesFor(4)).toContain('result'));
+    expect(repliesFor(4)).not.toContain('cancelled');
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * Mock Storage
+ *
+ * In-memory stand-in for localStorage in tests, with spied methods. Kept out
+ * of src/ so it never sits beside the modules Vite bundles.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Create a Storage-like object backed by a Map
+ * @param {Object<string, string>} [initial] - Items already stored
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+export function createMockStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: vi.fn((key) => (data.has(key) ? data.get(key) : null)),
+    setItem: vi.fn((key, value) => data.set(key, value)),
+    removeItem: vi.fn((key) => data.delete(key)),
+  };
+}
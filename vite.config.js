@@ -26,6 +26,10 @@ export default defineConfig({
   preview: {
     headers: CROSS_ORIGIN_HEADERS,
   },
+  worker: {
+    // Module worker so transformers.js can be code-split inside it
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['@huggingface/transformers'],
   },